@@ -22,6 +22,7 @@ import RegisterPage from './pages/auth/RegisterPage';
 import DashboardPage from './pages/DashboardPage';
 import ProblemsPage from './pages/problems/ProblemsPage';
 import ProblemDetailPage from './pages/problems/ProblemDetailPage';
+import ProblemRevisionsPage from './pages/problems/ProblemRevisionsPage';
 import SubmissionsPage from './pages/SubmissionsPage';
 import LeaderboardPage from './pages/LeaderboardPage';
 import ForumPage from './pages/forum/ForumPage';
@@ -32,6 +33,7 @@ import SettingsPage from './pages/SettingsPage';
 import ClassroomsPage from './pages/classrooms/ClassroomsPage';
 import ClassroomDetailPage from './pages/classrooms/ClassroomDetailPage';
 import CreateClassroomPage from './pages/classrooms/CreateClassroomPage';
+import ReviewsPage from './pages/reviews/ReviewsPage';
 
 // Create a client for React Query
 const queryClient = new QueryClient({
@@ -83,6 +85,7 @@ function App() {
                     <Route path="dashboard" element={<DashboardPage />} />
                     <Route path="problems" element={<ProblemsPage />} />
                     <Route path="problems/:id" element={<ProblemDetailPage />} />
+                    <Route path="problems/:id/revisions" element={<ProblemRevisionsPage />} />
                     <Route path="submissions" element={<SubmissionsPage />} />
                     <Route path="leaderboard" element={<LeaderboardPage />} />
                     <Route path="forum" element={<ForumPage />} />
@@ -93,6 +96,7 @@ function App() {
                     <Route path="classrooms" element={<ClassroomsPage />} />
                     <Route path="classrooms/create" element={<CreateClassroomPage />} />
                     <Route path="classrooms/:id" element={<ClassroomDetailPage />} />
+                    <Route path="reviews" element={<ReviewsPage />} />
                   </Route>
 
                   {/* Fallback route */}
@@ -1,11 +1,63 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import Editor from '@monaco-editor/react';
 
-const CodeEditor = ({ language, value, onChange, height = '400px', readOnly = false }) => {
+const MARKER_OWNER = 'compiler';
+const NO_DIAGNOSTICS = [];
+
+// Compiler diagnostics ({ line, column, severity, message }) as Monaco
+// markers. Lines past the end of the code (e.g. in a function problem's
+// harness) are shown on the last line.
+const toMarkers = (monaco, model, diagnostics) => {
+  const severities = {
+    error: monaco.MarkerSeverity.Error,
+    warning: monaco.MarkerSeverity.Warning,
+    note: monaco.MarkerSeverity.Info,
+  };
+
+  return diagnostics.map(diagnostic => {
+    const line = Math.min(Math.max(diagnostic.line || 1, 1), model.getLineCount());
+
+    // Underline the word at the reported column, or the whole line when the
+    // compiler gave no column
+    const word = diagnostic.column && model.getWordAtPosition({ lineNumber: line, column: diagnostic.column });
+    const startColumn = word ? word.startColumn : (diagnostic.column || model.getLineFirstNonWhitespaceColumn(line) || 1);
+    const endColumn = word ? word.endColumn : model.getLineMaxColumn(line);
+
+    return {
+      severity: severities[diagnostic.severity] || monaco.MarkerSeverity.Error,
+      message: diagnostic.message,
+      startLineNumber: line,
+      startColumn,
+      endLineNumber: line,
+      endColumn: Math.max(endColumn, startColumn + 1),
+    };
+  });
+};
+
+const CodeEditor = ({ language, value, onChange, height = '400px', readOnly = false, diagnostics = NO_DIAGNOSTICS }) => {
+  const [editorState, setEditorState] = useState(null);
+
   const handleEditorChange = (value) => {
     onChange(value);
   };
 
+  const handleEditorMount = (editor, monaco) => {
+    setEditorState({ editor, monaco });
+  };
+
+  useEffect(() => {
+    const model = editorState?.editor.getModel();
+    if (!model) {
+      return;
+    }
+
+    editorState.monaco.editor.setModelMarkers(
+      model,
+      MARKER_OWNER,
+      toMarkers(editorState.monaco, model, diagnostics)
+    );
+  }, [editorState, diagnostics, language]);
+
   return (
     <div className="border border-gray-300 rounded-lg overflow-hidden">
       <Editor
@@ -13,6 +65,7 @@ const CodeEditor = ({ language, value, onChange, height = '400px', readOnly = fa
         language={language}
         value={value}
         onChange={handleEditorChange}
+        onMount={handleEditorMount}
         theme="vs-dark"
         options={{
           minimap: { enabled: false },
@@ -31,4 +84,4 @@ const CodeEditor = ({ language, value, onChange, height = '400px', readOnly = fa
   );
 };
 
-export default CodeEditor;
\ No newline at end of file
+export default CodeEditor;
@@ -2,6 +2,7 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
+import NotificationMenu from './NotificationMenu';
 import { 
   SunIcon, 
   MoonIcon, 
@@ -66,6 +67,8 @@ const Header = () => {
               )}
             </button>
 
+            <NotificationMenu />
+
             {/* User menu */}
             <div className="relative">
               <button className="flex items-center space-x-2 text-gray-600 hover:text-gray-900">
@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { BellIcon } from '@heroicons/react/24/outline';
+import { notificationsAPI } from '../../services/api';
+import { subscribeToNotifications } from '../../services/socket';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Bell with the unread count and a dropdown of recent notifications, which
+// are also shown as toasts when they arrive
+const NotificationMenu = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const { data: notificationsResponse } = useQuery(
+    ['notifications'],
+    () => notificationsAPI.getNotifications({ limit: 10 })
+  );
+
+  // Subscribed again on the new connection when another user logs in
+  useEffect(() => subscribeToNotifications((notification) => {
+    toast(notification.message);
+    queryClient.invalidateQueries(['notifications']);
+    // The problem's review status or checks have changed
+    if (notification.problem) {
+      queryClient.invalidateQueries(['problem', String(notification.problem)]);
+    }
+  }), [queryClient, user?._id]);
+
+  const notifications = notificationsResponse?.data?.data?.notifications || [];
+  const unreadCount = notificationsResponse?.data?.data?.unreadCount || 0;
+
+  const handleOpen = async (notification) => {
+    setIsOpen(false);
+    if (!notification.read) {
+      await notificationsAPI.markRead(notification._id);
+      queryClient.invalidateQueries(['notifications']);
+    }
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    await notificationsAPI.markAllRead();
+    queryClient.invalidateQueries(['notifications']);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 rounded-md text-gray-600 hover:text-gray-900 hover:bg-gray-100"
+      >
+        <BellIcon className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 rounded-full bg-red-500 px-1.5 text-xs font-medium text-white">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg py-1 z-10">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100">
+            <span className="text-sm font-medium text-gray-900">Notifications</span>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} className="text-xs text-primary-600 hover:text-primary-700">
+                Mark all as read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-500">No notifications yet.</p>
+          ) : (
+            notifications.map((notification) => (
+              <button
+                key={notification._id}
+                onClick={() => handleOpen(notification)}
+                className={`block w-full text-left px-4 py-2 text-sm hover:bg-gray-100 ${
+                  notification.read ? 'text-gray-500' : 'text-gray-900 font-medium'
+                }`}
+              >
+                {notification.message}
+                <span className="block text-xs font-normal text-gray-400">
+                  {new Date(notification.createdAt).toLocaleString()}
+                </span>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationMenu;
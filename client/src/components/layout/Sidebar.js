@@ -8,12 +8,13 @@ import {
   ChatBubbleLeftRightIcon,
   AcademicCapIcon,
   UserCircleIcon,
-  Cog6ToothIcon
+  Cog6ToothIcon,
+  ClipboardDocumentCheckIcon
 } from '@heroicons/react/24/outline';
 
 const Sidebar = () => {
   const location = useLocation();
-  const { user } = useAuth();
+  const { user, isInstructor, isReviewer } = useAuth();
 
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: HomeIcon, current: location.pathname === '/dashboard' },
@@ -23,6 +24,11 @@ const Sidebar = () => {
     { name: 'Classrooms', href: '/classrooms', icon: AcademicCapIcon, current: location.pathname.startsWith('/classrooms') },
   ];
 
+  // Authors follow their problems' reviews and reviewers work the queue
+  if (isInstructor() || isReviewer()) {
+    navigation.push({ name: 'Reviews', href: '/reviews', icon: ClipboardDocumentCheckIcon, current: location.pathname === '/reviews' });
+  }
+
   const userNavigation = [
     { name: 'Your Profile', href: '/profile', icon: UserCircleIcon },
     { name: 'Settings', href: '/settings', icon: Cog6ToothIcon },
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { reviewsAPI } from '../../services/api';
+import { REVIEW_STATUSES, REVIEW_ACTIONS } from '../../utils/constants';
+
+const ACTION_VERBS = {
+  submit: 'submitted it for review',
+  withdraw: 'withdrew it from review',
+  approve: 'approved it',
+  'request-changes': 'requested changes',
+  reject: 'rejected it',
+  comment: 'commented',
+};
+
+// Review status, review log and the review actions the user can take, for
+// a problem's author and its reviewers
+const ReviewPanel = ({ problemId }) => {
+  const queryClient = useQueryClient();
+  const [comment, setComment] = useState('');
+
+  const { data: reviewResponse } = useQuery(
+    ['review', problemId],
+    () => reviewsAPI.getReview(problemId),
+    { enabled: !!problemId }
+  );
+
+  const reviewMutation = useMutation(
+    (reviewData) => reviewsAPI.reviewProblem(problemId, reviewData),
+    {
+      onSuccess: () => {
+        setComment('');
+        queryClient.invalidateQueries(['review', problemId]);
+        queryClient.invalidateQueries(['problem', problemId]);
+        toast.success('Review updated');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || error.message);
+      }
+    }
+  );
+
+  const review = reviewResponse?.data?.data;
+  if (!review) {
+    return null;
+  }
+
+  const status = REVIEW_STATUSES[review.reviewStatus];
+
+  const handleAction = (action) => {
+    if (REVIEW_ACTIONS[action].requiresComment && !comment.trim()) {
+      toast.error('Please add a comment first.');
+      return;
+    }
+    reviewMutation.mutate({ action, comment });
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">Review</h3>
+        <span className={`badge badge-${status.color}`}>{status.label}</span>
+      </div>
+      <div className="card-body space-y-4">
+        {review.reviewLog.length > 0 ? (
+          <ul className="space-y-3">
+            {review.reviewLog.map((entry) => (
+              <li key={entry._id} className="text-sm">
+                <div className="text-gray-500">
+                  <span className="font-medium text-gray-900">
+                    {entry.user ? `${entry.user.firstName} ${entry.user.lastName}` : 'Deleted user'}
+                  </span>
+                  {' '}{ACTION_VERBS[entry.action]}
+                  {' · '}{new Date(entry.createdAt).toLocaleString()}
+                </div>
+                {entry.comment && (
+                  <p className="mt-1 whitespace-pre-wrap text-gray-700">{entry.comment}</p>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">
+            This problem is not published until a reviewer approves it.
+          </p>
+        )}
+
+        {review.actions.length > 0 && (
+          <div className="space-y-2">
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              className="input w-full"
+              rows={3}
+              maxLength={5000}
+              placeholder="Comment (required to request changes or reject)"
+            />
+            <div className="flex flex-wrap gap-2">
+              {review.actions.map((action) => (
+                <button
+                  key={action}
+                  onClick={() => handleAction(action)}
+                  className={`btn ${REVIEW_ACTIONS[action].className}`}
+                  disabled={reviewMutation.isLoading}
+                >
+                  {REVIEW_ACTIONS[action].label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewPanel;
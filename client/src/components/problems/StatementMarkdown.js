@@ -0,0 +1,35 @@
+import React from 'react';
+import ReactMarkdown, { uriTransformer } from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import 'katex/dist/katex.min.css';
+import api from '../../services/api';
+
+// Links with a scheme, absolute paths and fragments are left alone
+const isImageName = (src) => !/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(src);
+
+// Part of a problem statement: Markdown with GitHub extensions and LaTeX
+// math ($...$ inline, $$...$$ displayed). Images are referenced by the
+// name they were uploaded to the problem under, e.g. ![graph](graph.png).
+const StatementMarkdown = ({ problemId, children }) => {
+  const transformImageUri = (src) => (
+    isImageName(src)
+      ? `${api.defaults.baseURL}/problems/${problemId}/images/${encodeURIComponent(src)}`
+      : uriTransformer(src)
+  );
+
+  return (
+    <div className="markdown">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm, remarkMath]}
+        rehypePlugins={[rehypeKatex]}
+        transformImageUri={transformImageUri}
+      >
+        {children || ''}
+      </ReactMarkdown>
+    </div>
+  );
+};
+
+export default StatementMarkdown;
@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import { disconnectSocket } from '../services/socket';
 
 const AuthContext = createContext();
 
@@ -44,6 +45,8 @@ export const AuthProvider = ({ children }) => {
       }
       localStorage.setItem('token', token);
       localStorage.setItem('user', JSON.stringify(userData));
+      // Reconnect as the new user
+      disconnectSocket();
       setUser(userData);
       setIsAuthenticated(true);
     } catch (error) {
@@ -55,6 +58,7 @@ export const AuthProvider = ({ children }) => {
   const logout = () => {
     localStorage.removeItem('token');
     localStorage.removeItem('user');
+    disconnectSocket();
     setUser(null);
     setIsAuthenticated(false);
   };
@@ -67,6 +71,10 @@ export const AuthProvider = ({ children }) => {
     return user?.role === 'admin';
   };
 
+  const isReviewer = () => {
+    return user?.role === 'reviewer' || user?.role === 'admin';
+  };
+
   const value = {
     user,
     isAuthenticated,
@@ -75,6 +83,7 @@ export const AuthProvider = ({ children }) => {
     logout,
     isInstructor,
     isAdmin,
+    isReviewer,
   };
 
   return (
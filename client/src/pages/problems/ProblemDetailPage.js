@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import toast from 'react-hot-toast';
 import { 
@@ -7,13 +7,19 @@ import {
   CpuChipIcon, 
   CheckCircleIcon, 
   XCircleIcon,
+  MinusCircleIcon,
   BookmarkIcon,
-  BookmarkSlashIcon
+  BookmarkSlashIcon,
+  PlayIcon,
+  ArrowDownTrayIcon
 } from '@heroicons/react/24/outline';
-import { problemsAPI, submissionsAPI } from '../../services/api';
-import { SUPPORTED_LANGUAGES, DIFFICULTY_LEVELS, SUBMISSION_STATUSES } from '../../utils/constants';
+import { problemsAPI, submissionsAPI, languagesAPI, topicsAPI } from '../../services/api';
+import { subscribeToSubmission } from '../../services/socket';
+import { DIFFICULTY_LEVELS, SUBMISSION_STATUSES } from '../../utils/constants';
 import CodeEditor from '../../components/editor/CodeEditor';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import ReviewPanel from '../../components/problems/ReviewPanel';
+import StatementMarkdown from '../../components/problems/StatementMarkdown';
 import { useAuth } from '../../contexts/AuthContext';
 
 const ProblemDetailPage = () => {
@@ -27,6 +33,19 @@ const ProblemDetailPage = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [activeTab, setActiveTab] = useState('problem');
   const [testResults, setTestResults] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [useCustomInput, setUseCustomInput] = useState(false);
+  const [customInput, setCustomInput] = useState('');
+  const [sampleIndex, setSampleIndex] = useState(0);
+  const [runResult, setRunResult] = useState(null);
+  const [exportFormat, setExportFormat] = useState('native');
+  const [isExporting, setIsExporting] = useState(false);
+  const [diagnostics, setDiagnostics] = useState([]);
+  const unsubscribeRef = useRef(null);
+  const starterCodeRef = useRef('');
+
+  // Stop listening for submission progress when leaving the page
+  useEffect(() => () => unsubscribeRef.current?.(), []);
 
   // Fetch problem details
   const { data: problem, isLoading, error } = useQuery(
@@ -45,6 +64,46 @@ const ProblemDetailPage = () => {
     }
   );
 
+  // Load a function problem's starter code when a language is picked,
+  // replacing the previous language's starter code but never the student's
+  // own code
+  useEffect(() => {
+    const starterCode = problem?.data?.data?.starterCode?.[language];
+    if (starterCode === undefined) {
+      return;
+    }
+
+    setCode(current => {
+      if (current.trim() && current !== starterCodeRef.current) {
+        return current;
+      }
+      starterCodeRef.current = starterCode;
+      return starterCode;
+    });
+  }, [problem, language]);
+
+  // Languages from the server's language registry; they rarely change
+  const { data: languagesResponse } = useQuery(
+    'languages',
+    () => languagesAPI.getLanguages(),
+    { staleTime: Infinity }
+  );
+  const languages = languagesResponse?.data?.data?.languages || [];
+  const selectedLanguage = languages.find(lang => lang.id === language);
+
+  // Topic names by slug, for the problem's topics
+  const { data: topicsResponse } = useQuery(
+    'topics',
+    () => topicsAPI.getTopics(),
+    { staleTime: 5 * 60 * 1000 }
+  );
+  const topicNames = {};
+  (topicsResponse?.data?.data?.topics || []).forEach((topic) => {
+    [topic, ...topic.subtopics].forEach(({ slug, name }) => {
+      topicNames[slug] = name;
+    });
+  });
+
   // Bookmark mutation
   const bookmarkMutation = useMutation(
     () => problemsAPI.bookmarkProblem(id),
@@ -69,9 +128,9 @@ const ProblemDetailPage = () => {
         queryClient.invalidateQueries(['submissions']);
         queryClient.invalidateQueries(['problem', id]);
         
-        // Poll for submission results
+        // Follow judging progress live
         const submissionId = data.data.submissionId;
-        pollSubmissionResults(submissionId);
+        watchSubmission(submissionId);
       },
       onError: (error) => {
         toast.error(error.message);
@@ -80,45 +139,125 @@ const ProblemDetailPage = () => {
     }
   );
 
-  // Poll for submission results
-  const pollSubmissionResults = async (submissionId) => {
-    const maxAttempts = 30; // Maximum 30 attempts (30 seconds)
-    let attempts = 0;
-    
-    const poll = async () => {
-      try {
-        const result = await submissionsAPI.getSubmission(submissionId);
-        
-        if (result.data.status === SUBMISSION_STATUSES.PENDING || 
-            result.data.status === SUBMISSION_STATUSES.COMPILING || 
-            result.data.status === SUBMISSION_STATUSES.RUNNING) {
-          attempts++;
-          if (attempts < maxAttempts) {
-            setTimeout(poll, 1000); // Poll every second
-          } else {
-            toast.error('Submission is taking too long. Please check back later.');
-            setIsSubmitting(false);
-          }
+  // Run code against the sample or custom input; nothing is graded or saved
+  const runMutation = useMutation(
+    (runData) => submissionsAPI.runCode(runData),
+    {
+      onSuccess: (data) => {
+        setRunResult(data.data);
+        setDiagnostics(data.data.diagnostics || data.data.compilation?.diagnostics || []);
+      },
+      onError: (error) => {
+        toast.error(error.message);
+      }
+    }
+  );
+
+  const handleRun = () => {
+    if (!code.trim()) {
+      toast.error('Please write some code before running it.');
+      return;
+    }
+
+    setRunResult(null);
+    runMutation.mutate({
+      problem: id,
+      code,
+      language,
+      ...(useCustomInput ? { input: customInput } : { sample: sampleIndex })
+    });
+  };
+
+  // Render judging progress as the server pushes it: status changes, then
+  // each test case result, then the final verdict
+  const watchSubmission = (submissionId) => {
+    unsubscribeRef.current?.();
+    setProgress({ status: SUBMISSION_STATUSES.PENDING.value });
+    setTestResults({
+      status: SUBMISSION_STATUSES.PENDING.value,
+      result: { testCaseResults: [] }
+    });
+
+    unsubscribeRef.current = subscribeToSubmission(submissionId, {
+      onStatus: ({ status, testCase, totalTestCases }) => {
+        setProgress({ status, testCase, totalTestCases });
+        setTestResults(prev => ({ ...prev, status }));
+      },
+      onTestResult: ({ testCase, result }) => {
+        setTestResults(prev => {
+          const testCaseResults = [...(prev?.result?.testCaseResults || [])];
+          testCaseResults[testCase - 1] = result;
+          return { ...prev, result: { ...prev?.result, testCaseResults } };
+        });
+      },
+      onResult: (submission) => {
+        unsubscribeRef.current?.();
+        unsubscribeRef.current = null;
+        setProgress(null);
+        setTestResults(submission);
+        setDiagnostics(submission.compilationInfo?.diagnostics || []);
+        setIsSubmitting(false);
+        queryClient.invalidateQueries(['problem', id]);
+
+        // Show success/error message based on status
+        if (submission.status === SUBMISSION_STATUSES.ACCEPTED.value) {
+          toast.success('Congratulations! Your solution passed all test cases.');
         } else {
-          setTestResults(result.data);
-          setIsSubmitting(false);
-          
-          // Show success/error message based on status
-          if (result.data.status === SUBMISSION_STATUSES.ACCEPTED) {
-            toast.success('Congratulations! Your solution passed all test cases.');
-          } else {
-            toast.error(`Submission ${result.data.status.replace('-', ' ')}.`);
-          }
+          toast.error(`Submission ${getStatusLabel(submission.status).toLowerCase()}.`);
         }
-      } catch (error) {
-        console.error('Error polling submission results:', error);
-        setIsSubmitting(false);
       }
-    };
-    
-    poll();
+    });
+  };
+
+  const getStatusLabel = (status) => {
+    const entry = Object.values(SUBMISSION_STATUSES).find(s => s.value === status);
+    return entry ? entry.label : status;
   };
 
+  // Describe where judging currently is, e.g. "Running test 3/10"
+  const getProgressLabel = ({ status, testCase, totalTestCases }) => {
+    if (status === SUBMISSION_STATUSES.RUNNING.value && testCase) {
+      return `Running test ${testCase}/${totalTestCases}`;
+    }
+    return `${getStatusLabel(status)}...`;
+  };
+
+  // Result card of one test case, numbered from 1
+  const renderTestCaseResult = (testCase, index) => (
+    <div key={index} className="border rounded-lg p-3">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm font-medium">
+          Test Case {index + 1}
+          {testCase.isHidden && <span className="ml-2 text-gray-500">(hidden)</span>}
+        </span>
+        <div className="flex items-center">
+          {testCase.passed ? (
+            <CheckCircleIcon className="h-5 w-5 text-green-500" />
+          ) : testCase.verdict === 'skipped' ? (
+            <MinusCircleIcon className="h-5 w-5 text-gray-400" />
+          ) : (
+            <XCircleIcon className="h-5 w-5 text-red-500" />
+          )}
+          <span className="ml-2 text-sm">
+            {testCase.passed ? 'Passed' : testCase.verdict === 'skipped' ? 'Skipped' : 'Failed'}
+          </span>
+        </div>
+      </div>
+      
+      {!testCase.passed && testCase.error && (
+        <div className="text-sm text-red-600 bg-red-50 p-2 rounded">
+          {testCase.error}
+        </div>
+      )}
+      
+      {!testCase.passed && testCase.checkerMessage && (
+        <div className="text-sm text-gray-700 bg-gray-50 p-2 rounded mt-2">
+          {testCase.checkerMessage}
+        </div>
+      )}
+    </div>
+  );
+
   const handleSubmit = () => {
     if (!code.trim()) {
       toast.error('Please write some code before submitting.');
@@ -137,6 +276,27 @@ const ProblemDetailPage = () => {
     bookmarkMutation.mutate();
   };
 
+  // Download the problem as a package for another judge
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const response = await problemsAPI.exportProblem(id, exportFormat);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${problemData.title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${exportFormat}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      const warnings = JSON.parse(response.headers['x-package-warnings'] || '[]');
+      warnings.forEach(warning => toast(warning, { duration: 8000 }));
+    } catch (error) {
+      toast.error('Failed to export problem');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   const getDifficultyColor = (difficulty) => {
     const level = DIFFICULTY_LEVELS.find(l => l.value === difficulty);
     return level ? level.color : 'gray';
@@ -151,6 +311,7 @@ const ProblemDetailPage = () => {
       [SUBMISSION_STATUSES.RUNTIME_ERROR]: 'red',
       [SUBMISSION_STATUSES.COMPILATION_ERROR]: 'red',
       [SUBMISSION_STATUSES.PARTIAL_CORRECT]: 'yellow',
+      [SUBMISSION_STATUSES.JUDGE_ERROR]: 'gray',
       [SUBMISSION_STATUSES.PENDING]: 'gray',
       [SUBMISSION_STATUSES.COMPILING]: 'blue',
       [SUBMISSION_STATUSES.RUNNING]: 'blue'
@@ -197,9 +358,14 @@ const ProblemDetailPage = () => {
               <span className={`badge difficulty-${getDifficultyColor(problemData.difficulty)}`}>
                 {problemData.difficulty.charAt(0).toUpperCase() + problemData.difficulty.slice(1)}
               </span>
-              <span className="text-sm text-gray-500">
-                {problemData.category.charAt(0).toUpperCase() + problemData.category.slice(1)}
-              </span>
+              {(problemData.topics?.length ? problemData.topics : [problemData.category]).map((topic) => (
+                <span key={topic} className="badge badge-gray">
+                  {topicNames[topic] || topic}
+                </span>
+              ))}
+              {problemData.type === 'interactive' && (
+                <span className="badge badge-blue">Interactive</span>
+              )}
               <span className="text-sm text-gray-500">
                 {problemData.points} points
               </span>
@@ -222,6 +388,34 @@ const ProblemDetailPage = () => {
               </div>
             )}
             
+            {problemData.reviewStatus && (
+              <Link to={`/problems/${id}/revisions`} className="btn btn-ghost" title="Revision history">
+                <ClockIcon className="h-5 w-5" />
+              </Link>
+            )}
+
+            {problemData.canEdit && (
+              <div className="flex items-center gap-1">
+                <select
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  className="input py-1 text-sm"
+                >
+                  <option value="native">Native</option>
+                  <option value="kattis">Kattis</option>
+                  <option value="polygon">Polygon</option>
+                </select>
+                <button
+                  onClick={handleExport}
+                  className="btn btn-ghost"
+                  disabled={isExporting}
+                  title="Export package"
+                >
+                  <ArrowDownTrayIcon className="h-5 w-5" />
+                </button>
+              </div>
+            )}
+
             <button
               onClick={handleBookmark}
               className="btn btn-ghost"
@@ -245,20 +439,36 @@ const ProblemDetailPage = () => {
               <h2 className="text-lg font-semibold text-gray-900">Problem Description</h2>
             </div>
             <div className="card-body">
-              <div className="prose max-w-none">
-                <p className="whitespace-pre-wrap">{problemData.description}</p>
-              </div>
+              <StatementMarkdown problemId={id}>{problemData.description}</StatementMarkdown>
             </div>
           </div>
 
+          {problemData.functionSignature && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-semibold text-gray-900">Function to Implement</h3>
+              </div>
+              <div className="card-body space-y-2">
+                <div className="code-block">
+                  <pre>
+                    {`${problemData.functionSignature.name}(${problemData.functionSignature.parameters
+                      .map(p => `${p.name}: ${p.type}`).join(', ')}) -> ${problemData.functionSignature.returnType}`}
+                  </pre>
+                </div>
+                <p className="text-sm text-gray-600">
+                  Implement the function in the editor; you do not need to read input or print output.
+                  Each line of a test input holds one parameter, and arrays are written as space-separated values.
+                </p>
+              </div>
+            </div>
+          )}
+
           <div className="card">
             <div className="card-header">
               <h3 className="text-lg font-semibold text-gray-900">Input Format</h3>
             </div>
             <div className="card-body">
-              <div className="code-block">
-                <pre>{problemData.inputFormat}</pre>
-              </div>
+              <StatementMarkdown problemId={id}>{problemData.inputFormat}</StatementMarkdown>
             </div>
           </div>
 
@@ -267,57 +477,117 @@ const ProblemDetailPage = () => {
               <h3 className="text-lg font-semibold text-gray-900">Output Format</h3>
             </div>
             <div className="card-body">
-              <div className="code-block">
-                <pre>{problemData.outputFormat}</pre>
-              </div>
+              <StatementMarkdown problemId={id}>{problemData.outputFormat}</StatementMarkdown>
             </div>
           </div>
 
-          <div className="card">
-            <div className="card-header">
-              <h3 className="text-lg font-semibold text-gray-900">Constraints</h3>
-            </div>
-            <div className="card-body">
-              <div className="code-block">
-                <pre>{problemData.constraints}</pre>
+          {problemData.type === 'interactive' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-semibold text-gray-900">Interaction Protocol</h3>
+              </div>
+              <div className="card-body space-y-3">
+                <div className="prose max-w-none text-sm">
+                  <p>
+                    This is an interactive problem. Your program does not get the whole input up front:
+                    it talks to a judge program (the interactor) while it runs. Everything the interactor
+                    sends arrives on standard input, and everything you print to standard output is sent
+                    to the interactor. The interactor decides the verdict.
+                  </p>
+                  <ul>
+                    <li>Flush standard output after every message, or the interactor will never see it
+                      (<code>cout &lt;&lt; endl</code> or <code>fflush(stdout)</code> in C++,
+                      {' '}<code>print(..., flush=True)</code> in Python,
+                      {' '}<code>System.out.flush()</code> in Java; <code>console.log</code> in JavaScript
+                      flushes line by line).</li>
+                    <li>Do not wait for the end of input; read only what the protocol says comes next.</li>
+                    <li>Exit as soon as the interaction is over. Waiting for a reply that never comes
+                      ends in Time Limit Exceeded.</li>
+                  </ul>
+                </div>
+                {problemData.interactionFormat && (
+                  <StatementMarkdown problemId={id}>{problemData.interactionFormat}</StatementMarkdown>
+                )}
               </div>
             </div>
-          </div>
+          )}
 
           <div className="card">
             <div className="card-header">
-              <h3 className="text-lg font-semibold text-gray-900">Sample Input</h3>
+              <h3 className="text-lg font-semibold text-gray-900">Constraints</h3>
             </div>
             <div className="card-body">
-              <div className="code-block">
-                <pre>{problemData.sampleInput}</pre>
-              </div>
+              <StatementMarkdown problemId={id}>{problemData.constraints}</StatementMarkdown>
             </div>
           </div>
 
-          <div className="card">
-            <div className="card-header">
-              <h3 className="text-lg font-semibold text-gray-900">Sample Output</h3>
-            </div>
-            <div className="card-body">
-              <div className="code-block">
-                <pre>{problemData.sampleOutput}</pre>
+          {problemData.samples.length > 0 && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-semibold text-gray-900">
+                  {problemData.samples.length > 1 ? 'Examples' : 'Example'}
+                </h3>
+              </div>
+              <div className="card-body space-y-6">
+                {problemData.samples.map((sample, index) => (
+                  <div key={index} className="space-y-2">
+                    {problemData.samples.length > 1 && (
+                      <h4 className="text-sm font-semibold text-gray-700">Example {index + 1}</h4>
+                    )}
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                      <div>
+                        <div className="text-xs font-medium text-gray-500 mb-1">Input</div>
+                        <div className="code-block">
+                          <pre>{sample.input}</pre>
+                        </div>
+                      </div>
+                      <div>
+                        <div className="text-xs font-medium text-gray-500 mb-1">Output</div>
+                        <div className="code-block">
+                          <pre>{sample.output}</pre>
+                        </div>
+                      </div>
+                    </div>
+                    {sample.explanation && (
+                      <StatementMarkdown problemId={id}>{sample.explanation}</StatementMarkdown>
+                    )}
+                  </div>
+                ))}
               </div>
             </div>
-          </div>
+          )}
 
           {problemData.explanation && (
             <div className="card">
               <div className="card-header">
-                <h3 className="text-lg font-semibold text-gray-900">Explanation</h3>
+                <h3 className="text-lg font-semibold text-gray-900">Notes</h3>
               </div>
               <div className="card-body">
-                <div className="prose max-w-none">
-                  <p className="whitespace-pre-wrap">{problemData.explanation}</p>
-                </div>
+                <StatementMarkdown problemId={id}>{problemData.explanation}</StatementMarkdown>
               </div>
             </div>
           )}
+
+          {/* Only the author and admins get the outcome of the checks */}
+          {['pending', 'failed'].includes(problemData.validation?.status) && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-semibold text-gray-900">Checks</h3>
+              </div>
+              <div className="card-body text-sm">
+                {problemData.validation.status === 'pending' ? (
+                  <p className="text-gray-600">
+                    The reference solutions are being judged. You will be notified when they finish.
+                  </p>
+                ) : (
+                  <p className="text-red-600">{problemData.validation.message}</p>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Only the author and reviewers get the review status */}
+          {problemData.reviewStatus && <ReviewPanel problemId={id} />}
         </div>
 
         {/* Code Editor */}
@@ -328,15 +598,18 @@ const ProblemDetailPage = () => {
                 <h2 className="text-lg font-semibold text-gray-900">Solution</h2>
                 <select
                   value={language}
-                  onChange={(e) => setLanguage(e.target.value)}
+                  onChange={(e) => {
+                    setLanguage(e.target.value);
+                    setDiagnostics([]);
+                  }}
                   className="input text-sm"
                   disabled={isSubmitting}
                 >
-                  {SUPPORTED_LANGUAGES.filter(lang => 
-                    problemData.allowedLanguages.includes(lang.value)
+                  {languages.filter(lang => 
+                    problemData.allowedLanguages.includes(lang.id)
                   ).map(lang => (
-                    <option key={lang.value} value={lang.value}>
-                      {lang.label}
+                    <option key={lang.id} value={lang.id} title={lang.version}>
+                      {lang.name}
                     </option>
                   ))}
                 </select>
@@ -344,30 +617,149 @@ const ProblemDetailPage = () => {
             </div>
             <div className="card-body p-0">
               <CodeEditor
-                language={language}
+                language={selectedLanguage?.monaco || language}
                 value={code}
                 onChange={setCode}
                 height="500px"
                 readOnly={isSubmitting}
+                diagnostics={diagnostics}
               />
             </div>
-            <div className="card-footer">
-              <button
-                onClick={handleSubmit}
-                disabled={isSubmitting || !code.trim()}
-                className="btn btn-primary w-full"
-              >
-                {isSubmitting ? (
+            <div className="card-footer space-y-3">
+              {problemData.type !== 'interactive' && (
+                <div>
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={useCustomInput}
+                      onChange={(e) => setUseCustomInput(e.target.checked)}
+                      className="mr-2"
+                    />
+                    Run with custom input
+                  </label>
+                  {useCustomInput ? (
+                    <textarea
+                      value={customInput}
+                      onChange={(e) => setCustomInput(e.target.value)}
+                      rows="4"
+                      className="input mt-2 font-mono"
+                      placeholder="Input passed to your program on standard input"
+                    />
+                  ) : problemData.samples.length > 1 && (
+                    <select
+                      value={sampleIndex}
+                      onChange={(e) => setSampleIndex(Number(e.target.value))}
+                      className="input mt-2"
+                    >
+                      {problemData.samples.map((sample, index) => (
+                        <option key={index} value={index}>Run with example {index + 1}</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+              )}
+              <div className="flex gap-2">
+                {problemData.type !== 'interactive' && (
+                  <button
+                    onClick={handleRun}
+                    disabled={runMutation.isLoading || isSubmitting || !code.trim()}
+                    className="btn btn-secondary flex-1"
+                  >
+                    {runMutation.isLoading ? (
+                      <>
+                        <LoadingSpinner size="sm" />
+                        <span className="ml-2">Running...</span>
+                      </>
+                    ) : (
+                      <>
+                        <PlayIcon className="h-4 w-4 mr-1" />
+                        Run
+                      </>
+                    )}
+                  </button>
+                )}
+                <button
+                  onClick={handleSubmit}
+                  disabled={isSubmitting || !code.trim()}
+                  className="btn btn-primary flex-1"
+                >
+                  {isSubmitting ? (
+                    <>
+                      <LoadingSpinner size="sm" />
+                      <span className="ml-2">{progress ? getProgressLabel(progress) : 'Submitting...'}</span>
+                    </>
+                  ) : (
+                    'Submit Solution'
+                  )}
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {/* Run Output */}
+          {runResult && (
+            <div className="card">
+              <div className="card-header">
+                <div className="flex items-center justify-between">
+                  <h3 className="text-lg font-semibold text-gray-900">
+                    Run Output {runResult.usedSampleInput ? '(sample input)' : '(custom input)'}
+                  </h3>
+                  {runResult.success && (
+                    <span className="text-sm text-gray-600">
+                      {runResult.time} ms · {Math.round(runResult.memory / 1024)} MB
+                    </span>
+                  )}
+                </div>
+              </div>
+              <div className="card-body space-y-3">
+                {!runResult.success ? (
+                  <div className="text-sm text-red-600 bg-red-50 p-2 rounded">
+                    <pre className="whitespace-pre-wrap">{runResult.error}</pre>
+                  </div>
+                ) : (
                   <>
-                    <LoadingSpinner size="sm" />
-                    <span className="ml-2">Submitting...</span>
+                    {runResult.status !== 'finished' && (
+                      <span className={`badge badge-${getStatusColor(runResult.status)}`}>
+                        {getStatusLabel(runResult.status)}
+                      </span>
+                    )}
+                    {runResult.passed !== null && (
+                      <div className={`flex items-center text-sm ${runResult.passed ? 'text-green-600' : 'text-red-600'}`}>
+                        {runResult.passed ? (
+                          <CheckCircleIcon className="h-5 w-5 mr-1" />
+                        ) : (
+                          <XCircleIcon className="h-5 w-5 mr-1" />
+                        )}
+                        {runResult.passed ? 'Matches the sample output' : `Does not match the sample output: ${runResult.checkerMessage}`}
+                      </div>
+                    )}
+                    {runResult.compilation?.output && (
+                      <div>
+                        <h4 className="text-sm font-medium text-gray-700 mb-1">Compiler Warnings</h4>
+                        <div className="code-block">
+                          <pre>{runResult.compilation.output}</pre>
+                        </div>
+                      </div>
+                    )}
+                    <div>
+                      <h4 className="text-sm font-medium text-gray-700 mb-1">Output</h4>
+                      <div className="code-block">
+                        <pre>{runResult.stdout}</pre>
+                      </div>
+                    </div>
+                    {runResult.stderr && (
+                      <div>
+                        <h4 className="text-sm font-medium text-gray-700 mb-1">Standard Error</h4>
+                        <div className="code-block">
+                          <pre>{runResult.stderr}</pre>
+                        </div>
+                      </div>
+                    )}
                   </>
-                ) : (
-                  'Submit Solution'
                 )}
-              </button>
+              </div>
             </div>
-          </div>
+          )}
 
           {/* Test Results */}
           {testResults && (
@@ -381,37 +773,56 @@ const ProblemDetailPage = () => {
                     <span className={`badge badge-${getStatusColor(testResults.status)}`}>
                       {testResults.status.replace('-', ' ').toUpperCase()}
                     </span>
-                    <span className="text-sm text-gray-600">
-                      Score: {testResults.result?.score || 0}/{testResults.result?.maxScore || 0}
-                    </span>
+                    {progress ? (
+                      <span className="flex items-center text-sm text-gray-600">
+                        <LoadingSpinner size="sm" />
+                        <span className="ml-2">{getProgressLabel(progress)}</span>
+                      </span>
+                    ) : (
+                      <span className="text-sm text-gray-600">
+                        Score: {testResults.result?.score || 0}/{testResults.result?.maxScore || 0}
+                      </span>
+                    )}
                   </div>
                   
-                  {testResults.result?.testCaseResults && (
-                    <div className="space-y-2">
-                      {testResults.result.testCaseResults.map((testCase, index) => (
-                        <div key={index} className="border rounded-lg p-3">
-                          <div className="flex items-center justify-between mb-2">
-                            <span className="text-sm font-medium">Test Case {index + 1}</span>
-                            <div className="flex items-center">
-                              {testCase.passed ? (
-                                <CheckCircleIcon className="h-5 w-5 text-green-500" />
-                              ) : (
-                                <XCircleIcon className="h-5 w-5 text-red-500" />
-                              )}
-                              <span className="ml-2 text-sm">
-                                {testCase.passed ? 'Passed' : 'Failed'}
-                              </span>
-                            </div>
+                  {testResults.status === SUBMISSION_STATUSES.COMPILATION_ERROR.value && testResults.compilationInfo?.error && (
+                    <div className="text-sm text-red-600 bg-red-50 p-2 rounded">
+                      <pre className="whitespace-pre-wrap">{testResults.compilationInfo.error}</pre>
+                    </div>
+                  )}
+
+                  {testResults.compilationInfo?.success && testResults.compilationInfo.output && (
+                    <div>
+                      <h4 className="text-sm font-medium text-gray-700 mb-1">Compiler Warnings</h4>
+                      <div className="code-block">
+                        <pre>{testResults.compilationInfo.output}</pre>
+                      </div>
+                    </div>
+                  )}
+
+                  {testResults.result?.subtaskResults?.length > 0 ? (
+                    <div className="space-y-4">
+                      {testResults.result.subtaskResults.map(subtask => (
+                        <div key={subtask.name} className="border rounded-lg">
+                          <div className="flex items-center justify-between px-3 py-2 bg-gray-50 border-b rounded-t-lg">
+                            <span className="text-sm font-semibold">Subtask {subtask.name}</span>
+                            <span className={`text-sm ${subtask.passed ? 'text-green-600' : 'text-red-600'}`}>
+                              {subtask.verdict === 'dependency-failed' ? 'Depends on a failed subtask' : getStatusLabel(subtask.verdict)}
+                              {' · '}
+                              {Math.round(subtask.score * 100) / 100}/{subtask.maxScore}
+                            </span>
+                          </div>
+                          <div className="p-3 space-y-2">
+                            {subtask.testCases.map(index => testResults.result.testCaseResults[index] &&
+                              renderTestCaseResult(testResults.result.testCaseResults[index], index))}
                           </div>
-                          
-                          {!testCase.passed && testCase.error && (
-                            <div className="text-sm text-red-600 bg-red-50 p-2 rounded">
-                              {testCase.error}
-                            </div>
-                          )}
                         </div>
                       ))}
                     </div>
+                  ) : testResults.result?.testCaseResults && (
+                    <div className="space-y-2">
+                      {testResults.result.testCaseResults.map((testCase, index) => testCase && renderTestCaseResult(testCase, index))}
+                    </div>
                   )}
                 </div>
               </div>
@@ -433,10 +844,15 @@ const ProblemDetailPage = () => {
                           {submission.status.replace('-', ' ').toUpperCase()}
                         </span>
                         <span className="text-sm text-gray-600">
-                          {submission.language.toUpperCase()}
+                          {languages.find(lang => lang.id === submission.language)?.name || submission.language.toUpperCase()}
                         </span>
                       </div>
                       <div className="text-sm text-gray-500">
+                        {submission.problemRevision && (
+                          <span className="mr-2" title="Problem revision it was judged on">
+                            rev. {submission.problemRevision}
+                          </span>
+                        )}
                         {new Date(submission.submittedAt).toLocaleString()}
                       </div>
                     </div>
@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { ArrowLeftIcon } from '@heroicons/react/24/outline';
+import { problemsAPI } from '../../services/api';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const LINE_STYLES = {
+  equal: { prefix: ' ', className: 'text-gray-600' },
+  add: { prefix: '+', className: 'bg-green-50 text-green-800' },
+  remove: { prefix: '-', className: 'bg-red-50 text-red-800' },
+};
+
+const formatValue = (value) => (value === null || value === undefined ? '(none)' : JSON.stringify(value));
+
+// Runs of a line diff as a unified diff
+const LineDiff = ({ runs }) => (
+  <pre className="text-xs font-mono overflow-x-auto border rounded">
+    {runs.flatMap((run, runIndex) => run.lines.map((line, lineIndex) => (
+      <div key={`${runIndex}-${lineIndex}`} className={`px-2 ${LINE_STYLES[run.op].className}`}>
+        {LINE_STYLES[run.op].prefix} {line}
+      </div>
+    )))}
+  </pre>
+);
+
+const ValueChange = ({ before, after }) => (
+  <div className="text-sm font-mono">
+    <span className="bg-red-50 text-red-800 px-1">{formatValue(before)}</span>
+    {' → '}
+    <span className="bg-green-50 text-green-800 px-1">{formatValue(after)}</span>
+  </div>
+);
+
+// What changed in the test cases, test by test
+const TestChanges = ({ tests }) => (
+  <ul className="space-y-2">
+    {tests.map((test) => (
+      <li key={test.index} className="text-sm">
+        <span className="font-medium">Test {test.index + 1}</span>{' '}
+        <span className="text-gray-500">{test.change}</span>
+        {test.fields && (
+          <div className="mt-1 ml-4 space-y-2">
+            {Object.entries(test.fields).map(([field, change]) => (
+              <div key={field}>
+                <div className="text-xs text-gray-500">{field}</div>
+                {Array.isArray(change) ? (
+                  <LineDiff runs={change} />
+                ) : change === null ? (
+                  <div className="text-xs text-gray-500">Changed (too large to show)</div>
+                ) : (
+                  <ValueChange before={change.before} after={change.after} />
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </li>
+    ))}
+  </ul>
+);
+
+// Revision history of a problem: its revisions, the changes between any two
+// of them, and rolling back to one (authors and admins)
+const ProblemRevisionsPage = () => {
+  const { id } = useParams();
+  const queryClient = useQueryClient();
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+
+  const { data: revisionsResponse, isLoading } = useQuery(
+    ['revisions', id],
+    () => problemsAPI.getRevisions(id)
+  );
+  const { data: problemResponse } = useQuery(['problem', id], () => problemsAPI.getProblem(id));
+
+  const current = revisionsResponse?.data?.data?.current;
+  const revisions = revisionsResponse?.data?.data?.revisions || [];
+  const problemData = problemResponse?.data?.data;
+
+  // Start with the latest change
+  useEffect(() => {
+    if (current && to === null) {
+      setTo(current);
+      setFrom(Math.max(1, current - 1));
+    }
+  }, [current, to]);
+
+  const { data: diffResponse, isLoading: isDiffLoading } = useQuery(
+    ['revision-diff', id, from, to],
+    () => problemsAPI.diffRevisions(id, from, to),
+    { enabled: !!from && !!to && from !== to }
+  );
+  const changes = diffResponse?.data?.data?.changes || [];
+
+  const rollbackMutation = useMutation(
+    (number) => problemsAPI.rollbackProblem(id, number),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['revisions', id]);
+        queryClient.invalidateQueries(['problem', id]);
+        setTo(null);
+        toast.success(response.data.message);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || error.message);
+      }
+    }
+  );
+
+  const handleRollback = (number) => {
+    if (window.confirm(`Restore the statement and tests of revision ${number}? This is saved as a new revision.`)) {
+      rollbackMutation.mutate(number);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-3">
+        <Link to={`/problems/${id}`} className="btn btn-ghost">
+          <ArrowLeftIcon className="h-5 w-5" />
+        </Link>
+        <h1 className="text-2xl font-bold text-gray-900">
+          {problemData ? `${problemData.title} — ` : ''}Revision History
+        </h1>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="card">
+          <div className="card-header">
+            <h2 className="text-lg font-semibold text-gray-900">Revisions</h2>
+          </div>
+          <ul className="divide-y divide-gray-200">
+            {revisions.map((revision) => (
+              <li key={revision._id} className="px-4 py-3 space-y-1">
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-gray-900">
+                    Revision {revision.number}
+                    {revision.number === current && <span className="badge badge-green ml-2">Current</span>}
+                  </span>
+                  {problemData?.canEdit && revision.number !== current && (
+                    <button
+                      onClick={() => handleRollback(revision.number)}
+                      className="text-sm text-primary-600 hover:text-primary-700"
+                      disabled={rollbackMutation.isLoading}
+                    >
+                      Roll back
+                    </button>
+                  )}
+                </div>
+                {revision.message && <p className="text-sm text-gray-700">{revision.message}</p>}
+                <p className="text-xs text-gray-500">
+                  {revision.author ? `${revision.author.firstName} ${revision.author.lastName}` : 'Deleted user'}
+                  {' · '}{new Date(revision.createdAt).toLocaleString()}
+                </p>
+                {revision.changedFields.length > 0 && (
+                  <p className="text-xs text-gray-500">Changed: {revision.changedFields.join(', ')}</p>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="card lg:col-span-2">
+          <div className="card-header flex items-center gap-2">
+            <h2 className="text-lg font-semibold text-gray-900 mr-auto">Changes</h2>
+            <select value={from || ''} onChange={(e) => setFrom(Number(e.target.value))} className="input w-36">
+              {revisions.map((revision) => (
+                <option key={revision.number} value={revision.number}>Revision {revision.number}</option>
+              ))}
+            </select>
+            <span className="text-gray-500">→</span>
+            <select value={to || ''} onChange={(e) => setTo(Number(e.target.value))} className="input w-36">
+              {revisions.map((revision) => (
+                <option key={revision.number} value={revision.number}>Revision {revision.number}</option>
+              ))}
+            </select>
+          </div>
+          <div className="card-body space-y-4">
+            {from === to ? (
+              <p className="text-sm text-gray-500">Choose two different revisions to compare.</p>
+            ) : isDiffLoading ? (
+              <LoadingSpinner />
+            ) : changes.length === 0 ? (
+              <p className="text-sm text-gray-500">No changes.</p>
+            ) : (
+              changes.map((change) => (
+                <div key={change.field} className="space-y-1">
+                  <h3 className="text-sm font-semibold text-gray-900">{change.field}</h3>
+                  {change.type === 'text' && <LineDiff runs={change.diff} />}
+                  {change.type === 'value' && <ValueChange before={change.before} after={change.after} />}
+                  {change.type === 'tests' && <TestChanges tests={change.tests} />}
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProblemRevisionsPage;
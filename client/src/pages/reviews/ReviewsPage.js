@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { reviewsAPI } from '../../services/api';
+import { REVIEW_STATUSES } from '../../utils/constants';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+// Reviewers work through the queue of submitted problems; authors follow
+// the review of their own problems
+const ReviewsPage = () => {
+  const { isInstructor, isReviewer } = useAuth();
+  const [tab, setTab] = useState(isReviewer() ? 'queue' : 'mine');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+
+  const params = {
+    page,
+    ...(tab === 'mine' && { mine: true }),
+    ...(status && { status }),
+  };
+
+  const { data: reviewsResponse, isLoading } = useQuery(
+    ['reviews', params],
+    () => reviewsAPI.getReviews(params),
+    { keepPreviousData: true }
+  );
+
+  const problems = reviewsResponse?.data?.data?.problems || [];
+  const pagination = reviewsResponse?.data?.data?.pagination;
+
+  const tabs = [
+    ...(isReviewer() ? [{ value: 'queue', label: 'Review queue' }] : []),
+    ...(isInstructor() ? [{ value: 'mine', label: 'My problems' }] : []),
+  ];
+
+  const changeTab = (value) => {
+    setTab(value);
+    setStatus('');
+    setPage(1);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Reviews</h1>
+        <select
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setPage(1);
+          }}
+          className="input w-48"
+        >
+          <option value="">{tab === 'queue' ? 'In Review' : 'All statuses'}</option>
+          {Object.entries(REVIEW_STATUSES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {tabs.length > 1 && (
+        <div className="flex gap-2 border-b border-gray-200">
+          {tabs.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => changeTab(value)}
+              className={`px-4 py-2 text-sm font-medium border-b-2 ${
+                tab === value
+                  ? 'border-primary-500 text-primary-700'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="card">
+        {isLoading ? (
+          <div className="card-body flex justify-center">
+            <LoadingSpinner />
+          </div>
+        ) : problems.length === 0 ? (
+          <div className="card-body text-sm text-gray-500">
+            {tab === 'queue' ? 'No problems are waiting for review.' : 'No problems found.'}
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {problems.map((problem) => {
+              const problemStatus = REVIEW_STATUSES[problem.reviewStatus];
+              return (
+                <li key={problem._id} className="px-6 py-4 flex items-center justify-between">
+                  <div>
+                    <Link
+                      to={`/problems/${problem._id}`}
+                      className="font-medium text-gray-900 hover:text-primary-600"
+                    >
+                      {problem.title}
+                    </Link>
+                    <div className="text-sm text-gray-500">
+                      {problem.author && `${problem.author.firstName} ${problem.author.lastName} · `}
+                      {problem.category} · updated {new Date(problem.updatedAt).toLocaleDateString()}
+                    </div>
+                    {problem.lastReview?.comment && (
+                      <p className="mt-1 text-sm text-gray-600 truncate max-w-xl">{problem.lastReview.comment}</p>
+                    )}
+                  </div>
+                  <span className={`badge badge-${problemStatus.color}`}>{problemStatus.label}</span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-center gap-2">
+          <button
+            onClick={() => setPage(page - 1)}
+            className="btn btn-secondary"
+            disabled={page <= 1}
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {pagination.page} of {pagination.pages}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            className="btn btn-secondary"
+            disabled={page >= pagination.pages}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewsPage;
@@ -49,20 +49,75 @@ export const authAPI = {
 export const problemsAPI = {
   getProblems: (params) => api.get('/problems', { params }),
   getProblem: (id) => api.get(`/problems/${id}`),
-  createProblem: (problemData) => api.post('/problems', problemData),
-  updateProblem: (id, problemData) => api.put(`/problems/${id}`, problemData),
+  // Saving waits for the validator to check the test inputs. Reference
+  // solutions are judged after saving; the outcome arrives as a
+  // notification and in the problem's validation
+  createProblem: (problemData) => api.post('/problems', problemData, { timeout: 610000 }),
+  updateProblem: (id, problemData) => api.put(`/problems/${id}`, problemData, { timeout: 610000 }),
   deleteProblem: (id) => api.delete(`/problems/${id}`),
   bookmarkProblem: (id) => api.post(`/problems/${id}/bookmark`),
+  rejudgeProblem: (id, options) => api.post(`/problems/${id}/rejudge`, options),
+  // archive is a zip File; options are mode, isHidden, points and subtask
+  uploadTests: (id, archive, options = {}) => {
+    const formData = new FormData();
+    formData.append('archive', archive);
+    Object.entries(options).forEach(([key, value]) => formData.append(key, value));
+    return api.post(`/problems/${id}/tests/upload`, formData, { timeout: 610000 });
+  },
+  // Generation waits for a judge worker to run both programs on every test
+  generateTests: (id, generatorData) => api.post(`/problems/${id}/tests/generate`, generatorData, { timeout: 610000 }),
+  // pkg is a Kattis, Polygon or native package zip File; options are
+  // format, category (a topic slug) and difficulty
+  importProblem: (pkg, options = {}) => {
+    const formData = new FormData();
+    formData.append('package', pkg);
+    Object.entries(options).forEach(([key, value]) => formData.append(key, value));
+    return api.post('/problems/import', formData, { timeout: 610000 });
+  },
+  getImages: (id) => api.get(`/problems/${id}/images`),
+  // image is a PNG, JPEG, GIF or WebP File; statements refer to it by name
+  uploadImage: (id, image, name) => {
+    const formData = new FormData();
+    formData.append('image', image);
+    if (name) {
+      formData.append('name', name);
+    }
+    return api.post(`/problems/${id}/images`, formData);
+  },
+  deleteImage: (id, name) => api.delete(`/problems/${id}/images/${encodeURIComponent(name)}`),
+  getRevisions: (id) => api.get(`/problems/${id}/revisions`),
+  getRevision: (id, number) => api.get(`/problems/${id}/revisions/${number}`),
+  // to defaults to the current revision
+  diffRevisions: (id, from, to) => api.get(`/problems/${id}/revisions/diff`, { params: { from, to } }),
+  // Rolling back waits for the validator like any other change
+  rollbackProblem: (id, number, message) => api.post(`/problems/${id}/revisions/${number}/rollback`, { message }, { timeout: 610000 }),
+  // Resolves to the package as a Blob; the x-package-warnings header lists
+  // what the format could not carry
+  exportProblem: (id, format) => api.get(`/problems/${id}/export`, { params: { format }, responseType: 'blob', timeout: 120000 }),
   getCategories: () => api.get('/problems/categories/list'),
 };
 
+// Topics API; problems are classified by topic slugs
+export const topicsAPI = {
+  getTopics: () => api.get('/topics'),
+  // topicData is slug, name, description and parent (a top-level topic's slug)
+  createTopic: (topicData) => api.post('/topics', topicData),
+  // parent null moves a subtopic to the top level
+  updateTopic: (slug, topicData) => api.put(`/topics/${slug}`, topicData),
+  deleteTopic: (slug) => api.delete(`/topics/${slug}`),
+};
+
 // Submissions API
 export const submissionsAPI = {
   submitCode: (submissionData) => api.post('/submissions', submissionData),
+  // Runs wait for a judge worker, so they get more time than other requests
+  runCode: (runData) => api.post('/submissions/run', runData, { timeout: 70000 }),
   getSubmission: (id) => api.get(`/submissions/${id}`),
   getProblemSubmissions: (problemId, params) => api.get(`/submissions/problem/${problemId}`, { params }),
   getUserSubmissions: (params) => api.get('/submissions/user/all', { params }),
   getStats: () => api.get('/submissions/stats/overview'),
+  rejudgeSubmission: (id, reason) => api.post(`/submissions/${id}/rejudge`, { reason }),
+  rejudgeSubmissions: (options) => api.post('/submissions/rejudge', options),
 };
 
 // Users API
@@ -108,8 +163,31 @@ export const classroomsAPI = {
   addTeachingAssistant: (id, userId) => api.post(`/classrooms/${id}/ta`, { userId }),
   removeTeachingAssistant: (id, userId) => api.delete(`/classrooms/${id}/ta/${userId}`),
   addProblemToClassroom: (id, problemData) => api.post(`/classrooms/${id}/problems`, problemData),
+  updateClassroomProblem: (id, problemId, problemData) => api.put(`/classrooms/${id}/problems/${problemId}`, problemData),
   removeProblemFromClassroom: (id, problemId) => api.delete(`/classrooms/${id}/problems/${problemId}`),
   getClassroomAnalytics: (id) => api.get(`/classrooms/${id}/analytics`),
+  rejudgeClassroom: (id, options) => api.post(`/classrooms/${id}/rejudge`, options),
+};
+
+// Languages API
+export const languagesAPI = {
+  getLanguages: () => api.get('/languages'),
+};
+
+// Reviews API
+export const reviewsAPI = {
+  // params: status, mine, page, limit
+  getReviews: (params) => api.get('/reviews', { params }),
+  getReview: (id) => api.get(`/reviews/${id}`),
+  // reviewData is { action, comment }
+  reviewProblem: (id, reviewData) => api.post(`/reviews/${id}`, reviewData),
+};
+
+// Notifications API
+export const notificationsAPI = {
+  getNotifications: (params) => api.get('/notifications', { params }),
+  markRead: (id) => api.put(`/notifications/${id}/read`),
+  markAllRead: () => api.put('/notifications/read'),
 };
 
 export default api;
\ No newline at end of file
@@ -0,0 +1,71 @@
+import { io } from 'socket.io-client';
+
+// The socket server shares its origin with the REST API
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL ||
+  (process.env.REACT_APP_API_URL || 'http://localhost:5000/api').replace(/\/api\/?$/, '');
+
+let socket = null;
+
+// Shared connection, authenticated with the stored token on every (re)connect
+export const getSocket = () => {
+  if (!socket) {
+    socket = io(SOCKET_URL, {
+      auth: (callback) => callback({ token: localStorage.getItem('token') }),
+    });
+  }
+  return socket;
+};
+
+// Close the shared connection, e.g. when the user logs in or out, so that
+// the next getSocket() connects with the token stored then
+export const disconnectSocket = () => {
+  if (socket) {
+    socket.disconnect();
+    socket = null;
+  }
+};
+
+// Subscribe to live judging events of a submission. The handlers receive
+// status changes (onStatus), per-test results (onTestResult) and the final
+// submission details (onResult). Returns a function that unsubscribes.
+export const subscribeToSubmission = (submissionId, { onStatus, onTestResult, onResult }) => {
+  const connection = getSocket();
+
+  const forThisSubmission = (handler) => (payload) => {
+    if (handler && String(payload.submissionId) === String(submissionId)) {
+      handler(payload);
+    }
+  };
+
+  const statusListener = forThisSubmission(onStatus);
+  const testResultListener = forThisSubmission(onTestResult);
+  const resultListener = forThisSubmission(onResult);
+
+  // Subscribing again after a reconnect also resends the current state
+  const subscribe = () => connection.emit('submission:subscribe', submissionId);
+
+  connection.on('submission:status', statusListener);
+  connection.on('submission:test-result', testResultListener);
+  connection.on('submission:result', resultListener);
+  connection.on('connect', subscribe);
+
+  if (connection.connected) {
+    subscribe();
+  }
+
+  return () => {
+    connection.emit('submission:unsubscribe', submissionId);
+    connection.off('submission:status', statusListener);
+    connection.off('submission:test-result', testResultListener);
+    connection.off('submission:result', resultListener);
+    connection.off('connect', subscribe);
+  };
+};
+
+// Listen for the user's notifications as they arrive. Returns a function
+// that stops listening.
+export const subscribeToNotifications = (onNotification) => {
+  const connection = getSocket();
+  connection.on('notification', onNotification);
+  return () => connection.off('notification', onNotification);
+};
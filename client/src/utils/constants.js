@@ -1,10 +1,3 @@
-export const SUPPORTED_LANGUAGES = [
-  { value: 'cpp', label: 'C++', monaco: 'cpp' },
-  { value: 'python', label: 'Python', monaco: 'python' },
-  { value: 'java', label: 'Java', monaco: 'java' },
-  { value: 'javascript', label: 'JavaScript', monaco: 'javascript' },
-];
-
 export const DIFFICULTY_LEVELS = [
   { value: 'easy', label: 'Easy', color: 'green' },
   { value: 'medium', label: 'Medium', color: 'yellow' },
@@ -22,27 +15,23 @@ export const SUBMISSION_STATUSES = {
   RUNTIME_ERROR: { value: 'runtime-error', label: 'Runtime Error', color: 'red' },
   COMPILATION_ERROR: { value: 'compilation-error', label: 'Compilation Error', color: 'red' },
   PARTIAL_CORRECT: { value: 'partial-correct', label: 'Partial Correct', color: 'yellow' },
+  JUDGE_ERROR: { value: 'judge-error', label: 'Judge Error', color: 'gray' },
 };
 
-export const PROBLEM_CATEGORIES = [
-  'arrays',
-  'strings',
-  'sorting',
-  'searching',
-  'graph',
-  'tree',
-  'dynamic-programming',
-  'greedy',
-  'backtracking',
-  'math',
-  'geometry',
-  'bit-manipulation',
-  'recursion',
-  'linked-list',
-  'stack',
-  'queue',
-  'hash-table',
-  'heap',
-  'trie',
-  'binary-search',
-];
\ No newline at end of file
+export const REVIEW_STATUSES = {
+  draft: { label: 'Draft', color: 'gray' },
+  submitted: { label: 'In Review', color: 'blue' },
+  'changes-requested': { label: 'Changes Requested', color: 'orange' },
+  approved: { label: 'Approved', color: 'green' },
+  rejected: { label: 'Rejected', color: 'red' },
+};
+
+// Buttons of the review actions; some actions need a comment
+export const REVIEW_ACTIONS = {
+  submit: { label: 'Submit for review', className: 'btn-primary' },
+  withdraw: { label: 'Withdraw', className: 'btn-secondary' },
+  approve: { label: 'Approve', className: 'btn-primary' },
+  'request-changes': { label: 'Request changes', className: 'btn-secondary', requiresComment: true },
+  reject: { label: 'Reject', className: 'btn-danger', requiresComment: true },
+  comment: { label: 'Comment', className: 'btn-ghost', requiresComment: true },
+};
@@ -0,0 +1,60 @@
+const { authenticateWorker, hasWorkerToken } = require('../middleware/auth');
+
+const requestWith = (authorization) => ({
+  header: (name) => (name === 'Authorization' ? authorization : undefined)
+});
+
+const response = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis()
+});
+
+const workerToken = process.env.JUDGE_WORKER_TOKEN;
+
+beforeEach(() => {
+  process.env.JUDGE_WORKER_TOKEN = 'worker-secret';
+});
+
+afterAll(() => {
+  if (workerToken === undefined) {
+    delete process.env.JUDGE_WORKER_TOKEN;
+  } else {
+    process.env.JUDGE_WORKER_TOKEN = workerToken;
+  }
+});
+
+describe('hasWorkerToken', () => {
+  it('is true only for the worker token', () => {
+    expect(hasWorkerToken(requestWith('Bearer worker-secret'))).toBe(true);
+    expect(hasWorkerToken(requestWith('Bearer guess'))).toBe(false);
+    expect(hasWorkerToken(requestWith(undefined))).toBe(false);
+  });
+
+  it('is false while remote workers are disabled', () => {
+    delete process.env.JUDGE_WORKER_TOKEN;
+
+    expect(hasWorkerToken(requestWith('Bearer '))).toBe(false);
+  });
+});
+
+describe('authenticateWorker', () => {
+  it('lets workers through and refuses other callers', () => {
+    const next = jest.fn();
+    authenticateWorker(requestWith('Bearer worker-secret'), response(), next);
+    expect(next).toHaveBeenCalled();
+
+    const res = response();
+    authenticateWorker(requestWith('Bearer guess'), res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  it('is unavailable while remote workers are disabled', () => {
+    delete process.env.JUDGE_WORKER_TOKEN;
+    const res = response();
+
+    authenticateWorker(requestWith('Bearer worker-secret'), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+});
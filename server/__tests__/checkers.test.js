@@ -0,0 +1,110 @@
+const { CHECKER_TYPES, check, parseCheckerOutput } = require('../services/checkers');
+
+describe('check', () => {
+  it('uses the whitespace checker by default', () => {
+    expect(check('1 2\n3\n', '  1 2  \r\n\n3')).toEqual({ passed: true, message: '' });
+    expect(check('1 2\n3', '1  2\n3').passed).toBe(false);
+  });
+
+  it('rejects unknown checkers', () => {
+    expect(() => check('1', '1', { type: 'fuzzy' })).toThrow('Unknown checker: fuzzy');
+  });
+
+  it('treats missing output as empty', () => {
+    expect(check('', undefined).passed).toBe(true);
+    expect(check('1', null)).toEqual({
+      passed: false,
+      message: 'Line 1 differs: expected "1", got "<end of output>"'
+    });
+  });
+
+  describe('exact', () => {
+    const exact = { type: 'exact' };
+
+    it('normalizes line endings and a single trailing newline only', () => {
+      expect(check('a\nb\n', 'a\r\nb', exact).passed).toBe(true);
+      expect(check('a\nb', 'a\nb\n\n', exact).passed).toBe(false);
+      expect(check('a b', 'a  b', exact).passed).toBe(false);
+    });
+
+    it('reports the first differing line', () => {
+      expect(check('a\nb\nc', 'a\nx\nc', exact).message)
+        .toBe('Line 2 differs: expected "b", got "x"');
+    });
+  });
+
+  describe('whitespace', () => {
+    it('ignores blank lines and surrounding whitespace', () => {
+      expect(check('a\n\nb', '\n  a\t\nb  \n\n', { type: 'whitespace' }).passed).toBe(true);
+    });
+
+    it('reports extra lines', () => {
+      expect(check('a', 'a\nb', { type: 'whitespace' }).message)
+        .toBe('Line 2 differs: expected "<end of output>", got "b"');
+    });
+  });
+
+  describe('token', () => {
+    it('ignores line structure', () => {
+      expect(check('1 2 3', '1\n2\n\n3', { type: 'token' }).passed).toBe(true);
+    });
+
+    it('shortens long tokens in messages', () => {
+      const long = 'x'.repeat(60);
+
+      expect(check(long, 'y', { type: 'token' }).message)
+        .toBe(`Token 1 differs: expected "${'x'.repeat(50)}...", got "y"`);
+    });
+  });
+
+  describe('float', () => {
+    it('accepts numbers within the default error', () => {
+      expect(check('0.333333', '0.3333334', { type: 'float' }).passed).toBe(true);
+      expect(check('0.333333', '0.3334', { type: 'float' }).passed).toBe(false);
+    });
+
+    it('accepts numbers within the configured absolute or relative error', () => {
+      expect(check('10', '10.05', { type: 'float', absoluteError: 0.1 }).passed).toBe(true);
+      expect(check('1000', '1001', { type: 'float', relativeError: 0.01 }).passed).toBe(true);
+      expect(check('1000', '1011', { type: 'float', relativeError: 0.01 }).passed).toBe(false);
+    });
+
+    it('compares other tokens exactly', () => {
+      expect(check('YES 1.0', 'YES 1', { type: 'float' }).passed).toBe(true);
+      expect(check('YES', 'yes', { type: 'float' }).passed).toBe(false);
+    });
+  });
+});
+
+describe('CHECKER_TYPES', () => {
+  it('lists the built-in checkers and custom', () => {
+    expect(CHECKER_TYPES).toEqual(['exact', 'whitespace', 'token', 'float', 'custom']);
+  });
+});
+
+describe('parseCheckerOutput', () => {
+  it('parses accepted and wrong answers with their message', () => {
+    expect(parseCheckerOutput('AC\n')).toEqual({ passed: true, score: 1, message: '' });
+    expect(parseCheckerOutput('wa\r\nExpected 3\r\nfound 4\n')).toEqual({
+      passed: false,
+      score: 0,
+      message: 'Expected 3\nfound 4'
+    });
+  });
+
+  it('parses partial scores', () => {
+    expect(parseCheckerOutput('PC 0.25\nHalf of the pairs')).toEqual({
+      passed: false,
+      score: 0.25,
+      message: 'Half of the pairs'
+    });
+  });
+
+  it('rejects invalid verdicts and scores', () => {
+    expect(() => parseCheckerOutput('OK')).toThrow('Invalid checker verdict: "OK"');
+    expect(() => parseCheckerOutput('')).toThrow('Invalid checker verdict');
+    expect(() => parseCheckerOutput('PC')).toThrow('Checker returned PC without a score');
+    expect(() => parseCheckerOutput('PC 1.5')).toThrow('Invalid checker score: "1.5"');
+    expect(() => parseCheckerOutput('AC half')).toThrow('Invalid checker score: "half"');
+  });
+});
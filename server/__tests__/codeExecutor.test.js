@@ -0,0 +1,227 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const codeExecutor = require('../services/codeExecutor');
+
+const { JudgeError } = codeExecutor;
+
+// What the sandbox reports for a program that exited normally
+const finished = (fields = {}) => ({ exitCode: 0, signal: null, timedOut: false, cpuTime: 20, memory: 1024, stderr: '', ...fields });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('runInteractiveTestCase', () => {
+  let workDir;
+  let judgeDir;
+  const interactor = { runCommand: './interactor', dir: '/checkers/interactor' };
+  const testCase = { input: '5\n', output: '5\n' };
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'interactive-'));
+    judgeDir = `${workDir}-judge`;
+    await fs.ensureDir(judgeDir);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await fs.remove(`${workDir}-test-0`);
+    await fs.remove(judgeDir);
+    await fs.remove(workDir);
+  });
+
+  // The interactor writes verdict to its verdict file, the last word of its
+  // command line before the redirections
+  const interactWith = (verdict, contestant = finished()) => {
+    jest.spyOn(codeExecutor.sandbox, 'run').mockImplementation(async ({ command }) => {
+      if (!command.startsWith(interactor.runCommand)) {
+        return contestant;
+      }
+      await fs.writeFile(command.split(' ')[3], verdict);
+      return finished();
+    });
+  };
+
+  const run = () => codeExecutor.runInteractiveTestCase(workDir, judgeDir, './main', testCase, 1000, 0, 0, interactor);
+
+  it('keeps the verdict when cleaning up fails', async () => {
+    interactWith('WA\nGuessed 4');
+    jest.spyOn(fs, 'remove').mockRejectedValueOnce(new Error('EBUSY: resource busy'));
+
+    const result = await run();
+
+    expect(result).toMatchObject({ passed: false, verdict: 'wrong-answer', checkerMessage: 'Guessed 4' });
+    expect(console.error).toHaveBeenCalledWith('Cleanup error:', expect.any(Error));
+  });
+
+  it('keeps the judge error when cleaning up fails', async () => {
+    jest.spyOn(codeExecutor.sandbox, 'run').mockImplementation(async ({ command }) =>
+      (command.startsWith(interactor.runCommand) ? finished({ exitCode: 3, stderr: 'bad protocol' }) : finished()));
+    jest.spyOn(fs, 'remove').mockRejectedValueOnce(new Error('EBUSY: resource busy'));
+
+    const error = await run().catch(caught => caught);
+
+    expect(error).toBeInstanceOf(JudgeError);
+    expect(error.message).toBe('Interactor failed on test case 1: bad protocol');
+  });
+
+  it('removes the test case\'s files', async () => {
+    interactWith('AC');
+
+    expect(await run()).toMatchObject({ passed: true, verdict: 'accepted' });
+    expect(await fs.pathExists(`${workDir}-test-0`)).toBe(false);
+    expect(await fs.readdir(judgeDir)).toEqual([]);
+  });
+});
+
+describe('checkOutput', () => {
+  let judgeDir;
+  const checker = { program: { runCommand: './checker', dir: '/checkers/checker' } };
+
+  beforeEach(async () => {
+    judgeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'checker-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await fs.remove(judgeDir);
+  });
+
+  it('keeps the checker\'s verdict when cleaning up fails', async () => {
+    // The checker prints its verdict to the file its stdout goes to
+    jest.spyOn(codeExecutor.sandbox, 'run').mockImplementation(async ({ stdoutFile }) => {
+      await fs.writeFile(stdoutFile, 'WA\nExpected 3, found 4');
+      return finished();
+    });
+    jest.spyOn(fs, 'remove').mockRejectedValueOnce(new Error('EBUSY: resource busy'));
+
+    const result = await codeExecutor.checkOutput(judgeDir, '/tests', { output: '3\n' }, 'input.txt', 'output.txt', '4\n', 0, checker);
+
+    expect(result).toMatchObject({ passed: false, message: 'Expected 3, found 4' });
+    expect(console.error).toHaveBeenCalledWith('Cleanup error:', expect.any(Error));
+  });
+});
+
+describe('runTestCases', () => {
+  const { cpuBudget, testParallelism } = codeExecutor;
+  const CpuBudget = cpuBudget.constructor;
+  const testCases = Array.from({ length: 6 }, (value, index) => ({ _id: `test-${index}`, input: `${index}`, output: `${index}` }));
+
+  // Enough CPUs for every runner, whatever the host has
+  beforeEach(() => {
+    codeExecutor.cpuBudget = new CpuBudget(8);
+  });
+
+  afterEach(() => {
+    codeExecutor.cpuBudget = cpuBudget;
+    codeExecutor.testParallelism = testParallelism;
+  });
+
+  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  // runOne for runTestCases: test case i takes durations[i] ms and fails
+  // when listed in failing. started lists the indexes it was called with and
+  // peak the most test cases that ran at once.
+  const runner = ({ durations = [], failing = [] } = {}) => {
+    const run = { started: [], peak: 0 };
+    let running = 0;
+
+    run.runOne = async (testCase, index) => {
+      run.started.push(index);
+      running++;
+      run.peak = Math.max(run.peak, running);
+      await delay(durations[index] || 1);
+      running--;
+      const passed = !failing.includes(index);
+      return { passed, verdict: passed ? 'accepted' : 'wrong-answer', time: 5, memory: 512, output: testCase.output, scoreFraction: passed ? 1 : 0 };
+    };
+    return run;
+  };
+
+  it('keeps the order of the test cases when later ones finish first', async () => {
+    codeExecutor.testParallelism = 3;
+    const run = runner({ durations: [30, 20, 10, 1, 1, 1] });
+
+    const results = await codeExecutor.runTestCases(testCases, {}, run.runOne);
+
+    expect(results.map(result => result.testCaseId)).toEqual(testCases.map(testCase => testCase._id));
+    expect(results.every(result => result.verdict === 'accepted')).toBe(true);
+    expect(run.started).toEqual([0, 1, 2, 3, 4, 5]);
+  });
+
+  it('runs up to testParallelism test cases at once', async () => {
+    codeExecutor.testParallelism = 2;
+    const run = runner({ durations: testCases.map(() => 5) });
+
+    await codeExecutor.runTestCases(testCases, {}, run.runOne);
+
+    expect(run.peak).toBe(2);
+  });
+
+  it('holds the CPUs each test case needs from the shared budget', async () => {
+    codeExecutor.testParallelism = 4;
+    codeExecutor.cpuBudget = new CpuBudget(4);
+    const run = runner({ durations: testCases.map(() => 5) });
+
+    const other = await codeExecutor.cpuBudget.acquire(1);
+    const judged = codeExecutor.runTestCases(testCases, {}, run.runOne, 2);
+    await delay(20);
+    // Two CPUs are left beside the other submission's, enough for one run
+    expect(run.peak).toBe(1);
+    other();
+    await judged;
+
+    expect(run.peak).toBe(2);
+    expect(codeExecutor.cpuBudget.available).toBe(4);
+  });
+
+  it('runs every test case without the stop-at-first-failure policy', async () => {
+    const run = runner({ failing: [1] });
+
+    const results = await codeExecutor.runTestCases(testCases, {}, run.runOne);
+
+    expect(results.map(result => result.verdict)).toEqual(
+      ['accepted', 'wrong-answer', 'accepted', 'accepted', 'accepted', 'accepted']);
+  });
+
+  it('starts no test case after the first failure and skips the rest', async () => {
+    codeExecutor.testParallelism = 2;
+    const run = runner({ durations: [20, 1], failing: [1] });
+    const progress = [];
+
+    const results = await codeExecutor.runTestCases(testCases, {
+      testPolicy: 'stop-at-first-failure',
+      onProgress: (report) => progress.push(report)
+    }, run.runOne);
+
+    expect(run.started).toEqual([0, 1]);
+    expect(results.map(result => result.verdict)).toEqual(
+      ['accepted', 'wrong-answer', 'skipped', 'skipped', 'skipped', 'skipped']);
+    expect(results[2]).toMatchObject({ passed: false, score: 0, checkerMessage: 'Not run because an earlier test case failed' });
+    expect(progress.filter(report => report.testCaseResult).map(report => report.testCase)).toEqual([2, 1, 3, 4, 5, 6]);
+  });
+
+  it('reports test cases after the first failure as skipped even if they already ran', async () => {
+    codeExecutor.testParallelism = 3;
+    const run = runner({ durations: [30, 1, 1, 1, 1, 1], failing: [0] });
+
+    const results = await codeExecutor.runTestCases(testCases, { testPolicy: 'stop-at-first-failure' }, run.runOne);
+
+    expect(run.started.length).toBeGreaterThan(1);
+    expect(results.map(result => result.verdict)).toEqual(
+      ['wrong-answer', 'skipped', 'skipped', 'skipped', 'skipped', 'skipped']);
+  });
+
+  it('stops starting test cases and releases the CPUs on a judge error', async () => {
+    codeExecutor.testParallelism = 2;
+    codeExecutor.cpuBudget = new CpuBudget(2);
+    const run = runner({ durations: [10] });
+    const runOne = (testCase, index) =>
+      (index === 1 ? Promise.reject(new JudgeError('Checker crashed')) : run.runOne(testCase, index));
+
+    await expect(codeExecutor.runTestCases(testCases, {}, runOne)).rejects.toThrow('Checker crashed');
+    expect(run.started).toEqual([0]);
+    expect(codeExecutor.cpuBudget.available).toBe(2);
+  });
+});
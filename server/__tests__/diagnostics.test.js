@@ -0,0 +1,78 @@
+const { parseDiagnostics } = require('../services/diagnostics');
+
+describe('parseDiagnostics', () => {
+  it('returns nothing for unknown formats or empty output', () => {
+    expect(parseDiagnostics('main.c:1:1: error: oops', 'unknown', 'main.c')).toEqual([]);
+    expect(parseDiagnostics('', 'gcc', 'main.c')).toEqual([]);
+    expect(parseDiagnostics(undefined, 'gcc', 'main.c')).toEqual([]);
+  });
+
+  it('parses gcc output', () => {
+    const output = [
+      '/tmp/job/main.cpp: In function \'int main()\':',
+      '/tmp/job/main.cpp:5:3: error: \'x\' was not declared in this scope',
+      '    5 |   x = 1;',
+      '      |   ^',
+      '/tmp/job/main.cpp:3:7: warning: unused variable \'y\' [-Wunused-variable]',
+      '/tmp/job/main.cpp:1:10: fatal error: missing.h: No such file or directory',
+      '/usr/include/stdio.h:10:1: note: declared here'
+    ].join('\n');
+
+    expect(parseDiagnostics(output, 'gcc', '/tmp/job/main.cpp')).toEqual([
+      { file: 'main.cpp', line: 5, column: 3, severity: 'error', message: '\'x\' was not declared in this scope' },
+      { file: 'main.cpp', line: 3, column: 7, severity: 'warning', message: 'unused variable \'y\' [-Wunused-variable]' },
+      { file: 'main.cpp', line: 1, column: 10, severity: 'error', message: 'missing.h: No such file or directory' }
+    ]);
+  });
+
+  it('treats gcc-style lines without a severity as errors', () => {
+    expect(parseDiagnostics('./main.go:4:2: undefined: fmt', 'gcc', 'main.go')).toEqual([
+      { file: 'main.go', line: 4, column: 2, severity: 'error', message: 'undefined: fmt' }
+    ]);
+  });
+
+  it('parses javac output with the caret as column', () => {
+    const output = [
+      'Main.java:3: error: cannot find symbol',
+      '        int x = y;',
+      '                ^',
+      '  symbol:   variable y',
+      'Main.java:7: warning: [deprecation] stop() in Thread has been deprecated',
+      '1 error'
+    ].join('\r\n');
+
+    expect(parseDiagnostics(output, 'javac', 'Main.java')).toEqual([
+      { file: 'Main.java', line: 3, column: 17, severity: 'error', message: 'cannot find symbol' },
+      { file: 'Main.java', line: 7, column: null, severity: 'warning', message: '[deprecation] stop() in Thread has been deprecated' }
+    ]);
+  });
+
+  it('parses msbuild output', () => {
+    const output = [
+      'main.ts(2,7): error TS2322: Type \'string\' is not assignable to type \'number\'.',
+      'Main.cs(10,13): warning CS0168: The variable \'e\' is declared but never used',
+      'main.ts(4,1): info Consider a const'
+    ].join('\n');
+
+    expect(parseDiagnostics(output, 'msbuild', 'main.ts')).toEqual([
+      { file: 'main.ts', line: 2, column: 7, severity: 'error', message: 'Type \'string\' is not assignable to type \'number\'.' },
+      { file: 'main.ts', line: 4, column: 1, severity: 'note', message: 'Consider a const' }
+    ]);
+  });
+
+  it('parses rustc output', () => {
+    const output = [
+      'warning: unused variable: `x`',
+      ' --> main.rs:2:9',
+      '  |',
+      'error[E0425]: cannot find value `y` in this scope',
+      ' --> main.rs:3:20',
+      'error: aborting due to previous error'
+    ].join('\n');
+
+    expect(parseDiagnostics(output, 'rustc', 'main.rs')).toEqual([
+      { file: 'main.rs', line: 2, column: 9, severity: 'warning', message: 'unused variable: `x`' },
+      { file: 'main.rs', line: 3, column: 20, severity: 'error', message: 'cannot find value `y` in this scope' }
+    ]);
+  });
+});
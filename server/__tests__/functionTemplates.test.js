@@ -0,0 +1,134 @@
+const { spawnSync } = require('child_process');
+const {
+  GENERATED_LANGUAGES,
+  PARAMETER_TYPES,
+  buildSource,
+  functionProblemError,
+  getTemplate,
+  languagesWithoutHarness
+} = require('../services/functionTemplates');
+
+const signature = {
+  name: 'scale',
+  returnType: 'double[]',
+  parameters: [
+    { name: 'values', type: 'int[]' },
+    { name: 'factor', type: 'double' },
+    { name: 'label', type: 'string' }
+  ]
+};
+
+describe('getTemplate', () => {
+  it('generates typed starter code', () => {
+    expect(getTemplate(signature, 'python').starterCode).toBe([
+      'from typing import List',
+      '',
+      '',
+      'def scale(values: List[int], factor: float, label: str) -> List[float]:',
+      '    pass',
+      ''
+    ].join('\n'));
+    expect(getTemplate(signature, 'typescript').starterCode)
+      .toContain('function scale(values: number[], factor: number, label: string): number[] {');
+    expect(getTemplate(signature, 'cpp').starterCode)
+      .toContain('vector<double> scale(vector<int> values, double factor, string label) {');
+    expect(getTemplate(signature, 'java').starterCode)
+      .toContain('public double[] scale(int[] values, double factor, String label) {');
+  });
+
+  it('appends a marked harness that calls the function', () => {
+    GENERATED_LANGUAGES.forEach(language => {
+      const { harness } = getTemplate(signature, language);
+
+      expect(harness).toMatch(/^(#|\/\/) ---- judge harness ----\n/);
+      expect(harness).toMatch(/scale\(arg0, arg1, arg2\)/);
+    });
+  });
+
+  it('prefers the author\'s templates', () => {
+    const custom = {
+      ...signature,
+      templates: [
+        { language: 'python', starterCode: 'def scale(*args):\n    pass\n' },
+        { language: 'go', starterCode: 'package main\n', harness: 'func main() {}\n' }
+      ]
+    };
+
+    expect(getTemplate(custom, 'python')).toEqual({
+      starterCode: 'def scale(*args):\n    pass\n',
+      harness: getTemplate(signature, 'python').harness
+    });
+    expect(getTemplate(custom, 'go')).toEqual({ starterCode: 'package main\n', harness: 'func main() {}\n' });
+  });
+
+  it('has no harness for languages it cannot generate', () => {
+    expect(getTemplate(signature, 'go')).toEqual({ starterCode: '', harness: null });
+    expect(languagesWithoutHarness(signature, ['python', 'go', 'rust', 'java'])).toEqual(['go', 'rust']);
+  });
+
+  it('generates code for every parameter type', () => {
+    PARAMETER_TYPES.forEach(type => {
+      const typed = { name: 'f', returnType: type, parameters: [{ name: 'x', type }] };
+
+      GENERATED_LANGUAGES.forEach(language => {
+        const { starterCode, harness } = getTemplate(typed, language);
+
+        expect(starterCode).not.toContain('undefined');
+        expect(harness).not.toContain('undefined');
+      });
+    });
+  });
+});
+
+describe('buildSource', () => {
+  it('puts the harness after the student\'s code', () => {
+    const code = 'function scale(values, factor) {\n  return values.map(v => v * factor);\n}';
+    const source = buildSource(signature, 'javascript', code);
+
+    expect(source.startsWith(`${code}\n\n// ---- judge harness ----`)).toBe(true);
+  });
+
+  it('runs the student\'s function on the test input', () => {
+    const code = 'function scale(values, factor, label) {\n  return values.map(v => v * factor + label.length);\n}';
+    const { stdout, status } = spawnSync(process.execPath, ['-e', buildSource(signature, 'javascript', code)], {
+      input: '1 2  3\r\n0.5\nab c\n',
+      encoding: 'utf8'
+    });
+
+    expect(status).toBe(0);
+    expect(stdout).toBe('4.500000 5.000000 5.500000\n');
+  });
+
+  it('rejects languages without a harness', () => {
+    expect(() => buildSource(signature, 'go', 'package main')).toThrow('Function problems do not support go');
+  });
+});
+
+describe('functionProblemError', () => {
+  const problem = (changes) => ({
+    type: 'standard',
+    functionSignature: signature,
+    allowedLanguages: ['python', 'java'],
+    ...changes
+  });
+
+  it('accepts valid function problems and problems without a signature', () => {
+    expect(functionProblemError(problem())).toBeNull();
+    expect(functionProblemError(problem({ functionSignature: null, type: 'interactive' }))).toBeNull();
+  });
+
+  it('rejects interactive function problems', () => {
+    expect(functionProblemError(problem({ type: 'interactive' }))).toBe('Function problems cannot be interactive');
+  });
+
+  it('rejects duplicate parameter names', () => {
+    const duplicated = { ...signature, parameters: [...signature.parameters, { name: 'factor', type: 'int' }] };
+
+    expect(functionProblemError(problem({ functionSignature: duplicated }))).toBe('Parameter names must be unique');
+  });
+
+  it('requires a harness for every allowed language', () => {
+    expect(functionProblemError(problem({ allowedLanguages: ['python', 'go', 'c'] })))
+      .toBe('No harness can be generated for go, c; add a template with a harness or remove them from the allowed languages');
+  });
+});
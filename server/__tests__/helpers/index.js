@@ -0,0 +1,76 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Problem } = require('../../models');
+
+// Shared by the server's test suites, which stub model queries instead of
+// using a database. This directory holds no tests of its own (see
+// testPathIgnorePatterns in package.json).
+
+// Stand-in for a mongoose query: chaining returns the query itself and
+// awaiting it resolves to result. distinct(field) resolves to that field
+// of every document in result.
+const query = (result) => ({
+  sort() { return this; },
+  select() { return this; },
+  populate() { return this; },
+  skip() { return this; },
+  limit() { return this; },
+  lean() { return this; },
+  distinct: async (field) => result.map(document => document[field]),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+// A valid, unsaved problem with one sample test case and a known topic
+const makeProblem = (fields = {}) => new Problem({
+  title: 'Sum',
+  description: 'Add two numbers.',
+  difficulty: 'easy',
+  inputFormat: 'Two integers a and b.',
+  outputFormat: 'Their sum.',
+  constraints: '0 <= a, b <= 100',
+  author: new mongoose.Types.ObjectId(),
+  topics: ['math'],
+  allowedLanguages: ['python'],
+  testCases: [{ input: '1 2', output: '3', isSample: true, isHidden: false }],
+  ...fields
+});
+
+// A running judge job of a submission, on its first attempt
+const makeJob = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  kind: 'submission',
+  submission: new mongoose.Types.ObjectId(),
+  attempts: 1,
+  maxAttempts: 3,
+  ...fields
+});
+
+// Serve router at mountPath while the tests of the enclosing describe block
+// run. server.url is the server's origin once it listens.
+function serveRouter(mountPath, router) {
+  const server = { url: null };
+  let listener;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use(express.json());
+    app.use(mountPath, router);
+    listener = app.listen(0, () => {
+      server.url = `http://127.0.0.1:${listener.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    listener.close(done);
+  });
+
+  return server;
+}
+
+module.exports = {
+  query,
+  makeProblem,
+  makeJob,
+  serveRouter
+};
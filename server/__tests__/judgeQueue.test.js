@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const { JudgeJob, JudgeWorker, Submission } = require('../models');
+const codeExecutor = require('../services/codeExecutor');
+const judge = require('../services/judge');
+const judgeQueue = require('../services/judgeQueue');
+const { makeJob, query } = require('./helpers');
+
+jest.mock('../services/judge', () => ({
+  ...jest.requireActual('../services/judge'),
+  setStatus: jest.fn(),
+  failSubmission: jest.fn(),
+  judgeSubmission: jest.fn()
+}));
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(JudgeJob, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(JudgeJob, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('claim', () => {
+  it('locks the next available job by priority and counts the attempt', async () => {
+    const job = makeJob();
+    jest.spyOn(JudgeJob, 'findOneAndUpdate').mockResolvedValue(job);
+
+    expect(await judgeQueue.claim('worker-1')).toBe(job);
+
+    const [filter, update, options] = JudgeJob.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ status: 'queued', availableAt: { $lte: expect.any(Date) } });
+    expect(update).toEqual({
+      $set: {
+        status: 'running',
+        lockedBy: 'worker-1',
+        lockExpiresAt: expect.any(Date),
+        startedAt: filter.availableAt.$lte
+      },
+      $inc: { attempts: 1 }
+    });
+    expect(update.$set.lockExpiresAt - update.$set.startedAt).toBe(judgeQueue.lockTimeout);
+    expect(options).toEqual({ sort: { priority: -1, availableAt: 1 }, new: true });
+  });
+
+  it('only claims jobs in the worker\'s languages', async () => {
+    jest.spyOn(JudgeJob, 'findOneAndUpdate').mockResolvedValue(null);
+
+    expect(await judgeQueue.claim('worker-1', ['cpp', 'python'])).toBeNull();
+    expect(JudgeJob.findOneAndUpdate.mock.calls[0][0].language).toEqual({ $in: ['cpp', 'python'] });
+  });
+});
+
+describe('fail', () => {
+  it('retries with exponential backoff while attempts are left', async () => {
+    const job = makeJob({ attempts: 2 });
+    const before = Date.now();
+
+    await judgeQueue.fail(job, 'worker-1', 'Sandbox crashed');
+
+    const [filter, update] = JudgeJob.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: job._id, lockedBy: 'worker-1' });
+    expect(update).toMatchObject({ status: 'queued', lockedBy: null, lockExpiresAt: null, lastError: 'Sandbox crashed' });
+    expect(update.availableAt.getTime()).toBeGreaterThanOrEqual(before + judgeQueue.retryDelay * 2);
+    expect(judge.setStatus).toHaveBeenCalledWith(job.submission, 'pending');
+    expect(judge.failSubmission).not.toHaveBeenCalled();
+  });
+
+  it('fails the job and its submission on the last attempt', async () => {
+    const job = makeJob({ attempts: 3 });
+
+    await judgeQueue.fail(job, 'worker-1', 'Sandbox crashed');
+
+    expect(JudgeJob.updateOne).toHaveBeenCalledWith(
+      { _id: job._id, lockedBy: 'worker-1' },
+      expect.objectContaining({ status: 'failed', completedAt: expect.any(Date), lastError: 'Sandbox crashed' })
+    );
+    expect(judge.failSubmission).toHaveBeenCalledWith(job.submission, 'Sandbox crashed');
+  });
+
+  it('leaves submissions alone for other kinds of jobs', async () => {
+    await judgeQueue.fail(makeJob({ kind: 'run', submission: null, attempts: 3 }), 'worker-1', 'Sandbox crashed');
+
+    expect(judge.failSubmission).not.toHaveBeenCalled();
+  });
+});
+
+describe('process', () => {
+  it('completes run jobs with their result', async () => {
+    const job = makeJob({ kind: 'run', task: { language: 'python' } });
+    const result = { success: true, output: '3\n' };
+    jest.spyOn(codeExecutor, 'runCodeTask').mockResolvedValue(result);
+
+    await judgeQueue.process(job, 'worker-1');
+
+    expect(codeExecutor.runCodeTask).toHaveBeenCalledWith(job.task);
+    expect(JudgeJob.updateOne).toHaveBeenCalledWith(
+      { _id: job._id, lockedBy: 'worker-1' },
+      expect.objectContaining({ status: 'completed', lockedBy: null, result })
+    );
+  });
+
+  it('fails jobs whose judging throws', async () => {
+    const job = makeJob({ attempts: 3 });
+    judge.judgeSubmission.mockRejectedValueOnce(new Error('Compiler missing'));
+
+    await judgeQueue.process(job, 'worker-1');
+
+    expect(JudgeJob.updateOne).toHaveBeenCalledWith(
+      { _id: job._id, lockedBy: 'worker-1' },
+      expect.objectContaining({ status: 'failed', lastError: 'Compiler missing' })
+    );
+    expect(judge.failSubmission).toHaveBeenCalledWith(job.submission, 'Compiler missing');
+  });
+});
+
+describe('run', () => {
+  const runJob = makeJob({ kind: 'run', submission: null });
+
+  beforeEach(() => {
+    jest.spyOn(JudgeJob, 'create').mockResolvedValue(runJob);
+    jest.spyOn(JudgeJob, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  });
+
+  it('resolves to the result and deletes the job', async () => {
+    jest.spyOn(JudgeJob, 'findById')
+      .mockReturnValueOnce(query({ status: 'running' }))
+      .mockReturnValueOnce(query({ status: 'completed', result: { output: '3\n' } }));
+
+    expect(await judgeQueue.run({ language: 'python', code: 'print(3)' })).toEqual({ output: '3\n' });
+    expect(JudgeJob.create).toHaveBeenCalledWith(expect.objectContaining({
+      kind: 'run',
+      language: 'python',
+      priority: judgeQueue.runPriority
+    }));
+    expect(JudgeJob.deleteOne).toHaveBeenCalledWith({ _id: runJob._id });
+  });
+
+  it('throws and deletes the job when it fails', async () => {
+    jest.spyOn(JudgeJob, 'findById').mockReturnValue(query({ status: 'failed', lastError: 'Worker stopped responding' }));
+
+    await expect(judgeQueue.run({ language: 'python' }, { kind: 'generate' }))
+      .rejects.toThrow('Run failed: Worker stopped responding');
+    expect(JudgeJob.create).toHaveBeenCalledWith(expect.objectContaining({ kind: 'generate' }));
+    expect(JudgeJob.deleteOne).toHaveBeenCalledWith({ _id: runJob._id });
+  });
+
+  it('throws when the job was deleted meanwhile', async () => {
+    jest.spyOn(JudgeJob, 'findById').mockReturnValue(query(null));
+
+    await expect(judgeQueue.run({ language: 'python' })).rejects.toThrow('Run was cancelled');
+    expect(JudgeJob.deleteOne).toHaveBeenCalledWith({ _id: runJob._id });
+  });
+
+  it('throws and deletes the job when no worker finishes it in time', async () => {
+    const runTimeout = judgeQueue.runTimeout;
+    judgeQueue.runTimeout = 300;
+    jest.spyOn(JudgeJob, 'findById').mockReturnValue(query({ status: 'queued' }));
+
+    try {
+      await expect(judgeQueue.run({ language: 'python' })).rejects.toThrow('Timed out waiting for a judge worker');
+    } finally {
+      judgeQueue.runTimeout = runTimeout;
+    }
+    expect(JudgeJob.deleteOne).toHaveBeenCalledWith({ _id: runJob._id });
+  });
+});
+
+describe('releaseJobs', () => {
+  it('requeues jobs with attempts left and fails the others', async () => {
+    const exhausted = [makeJob({ attempts: 3 }), makeJob({ kind: 'validate', submission: null, attempts: 3 })];
+    jest.spyOn(JudgeJob, 'find').mockReturnValue(query(exhausted));
+    JudgeJob.updateMany.mockResolvedValue({ modifiedCount: 4 });
+
+    expect(await judgeQueue.releaseJobs({ lockedBy: { $in: ['worker-1'] } }, 'Worker went offline')).toBe(6);
+
+    const running = { lockedBy: { $in: ['worker-1'] }, status: 'running' };
+    expect(JudgeJob.find).toHaveBeenCalledWith({ ...running, $expr: { $gte: ['$attempts', '$maxAttempts'] } });
+    exhausted.forEach(job => {
+      expect(JudgeJob.updateOne).toHaveBeenCalledWith(
+        { ...running, $expr: { $gte: ['$attempts', '$maxAttempts'] }, _id: job._id },
+        expect.objectContaining({ status: 'failed', lockedBy: null, lastError: 'Worker went offline' })
+      );
+    });
+    expect(judge.failSubmission).toHaveBeenCalledTimes(1);
+    expect(judge.failSubmission).toHaveBeenCalledWith(exhausted[0].submission, 'Worker went offline');
+    expect(JudgeJob.updateMany).toHaveBeenCalledWith(
+      { ...running, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      expect.objectContaining({ status: 'queued', availableAt: expect.any(Date), lockedBy: null })
+    );
+  });
+
+  it('leaves jobs finished meanwhile alone', async () => {
+    jest.spyOn(JudgeJob, 'find').mockReturnValue(query([makeJob({ attempts: 3 })]));
+    JudgeJob.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    expect(await judgeQueue.releaseJobs({ lockedBy: { $in: ['worker-1'] } }, 'Worker went offline')).toBe(0);
+    expect(judge.failSubmission).not.toHaveBeenCalled();
+  });
+});
+
+describe('recoverStale', () => {
+  const deadWorker = { _id: new mongoose.Types.ObjectId() };
+  const unfinished = [
+    { _id: new mongoose.Types.ObjectId(), language: 'python' },
+    { _id: new mongoose.Types.ObjectId(), language: 'cpp' }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(JudgeWorker, 'find').mockReturnValue(query([deadWorker]));
+    jest.spyOn(JudgeWorker, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Submission, 'find').mockReturnValue(query(unfinished));
+    jest.spyOn(JudgeJob, 'find').mockImplementation((filter) => {
+      // Jobs of unfinished submissions, or jobs out of attempts
+      if (filter.submission) {
+        return query([{ submission: unfinished[0]._id }]);
+      }
+      return query(filter.lockExpiresAt ? [makeJob({ attempts: 3 })] : []);
+    });
+    jest.spyOn(judgeQueue, 'enqueue').mockResolvedValue(null);
+  });
+
+  it('takes dead workers offline and releases their jobs', async () => {
+    await judgeQueue.recoverStale();
+
+    const [filter] = JudgeWorker.find.mock.calls[0];
+    expect(filter.status).toBe('online');
+    expect(Date.now() - filter.lastHeartbeat.$lt).toBeGreaterThanOrEqual(judgeQueue.workerTimeout);
+    expect(JudgeWorker.updateMany).toHaveBeenCalledWith({ _id: { $in: [deadWorker._id] } }, { status: 'offline' });
+    expect(JudgeJob.updateMany).toHaveBeenCalledWith(
+      { lockedBy: { $in: [deadWorker._id.toString()] }, status: 'running', $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      expect.objectContaining({ status: 'queued', lastError: 'Worker stopped sending heartbeats' })
+    );
+  });
+
+  it('fails jobs with expired locks that used all their attempts', async () => {
+    await judgeQueue.recoverStale();
+
+    expect(JudgeJob.find).toHaveBeenCalledWith({
+      lockExpiresAt: { $lt: expect.any(Date) },
+      status: 'running',
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    });
+    expect(judge.failSubmission).toHaveBeenCalledWith(expect.any(mongoose.Types.ObjectId), 'Worker stopped responding');
+    expect(JudgeJob.updateMany).toHaveBeenCalledWith(
+      { lockExpiresAt: { $lt: expect.any(Date) }, status: 'running', $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      expect.objectContaining({ status: 'queued', lastError: 'Worker stopped responding' })
+    );
+  });
+
+  it('queues unfinished submissions that have no job', async () => {
+    await judgeQueue.recoverStale();
+
+    expect(judgeQueue.enqueue).toHaveBeenCalledTimes(1);
+    expect(judgeQueue.enqueue).toHaveBeenCalledWith(unfinished[1]);
+  });
+});
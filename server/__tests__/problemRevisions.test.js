@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const { Problem, ProblemRevision, Topic } = require('../models');
+const judgeQueue = require('../services/judgeQueue');
+const {
+  REVISION_FIELDS,
+  changesRevision,
+  diffLines,
+  diffSnapshots,
+  recordRevision
+} = require('../services/problemRevisions');
+
+const author = { _id: new mongoose.Types.ObjectId(), role: 'instructor' };
+let mockUser = author;
+
+jest.mock('../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  }
+}));
+
+const revisionsRouter = require('../routes/problemRevisions');
+const helpers = require('./helpers');
+
+const { query, serveRouter } = helpers;
+
+// Problems of the author at revision 3
+const makeProblem = (fields = {}) => helpers.makeProblem({ author: author._id, revision: 3, ...fields });
+
+const snapshotOf = (problem) => {
+  const data = problem.toObject();
+  return Object.fromEntries(REVISION_FIELDS.map(field => [field, data[field] === undefined ? null : data[field]]));
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  mockUser = author;
+});
+
+describe('changesRevision', () => {
+  it('is true when a revision field changes', () => {
+    expect(changesRevision(['title', 'isPublic'])).toBe(true);
+    expect(changesRevision(['isPublic', 'isApproved'])).toBe(false);
+  });
+});
+
+describe('diffLines', () => {
+  it('groups lines into runs', () => {
+    expect(diffLines('a\nb\nc\nd', 'a\nc\nx\ny\nd')).toEqual([
+      { op: 'equal', lines: ['a'] },
+      { op: 'remove', lines: ['b'] },
+      { op: 'equal', lines: ['c'] },
+      { op: 'add', lines: ['x', 'y'] },
+      { op: 'equal', lines: ['d'] }
+    ]);
+  });
+
+  it('handles empty texts', () => {
+    expect(diffLines('', '')).toEqual([]);
+    expect(diffLines('', 'a\nb')).toEqual([{ op: 'add', lines: ['a', 'b'] }]);
+    expect(diffLines(null, 'a')).toEqual([{ op: 'add', lines: ['a'] }]);
+  });
+
+  it('replaces very long texts as a whole', () => {
+    const long = Array.from({ length: 2001 }, (value, index) => String(index)).join('\n');
+
+    expect(diffLines(long, 'x')).toEqual([
+      { op: 'remove', lines: long.split('\n') },
+      { op: 'add', lines: ['x'] }
+    ]);
+  });
+});
+
+describe('diffSnapshots', () => {
+  it('ignores unchanged fields and subdocument ids', () => {
+    const before = snapshotOf(makeProblem());
+    const after = snapshotOf(makeProblem());
+
+    expect(diffSnapshots(before, after)).toEqual([]);
+  });
+
+  it('diffs multi-line text and compares other values', () => {
+    const before = snapshotOf(makeProblem({ description: 'Read a and b.\nPrint a + b.' }));
+    const after = snapshotOf(makeProblem({ description: 'Read a and b.\nPrint their sum.', timeLimit: 2 }));
+
+    expect(diffSnapshots(before, after)).toEqual([
+      {
+        field: 'description',
+        type: 'text',
+        diff: [
+          { op: 'equal', lines: ['Read a and b.'] },
+          { op: 'remove', lines: ['Print a + b.'] },
+          { op: 'add', lines: ['Print their sum.'] }
+        ]
+      },
+      { field: 'timeLimit', type: 'value', before: before.timeLimit, after: 2 }
+    ]);
+  });
+
+  it('compares object fields key by key', () => {
+    const before = snapshotOf(makeProblem({ checker: { type: 'float', absoluteError: 0.001 } }));
+    const after = snapshotOf(makeProblem({ checker: { type: 'float', absoluteError: 0.01 } }));
+
+    expect(diffSnapshots(before, after)).toEqual([
+      { field: 'checker.absoluteError', type: 'value', before: 0.001, after: 0.01 }
+    ]);
+  });
+
+  it('compares test cases by position', () => {
+    const before = snapshotOf(makeProblem({
+      testCases: [
+        { input: '1 2', output: '3', isSample: true, isHidden: false },
+        { inputFile: 'a'.repeat(64), outputFile: 'b'.repeat(64) }
+      ]
+    }));
+    const after = snapshotOf(makeProblem({
+      testCases: [
+        { input: '1 2', output: '3\n', isSample: true, isHidden: false, points: 5 },
+        { inputFile: 'c'.repeat(64), outputFile: 'b'.repeat(64) },
+        { input: '2 2', output: '4' }
+      ]
+    }));
+
+    expect(diffSnapshots(before, after)).toEqual([{
+      field: 'testCases',
+      type: 'tests',
+      tests: [
+        {
+          index: 0,
+          change: 'changed',
+          fields: {
+            output: [{ op: 'equal', lines: ['3'] }, { op: 'add', lines: [''] }],
+            points: { before: 10, after: 5 }
+          }
+        },
+        { index: 1, change: 'changed', fields: { input: null } },
+        { index: 2, change: 'added' }
+      ]
+    }]);
+  });
+});
+
+describe('recordRevision', () => {
+  it('records the changed fields as the next revision', async () => {
+    const problem = makeProblem({ title: 'Sum of two' });
+    const latest = { number: 3, snapshot: snapshotOf(makeProblem()) };
+
+    jest.spyOn(ProblemRevision, 'findOne').mockReturnValue(query(latest));
+    jest.spyOn(Problem, 'findOneAndUpdate').mockResolvedValue({ revision: 4 });
+    jest.spyOn(ProblemRevision, 'create').mockImplementation(async (revision) => revision);
+
+    const revision = await recordRevision(problem, author, 'Renamed');
+
+    expect(Problem.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: problem._id },
+      { $inc: { revision: 1 } },
+      expect.anything()
+    );
+    expect(revision).toMatchObject({
+      problem: problem._id,
+      number: 4,
+      author: author._id,
+      message: 'Renamed',
+      changedFields: ['title']
+    });
+    expect(problem.revision).toBe(4);
+  });
+
+  it('keeps the latest revision when nothing changed', async () => {
+    const problem = makeProblem();
+    const latest = { number: 3, snapshot: snapshotOf(makeProblem()) };
+
+    jest.spyOn(ProblemRevision, 'findOne').mockReturnValue(query(latest));
+    jest.spyOn(ProblemRevision, 'create');
+
+    expect(await recordRevision(problem, author)).toBe(latest);
+    expect(ProblemRevision.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/problems/:id/revisions/:number/rollback', () => {
+  const server = serveRouter('/api/problems/:id/revisions', revisionsRouter);
+
+  // Roll problem back to a revision with the given snapshot and resolve to
+  // the response
+  const rollback = async (problem, number, snapshot) => {
+    jest.spyOn(Problem, 'findById').mockResolvedValue(problem);
+    const latest = { number: problem.revision, snapshot: snapshotOf(problem) };
+    // The revision asked for, or the latest one when recording a revision
+    jest.spyOn(ProblemRevision, 'findOne').mockImplementation((filter) =>
+      query(filter.number ? snapshot && { number, snapshot } : latest));
+    jest.spyOn(Topic, 'find').mockReturnValue({ distinct: async () => ['math', 'arrays'] });
+    jest.spyOn(Problem, 'findOneAndUpdate').mockResolvedValue({ revision: problem.revision + 1 });
+    jest.spyOn(ProblemRevision, 'create').mockImplementation(async (revision) => revision);
+    jest.spyOn(problem, 'save').mockResolvedValue(problem);
+
+    const response = await fetch(`${server.url}/api/problems/${problem._id}/revisions/${number}/rollback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('restores the revision and records it as a new one', async () => {
+    const problem = makeProblem();
+    const snapshot = snapshotOf(makeProblem({ title: 'Old sum', topics: ['arrays'], timeLimit: 3 }));
+
+    const { status, body } = await rollback(problem, 2, snapshot);
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, message: 'Rolled back to revision 2', data: { revision: 4 } });
+    expect(problem.save).toHaveBeenCalled();
+    expect(problem).toMatchObject({ title: 'Old sum', category: 'arrays', timeLimit: 3 });
+    expect(ProblemRevision.create).toHaveBeenCalledWith(expect.objectContaining({
+      number: 4,
+      message: 'Rolled back to revision 2',
+      changedFields: expect.arrayContaining(['title', 'category', 'topics', 'timeLimit'])
+    }));
+  });
+
+  it('checks function problems before saving', async () => {
+    const problem = makeProblem();
+    const snapshot = snapshotOf(makeProblem({
+      allowedLanguages: ['python', 'go'],
+      functionSignature: { name: 'sum', returnType: 'int', parameters: [{ name: 'a', type: 'int' }] }
+    }));
+
+    const { status, body } = await rollback(problem, 2, snapshot);
+
+    expect(status).toBe(400);
+    expect(body.message).toMatch(/^No harness can be generated for go/);
+    expect(problem.save).not.toHaveBeenCalled();
+  });
+
+  it('checks subtasks and topics before saving', async () => {
+    const withSubtasks = makeProblem();
+    const { body: subtaskBody } = await rollback(withSubtasks, 2, snapshotOf(makeProblem({
+      subtasks: [{ name: 'small', points: 100 }]
+    })));
+
+    expect(subtaskBody.message).toBe('Test case 1 must belong to one of the subtasks');
+    expect(withSubtasks.save).not.toHaveBeenCalled();
+
+    const withTopics = makeProblem();
+    const { status, body } = await rollback(withTopics, 2, snapshotOf(makeProblem({ topics: ['retired'] })));
+
+    expect(status).toBe(400);
+    expect(body.message).toBe('Unknown topic: retired');
+    expect(withTopics.save).not.toHaveBeenCalled();
+  });
+
+  it('checks the restored inputs with the validator before saving', async () => {
+    const problem = makeProblem();
+    const snapshot = snapshotOf(makeProblem({
+      validator: { language: 'python', source: 'n = int(input())' },
+      testCases: [{ input: '1 2', output: '3', isSample: true, isHidden: false }]
+    }));
+    jest.spyOn(judgeQueue, 'run').mockResolvedValue({ success: true, errors: [{ testCase: 0, message: 'expected one integer' }] });
+
+    const { status, body } = await rollback(problem, 2, snapshot);
+
+    expect(status).toBe(400);
+    expect(body.inputErrors).toEqual([{ testCase: 0, line: null, message: 'expected one integer' }]);
+    expect(problem.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses the current revision and missing revisions', async () => {
+    const problem = makeProblem();
+
+    expect((await rollback(problem, 3, snapshotOf(problem))).body.message)
+      .toBe('Revision 3 is already the current revision');
+    expect((await rollback(problem, 7, null)).status).toBe(404);
+    expect(problem.save).not.toHaveBeenCalled();
+  });
+
+  it('is only allowed for the author and admins', async () => {
+    const problem = makeProblem();
+    const snapshot = snapshotOf(makeProblem({ title: 'Old sum' }));
+
+    mockUser = { _id: new mongoose.Types.ObjectId(), role: 'reviewer' };
+    expect((await rollback(problem, 2, snapshot)).status).toBe(403);
+
+    mockUser = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+    expect((await rollback(problem, 2, snapshot)).status).toBe(200);
+  });
+});
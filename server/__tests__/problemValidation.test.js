@@ -0,0 +1,119 @@
+const { Problem } = require('../models');
+const judgeQueue = require('../services/judgeQueue');
+const { notify } = require('../services/notifications');
+const { requestValidation, runValidation, validationError } = require('../services/problemValidation');
+const { makeProblem } = require('./helpers');
+
+jest.mock('../services/notifications', () => ({
+  notify: jest.fn()
+}));
+
+// What judging a reference solution reports, accepted or wrong on test 1
+const judged = (status) => ({
+  success: true,
+  status,
+  timeTaken: 120,
+  memoryUsed: 2048,
+  testCasesPassed: status === 'accepted' ? 1 : 0,
+  totalTestCases: 1,
+  testCaseResults: [{ passed: status === 'accepted', verdict: status, timeTaken: 120 }]
+});
+
+// A problem with a python reference solution whose checks are due
+const problemWithChecks = (fields = {}) => {
+  const problem = makeProblem({ solution: { python: 'print(sum(map(int, input().split())))' }, ...fields });
+  requestValidation(problem, { _id: problem.author });
+  return problem;
+};
+
+beforeEach(() => {
+  jest.spyOn(Problem, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('isApproved', () => {
+  const approvedWith = async (status) => {
+    const problem = makeProblem({ reviewStatus: 'approved', validation: { status } });
+    await problem.validate();
+    return problem.isApproved;
+  };
+
+  it('publishes approved problems whose reference solutions passed or have none', async () => {
+    expect(await approvedWith('passed')).toBe(true);
+    expect(await approvedWith('none')).toBe(true);
+  });
+
+  it('keeps approved problems unpublished while their checks are pending or failed', async () => {
+    expect(await approvedWith('pending')).toBe(false);
+    expect(await approvedWith('failed')).toBe(false);
+  });
+
+  it('keeps problems under review unpublished', async () => {
+    const problem = makeProblem({ reviewStatus: 'submitted', validation: { status: 'passed' } });
+    await problem.validate();
+
+    expect(problem.isApproved).toBe(false);
+  });
+});
+
+describe('validationError', () => {
+  it('blocks pending and failed checks', () => {
+    expect(validationError(makeProblem({ validation: { status: 'pending' } })))
+      .toBe('The reference solutions are still being judged');
+    expect(validationError(makeProblem({ validation: { status: 'failed', message: 'Reference solutions failed: go (wrong-answer on test case 1)' } })))
+      .toBe('Reference solutions failed: go (wrong-answer on test case 1)');
+    expect(validationError(makeProblem({ validation: { status: 'passed' } }))).toBeNull();
+  });
+});
+
+describe('runValidation', () => {
+  it('records passing checks and publishes the problem again if it is approved', async () => {
+    const problem = problemWithChecks({ reviewStatus: 'approved' });
+    jest.spyOn(Problem, 'findById').mockResolvedValue(problem);
+    jest.spyOn(judgeQueue, 'run').mockResolvedValue(judged('accepted'));
+
+    await runValidation(problem._id);
+
+    const { requestedAt } = problem.validation;
+    const [[filter, update], [publishFilter, publish]] = Problem.updateOne.mock.calls;
+    expect(filter).toEqual({ _id: problem._id, 'validation.requestedAt': requestedAt });
+    expect(update.validation).toMatchObject({ status: 'passed', message: '' });
+    expect(update.referenceValidation).toMatchObject({ passed: true, suggestedTimeLimit: 1 });
+    expect(update).not.toHaveProperty('isApproved');
+    expect(publishFilter).toEqual({ _id: problem._id, 'validation.requestedAt': requestedAt, reviewStatus: 'approved' });
+    expect(publish).toEqual({ isApproved: true });
+    expect(notify).toHaveBeenCalledWith(problem.author, expect.objectContaining({ message: 'Checks of "Sum" passed' }));
+  });
+
+  it('records failing checks and keeps the problem unpublished', async () => {
+    const problem = problemWithChecks({ reviewStatus: 'approved' });
+    jest.spyOn(Problem, 'findById').mockResolvedValue(problem);
+    jest.spyOn(judgeQueue, 'run').mockResolvedValue(judged('wrong-answer'));
+
+    await runValidation(problem._id);
+
+    expect(Problem.updateOne).toHaveBeenCalledTimes(1);
+    const [[, update]] = Problem.updateOne.mock.calls;
+    expect(update.validation).toMatchObject({
+      status: 'failed',
+      message: 'Reference solutions failed: python (wrong-answer on test case 1)'
+    });
+    expect(update.isApproved).toBe(false);
+  });
+
+  it('leaves checks superseded by a later change alone', async () => {
+    const problem = problemWithChecks();
+    jest.spyOn(Problem, 'findById').mockResolvedValue(problem);
+    jest.spyOn(judgeQueue, 'run').mockResolvedValue(judged('accepted'));
+    Problem.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await runValidation(problem._id);
+
+    expect(Problem.updateOne).toHaveBeenCalledTimes(1);
+    expect(notify).not.toHaveBeenCalled();
+  });
+});
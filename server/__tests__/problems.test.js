@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const { Problem, ProblemRevision, Topic } = require('../models');
+const judgeQueue = require('../services/judgeQueue');
+
+const author = { _id: new mongoose.Types.ObjectId(), role: 'instructor' };
+let mockUser = author;
+
+jest.mock('../middleware/auth', () => {
+  const pass = (req, res, next) => next();
+  return {
+    authenticate: (req, res, next) => {
+      req.user = mockUser;
+      next();
+    },
+    authorize: () => pass,
+    optionalAuth: pass
+  };
+});
+
+const problemsRouter = require('../routes/problems');
+const helpers = require('./helpers');
+
+const { query, serveRouter } = helpers;
+
+const validator = { language: 'python', source: 'n = int(input())\nassert n <= 100' };
+
+// Problems of the author at revision 3
+const makeProblem = (fields = {}) => helpers.makeProblem({ author: author._id, revision: 3, ...fields });
+
+// What the validator job reports when it rejects the second test input
+const rejected = { success: true, errors: [{ testCase: 1, message: 'line 3: n must be at most 100' }] };
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Topic, 'find').mockReturnValue(query([{ slug: 'math' }]));
+  // Saving runs the validation hooks, as saving to the database would
+  jest.spyOn(Problem.prototype, 'save').mockImplementation(async function() {
+    await this.validate();
+    return this;
+  });
+  jest.spyOn(ProblemRevision, 'findOne').mockReturnValue(query(null));
+  jest.spyOn(ProblemRevision, 'create').mockImplementation(async (revision) => revision);
+  jest.spyOn(Problem, 'findOneAndUpdate').mockResolvedValue({ revision: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  mockUser = author;
+});
+
+const server = serveRouter('/api/problems', problemsRouter);
+
+// Send body to the problems API and resolve to the response
+const send = async (method, url, body) => {
+  const response = await fetch(`${server.url}/api/problems${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+describe('POST /api/problems', () => {
+  const newProblem = {
+    title: 'Double',
+    description: 'Print twice n.',
+    difficulty: 'easy',
+    topics: ['math'],
+    timeLimit: 1,
+    memoryLimit: 256,
+    inputFormat: 'One integer n.',
+    outputFormat: 'One integer.',
+    constraints: '1 <= n <= 100',
+    points: 100,
+    allowedLanguages: ['python'],
+    validator,
+    testCases: [
+      { input: '2', output: '4', isSample: true, isHidden: false },
+      { input: '500', output: '1000' }
+    ]
+  };
+
+  it('refuses test inputs the validator rejects with their lines', async () => {
+    jest.spyOn(judgeQueue, 'run').mockResolvedValue(rejected);
+
+    const { status, body } = await send('POST', '/', newProblem);
+
+    expect(status).toBe(400);
+    expect(body).toEqual({
+      success: false,
+      message: 'Test case 2 failed validation: line 3: n must be at most 100',
+      inputErrors: [{ testCase: 1, line: 3, message: 'line 3: n must be at most 100' }]
+    });
+    expect(judgeQueue.run).toHaveBeenCalledWith(expect.objectContaining({
+      validator: expect.objectContaining({ source: validator.source }),
+      testCases: [{ input: '2', inputFile: null }, { input: '500', inputFile: null }]
+    }), { kind: 'validate-input' });
+    expect(Problem.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('saves problems whose inputs pass', async () => {
+    jest.spyOn(judgeQueue, 'run').mockResolvedValue({ success: true, errors: [] });
+
+    const { status, body } = await send('POST', '/', newProblem);
+
+    expect(status).toBe(201);
+    expect(body.success).toBe(true);
+    expect(Problem.prototype.save).toHaveBeenCalled();
+  });
+  it('keeps problems created by admins unpublished until their reference solutions pass', async () => {
+    mockUser = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+    jest.spyOn(judgeQueue, 'run').mockResolvedValue({ success: true, errors: [] });
+    jest.spyOn(Problem, 'findById').mockResolvedValue(null);
+
+    const { status, body } = await send('POST', '/', { ...newProblem, solution: { python: 'print(2 * int(input()))' } });
+
+    expect(status).toBe(201);
+    expect(body.data).toMatchObject({ reviewStatus: 'approved', validation: { status: 'pending' } });
+    const [saved] = Problem.prototype.save.mock.contexts;
+    expect(saved.isApproved).toBe(false);
+  });
+});
+
+describe('PUT /api/problems/:id', () => {
+  it('refuses new test inputs the validator rejects', async () => {
+    const problem = makeProblem({ validator });
+    jest.spyOn(Problem, 'findById').mockResolvedValue(problem);
+    jest.spyOn(judgeQueue, 'run').mockResolvedValue(rejected);
+
+    const { status, body } = await send('PUT', `/${problem._id}`, {
+      testCases: [...problem.toObject().testCases, { input: '500', output: '1000' }]
+    });
+
+    expect(status).toBe(400);
+    expect(body.inputErrors).toEqual([{ testCase: 1, line: 3, message: 'line 3: n must be at most 100' }]);
+    expect(problem.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses a validator that rejects the current inputs', async () => {
+    const problem = makeProblem();
+    jest.spyOn(Problem, 'findById').mockResolvedValue(problem);
+    jest.spyOn(judgeQueue, 'run').mockResolvedValue({ success: true, errors: [{ testCase: 0, message: 'expected one integer' }] });
+
+    const { status, body } = await send('PUT', `/${problem._id}`, { validator });
+
+    expect(status).toBe(400);
+    expect(body.message).toBe('Test case 1 failed validation: expected one integer');
+    expect(problem.save).not.toHaveBeenCalled();
+  });
+
+  it('does not run the validator for changes that leave the inputs alone', async () => {
+    const problem = makeProblem({ validator });
+    jest.spyOn(Problem, 'findById').mockResolvedValue(problem);
+    jest.spyOn(judgeQueue, 'run');
+
+    const { status } = await send('PUT', `/${problem._id}`, { title: 'Sum of two' });
+
+    expect(status).toBe(200);
+    expect(judgeQueue.run).not.toHaveBeenCalled();
+    expect(problem.save).toHaveBeenCalled();
+  });
+
+  describe('of approved problems', () => {
+    const approvedProblem = () => makeProblem({
+      reviewStatus: 'approved',
+      reviewLog: [{ action: 'approve', fromStatus: 'submitted', toStatus: 'approved', user: author._id }]
+    });
+
+    it('sends the author\'s changes back for review and unpublishes the problem', async () => {
+      const problem = approvedProblem();
+      jest.spyOn(Problem, 'findById').mockResolvedValue(problem);
+
+      const { status } = await send('PUT', `/${problem._id}`, { timeLimit: 3 });
+
+      expect(status).toBe(200);
+      expect(problem).toMatchObject({ reviewStatus: 'submitted', isApproved: false });
+      expect(problem.reviewLog[1]).toMatchObject({
+        action: 'submit',
+        fromStatus: 'approved',
+        toStatus: 'submitted',
+        user: author._id,
+        comment: 'Edited after approval'
+      });
+    });
+
+    it('keeps the approval for changes that are not revisions and for admins\' changes', async () => {
+      const problem = approvedProblem();
+      jest.spyOn(Problem, 'findById').mockResolvedValue(problem);
+
+      await send('PUT', `/${problem._id}`, { isPublic: false });
+      expect(problem.reviewStatus).toBe('approved');
+
+      mockUser = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+      await send('PUT', `/${problem._id}`, { description: 'Add a and b.' });
+      expect(problem).toMatchObject({ reviewStatus: 'approved', isApproved: true });
+      expect(problem.reviewLog).toHaveLength(1);
+    });
+  });
+});
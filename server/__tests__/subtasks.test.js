@@ -0,0 +1,101 @@
+const { scoreSubtasks, subtaskError } = require('../services/subtasks');
+
+const accepted = { passed: true, verdict: 'accepted' };
+const wrong = { passed: false, verdict: 'wrong-answer' };
+const partial = (scoreFraction) => ({ passed: false, verdict: 'partial-correct', scoreFraction });
+
+describe('subtaskError', () => {
+  const subtasks = [
+    { name: 'small', points: 30 },
+    { name: 'large', points: 70, dependencies: ['small'] }
+  ];
+  const testCases = [{ subtask: 'small' }, { subtask: 'large' }];
+
+  it('accepts a valid grouping', () => {
+    expect(subtaskError({ subtasks, testCases })).toBeNull();
+    expect(subtaskError({ testCases: [{}, { subtask: '' }] })).toBeNull();
+  });
+
+  it('rejects test cases naming a subtask when there are none', () => {
+    expect(subtaskError({ testCases: [{}, { subtask: 'small' }] }))
+      .toBe('Test case 2 names a subtask but the problem has none');
+  });
+
+  it('rejects duplicate names and unknown dependencies', () => {
+    expect(subtaskError({ subtasks: [subtasks[0], subtasks[0]], testCases }))
+      .toBe('Subtask names must be unique');
+    expect(subtaskError({ subtasks: [{ name: 'small', dependencies: ['tiny'] }], testCases: [{ subtask: 'small' }] }))
+      .toBe('Subtask small depends on unknown subtask tiny');
+  });
+
+  it('rejects dependency cycles', () => {
+    const cyclic = [
+      { name: 'a', dependencies: ['c'] },
+      { name: 'b', dependencies: ['a'] },
+      { name: 'c', dependencies: ['b'] }
+    ];
+
+    expect(subtaskError({ subtasks: cyclic, testCases: [{ subtask: 'a' }, { subtask: 'b' }, { subtask: 'c' }] }))
+      .toBe('Subtask a depends on itself');
+  });
+
+  it('requires every test case in a subtask and every subtask to have test cases', () => {
+    expect(subtaskError({ subtasks, testCases: [{ subtask: 'small' }, { subtask: 'huge' }] }))
+      .toBe('Test case 2 must belong to one of the subtasks');
+    expect(subtaskError({ subtasks, testCases: [{ subtask: 'small' }] }))
+      .toBe('Subtask large has no test cases');
+  });
+});
+
+describe('scoreSubtasks', () => {
+  const testCases = [{ subtask: 'small' }, { subtask: 'small' }, { subtask: 'large' }];
+
+  it('awards all-or-nothing subtasks as a whole', () => {
+    const subtasks = [{ name: 'small', points: 30 }, { name: 'large', points: 70 }];
+
+    expect(scoreSubtasks(subtasks, testCases, [accepted, accepted, wrong])).toEqual({
+      score: 30,
+      maxScore: 100,
+      subtaskResults: [
+        { name: 'small', score: 30, maxScore: 30, passed: true, verdict: 'accepted', testCases: [0, 1] },
+        { name: 'large', score: 0, maxScore: 70, passed: false, verdict: 'wrong-answer', testCases: [2] }
+      ]
+    });
+    expect(scoreSubtasks(subtasks, testCases, [accepted, partial(0.9), accepted]).score).toBe(70);
+  });
+
+  it('awards min-ratio subtasks by their lowest score', () => {
+    const subtasks = [{ name: 'small', points: 40, scoring: 'min-ratio' }, { name: 'large', points: 60 }];
+    const { score, subtaskResults } = scoreSubtasks(subtasks, testCases, [partial(0.5), partial(0.75), accepted]);
+
+    expect(score).toBe(80);
+    expect(subtaskResults[0]).toMatchObject({ score: 20, passed: false, verdict: 'partial-correct' });
+    expect(scoreSubtasks(subtasks, testCases, [accepted, wrong, accepted]).score).toBe(60);
+  });
+
+  it('scores nothing for a subtask whose dependency fails', () => {
+    const subtasks = [
+      { name: 'small', points: 20 },
+      { name: 'medium', points: 30, dependencies: ['small'] },
+      { name: 'large', points: 50, dependencies: ['medium'] }
+    ];
+    const chained = [{ subtask: 'small' }, { subtask: 'medium' }, { subtask: 'large' }];
+    const { score, subtaskResults } = scoreSubtasks(subtasks, chained, [wrong, accepted, accepted]);
+
+    expect(score).toBe(0);
+    expect(subtaskResults.map(result => result.verdict))
+      .toEqual(['wrong-answer', 'dependency-failed', 'dependency-failed']);
+    expect(subtaskResults[2].testCases).toEqual([2]);
+  });
+
+  it('counts the partial scores of dependencies in min-ratio subtasks', () => {
+    const subtasks = [
+      { name: 'small', points: 40, scoring: 'min-ratio' },
+      { name: 'large', points: 60, scoring: 'min-ratio', dependencies: ['small'] }
+    ];
+    const { score, subtaskResults } = scoreSubtasks(subtasks, testCases, [accepted, partial(0.5), accepted]);
+
+    expect(score).toBe(50);
+    expect(subtaskResults[1]).toMatchObject({ score: 30, verdict: 'dependency-failed' });
+  });
+});
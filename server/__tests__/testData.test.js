@@ -0,0 +1,210 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+// Small limits, and a data directory of the tests' own, before the test
+// data modules read them
+const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'test-data-'));
+process.env.TEST_DATA_DIR = path.join(dataRoot, 'store');
+process.env.TEST_UPLOAD_LIMIT = '1';
+process.env.TEST_INLINE_LIMIT = '16';
+
+const mongoose = require('mongoose');
+const { Problem } = require('../models');
+const judgeQueue = require('../services/judgeQueue');
+
+const author = { _id: new mongoose.Types.ObjectId(), role: 'instructor' };
+
+jest.mock('../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = mockAuthor;
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+jest.mock('../services/problemRevisions', () => ({
+  ensureRevision: jest.fn(),
+  recordRevision: jest.fn()
+}));
+jest.mock('../services/problemValidation', () => ({
+  requestValidation: jest.fn(),
+  startValidation: jest.fn()
+}));
+
+const mockAuthor = author;
+const testDataRouter = require('../routes/testData');
+const helpers = require('./helpers');
+
+const { serveRouter } = helpers;
+const MB = 1024 * 1024;
+
+// Problems of the author without test cases
+const makeProblem = () => helpers.makeProblem({ author: author._id, testCases: [] });
+
+// A zip archive of files, a map of entry name -> content. Names are set
+// after adding, which AdmZip would otherwise clean up.
+const zipOf = (files) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, content], index) => {
+    zip.addFile(`file-${index}`, Buffer.from(content));
+    zip.getEntry(`file-${index}`).entryName = name;
+  });
+  return zip.toBuffer();
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await fs.remove(dataRoot);
+});
+
+describe('POST /api/problems/:id/tests/upload', () => {
+  const server = serveRouter('/api/problems/:id/tests', testDataRouter);
+
+  // Upload archive to problem with the given form fields and resolve to the
+  // response
+  const upload = async (problem, archive, fields = {}) => {
+    jest.spyOn(Problem, 'findById').mockResolvedValue(problem);
+    jest.spyOn(problem, 'save').mockResolvedValue(problem);
+
+    const form = new FormData();
+    form.append('archive', new Blob([archive]), 'tests.zip');
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+
+    const response = await fetch(`${server.url}/api/problems/${problem._id}/tests/upload`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('pairs .in files with .out or .ans files in natural order', async () => {
+    const problem = makeProblem();
+
+    const { status, body } = await upload(problem, zipOf({
+      'sample/1.in': '1 2',
+      'sample/1.out': '3',
+      'secret/10.in': '10 10',
+      'secret/10.ans': '20',
+      'secret/2.in': '2 2',
+      'secret/2.out': '4',
+      'README.txt': 'not a test',
+      '.hidden/3.in': 'ignored',
+      '__MACOSX/secret/._2.in': 'metadata'
+    }));
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, message: 'Saved 3 test case(s)', data: { added: 3, totalTestCases: 3 } });
+    expect(problem.testCases.map(testCase => [testCase.input, testCase.output, testCase.isSample, testCase.isHidden]))
+      .toEqual([['1 2', '3', true, false], ['2 2', '4', false, true], ['10 10', '20', false, true]]);
+    expect(problem.save).toHaveBeenCalled();
+  });
+
+  it('applies the upload\'s visibility, points and subtask and appends in append mode', async () => {
+    const problem = makeProblem();
+    problem.testCases = [{ input: '0 0', output: '0', isSample: true, isHidden: false }];
+    problem.subtasks = [{ name: 'large', points: 100 }];
+    problem.testCases[0].subtask = 'large';
+
+    const { status } = await upload(problem, zipOf({ '1.in': '5 5', '1.out': '10' }), {
+      mode: 'append',
+      isHidden: 'false',
+      points: '25',
+      subtask: 'large'
+    });
+
+    expect(status).toBe(200);
+    expect(problem.testCases).toHaveLength(2);
+    expect(problem.testCases[1]).toMatchObject({ input: '5 5', isHidden: false, isSample: false, points: 25, subtask: 'large' });
+  });
+
+  it('sends approved problems back for review', async () => {
+    const problem = helpers.makeProblem({ author: author._id, reviewStatus: 'approved' });
+
+    const { status } = await upload(problem, zipOf({ '1.in': '5 5', '1.out': '10' }), { mode: 'append' });
+
+    expect(status).toBe(200);
+    expect(problem.reviewStatus).toBe('submitted');
+    expect(problem.reviewLog[0]).toMatchObject({ action: 'submit', comment: 'Edited after approval' });
+  });
+
+  it('refuses tests missing a file or with more than one', async () => {
+    const missing = makeProblem();
+    const { status, body } = await upload(missing, zipOf({ '1.in': '1', '1.out': '1', '2.in': '2' }));
+
+    expect(status).toBe(400);
+    expect(body.message).toBe('Test 2 is missing its output file');
+    expect(missing.save).not.toHaveBeenCalled();
+
+    expect((await upload(makeProblem(), zipOf({ 'a/1.out': '1' }))).body.message)
+      .toBe('Test a/1 is missing its input file');
+    expect((await upload(makeProblem(), zipOf({ '1.in': '1', '1.out': '1', '1.ans': '1' }))).body.message)
+      .toBe('Test 1 has more than one output file');
+  });
+
+  it('refuses archives without tests and files that are not zip archives', async () => {
+    expect((await upload(makeProblem(), zipOf({ 'notes.txt': 'hi' }))).body.message)
+      .toBe('Archive contains no .in/.out test files');
+    expect((await upload(makeProblem(), Buffer.from('not a zip'))).body.message)
+      .toBe('Archive is not a valid zip file');
+  });
+
+  it('refuses archives that extract to more than the upload limit', async () => {
+    // Zeros compress to a few KB, so only the headers' sizes give it away
+    const problem = makeProblem();
+    const archive = zipOf({ '1.in': '\0'.repeat(0.6 * MB), '1.out': '\0'.repeat(0.6 * MB) });
+    expect(archive.length).toBeLessThan(MB);
+
+    const { status, body } = await upload(problem, archive);
+
+    expect(status).toBe(400);
+    expect(body.message).toBe('Extracted tests cannot exceed 1 MB');
+    expect(problem.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses inputs the problem\'s validator rejects', async () => {
+    const problem = helpers.makeProblem({
+      author: author._id,
+      validator: { language: 'python', source: 'n = int(input())\nassert n <= 100' }
+    });
+    jest.spyOn(judgeQueue, 'run').mockResolvedValue({ success: true, errors: [{ testCase: 1, message: 'line 1: n must be at most 100' }] });
+
+    const { status, body } = await upload(problem, zipOf({ '1.in': '500', '1.out': '1000' }), { mode: 'append' });
+
+    expect(status).toBe(400);
+    expect(body).toEqual({
+      success: false,
+      message: 'Test case 2 failed validation: line 1: n must be at most 100',
+      inputErrors: [{ testCase: 1, line: 1, message: 'line 1: n must be at most 100' }]
+    });
+    expect(problem.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses uploads over the upload limit', async () => {
+    const { status, body } = await upload(makeProblem(), Buffer.alloc(MB + 1));
+
+    expect(status).toBe(400);
+    expect(body.message).toBe('Upload cannot exceed 1 MB');
+  });
+
+  it('skips entries climbing out of the archive and stores files by content', async () => {
+    const problem = helpers.makeProblem({ author: author._id });
+    const input = 'a large input, stored as a file';
+
+    const { status, body } = await upload(problem, zipOf({
+      '../../escape/1.in': 'climbs out',
+      '../../escape/1.out': 'climbs out',
+      '/escape/2.in': input,
+      '/escape/2.out': 'a large output, stored as a file'
+    }), { mode: 'append' });
+
+    expect(status).toBe(200);
+    expect(body.data.added).toBe(1);
+    const key = problem.testCases[1].inputFile;
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(await fs.readFile(path.join(process.env.TEST_DATA_DIR, key.slice(0, 2), key), 'utf8')).toBe(input);
+    expect(await fs.readdir(dataRoot)).toEqual(['store']);
+    expect(await fs.pathExists(path.join(os.tmpdir(), 'escape'))).toBe(false);
+    expect(await fs.pathExists('/escape')).toBe(false);
+  });
+});
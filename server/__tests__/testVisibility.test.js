@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const { Classroom, Submission } = require('../models');
+const { canViewHiddenTests, hiddenTestCaseIds } = require('../services/testVisibility');
+const { reportProgress } = require('../services/judge');
+const realtime = require('../services/realtime');
+const { makeProblem, query } = require('./helpers');
+
+const { ObjectId } = mongoose.Types;
+
+const user = (role = 'student') => ({ _id: new ObjectId(), role });
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A classroom of instructor using problem, with student enrolled
+const makeClassroom = ({ instructor, student, problem, ...entry }) => new Classroom({
+  name: 'Algorithms',
+  code: 'ALGO1',
+  instructor: instructor._id,
+  students: student ? [{ user: student._id }] : [],
+  problems: [{ problem: problem._id, ...entry }]
+});
+
+// A judged submission with a visible and a hidden test case result
+const makeSubmission = (problem, fields = {}) => new Submission({
+  user: new ObjectId(),
+  problem: problem._id,
+  code: 'print(int(input()) * 2)',
+  language: 'python',
+  status: 'wrong-answer',
+  result: {
+    testCasesPassed: 1,
+    totalTestCases: 2,
+    testCaseResults: [
+      { testCaseId: problem.testCases[0]._id, passed: true, verdict: 'accepted', input: '1 2', expectedOutput: '3', actualOutput: '3' },
+      {
+        testCaseId: problem.testCases[1]._id,
+        isHidden: true,
+        passed: false,
+        verdict: 'wrong-answer',
+        timeTaken: 12,
+        memoryUsed: 2048,
+        input: '5 5',
+        expectedOutput: '10',
+        actualOutput: '25',
+        checkerMessage: 'Expected 10, found 25'
+      }
+    ]
+  },
+  ...fields
+});
+
+const problemWithHiddenTest = () => makeProblem({
+  testCases: [
+    { input: '1 2', output: '3', isSample: true, isHidden: false },
+    { input: '5 5', output: '10', isHidden: true }
+  ]
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('canViewHiddenTests', () => {
+  const instructor = user('instructor');
+  const student = user();
+  const problem = problemWithHiddenTest();
+
+  const inClassroom = (entry) => {
+    jest.spyOn(Classroom, 'find').mockReturnValue(query([makeClassroom({ instructor, student, problem, ...entry })]));
+  };
+
+  it('lets admins and the author see hidden tests', async () => {
+    jest.spyOn(Classroom, 'find');
+
+    expect(await canViewHiddenTests(user('admin'), problem)).toBe(true);
+    expect(await canViewHiddenTests({ _id: problem.author, role: 'instructor' }, problem)).toBe(true);
+    expect(Classroom.find).not.toHaveBeenCalled();
+  });
+
+  it('lets the staff of a classroom using the problem see hidden tests', async () => {
+    inClassroom({});
+
+    expect(await canViewHiddenTests(instructor, problem)).toBe(true);
+  });
+
+  it('hides them from students and other users', async () => {
+    inClassroom({ dueDate: new Date(Date.now() + DAY), revealHiddenTestsAfterDueDate: true });
+
+    expect(await canViewHiddenTests(student, problem)).toBe(false);
+    expect(await canViewHiddenTests(user(), problem)).toBe(false);
+  });
+
+  it('reveals them to students after the due date if the instructor chose to', async () => {
+    inClassroom({ dueDate: new Date(Date.now() - DAY), revealHiddenTestsAfterDueDate: true });
+
+    expect(await canViewHiddenTests(student, problem)).toBe(true);
+    expect(await canViewHiddenTests(user(), problem)).toBe(false);
+  });
+
+  it('keeps them hidden after the due date unless the instructor chose to reveal them', async () => {
+    inClassroom({ dueDate: new Date(Date.now() - DAY) });
+
+    expect(await canViewHiddenTests(student, problem)).toBe(false);
+  });
+});
+
+describe('Submission getDetails', () => {
+  const problem = problemWithHiddenTest();
+
+  it('cuts hidden results down to verdict, time and memory for students', () => {
+    const [visible, hidden] = makeSubmission(problem).getDetails().result.testCaseResults;
+
+    expect(visible).toMatchObject({ input: '1 2', expectedOutput: '3', actualOutput: '3' });
+    expect(hidden).toEqual({
+      isHidden: true,
+      testCaseId: problem.testCases[1]._id,
+      subtask: '',
+      passed: false,
+      verdict: 'wrong-answer',
+      timeTaken: 12,
+      memoryUsed: 2048
+    });
+  });
+
+  it('shows hidden results in full to the staff', () => {
+    const [, hidden] = makeSubmission(problem).getDetails({ showHiddenTests: true }).result.testCaseResults;
+
+    expect(hidden).toMatchObject({ input: '5 5', expectedOutput: '10', actualOutput: '25', checkerMessage: 'Expected 10, found 25' });
+  });
+
+  it('redacts results stored before isHidden was recorded by the problem\'s hidden tests', () => {
+    const submission = makeSubmission(problem);
+    submission.result.testCaseResults[1].isHidden = false;
+
+    const [, hidden] = submission.getDetails({ hiddenTestCaseIds: hiddenTestCaseIds(problem) }).result.testCaseResults;
+
+    expect(hidden.isHidden).toBe(true);
+    expect(hidden).not.toHaveProperty('input');
+  });
+});
+
+describe('realtime', () => {
+  const problem = problemWithHiddenTest();
+
+  beforeEach(() => {
+    jest.spyOn(realtime, 'emitToSubmission').mockImplementation(() => {});
+  });
+
+  it('redacts hidden test results in progress reports', async () => {
+    const [visible, hidden] = makeSubmission(problem).result.testCaseResults.map(result => result.toObject());
+    const submissionId = new ObjectId();
+
+    await reportProgress(submissionId, { testCase: 1, totalTestCases: 2, testCaseResult: { ...visible, checkerMessage: 'ok' } });
+    await reportProgress(submissionId, { testCase: 2, totalTestCases: 2, testCaseResult: hidden });
+
+    const [[, , visibleReport], [, , hiddenReport]] = realtime.emitToSubmission.mock.calls;
+    expect(visibleReport.result).toMatchObject({ passed: true, checkerMessage: 'ok' });
+    expect(visibleReport.result).not.toHaveProperty('input');
+    expect(hiddenReport).toEqual({
+      testCase: 2,
+      totalTestCases: 2,
+      result: { isHidden: true, subtask: '', passed: false, verdict: 'wrong-answer', timeTaken: 12, memoryUsed: 2048 }
+    });
+  });
+
+  it('redacts the result sent on subscribing like getDetails', async () => {
+    const submission = makeSubmission(problem);
+    submission.result.testCaseResults[1].isHidden = false;
+    submission.problem = problem;
+    jest.spyOn(Submission, 'findById').mockReturnValue(query(submission));
+
+    const handlers = {};
+    const socket = {
+      data: { user: { _id: submission.user, role: 'student' } },
+      join: jest.fn(),
+      emit: jest.fn(),
+      on: (event, handler) => {
+        handlers[event] = handler;
+      }
+    };
+    realtime.handleConnection(socket);
+    const ack = jest.fn();
+    await handlers['submission:subscribe'](submission._id.toString(), ack);
+
+    expect(ack).toHaveBeenCalledWith({ success: true });
+    const [event, payload] = socket.emit.mock.calls[0];
+    expect(event).toBe('submission:result');
+    expect(payload.result.testCaseResults[0]).toHaveProperty('input', '1 2');
+    expect(payload.result.testCaseResults[1]).toMatchObject({ isHidden: true, verdict: 'wrong-answer' });
+    expect(payload.result.testCaseResults[1]).not.toHaveProperty('input');
+  });
+});
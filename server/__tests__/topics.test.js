@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const { Problem, Topic } = require('../models');
+const {
+  MAX_PROBLEM_TOPICS,
+  knownTopics,
+  parentError,
+  topicError,
+  topicTree,
+  topicWithSubtopics
+} = require('../services/topics');
+
+jest.mock('../middleware/auth', () => {
+  const pass = (req, res, next) => next();
+  return { authenticate: pass, authorize: () => pass, optionalAuth: pass };
+});
+
+const problemsRouter = require('../routes/problems');
+const { makeProblem, query, serveRouter } = require('./helpers');
+
+const topic = (slug, name, parent = null) => ({ _id: new mongoose.Types.ObjectId(), slug, name, description: '', parent });
+
+const graph = topic('graph', 'Graph');
+const math = topic('math', 'Math');
+const shortestPaths = topic('shortest-paths', 'Shortest Paths', graph._id);
+const flows = topic('flows', 'Flows', graph._id);
+const topics = [graph, math, shortestPaths, flows];
+
+// Whether a topic matches the parts of a filter the topics service uses
+const matches = (document, filter = {}) => Object.entries(filter).every(([field, value]) => {
+  if (value && value.$in) {
+    return value.$in.includes(document[field]);
+  }
+  return String(document[field]) === String(value);
+});
+
+beforeEach(() => {
+  jest.spyOn(Topic, 'find').mockImplementation((filter) =>
+    query(topics.filter(document => matches(document, filter))));
+  jest.spyOn(Topic, 'findOne').mockImplementation((filter) =>
+    query(topics.find(document => matches(document, filter)) || null));
+  jest.spyOn(Topic, 'exists').mockImplementation(async (filter) =>
+    (topics.some(document => matches(document, filter)) ? { _id: 'found' } : null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('topicWithSubtopics', () => {
+  it('includes the subtopics of a top-level topic', async () => {
+    expect(await topicWithSubtopics('graph')).toEqual(['graph', 'shortest-paths', 'flows']);
+  });
+
+  it('is the topic alone for subtopics and topics without subtopics', async () => {
+    expect(await topicWithSubtopics('flows')).toEqual(['flows']);
+    expect(await topicWithSubtopics('math')).toEqual(['math']);
+  });
+
+  it('is null for unknown topics', async () => {
+    expect(await topicWithSubtopics('sorting')).toBeNull();
+  });
+});
+
+describe('knownTopics', () => {
+  it('keeps the slugs that name a topic, in order', async () => {
+    expect(await knownTopics(['flows', 'sorting', 'math'])).toEqual(['flows', 'math']);
+  });
+});
+
+describe('topicError', () => {
+  const problemWith = (fields) => makeProblem({ topics: [], ...fields });
+
+  it('accepts known topics and makes the first the category', async () => {
+    const problem = problemWith({ topics: ['shortest-paths', 'math', 'math'] });
+
+    expect(await topicError(problem)).toBeNull();
+    expect(problem.category).toBe('shortest-paths');
+    expect([...problem.topics]).toEqual(['shortest-paths', 'math']);
+  });
+
+  it('makes the category the first topic', async () => {
+    const problem = problemWith({ category: 'math' });
+
+    expect(await topicError(problem)).toBeNull();
+    expect([...problem.topics]).toEqual(['math']);
+  });
+
+  it('requires between one and the maximum number of known topics', async () => {
+    expect(await topicError(problemWith({}))).toBe('At least one topic is required');
+    expect(await topicError(problemWith({ topics: ['graph', 'sorting', 'dp'] })))
+      .toBe('Unknown topic: sorting, dp');
+
+    const many = Array.from({ length: MAX_PROBLEM_TOPICS + 1 }, (value, index) => `topic-${index}`);
+    expect(await topicError(problemWith({ topics: many })))
+      .toBe(`A problem cannot have more than ${MAX_PROBLEM_TOPICS} topics`);
+  });
+});
+
+describe('parentError', () => {
+  it('allows top-level topics as parents', async () => {
+    expect(await parentError(topic('trees', 'Trees'), graph)).toBeNull();
+    expect(await parentError(shortestPaths, null)).toBeNull();
+  });
+
+  it('keeps the hierarchy two levels deep', async () => {
+    expect(await parentError(topic('dijkstra', 'Dijkstra'), shortestPaths))
+      .toBe('shortest-paths is a subtopic and cannot have subtopics');
+    expect(await parentError(graph, math)).toBe('graph has subtopics and cannot become a subtopic');
+  });
+
+  it('refuses a topic as its own parent', async () => {
+    expect(await parentError(math, math)).toBe('A topic cannot be its own parent');
+  });
+});
+
+describe('topicTree', () => {
+  it('nests subtopics and counts problems with the topic or its subtopics', async () => {
+    jest.spyOn(Problem, 'aggregate').mockResolvedValue([
+      { _id: ['shortest-paths', 'flows'], count: 2 },
+      { _id: ['graph'], count: 1 },
+      { _id: ['math', 'retired'], count: 4 },
+      { _id: null, count: 3 }
+    ]);
+
+    const tree = await topicTree();
+
+    expect(Problem.aggregate).toHaveBeenCalledWith([
+      { $match: { isPublic: true, isApproved: true } },
+      { $group: { _id: '$topics', count: { $sum: 1 } } }
+    ]);
+    expect(tree.map(node => [node.slug, node.problemCount])).toEqual([['graph', 3], ['math', 4]]);
+    expect(tree[0].subtopics.map(node => [node.slug, node.problemCount]))
+      .toEqual([['shortest-paths', 2], ['flows', 2]]);
+  });
+});
+
+describe('GET /api/problems?topic=', () => {
+  const server = serveRouter('/api/problems', problemsRouter);
+
+  beforeEach(() => {
+    jest.spyOn(Problem, 'find').mockReturnValue(query([]));
+    jest.spyOn(Problem, 'countDocuments').mockResolvedValue(0);
+  });
+
+  it('lists problems with the topic or one of its subtopics', async () => {
+    const response = await fetch(`${server.url}/api/problems?topic=graph`);
+
+    expect(response.status).toBe(200);
+    expect(Problem.find).toHaveBeenCalledWith({
+      isPublic: true,
+      isApproved: true,
+      topics: { $in: ['graph', 'shortest-paths', 'flows'] }
+    });
+  });
+
+  it('accepts category as the name of the filter', async () => {
+    await fetch(`${server.url}/api/problems?category=flows`);
+
+    expect(Problem.find).toHaveBeenCalledWith(expect.objectContaining({ topics: { $in: ['flows'] } }));
+  });
+
+  it('rejects unknown topics', async () => {
+    const response = await fetch(`${server.url}/api/problems?topic=sorting`);
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ success: false, message: 'Unknown topic: sorting' });
+    expect(Problem.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+
+// Languages submissions, checkers and interactors can be written in. Each
+// language declares the file its source is saved as, the commands that
+// compile and run it, the program that must be installed for it (toolchain)
+// and the Monaco editor mode used by the client. Commands may use these
+// placeholders:
+//   {source}      path of the source file
+//   {executable}  path of the compiled program
+//   {dir}         the working directory
+// compileTimeLimit (ms) replaces the default compile time limit for
+// toolchains that are slow to start or build their standard library.
+// harnessRun replaces run for function problems whose judge harness has its
+// own entry point (see services/functionTemplates).
+// diagnostics names the format of the compiler's messages so they can be
+// shown in the editor (see services/diagnostics).
+// versionCommand prints the compiler's version, which is part of the
+// compile cache key (see services/compileCache); the default is
+// `<toolchain> --version`.
+// Set LANGUAGES_FILE to a JSON array of languages to add languages or to
+// override fields of the ones below (matched by id).
+const BUILT_IN_LANGUAGES = [
+  {
+    id: 'c',
+    name: 'C',
+    version: 'GCC (C17)',
+    monaco: 'c',
+    sourceFile: 'solution.c',
+    executable: 'solution',
+    compile: 'gcc -std=c17 -O2 -Wall {source} -o {executable} -lm',
+    diagnostics: 'gcc',
+    run: '{executable}',
+    toolchain: 'gcc'
+  },
+  {
+    id: 'cpp',
+    name: 'C++',
+    version: 'GCC (C++17)',
+    monaco: 'cpp',
+    sourceFile: 'solution.cpp',
+    executable: 'solution',
+    compile: 'g++ -std=c++17 -O2 -Wall {source} -o {executable}',
+    diagnostics: 'gcc',
+    run: '{executable}',
+    toolchain: 'g++'
+  },
+  {
+    id: 'python',
+    name: 'Python',
+    version: 'Python 3',
+    monaco: 'python',
+    sourceFile: 'solution.py',
+    executable: 'solution.py',
+    compile: null,
+    run: 'python3 {source}',
+    toolchain: 'python3'
+  },
+  {
+    id: 'java',
+    name: 'Java',
+    version: 'OpenJDK',
+    monaco: 'java',
+    sourceFile: 'Solution.java',
+    executable: 'Solution',
+    compile: 'javac {source}',
+    diagnostics: 'javac',
+    run: 'java -cp {dir} Solution',
+    harnessRun: 'java -cp {dir} Main',
+    versionCommand: 'javac -version',
+    toolchain: 'javac'
+  },
+  {
+    id: 'javascript',
+    name: 'JavaScript',
+    version: 'Node.js',
+    monaco: 'javascript',
+    sourceFile: 'solution.js',
+    executable: 'solution.js',
+    compile: null,
+    run: 'node {source}',
+    toolchain: 'node'
+  },
+  {
+    id: 'typescript',
+    name: 'TypeScript',
+    version: 'TypeScript (Node.js)',
+    monaco: 'typescript',
+    sourceFile: 'solution.ts',
+    executable: 'solution.js',
+    // Type definitions for Node.js come from the global @types/node package
+    compile: 'tsc --target ES2020 --module commonjs --typeRoots /usr/local/lib/node_modules/@types --types node --outDir {dir} {source}',
+    diagnostics: 'msbuild',
+    run: 'node {executable}',
+    toolchain: 'tsc'
+  },
+  {
+    id: 'go',
+    name: 'Go',
+    version: 'Go',
+    monaco: 'go',
+    sourceFile: 'solution.go',
+    executable: 'solution',
+    // The sandbox has no home directory, so the build cache goes to /tmp,
+    // which starts empty on every run
+    compile: 'env GOCACHE=/tmp/go-cache GOPATH=/tmp/go go build -o {executable} {source}',
+    diagnostics: 'gcc',
+    compileTimeLimit: 60000,
+    run: '{executable}',
+    versionCommand: 'go version',
+    toolchain: 'go'
+  },
+  {
+    id: 'rust',
+    name: 'Rust',
+    version: 'rustc (2021 edition)',
+    monaco: 'rust',
+    sourceFile: 'solution.rs',
+    executable: 'solution',
+    compile: 'rustc --edition 2021 -O {source} -o {executable}',
+    diagnostics: 'rustc',
+    compileTimeLimit: 30000,
+    run: '{executable}',
+    toolchain: 'rustc'
+  },
+  {
+    id: 'kotlin',
+    name: 'Kotlin',
+    version: 'Kotlin (JVM)',
+    monaco: 'kotlin',
+    sourceFile: 'solution.kt',
+    executable: 'solution.jar',
+    compile: 'kotlinc {source} -include-runtime -d {executable}',
+    diagnostics: 'gcc',
+    compileTimeLimit: 30000,
+    run: 'java -jar {executable}',
+    versionCommand: 'kotlinc -version',
+    toolchain: 'kotlinc'
+  },
+  {
+    id: 'csharp',
+    name: 'C#',
+    version: 'Mono',
+    monaco: 'csharp',
+    sourceFile: 'solution.cs',
+    executable: 'solution.exe',
+    compile: 'mcs -optimize+ -out:{executable} {source}',
+    diagnostics: 'msbuild',
+    run: 'mono {executable}',
+    toolchain: 'mcs'
+  },
+  {
+    id: 'ruby',
+    name: 'Ruby',
+    version: 'Ruby',
+    monaco: 'ruby',
+    sourceFile: 'solution.rb',
+    executable: 'solution.rb',
+    compile: null,
+    run: 'ruby {source}',
+    toolchain: 'ruby'
+  }
+];
+
+// Languages from LANGUAGES_FILE, if set
+function loadCustomLanguages() {
+  const file = process.env.LANGUAGES_FILE;
+
+  if (!file) {
+    return [];
+  }
+
+  const languages = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+  if (!Array.isArray(languages)) {
+    throw new Error(`${file} must contain an array of languages`);
+  }
+
+  return languages;
+}
+
+function buildRegistry() {
+  const registry = new Map(BUILT_IN_LANGUAGES.map(language => [language.id, language]));
+
+  loadCustomLanguages().forEach(language => {
+    const merged = { ...registry.get(language.id), ...language };
+
+    ['id', 'name', 'sourceFile', 'run'].forEach(field => {
+      if (!merged[field]) {
+        throw new Error(`Language ${language.id || '(unnamed)'} is missing "${field}"`);
+      }
+    });
+
+    registry.set(merged.id, {
+      monaco: 'plaintext',
+      version: '',
+      executable: merged.sourceFile,
+      compile: null,
+      diagnostics: null,
+      toolchain: merged.run.split(' ')[0],
+      ...merged
+    });
+  });
+
+  return registry;
+}
+
+const registry = buildRegistry();
+
+// IDs of every registered language, for schema enums and validators
+const LANGUAGE_IDS = [...registry.keys()];
+
+function getLanguage(id) {
+  return registry.get(id) || null;
+}
+
+function isSupportedLanguage(id) {
+  return registry.has(id);
+}
+
+// Description of a language as served to clients, without its commands
+function describeLanguage(language) {
+  const { id, name, version, monaco, sourceFile } = language;
+  return { id, name, version, monaco, sourceFile, compiled: !!language.compile };
+}
+
+function listLanguages() {
+  return [...registry.values()];
+}
+
+module.exports = {
+  LANGUAGE_IDS,
+  getLanguage,
+  isSupportedLanguage,
+  describeLanguage,
+  listLanguages
+};
@@ -1,4 +1,5 @@
 const express = require('express');
+const http = require('http');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -14,13 +15,31 @@ dotenv.config();
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const problemRoutes = require('./routes/problems');
+const testDataRoutes = require('./routes/testData');
+const problemRevisionRoutes = require('./routes/problemRevisions');
+const problemImageRoutes = require('./routes/problemImages');
 const submissionRoutes = require('./routes/submissions');
 const leaderboardRoutes = require('./routes/leaderboard');
 const forumRoutes = require('./routes/forum');
 const classroomRoutes = require('./routes/classrooms');
+const judgeRoutes = require('./routes/judge');
+const languageRoutes = require('./routes/languages');
+const reviewRoutes = require('./routes/reviews');
+const notificationRoutes = require('./routes/notifications');
+const topicRoutes = require('./routes/topics');
+const { hasWorkerToken } = require('./middleware/auth');
+const codeExecutor = require('./services/codeExecutor');
+const judgeQueue = require('./services/judgeQueue');
+const realtime = require('./services/realtime');
+const { seedTopics } = require('./services/topics');
+const { resumeValidations } = require('./services/problemValidation');
 
 // Initialize Express app
 const app = express();
+const server = http.createServer(app);
+
+// Live submission progress over socket.io
+realtime.init(server);
 
 // Security middleware
 app.use(helmet());
@@ -29,7 +48,10 @@ app.use(helmet());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Judge workers poll the judge API far more often; callers without the
+  // worker token are limited like everyone else
+  skip: (req) => req.path.startsWith('/judge/') && hasWorkerToken(req)
 });
 app.use('/api/', limiter);
 
@@ -40,7 +62,8 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // CORS configuration
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Package-Warnings']
 }));
 
 // Create necessary directories
@@ -73,11 +96,19 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/coding-pl
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/problems/:id/tests', testDataRoutes);
+app.use('/api/problems/:id/revisions', problemRevisionRoutes);
+app.use('/api/problems/:id/images', problemImageRoutes);
 app.use('/api/problems', problemRoutes);
 app.use('/api/submissions', submissionRoutes);
 app.use('/api/leaderboard', leaderboardRoutes);
 app.use('/api/forum', forumRoutes);
 app.use('/api/classrooms', classroomRoutes);
+app.use('/api/judge', judgeRoutes);
+app.use('/api/languages', languageRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/topics', topicRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -113,8 +144,41 @@ const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   await createDirectories();
+
+  // Without local judge workers submissions are judged only by standalone
+  // judge workers and this server never runs submitted code
+  if (judgeQueue.concurrency > 0) {
+    try {
+      await codeExecutor.init();
+      console.log(`Code execution sandbox: ${codeExecutor.sandbox.name}`);
+    } catch (error) {
+      console.error('Code execution sandbox error:', error.message);
+      process.exit(1);
+    }
+  }
+
+  try {
+    await judgeQueue.start();
+  } catch (error) {
+    console.error('Judge queue error:', error.message);
+    process.exit(1);
+  }
+
+  // Problems can still be served without the default topics
+  try {
+    await seedTopics();
+  } catch (error) {
+    console.error('Topic setup error:', error.message);
+  }
+
+  // Checks of problem changes interrupted by a restart
+  try {
+    await resumeValidations();
+  } catch (error) {
+    console.error('Problem validation recovery error:', error.message);
+  }
   
-  app.listen(PORT, () => {
+  server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   });
@@ -0,0 +1,30 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const judgeWorker = require('./services/judgeWorker');
+
+// Standalone judge worker: claims submissions from the API server's judge
+// queue and runs them in the local sandbox. Run one per judging machine with
+// JUDGE_SERVER_URL and JUDGE_WORKER_TOKEN set.
+const startWorker = async () => {
+  try {
+    await judgeWorker.start();
+  } catch (error) {
+    console.error('Judge worker error:', error.message);
+    process.exit(1);
+  }
+};
+
+// Finish running jobs before exiting
+const shutdown = async (signal) => {
+  console.log(`Received ${signal}, finishing running jobs`);
+  await judgeWorker.stop();
+  process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+startWorker();
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
 
@@ -82,8 +83,45 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Whether the request carries the JUDGE_WORKER_TOKEN secret, which
+// standalone judge workers share with the API server
+const hasWorkerToken = (req) => {
+  const expected = process.env.JUDGE_WORKER_TOKEN;
+
+  if (!expected) {
+    return false;
+  }
+
+  const token = req.header('Authorization')?.replace('Bearer ', '') || '';
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  const tokenHash = crypto.createHash('sha256').update(token).digest();
+
+  return crypto.timingSafeEqual(expectedHash, tokenHash);
+};
+
+// Authentication middleware for standalone judge workers
+const authenticateWorker = (req, res, next) => {
+  if (!process.env.JUDGE_WORKER_TOKEN) {
+    return res.status(503).json({ 
+      success: false, 
+      message: 'Remote judge workers are not enabled on this server.' 
+    });
+  }
+  
+  if (!hasWorkerToken(req)) {
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Invalid judge worker token.' 
+    });
+  }
+  
+  next();
+};
+
 module.exports = {
   authenticate,
   authorize,
-  optionalAuth
+  optionalAuth,
+  authenticateWorker,
+  hasWorkerToken
 };
\ No newline at end of file
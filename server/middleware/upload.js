@@ -0,0 +1,30 @@
+const multer = require('multer');
+const { UPLOAD_LIMIT } = require('../services/testData');
+
+// Accept a single uploaded file in the given multipart field, of at most
+// limit bytes, kept in memory as req.file.buffer. multer's errors (size
+// limit, unexpected field) are answered with a 400.
+const receiveFile = (field, limit = UPLOAD_LIMIT) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: limit, files: 1 }
+  });
+
+  return (req, res, next) => {
+    upload.single(field)(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.code === 'LIMIT_FILE_SIZE'
+            ? `Upload cannot exceed ${limit / (1024 * 1024)} MB`
+            : error.message
+        });
+      }
+      next();
+    });
+  };
+};
+
+module.exports = {
+  receiveFile
+};
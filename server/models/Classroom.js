@@ -60,6 +60,10 @@ const classroomSchema = new mongoose.Schema({
     isRequired: {
       type: Boolean,
       default: false
+    },
+    revealHiddenTestsAfterDueDate: {
+      type: Boolean,
+      default: false // show students hidden test data once dueDate has passed
     }
   }],
   announcements: [{
@@ -192,7 +196,8 @@ classroomSchema.methods.addProblem = function(problemId, options = {}) {
       dueDate: options.dueDate || null,
       maxAttempts: options.maxAttempts || 0,
       points: options.points || 10,
-      isRequired: options.isRequired || false
+      isRequired: options.isRequired || false,
+      revealHiddenTestsAfterDueDate: options.revealHiddenTestsAfterDueDate || false
     });
     return this.save();
   }
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { LANGUAGE_IDS } = require('../config/languages');
 
 const replySchema = new mongoose.Schema({
   author: {
@@ -16,7 +17,7 @@ const replySchema = new mongoose.Schema({
   },
   language: {
     type: String,
-    enum: ['cpp', 'python', 'java', 'javascript', ''],
+    enum: [...LANGUAGE_IDS, ''],
     default: ''
   },
   upvotes: {
@@ -91,7 +92,7 @@ const postSchema = new mongoose.Schema({
   },
   language: {
     type: String,
-    enum: ['cpp', 'python', 'java', 'javascript', ''],
+    enum: [...LANGUAGE_IDS, ''],
     default: ''
   },
   upvotes: {
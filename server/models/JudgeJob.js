@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// A submission waiting for, or going through, judging. Jobs are claimed
+// atomically by judge workers, so the queue survives restarts and needs no
+// broker besides MongoDB. 'run' jobs execute code against custom input for
+// the Run button, 'generate' jobs generate a problem's test cases,
+// 'validate' jobs check a reference solution and 'validate-input' jobs run
+// a problem's validator on its test inputs; they carry their own task and
+// result and have no submission.
+const judgeJobSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['submission', 'run', 'generate', 'validate', 'validate-input'],
+    default: 'submission'
+  },
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: function() {
+      return this.kind === 'submission';
+    }
+  },
+  task: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null // all but submission jobs
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null // all but submission jobs
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  language: {
+    type: String,
+    default: null // copied from the submission so workers can claim by language
+  },
+  priority: {
+    type: Number,
+    default: 0 // higher runs first
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  availableAt: {
+    type: Date,
+    default: Date.now // retries are delayed by pushing this forward
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockExpiresAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// One job per submission
+judgeJobSchema.index({ submission: 1 }, { unique: true, sparse: true });
+// Index for claiming the next job
+judgeJobSchema.index({ status: 1, priority: -1, availableAt: 1 });
+// Index for finding jobs whose worker stopped renewing its lock
+judgeJobSchema.index({ status: 1, lockExpiresAt: 1 });
+// Finished jobs are kept for a week for inspection
+judgeJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JudgeJob', judgeJobSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { LANGUAGE_IDS } = require('../config/languages');
+
+// A standalone judge worker process (server/judge-worker.js) that claims
+// jobs from the judge queue over the worker API. Workers that stop sending
+// heartbeats are marked offline and their jobs are handed to other workers.
+const judgeWorkerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  hostname: {
+    type: String,
+    default: ''
+  },
+  languages: [{
+    type: String,
+    enum: LANGUAGE_IDS
+  }],
+  concurrency: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  sandbox: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['online', 'offline'],
+    default: 'online'
+  },
+  lastHeartbeat: {
+    type: Date,
+    default: Date.now
+  },
+  jobsCompleted: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for finding workers that stopped sending heartbeats
+judgeWorkerSchema.index({ status: 1, lastHeartbeat: 1 });
+
+module.exports = mongoose.model('JudgeWorker', judgeWorkerSchema);
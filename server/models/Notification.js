@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Something a user is told about, such as a review of their problem or the
+// outcome of its checks. Shown in the notification menu and pushed live
+// over the socket.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['problem-review', 'problem-validation'],
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Client path the notification opens
+  link: {
+    type: String,
+    default: ''
+  },
+  problem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Problem'
+  },
+  read: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,28 +1,279 @@
 const mongoose = require('mongoose');
+const { CHECKER_TYPES } = require('../services/checkers');
+const { LANGUAGE_IDS } = require('../config/languages');
+const { PARAMETER_TYPES, getTemplate } = require('../services/functionTemplates');
+const { SUBTASK_SCORING } = require('../services/subtasks');
+const { REVIEW_STATUSES, REVIEW_ACTIONS } = require('../services/problemReview');
 
 const testCaseSchema = new mongoose.Schema({
   input: {
     type: String,
-    required: true
+    required: function() {
+      return !this.inputFile;
+    }
   },
   output: {
     type: String,
-    required: true
+    required: function() {
+      return !this.outputFile;
+    }
+  },
+  // Keys of large inputs and outputs kept in the test data store instead
+  // (see services/testData)
+  inputFile: {
+    type: String,
+    default: null
+  },
+  outputFile: {
+    type: String,
+    default: null
   },
   isHidden: {
     type: Boolean,
     default: false
   },
+  // Shown with the statement, with its explanation (see
+  // services/problemStatement)
+  isSample: {
+    type: Boolean,
+    default: false
+  },
   explanation: {
     type: String,
     default: ''
   },
   points: {
     type: Number,
-    default: 10
+    default: 10 // not used when the problem has subtasks
+  },
+  // Name of the subtask the test case belongs to
+  subtask: {
+    type: String,
+    default: ''
+  }
+});
+
+// An image referenced from the statement by name, kept in the test data
+// store under key (see services/problemStatement)
+const imageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// A group of test cases scored together (see services/subtasks)
+const subtaskSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  points: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  scoring: {
+    type: String,
+    enum: SUBTASK_SCORING,
+    default: 'all-or-nothing'
+  },
+  // Names of subtasks whose test cases must pass too
+  dependencies: [{
+    type: String
+  }]
+}, { _id: false });
+
+// Result of judging one reference solution (see services/referenceSolutions)
+const referenceResultSchema = new mongoose.Schema({
+  language: String,
+  passed: Boolean,
+  status: String,
+  error: String,
+  timeTaken: Number, // max CPU time across test cases, in milliseconds
+  memoryUsed: Number, // max peak RSS across test cases, in KB
+  testCasesPassed: Number,
+  totalTestCases: Number,
+  testCaseTimes: [Number] // CPU time of every test case, in milliseconds
+}, { _id: false });
+
+// The last check of the reference solutions against the test cases
+const referenceValidationSchema = new mongoose.Schema({
+  passed: Boolean,
+  validatedAt: Date,
+  timeLimit: Number, // the time limit the references were judged with
+  suggestedTimeLimit: Number, // in seconds, from the slowest reference
+  solutions: [referenceResultSchema]
+}, { _id: false });
+
+// The background check of the reference solutions after a change (see
+// services/problemValidation)
+const validationSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['none', 'pending', 'passed', 'failed'],
+    default: 'none' // nothing to check
+  },
+  requestedAt: Date,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date,
+  message: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+// How contestant output is compared with the expected output
+const checkerSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: CHECKER_TYPES,
+    default: 'whitespace'
+  },
+  absoluteError: {
+    type: Number,
+    default: 1e-6 // used by the float checker
+  },
+  relativeError: {
+    type: Number,
+    default: 1e-6 // used by the float checker
+  },
+  // Special judge program for the custom checker. It is run as
+  // `<program> <input> <expected output> <contestant output>` and prints
+  // "AC", "WA" or "PC <score>" on its first line, then a message.
+  language: {
+    type: String,
+    enum: LANGUAGE_IDS
+  },
+  source: {
+    type: String
+  }
+}, { _id: false });
+
+// Judge program supplied by the problem author for interactive problems
+const interactorSchema = new mongoose.Schema({
+  language: {
+    type: String,
+    enum: LANGUAGE_IDS
+  },
+  source: {
+    type: String
+  }
+}, { _id: false });
+
+// Program supplied by the problem author that checks test inputs. It reads
+// an input on stdin and exits with validExitCode if the input is valid, or
+// with another code if it breaks the problem's constraints or format,
+// printing why to stderr (e.g. "line 3: n must be at most 100000").
+const validatorSchema = new mongoose.Schema({
+  language: {
+    type: String,
+    enum: LANGUAGE_IDS
+  },
+  source: {
+    type: String
+  },
+  validExitCode: {
+    type: Number,
+    default: 0 // Kattis validators exit with 42
+  }
+}, { _id: false });
+
+// One step of a problem's review, kept as its audit trail
+const reviewEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: Object.keys(REVIEW_ACTIONS),
+    required: true
+  },
+  fromStatus: {
+    type: String,
+    enum: REVIEW_STATUSES
+  },
+  toStatus: {
+    type: String,
+    enum: REVIEW_STATUSES
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  comment: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+const parameterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: PARAMETER_TYPES,
+    required: true
+  }
+}, { _id: false });
+
+// Author-written starter code and harness for one language; either may be
+// left empty to use the generated one
+const functionTemplateSchema = new mongoose.Schema({
+  language: {
+    type: String,
+    enum: LANGUAGE_IDS,
+    required: true
+  },
+  starterCode: {
+    type: String,
+    default: ''
+  },
+  harness: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+// Function problems: students implement this function and a harness
+// appended to their code reads the test input and prints the result (see
+// services/functionTemplates)
+const functionSignatureSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  parameters: [parameterSchema],
+  returnType: {
+    type: String,
+    enum: PARAMETER_TYPES,
+    required: true
+  },
+  templates: [functionTemplateSchema]
+}, { _id: false });
+
 const problemSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -38,32 +289,24 @@ const problemSchema = new mongoose.Schema({
     enum: ['easy', 'medium', 'hard'],
     required: true
   },
+  // batch: stdin file -> stdout file; interactive: the solution talks to
+  // the interactor over pipes and the interactor decides the verdict
+  type: {
+    type: String,
+    enum: ['batch', 'interactive'],
+    default: 'batch'
+  },
+  // Slug of the problem's first topic, kept for listings and statistics
   category: {
     type: String,
-    required: true,
-    enum: [
-      'arrays',
-      'strings',
-      'sorting',
-      'searching',
-      'graph',
-      'tree',
-      'dynamic-programming',
-      'greedy',
-      'backtracking',
-      'math',
-      'geometry',
-      'bit-manipulation',
-      'recursion',
-      'linked-list',
-      'stack',
-      'queue',
-      'hash-table',
-      'heap',
-      'trie',
-      'binary-search'
-    ]
+    required: true
   },
+  // Slugs of the problem's topics (see services/topics)
+  topics: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
   subcategory: {
     type: String,
     default: ''
@@ -90,28 +333,51 @@ const problemSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  interactionFormat: {
+    type: String,
+    default: ''
+  },
   constraints: {
     type: String,
     required: true
   },
+  // Sample shown when no test case is marked as a sample
   sampleInput: {
     type: String,
-    required: true
+    default: ''
   },
   sampleOutput: {
     type: String,
-    required: true
+    default: ''
   },
   explanation: {
     type: String,
     default: ''
   },
+  images: [imageSchema],
   testCases: [testCaseSchema],
-  solution: {
-    cpp: String,
-    python: String,
-    java: String,
-    javascript: String
+  subtasks: [subtaskSchema],
+  checker: {
+    type: checkerSchema,
+    default: () => ({})
+  },
+  interactor: {
+    type: interactorSchema,
+    default: null
+  },
+  validator: {
+    type: validatorSchema,
+    default: null
+  },
+  // Reference solutions by language id, one per registered language
+  solution: Object.fromEntries(LANGUAGE_IDS.map(id => [id, String])),
+  referenceValidation: {
+    type: referenceValidationSchema,
+    default: null
+  },
+  validation: {
+    type: validationSchema,
+    default: () => ({})
   },
   hints: [{
     type: String
@@ -125,10 +391,27 @@ const problemSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Kept in step with reviewStatus and validation; published problems are
+  // approved and their reference solutions are not pending or failed
   isApproved: {
     type: Boolean,
     default: false
   },
+  reviewStatus: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    // Problems from before reviews were added
+    default: function() {
+      return this.isApproved ? 'approved' : 'draft';
+    }
+  },
+  reviewLog: [reviewEntrySchema],
+  // Number of the latest revision (see services/problemRevisions); 0 for
+  // problems saved before revisions were kept
+  revision: {
+    type: Number,
+    default: 0
+  },
   submissions: {
     total: {
       type: Number,
@@ -152,9 +435,21 @@ const problemSchema = new mongoose.Schema({
     type: Number,
     default: 0 // 0 means unlimited
   },
+  functionSignature: {
+    type: functionSignatureSchema,
+    default: null
+  },
+  // run-all judges every test case; stop-at-first-failure skips the test
+  // cases after the first failed one, whose verdict the submission gets
+  // (ICPC style)
+  testPolicy: {
+    type: String,
+    enum: ['run-all', 'stop-at-first-failure'],
+    default: 'run-all'
+  },
   allowedLanguages: [{
     type: String,
-    enum: ['cpp', 'python', 'java', 'javascript'],
+    enum: LANGUAGE_IDS,
     default: ['cpp', 'python']
   }],
   classroom: {
@@ -177,7 +472,26 @@ const problemSchema = new mongoose.Schema({
 // Index for efficient searching
 problemSchema.index({ title: 'text', description: 'text', tags: 'text' });
 problemSchema.index({ difficulty: 1, category: 1 });
+problemSchema.index({ topics: 1 });
 problemSchema.index({ isPublic: 1, isApproved: 1 });
+problemSchema.index({ reviewStatus: 1, updatedAt: 1 });
+
+problemSchema.pre('validate', function(next) {
+  this.isApproved = this.reviewStatus === 'approved' && !this.isAwaitingChecks();
+  next();
+});
+
+problemSchema.pre('validate', function(next) {
+  this.applyTopics();
+  next();
+});
+
+// Whether the problem's reference solutions are still being judged or failed
+// (see services/problemValidation)
+problemSchema.methods.isAwaitingChecks = function() {
+  const status = this.validation && this.validation.status;
+  return status === 'pending' || status === 'failed';
+};
 
 // Method to get problem summary for listings
 problemSchema.methods.getSummary = function() {
@@ -186,6 +500,7 @@ problemSchema.methods.getSummary = function() {
     title: this.title,
     difficulty: this.difficulty,
     category: this.category,
+    topics: this.topics,
     tags: this.tags,
     points: this.points,
     submissions: this.submissions,
@@ -202,20 +517,40 @@ problemSchema.methods.getDetails = function() {
     title: this.title,
     description: this.description,
     difficulty: this.difficulty,
+    type: this.type,
     category: this.category,
+    topics: this.topics,
     subcategory: this.subcategory,
     tags: this.tags,
     timeLimit: this.timeLimit,
     memoryLimit: this.memoryLimit,
     inputFormat: this.inputFormat,
     outputFormat: this.outputFormat,
+    interactionFormat: this.interactionFormat,
     constraints: this.constraints,
-    sampleInput: this.sampleInput,
-    sampleOutput: this.sampleOutput,
+    samples: this.getSamples(),
     explanation: this.explanation,
     hints: this.hints,
     points: this.points,
     allowedLanguages: this.allowedLanguages,
+    functionSignature: this.functionSignature && {
+      name: this.functionSignature.name,
+      parameters: this.functionSignature.parameters,
+      returnType: this.functionSignature.returnType
+    },
+    starterCode: this.getStarterCode(),
+    testPolicy: this.testPolicy,
+    subtasks: this.subtasks.map(({ name, points, scoring, dependencies }) => ({
+      name,
+      points,
+      scoring,
+      dependencies
+    })),
+    checker: {
+      type: this.checker.type,
+      absoluteError: this.checker.absoluteError,
+      relativeError: this.checker.relativeError
+    },
     submissions: this.submissions,
     successRate: this.submissions.total > 0 ? 
       Math.round((this.submissions.successful / this.submissions.total) * 100) : 0,
@@ -223,15 +558,54 @@ problemSchema.methods.getDetails = function() {
   };
 };
 
-// Method to update submission statistics
+// The category is the first topic. Problems given only a category (as
+// before topics) get it as their first topic.
+problemSchema.methods.applyTopics = function() {
+  if (this.isModified('topics') && this.topics.length > 0) {
+    this.topics = [...new Set(this.topics)];
+    this.category = this.topics[0];
+  } else if (this.category && this.topics[0] !== this.category) {
+    this.topics = [this.category, ...this.topics.filter(topic => topic !== this.category)];
+  }
+};
+
+// Samples shown with the statement: the test cases marked as samples, or
+// the problem's sample input and output if there are none
+problemSchema.methods.getSamples = function() {
+  const samples = this.testCases
+    .filter(testCase => testCase.isSample)
+    .map(({ input, output, explanation }) => ({ input, output, explanation }));
+
+  if (samples.length === 0 && this.sampleInput) {
+    return [{ input: this.sampleInput, output: this.sampleOutput, explanation: '' }];
+  }
+  return samples;
+};
+
+// Starter code of function problems by allowed language; empty for other
+// problems
+problemSchema.methods.getStarterCode = function() {
+  const starterCode = {};
+
+  if (this.functionSignature) {
+    this.allowedLanguages.forEach(language => {
+      starterCode[language] = getTemplate(this.functionSignature, language).starterCode;
+    });
+  }
+
+  return starterCode;
+};
+
+// Method to update submission statistics. Counters are incremented
+// atomically since several judge workers may update the same problem.
 problemSchema.methods.updateSubmissionStats = function(isSuccessful, isPartial = false) {
-  this.submissions.total += 1;
+  const increments = { 'submissions.total': 1 };
   if (isSuccessful) {
-    this.submissions.successful += 1;
+    increments['submissions.successful'] = 1;
   } else if (isPartial) {
-    this.submissions.partial += 1;
+    increments['submissions.partial'] = 1;
   }
-  return this.save();
+  return this.constructor.updateOne({ _id: this._id }, { $inc: increments });
 };
 
 module.exports = mongoose.model('Problem', problemSchema);
\ No newline at end of file
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A problem's statement and judging data as of one of its saves. Revisions
+// are never changed once written, so a submission's problemRevision always
+// names the tests it was judged against (see services/problemRevisions).
+const problemRevisionSchema = new mongoose.Schema({
+  problem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Problem',
+    required: true
+  },
+  // 1 for the first revision of a problem, counting up
+  number: {
+    type: Number,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  // Fields changed since the previous revision
+  changedFields: [{
+    type: String
+  }],
+  // The problem's revision fields; test files stay in the test data store,
+  // which never removes a file
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false // keep empty fields of the snapshot
+});
+
+problemRevisionSchema.index({ problem: 1, number: -1 }, { unique: true });
+
+problemRevisionSchema.pre('save', function(next) {
+  next(this.isNew ? null : new Error('Problem revisions cannot be changed'));
+});
+
+problemRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Problem revisions cannot be changed'));
+});
+
+module.exports = mongoose.model('ProblemRevision', problemRevisionSchema);
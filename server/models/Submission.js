@@ -1,4 +1,56 @@
 const mongoose = require('mongoose');
+const { LANGUAGE_IDS } = require('../config/languages');
+
+// A compiler error, warning or note about the submitted source
+const diagnosticSchema = new mongoose.Schema({
+  file: String,
+  line: Number,
+  column: Number,
+  severity: {
+    type: String,
+    enum: ['error', 'warning', 'note']
+  },
+  message: String
+}, { _id: false });
+
+// Score of one subtask; testCases are the indices of its own test cases
+const subtaskResultSchema = new mongoose.Schema({
+  name: String,
+  score: {
+    type: Number,
+    default: 0
+  },
+  maxScore: {
+    type: Number,
+    default: 0
+  },
+  passed: {
+    type: Boolean,
+    default: false
+  },
+  verdict: {
+    type: String,
+    default: ''
+  },
+  testCases: [Number]
+}, { _id: false });
+
+// A verdict a submission had before it was rejudged
+const verdictSchema = new mongoose.Schema({
+  status: String,
+  score: Number,
+  maxScore: Number,
+  testCasesPassed: Number,
+  totalTestCases: Number,
+  judgedAt: Date,
+  rejudgedAt: Date,
+  rejudgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  problemRevision: Number
+}, { _id: false });
 
 const submissionSchema = new mongoose.Schema({
   user: {
@@ -17,7 +69,7 @@ const submissionSchema = new mongoose.Schema({
   },
   language: {
     type: String,
-    enum: ['cpp', 'python', 'java', 'javascript'],
+    enum: LANGUAGE_IDS,
     required: true
   },
   status: {
@@ -32,7 +84,8 @@ const submissionSchema = new mongoose.Schema({
       'memory-limit-exceeded',
       'runtime-error',
       'compilation-error',
-      'partial-correct'
+      'partial-correct',
+      'judge-error'
     ],
     default: 'pending'
   },
@@ -47,11 +100,11 @@ const submissionSchema = new mongoose.Schema({
     },
     timeTaken: {
       type: Number,
-      default: 0 // in milliseconds
+      default: 0 // max CPU time across test cases, in milliseconds
     },
     memoryUsed: {
       type: Number,
-      default: 0 // in KB
+      default: 0 // max peak RSS across test cases, in KB
     },
     testCasesPassed: {
       type: Number,
@@ -66,23 +119,42 @@ const submissionSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         required: true
       },
+      isHidden: {
+        type: Boolean,
+        default: false
+      },
+      subtask: {
+        type: String,
+        default: ''
+      },
       passed: {
         type: Boolean,
         default: false
       },
+      verdict: {
+        type: String,
+        default: ''
+      },
       timeTaken: {
         type: Number,
-        default: 0
+        default: 0 // CPU time in milliseconds
       },
       memoryUsed: {
         type: Number,
-        default: 0
+        default: 0 // Peak RSS in KB
       },
+      // Only the start of tests kept in the test data store, whose keys
+      // are inputFile and outputFile
       input: String,
+      inputFile: String,
       expectedOutput: String,
+      outputFile: String,
       actualOutput: String,
-      error: String
-    }]
+      error: String,
+      checkerMessage: String
+    }],
+    // Score of every subtask, for problems with subtasks
+    subtaskResults: [subtaskResultSchema]
   },
   compilationInfo: {
     success: {
@@ -91,6 +163,7 @@ const submissionSchema = new mongoose.Schema({
     },
     output: String,
     error: String,
+    diagnostics: [diagnosticSchema],
     compilationTime: {
       type: Number,
       default: 0
@@ -130,6 +203,15 @@ const submissionSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+  // Revision of the problem the submission was last judged on; null until
+  // judging starts
+  problemRevision: {
+    type: Number,
+    default: null
+  },
+  // Earlier verdicts, oldest first; not empty once the submission has been
+  // rejudged (see services/rejudge)
+  verdictHistory: [verdictSchema],
   classroom: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Classroom',
@@ -168,12 +250,35 @@ submissionSchema.methods.getSummary = function() {
     memoryUsed: this.result.memoryUsed,
     testCasesPassed: this.result.testCasesPassed,
     totalTestCases: this.result.totalTestCases,
+    problemRevision: this.problemRevision,
     submittedAt: this.submittedAt
   };
 };
 
-// Method to get detailed submission results
-submissionSchema.methods.getDetails = function() {
+// Fields of a hidden test case result that students may see
+const HIDDEN_RESULT_FIELDS = ['testCaseId', 'subtask', 'passed', 'verdict', 'timeTaken', 'memoryUsed'];
+
+// Method to get detailed submission results. Unless showHiddenTests is set,
+// results of hidden test cases are cut down to verdict, time and memory.
+// hiddenTestCaseIds covers results stored before isHidden was recorded.
+submissionSchema.methods.getDetails = function({ showHiddenTests = false, hiddenTestCaseIds = [] } = {}) {
+  const hiddenIds = new Set(hiddenTestCaseIds.map(id => id.toString()));
+  const result = this.result ? this.result.toObject() : this.result;
+
+  if (result && !showHiddenTests) {
+    result.testCaseResults = (result.testCaseResults || []).map(testCaseResult => {
+      if (!testCaseResult.isHidden && !hiddenIds.has(String(testCaseResult.testCaseId))) {
+        return testCaseResult;
+      }
+
+      const redacted = { isHidden: true };
+      HIDDEN_RESULT_FIELDS.forEach(field => {
+        redacted[field] = testCaseResult[field];
+      });
+      return redacted;
+    });
+  }
+
   return {
     _id: this._id,
     user: this.user,
@@ -181,13 +286,15 @@ submissionSchema.methods.getDetails = function() {
     code: this.code,
     language: this.language,
     status: this.status,
-    result: this.result,
+    result,
     compilationInfo: this.compilationInfo,
     executionInfo: this.executionInfo,
     feedback: this.feedback,
     isPlagiarized: this.isPlagiarized,
     plagiarismScore: this.plagiarismScore,
     attemptNumber: this.attemptNumber,
+    problemRevision: this.problemRevision,
+    verdictHistory: this.verdictHistory,
     submittedAt: this.submittedAt
   };
 };
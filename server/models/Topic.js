@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A topic problems are classified by, such as graph or dynamic-programming
+// (see services/topics). Subtopics name their parent topic.
+const topicSchema = new mongoose.Schema({
+  // Problems refer to topics by slug, so it cannot change
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    immutable: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, digits and single dashes'],
+    maxlength: 50
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+topicSchema.index({ parent: 1, name: 1 });
+
+module.exports = mongoose.model('Topic', topicSchema);
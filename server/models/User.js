@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { LANGUAGE_IDS } = require('../config/languages');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -32,9 +33,10 @@ const userSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Reviewers approve problems for publishing
   role: {
     type: String,
-    enum: ['student', 'instructor', 'admin'],
+    enum: ['student', 'instructor', 'reviewer', 'admin'],
     default: 'student'
   },
   avatar: {
@@ -69,7 +71,7 @@ const userSchema = new mongoose.Schema({
   profile: {
     preferredLanguage: {
       type: String,
-      enum: ['cpp', 'python', 'java', 'javascript'],
+      enum: LANGUAGE_IDS,
       default: 'cpp'
     },
     difficulty: {
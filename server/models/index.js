@@ -4,6 +4,11 @@ const Submission = require('./Submission');
 const Classroom = require('./Classroom');
 const Post = require('./Forum');
 const Achievement = require('./Achievement');
+const JudgeJob = require('./JudgeJob');
+const JudgeWorker = require('./JudgeWorker');
+const Notification = require('./Notification');
+const ProblemRevision = require('./ProblemRevision');
+const Topic = require('./Topic');
 
 module.exports = {
   User,
@@ -11,5 +16,10 @@ module.exports = {
   Submission,
   Classroom,
   Post,
-  Achievement
+  Achievement,
+  JudgeJob,
+  JudgeWorker,
+  Notification,
+  ProblemRevision,
+  Topic
 };
\ No newline at end of file
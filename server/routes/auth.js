@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { User } = require('../models');
 const { authenticate } = require('../middleware/auth');
+const { LANGUAGE_IDS } = require('../config/languages');
 
 const router = express.Router();
 
@@ -212,7 +213,7 @@ router.put('/profile', authenticate, [
     .trim(),
   body('profile.preferredLanguage')
     .optional()
-    .isIn(['cpp', 'python', 'java', 'javascript'])
+    .isIn(LANGUAGE_IDS)
     .withMessage('Invalid preferred language'),
   body('profile.difficulty')
     .optional()
@@ -3,6 +3,7 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { Classroom, User, Problem, Submission } = require('../models');
 const { authenticate, authorize } = require('../middleware/auth');
+const { rejudge, submittedBetween } = require('../services/rejudge');
 
 const router = express.Router();
 
@@ -657,7 +658,11 @@ router.post('/:id/problems', authenticate, authorize('instructor', 'admin'), [
   body('isRequired')
     .optional()
     .isBoolean()
-    .withMessage('isRequired must be a boolean')
+    .withMessage('isRequired must be a boolean'),
+  body('revealHiddenTestsAfterDueDate')
+    .optional()
+    .isBoolean()
+    .withMessage('revealHiddenTestsAfterDueDate must be a boolean')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -670,7 +675,7 @@ router.post('/:id/problems', authenticate, authorize('instructor', 'admin'), [
       });
     }
 
-    const { problemId, dueDate, maxAttempts, points, isRequired } = req.body;
+    const { problemId, dueDate, maxAttempts, points, isRequired, revealHiddenTestsAfterDueDate } = req.body;
     const classroom = await Classroom.findById(req.params.id);
 
     if (!classroom) {
@@ -707,7 +712,8 @@ router.post('/:id/problems', authenticate, authorize('instructor', 'admin'), [
       dueDate: dueDate ? new Date(dueDate) : null,
       maxAttempts: maxAttempts || 0,
       points: points || problem.points,
-      isRequired: isRequired || false
+      isRequired: isRequired || false,
+      revealHiddenTestsAfterDueDate: revealHiddenTestsAfterDueDate || false
     });
 
     // Populate problem details for response
@@ -729,6 +735,99 @@ router.post('/:id/problems', authenticate, authorize('instructor', 'admin'), [
   }
 });
 
+// Update the settings of a problem in a classroom
+router.put('/:id/problems/:problemId', authenticate, authorize('instructor', 'admin'), [
+  body('dueDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid due date'),
+  body('maxAttempts')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Max attempts must be a non-negative integer'),
+  body('points')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Points must be between 1 and 1000'),
+  body('isRequired')
+    .optional()
+    .isBoolean()
+    .withMessage('isRequired must be a boolean'),
+  body('revealHiddenTestsAfterDueDate')
+    .optional()
+    .isBoolean()
+    .withMessage('revealHiddenTestsAfterDueDate must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    // Check if user has permission to update problem settings
+    const isInstructor = classroom.instructor.toString() === req.user._id.toString();
+    const isTA = classroom.teachingAssistants.some(ta =>
+      ta.toString() === req.user._id.toString()
+    );
+
+    if (!isInstructor && !isTA && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to update classroom problem'
+      });
+    }
+
+    const entry = classroom.problems.find(p => p.problem.toString() === req.params.problemId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found in classroom'
+      });
+    }
+
+    const { dueDate, maxAttempts, points, isRequired, revealHiddenTestsAfterDueDate } = req.body;
+
+    if (dueDate !== undefined) entry.dueDate = dueDate ? new Date(dueDate) : null;
+    if (maxAttempts !== undefined) entry.maxAttempts = maxAttempts;
+    if (points !== undefined) entry.points = points;
+    if (isRequired !== undefined) entry.isRequired = isRequired;
+    if (revealHiddenTestsAfterDueDate !== undefined) {
+      entry.revealHiddenTestsAfterDueDate = revealHiddenTestsAfterDueDate;
+    }
+
+    await classroom.save();
+
+    res.json({
+      success: true,
+      message: 'Classroom problem updated successfully',
+      data: {
+        problem: entry
+      }
+    });
+  } catch (error) {
+    console.error('Update classroom problem error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating classroom problem'
+    });
+  }
+});
+
 // Remove a problem from classroom
 router.delete('/:id/problems/:problemId', authenticate, authorize('instructor', 'admin'), async (req, res) => {
   try {
@@ -775,6 +874,87 @@ router.delete('/:id/problems/:problemId', authenticate, authorize('instructor',
   }
 });
 
+// Rejudge the classroom's students' submissions to its problems, optionally
+// only to one problem or made between from and to
+router.post('/:id/rejudge', authenticate, authorize('instructor', 'admin'), [
+  body('problem')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid problem ID'),
+  body('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a date'),
+  body('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a date'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    // Only the instructor may rejudge the classroom's submissions
+    if (classroom.instructor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to rejudge this classroom'
+      });
+    }
+
+    const { problem, from, to, reason } = req.body;
+    let problemIds = classroom.problems.map(p => p.problem);
+
+    if (problem) {
+      problemIds = problemIds.filter(id => id.toString() === problem);
+      if (problemIds.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Problem not found in this classroom'
+        });
+      }
+    }
+
+    const result = await rejudge({
+      user: { $in: classroom.students.map(s => s.user) },
+      problem: { $in: problemIds },
+      ...submittedBetween(from, to)
+    }, { user: req.user, reason });
+
+    res.json({
+      success: true,
+      message: `Queued ${result.queued} submission(s) for rejudging`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Rejudge classroom error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejudging classroom'
+    });
+  }
+});
+
 // Get classroom analytics
 router.get('/:id/analytics', authenticate, async (req, res) => {
   try {
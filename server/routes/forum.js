@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { Post, User, Problem, Classroom } = require('../models');
 const { authenticate, optionalAuth } = require('../middleware/auth');
+const { LANGUAGE_IDS } = require('../config/languages');
 
 const router = express.Router();
 
@@ -194,7 +195,7 @@ router.post('/', authenticate, [
     .withMessage('Code cannot exceed 10,000 characters'),
   body('language')
     .optional()
-    .isIn(['cpp', 'python', 'java', 'javascript', ''])
+    .isIn([...LANGUAGE_IDS, ''])
     .withMessage('Invalid programming language')
 ], async (req, res) => {
   try {
@@ -288,7 +289,7 @@ router.put('/:id', authenticate, [
     .withMessage('Code cannot exceed 10,000 characters'),
   body('language')
     .optional()
-    .isIn(['cpp', 'python', 'java', 'javascript', ''])
+    .isIn([...LANGUAGE_IDS, ''])
     .withMessage('Invalid programming language')
 ], async (req, res) => {
   try {
@@ -439,7 +440,7 @@ router.post('/:id/reply', authenticate, [
     .withMessage('Code cannot exceed 10,000 characters'),
   body('language')
     .optional()
-    .isIn(['cpp', 'python', 'java', 'javascript', ''])
+    .isIn([...LANGUAGE_IDS, ''])
     .withMessage('Invalid programming language')
 ], async (req, res) => {
   try {
@@ -0,0 +1,298 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { JudgeWorker } = require('../models');
+const { authenticateWorker } = require('../middleware/auth');
+const judgeQueue = require('../services/judgeQueue');
+const { LANGUAGE_IDS } = require('../config/languages');
+const { KEY_PATTERN, UPLOAD_LIMIT, createTestDataStore, hashContent } = require('../services/testData');
+
+// API used by standalone judge workers (server/judge-worker.js). Every route
+// requires the shared JUDGE_WORKER_TOKEN.
+const router = express.Router();
+
+router.use(authenticateWorker);
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const workerIdParam = param('id')
+  .isMongoId()
+  .withMessage('Invalid worker ID');
+
+const jobIdParam = param('id')
+  .isMongoId()
+  .withMessage('Invalid job ID');
+
+const testDataKeyParam = param('key')
+  .matches(KEY_PATTERN)
+  .withMessage('Invalid test data key');
+
+const workerIdBody = body('workerId')
+  .isMongoId()
+  .withMessage('Invalid worker ID');
+
+const testDataStore = createTestDataStore();
+
+// Reply for workers the server no longer knows as online; the worker
+// registers again and its old jobs have already been reassigned
+const unknownWorker = (res) => res.status(404).json({
+  success: false,
+  message: 'Worker is not registered or was marked offline'
+});
+
+// Register a worker
+router.post('/workers/register', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Worker name must be between 1 and 100 characters'),
+  body('hostname')
+    .optional()
+    .isString()
+    .withMessage('Hostname must be a string'),
+  body('languages')
+    .isArray({ min: 1 })
+    .withMessage('Worker must support at least one language'),
+  body('languages.*')
+    .isIn(LANGUAGE_IDS)
+    .withMessage('Invalid programming language'),
+  body('concurrency')
+    .isInt({ min: 1, max: 64 })
+    .withMessage('Concurrency must be between 1 and 64'),
+  body('sandbox')
+    .optional()
+    .isString()
+    .withMessage('Sandbox must be a string')
+], handleValidation, async (req, res) => {
+  try {
+    const { name, hostname, languages, concurrency, sandbox } = req.body;
+    const worker = await judgeQueue.registerWorker({ name, hostname, languages, concurrency, sandbox });
+
+    console.log(`Judge worker ${worker.name} (${worker._id}) registered for ${languages.join(', ')}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Worker registered',
+      data: {
+        workerId: worker._id,
+        heartbeatInterval: Math.floor(judgeQueue.workerTimeout / 3),
+        pollInterval: judgeQueue.pollInterval
+      }
+    });
+  } catch (error) {
+    console.error('Register judge worker error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while registering worker'
+    });
+  }
+});
+
+// Heartbeat; also renews the locks of the worker's running jobs
+router.post('/workers/:id/heartbeat', [workerIdParam], handleValidation, async (req, res) => {
+  try {
+    const worker = await judgeQueue.heartbeat(req.params.id);
+
+    if (!worker) {
+      return unknownWorker(res);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Judge worker heartbeat error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording heartbeat'
+    });
+  }
+});
+
+// Deregister a worker that is shutting down
+router.post('/workers/:id/deregister', [workerIdParam], handleValidation, async (req, res) => {
+  try {
+    await judgeQueue.deregisterWorker(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Worker deregistered'
+    });
+  } catch (error) {
+    console.error('Deregister judge worker error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deregistering worker'
+    });
+  }
+});
+
+// Claim the next job the worker can run
+router.post('/jobs/claim', [workerIdBody], handleValidation, async (req, res) => {
+  try {
+    const worker = await JudgeWorker.findOne({ _id: req.body.workerId, status: 'online' });
+
+    if (!worker) {
+      return unknownWorker(res);
+    }
+
+    const claimed = await judgeQueue.claimForWorker(worker);
+
+    res.json({
+      success: true,
+      data: claimed
+        ? { jobId: claimed.job._id, kind: claimed.job.kind, attempt: claimed.job.attempts, task: claimed.task }
+        : null
+    });
+  } catch (error) {
+    console.error('Claim judge job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while claiming job'
+    });
+  }
+});
+
+// Report judging progress (status changes and per-test results) so that it
+// can be pushed to the submission's subscribers
+router.post('/jobs/:id/progress', [
+  jobIdParam,
+  workerIdBody,
+  body('progress')
+    .isObject()
+    .withMessage('Progress is required')
+], handleValidation, async (req, res) => {
+  try {
+    const recorded = await judgeQueue.reportProgress(req.params.id, req.body.workerId, req.body.progress);
+
+    if (!recorded) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is no longer assigned to this worker'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Report judge progress error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording progress'
+    });
+  }
+});
+
+// Report the result of a judged job
+router.post('/jobs/:id/result', [
+  jobIdParam,
+  workerIdBody,
+  body('result')
+    .isObject()
+    .withMessage('Result is required'),
+  body('result.status')
+    .isString()
+    .withMessage('Result status is required')
+], handleValidation, async (req, res) => {
+  try {
+    const recorded = await judgeQueue.reportResult(req.params.id, req.body.workerId, req.body.result);
+
+    if (!recorded) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is no longer assigned to this worker'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Report judge result error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording result'
+    });
+  }
+});
+
+// Report a job the worker could not judge (sandbox, checker or interactor
+// failure); it is retried or marked as a judge error
+router.post('/jobs/:id/failure', [
+  jobIdParam,
+  workerIdBody,
+  body('error')
+    .isString()
+    .withMessage('Error message is required')
+], handleValidation, async (req, res) => {
+  try {
+    const recorded = await judgeQueue.reportFailure(req.params.id, req.body.workerId, req.body.error);
+
+    if (!recorded) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is no longer assigned to this worker'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Report judge failure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording failure'
+    });
+  }
+});
+
+// Download a file from the test data store, for judging problems with
+// large test cases
+router.get('/test-data/:key', [testDataKeyParam], handleValidation, async (req, res) => {
+  try {
+    const content = await testDataStore.get(req.params.key);
+    res.type('application/octet-stream').send(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({
+        success: false,
+        message: 'Test data not found'
+      });
+    }
+    console.error('Get test data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching test data'
+    });
+  }
+});
+
+// Store a large test file generated by a worker; the key must be the
+// SHA-256 hash of the content
+router.put('/test-data/:key', express.raw({ type: 'application/octet-stream', limit: UPLOAD_LIMIT }), [
+  testDataKeyParam
+], handleValidation, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || hashContent(req.body) !== req.params.key) {
+      return res.status(400).json({
+        success: false,
+        message: 'Test data does not match its key'
+      });
+    }
+
+    await testDataStore.put(req.params.key, req.body);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Store test data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while storing test data'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const { listLanguages, describeLanguage } = require('../config/languages');
+
+const router = express.Router();
+
+// Get the languages code can be submitted in
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      languages: listLanguages().map(describeLanguage)
+    }
+  });
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
-const { query } = require('express-validator');
+const { query, validationResult } = require('express-validator');
 const { User, Submission } = require('../models');
 const { optionalAuth } = require('../middleware/auth');
+const { topicWithSubtopics } = require('../services/topics');
 
 const router = express.Router();
 
@@ -19,15 +20,14 @@ router.get('/', optionalAuth, [
     .optional()
     .isIn(['all-time', 'monthly', 'weekly', 'daily'])
     .withMessage('Invalid timeframe'),
+  query('topic')
+    .optional()
+    .isString()
+    .withMessage('Topic must be a topic slug'),
   query('category')
     .optional()
-    .isIn([
-      'arrays', 'strings', 'sorting', 'searching', 'graph', 'tree',
-      'dynamic-programming', 'greedy', 'backtracking', 'math', 'geometry',
-      'bit-manipulation', 'recursion', 'linked-list', 'stack', 'queue',
-      'hash-table', 'heap', 'trie', 'binary-search'
-    ])
-    .withMessage('Invalid category')
+    .isString()
+    .withMessage('Category must be a topic slug')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -44,7 +44,15 @@ router.get('/', optionalAuth, [
     const limit = parseInt(req.query.limit) || 50;
     const skip = (page - 1) * limit;
     const timeframe = req.query.timeframe || 'all-time';
-    const category = req.query.category;
+    // category is the name the filter had before topics
+    const category = req.query.topic || req.query.category;
+    const topics = category && await topicWithSubtopics(category);
+    if (category && !topics) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown topic: ${category}`
+      });
+    }
 
     // Calculate date range based on timeframe
     let dateFilter = {};
@@ -134,7 +142,7 @@ router.get('/', optionalAuth, [
       });
     }
 
-    // Add category filter if specified
+    // Count only problems with the topic or one of its subtopics
     if (category) {
       pipeline.unshift({
         $lookup: {
@@ -162,7 +170,7 @@ router.get('/', optionalAuth, [
             { $unwind: '$problem' },
             {
               $match: {
-                'problem.category': category
+                'problem.topics': { $in: topics }
               }
             },
             {
@@ -0,0 +1,118 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { Notification } = require('../models');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get the user's notifications, newest first, with the unread count
+router.get('/', authenticate, [
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('Unread must be true or false'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.read = false;
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 20);
+
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, read: false });
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notifications'
+    });
+  }
+});
+
+// Mark all of the user's notifications as read
+router.put('/read', authenticate, async (req, res) => {
+  try {
+    await Notification.updateMany({ user: req.user._id, read: false }, { read: true });
+
+    res.json({
+      success: true,
+      message: 'Notifications marked as read'
+    });
+  } catch (error) {
+    console.error('Read notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notifications'
+    });
+  }
+});
+
+// Mark a notification as read
+router.put('/:id/read', authenticate, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid notification ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { read: true },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error('Read notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,249 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { Problem } = require('../models');
+const { authenticate, authorize } = require('../middleware/auth');
+const { receiveFile } = require('../middleware/upload');
+const { createTestDataStore } = require('../services/testData');
+const { IMAGE_LIMIT, MAX_IMAGES, imageError, addImage } = require('../services/problemStatement');
+const { ensureRevision, recordRevision } = require('../services/problemRevisions');
+
+// Images of a problem's statement, mounted at /api/problems/:id/images.
+// Statements refer to them by name, e.g. ![graph](graph.png). Images are
+// served without authentication so that browsers can load them from img
+// tags; authors and admins upload and delete them.
+const router = express.Router({ mergeParams: true });
+
+const testDataStore = createTestDataStore();
+const putTestData = (key, content) => testDataStore.put(key, content);
+
+const problemIdParam = param('id')
+  .isMongoId()
+  .withMessage('Invalid problem ID');
+
+const imageNameParam = param('name')
+  .isString()
+  .withMessage('Invalid image name');
+
+// The problem, if the user may edit it; otherwise answers the request and
+// resolves to null
+async function findEditableProblem(req, res) {
+  const problem = await Problem.findById(req.params.id);
+
+  if (!problem) {
+    res.status(404).json({
+      success: false,
+      message: 'Problem not found'
+    });
+    return null;
+  }
+
+  if (problem.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied to edit this problem'
+    });
+    return null;
+  }
+
+  return problem;
+}
+
+// List a problem's images
+router.get('/', authenticate, authorize('instructor', 'admin'), [problemIdParam], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const problem = await findEditableProblem(req, res);
+    if (!problem) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: problem.images
+    });
+  } catch (error) {
+    console.error('Get images error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching images'
+    });
+  }
+});
+
+// Upload an image (multipart field "image"), named by the name field or
+// the uploaded file's name. An image of the same name is replaced.
+router.post('/', authenticate, authorize('instructor', 'admin'), receiveFile('image', IMAGE_LIMIT), [
+  problemIdParam,
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'An image is required'
+      });
+    }
+
+    const problem = await findEditableProblem(req, res);
+    if (!problem) {
+      return;
+    }
+
+    const name = req.body.name || req.file.originalname;
+    const error = imageError(name, req.file.buffer);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (!problem.images.some(image => image.name === name) && problem.images.length >= MAX_IMAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `A problem cannot have more than ${MAX_IMAGES} images`
+      });
+    }
+
+    await ensureRevision(problem);
+    const image = await addImage(problem, name, req.file.buffer, putTestData);
+
+    problem.updatedAt = new Date();
+    await problem.save();
+    await recordRevision(problem, req.user, `Uploaded image ${name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Image uploaded successfully',
+      data: {
+        ...image,
+        markdown: `![${name}](${name})`,
+        revision: problem.revision
+      }
+    });
+  } catch (error) {
+    console.error('Upload image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading image'
+    });
+  }
+});
+
+// An image's content. Its key is its ETag, so a replaced image is fetched
+// again once the browser's copy is stale.
+router.get('/:name', [problemIdParam, imageNameParam], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const problem = await Problem.findById(req.params.id).select('images');
+    const image = problem && problem.images.find(candidate => candidate.name === req.params.name);
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': image.contentType,
+      'Cache-Control': 'public, max-age=300',
+      ETag: `"${image.key}"`,
+      // The client is served from another origin during development
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.send(await testDataStore.get(image.key));
+  } catch (error) {
+    console.error('Get image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching image'
+    });
+  }
+});
+
+// Remove an image from the problem. Its content stays in the store for
+// earlier revisions.
+router.delete('/:name', authenticate, authorize('instructor', 'admin'), [problemIdParam, imageNameParam], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const problem = await findEditableProblem(req, res);
+    if (!problem) {
+      return;
+    }
+
+    const index = problem.images.findIndex(image => image.name === req.params.name);
+    if (index === -1) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    await ensureRevision(problem);
+    problem.images.splice(index, 1);
+
+    problem.updatedAt = new Date();
+    await problem.save();
+    await recordRevision(problem, req.user, `Deleted image ${req.params.name}`);
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully',
+      data: {
+        revision: problem.revision
+      }
+    });
+  } catch (error) {
+    console.error('Delete image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting image'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,284 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Problem, ProblemRevision } = require('../models');
+const { authenticate } = require('../middleware/auth');
+const { isReviewer, resubmitOnEdit } = require('../services/problemReview');
+const { functionProblemError } = require('../services/functionTemplates');
+const { subtaskError } = require('../services/subtasks');
+const { sampleError } = require('../services/problemStatement');
+const { topicError } = require('../services/topics');
+const { REVISION_FIELDS, ensureRevision, recordRevision, diffSnapshots } = require('../services/problemRevisions');
+const { inputErrorMessage, validateInputs } = require('../services/inputValidation');
+const { requestValidation, startValidation } = require('../services/problemValidation');
+
+// Revision history of a problem, mounted at /api/problems/:id/revisions.
+// Authors, admins and reviewers can read it; authors and admins can roll
+// back to a revision.
+const router = express.Router({ mergeParams: true });
+
+const problemIdParam = param('id')
+  .isMongoId()
+  .withMessage('Invalid problem ID');
+
+const revisionParam = param('number')
+  .isInt({ min: 1 })
+  .withMessage('Revision must be a positive integer');
+
+// The problem, if the user may see (or with edit, change) its history;
+// otherwise answers the request and resolves to null
+async function findProblem(req, res, { edit = false } = {}) {
+  const problem = await Problem.findById(req.params.id);
+
+  if (!problem) {
+    res.status(404).json({
+      success: false,
+      message: 'Problem not found'
+    });
+    return null;
+  }
+
+  const isAuthor = problem.author.toString() === req.user._id.toString();
+  if (!isAuthor && req.user.role !== 'admin' && (edit || !isReviewer(req.user))) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied to this problem\'s revisions'
+    });
+    return null;
+  }
+
+  // Problems saved before revisions were kept start with their current state
+  await ensureRevision(problem);
+  return problem;
+}
+
+const findRevision = (problem, number) => ProblemRevision.findOne({ problem: problem._id, number })
+  .populate('author', 'username firstName lastName');
+
+// List a problem's revisions, newest first
+router.get('/', authenticate, [problemIdParam], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const problem = await findProblem(req, res);
+    if (!problem) {
+      return;
+    }
+
+    const revisions = await ProblemRevision.find({ problem: problem._id })
+      .sort({ number: -1 })
+      .select('-snapshot')
+      .populate('author', 'username firstName lastName');
+
+    res.json({
+      success: true,
+      data: {
+        current: problem.revision,
+        revisions
+      }
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revisions'
+    });
+  }
+});
+
+// Changes between two revisions; to defaults to the current one
+router.get('/diff', authenticate, [
+  problemIdParam,
+  query('from')
+    .isInt({ min: 1 })
+    .withMessage('From must be a revision number'),
+  query('to')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('To must be a revision number')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const problem = await findProblem(req, res);
+    if (!problem) {
+      return;
+    }
+
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to) || problem.revision;
+    const [before, after] = await Promise.all([findRevision(problem, from), findRevision(problem, to)]);
+
+    if (!before || !after) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision ${before ? to : from} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: before.number,
+        to: after.number,
+        changes: diffSnapshots(before.snapshot, after.snapshot)
+      }
+    });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while comparing revisions'
+    });
+  }
+});
+
+// A revision with its snapshot of the problem
+router.get('/:number', authenticate, [problemIdParam, revisionParam], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const problem = await findProblem(req, res);
+    if (!problem) {
+      return;
+    }
+
+    const revision = await findRevision(problem, parseInt(req.params.number));
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revision'
+    });
+  }
+});
+
+// Restore a revision's statement and judging data. The problem goes
+// through the same checks as any other change, and the result is recorded
+// as a new revision.
+router.post('/:number/rollback', authenticate, [
+  problemIdParam,
+  revisionParam,
+  body('message')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const problem = await findProblem(req, res, { edit: true });
+    if (!problem) {
+      return;
+    }
+
+    const number = parseInt(req.params.number);
+    const revision = await findRevision(problem, number);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    if (number === problem.revision) {
+      return res.status(400).json({
+        success: false,
+        message: `Revision ${number} is already the current revision`
+      });
+    }
+
+    REVISION_FIELDS
+      .filter(field => revision.snapshot[field] !== undefined)
+      .forEach(field => {
+        problem[field] = revision.snapshot[field];
+      });
+
+    const problemError = functionProblemError(problem) || subtaskError(problem) || sampleError(problem) ||
+      await topicError(problem);
+    if (problemError) {
+      return res.status(400).json({
+        success: false,
+        message: problemError
+      });
+    }
+
+    const inputValidation = await validateInputs(problem);
+    if (inputValidation && !inputValidation.passed) {
+      return res.status(400).json({
+        success: false,
+        message: inputErrorMessage(inputValidation),
+        inputErrors: inputValidation.errors
+      });
+    }
+
+    requestValidation(problem, req.user);
+    resubmitOnEdit(problem, req.user);
+
+    problem.updatedAt = new Date();
+    await problem.save();
+
+    const rollback = await recordRevision(problem, req.user, req.body.message || `Rolled back to revision ${number}`);
+    startValidation(problem);
+
+    res.json({
+      success: true,
+      message: `Rolled back to revision ${number}`,
+      data: {
+        revision: rollback.number,
+        validation: problem.validation
+      }
+    });
+  } catch (error) {
+    console.error('Rollback problem error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rolling back problem'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,152 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { Problem, Submission, User } = require('../models');
 const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const { CHECKER_TYPES } = require('../services/checkers');
+const { LANGUAGE_IDS } = require('../config/languages');
+const { PARAMETER_TYPES, functionProblemError } = require('../services/functionTemplates');
+const { SUBTASK_SCORING, subtaskError } = require('../services/subtasks');
+const { rejudge, submittedBetween } = require('../services/rejudge');
+const { KEY_PATTERN } = require('../services/testData');
+const { changesJudging } = require('../services/referenceSolutions');
+const { changesInputs, inputErrorMessage, validateInputs } = require('../services/inputValidation');
+const { requestValidation, startValidation } = require('../services/problemValidation');
+const { createTestDataStore } = require('../services/testData');
+const { PACKAGE_FORMATS, PackageError, importPackage, exportPackage } = require('../services/problemPackages');
+const { receiveFile } = require('../middleware/upload');
+const { isReviewer, approveOnCreate, resubmitOnEdit } = require('../services/problemReview');
+const { changesRevision, ensureRevision, recordRevision } = require('../services/problemRevisions');
+const { sampleError } = require('../services/problemStatement');
+const { MAX_PROBLEM_TOPICS, knownTopics, topicError, topicTree, topicWithSubtopics } = require('../services/topics');
 
 const router = express.Router();
 
+const testDataStore = createTestDataStore();
+const putTestData = (key, content) => testDataStore.put(key, content);
+const getTestData = (key) => testDataStore.get(key);
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const hasFunctionSignature = body('functionSignature').exists({ checkNull: true });
+
+// Validation of a function problem's signature and templates
+const functionSignatureRules = [
+  body('functionSignature')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Function signature must be an object'),
+  body('functionSignature.name')
+    .if(hasFunctionSignature)
+    .matches(IDENTIFIER)
+    .withMessage('Function name must be a valid identifier'),
+  body('functionSignature.parameters')
+    .if(hasFunctionSignature)
+    .isArray({ max: 10 })
+    .withMessage('Parameters must be an array of at most 10 parameters'),
+  body('functionSignature.parameters.*.name')
+    .matches(IDENTIFIER)
+    .withMessage('Parameter names must be valid identifiers'),
+  body('functionSignature.parameters.*.type')
+    .isIn(PARAMETER_TYPES)
+    .withMessage(`Parameter type must be one of: ${PARAMETER_TYPES.join(', ')}`),
+  body('functionSignature.returnType')
+    .if(hasFunctionSignature)
+    .isIn(PARAMETER_TYPES)
+    .withMessage(`Return type must be one of: ${PARAMETER_TYPES.join(', ')}`),
+  body('functionSignature.templates')
+    .optional()
+    .isArray()
+    .withMessage('Templates must be an array'),
+  body('functionSignature.templates.*.language')
+    .isIn(LANGUAGE_IDS)
+    .withMessage('Invalid template language')
+];
+
+// Validation of subtasks and the subtask of every test case
+const subtaskRules = [
+  body('subtasks')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Subtasks must be an array of at most 50 subtasks'),
+  body('subtasks.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Subtask name is required'),
+  body('subtasks.*.points')
+    .isFloat({ min: 0 })
+    .withMessage('Subtask points must be a non-negative number'),
+  body('subtasks.*.scoring')
+    .optional()
+    .isIn(SUBTASK_SCORING)
+    .withMessage(`Subtask scoring must be one of: ${SUBTASK_SCORING.join(', ')}`),
+  body('subtasks.*.dependencies')
+    .optional()
+    .isArray()
+    .withMessage('Subtask dependencies must be an array of subtask names'),
+  body('testCases.*.subtask')
+    .optional()
+    .isString()
+    .withMessage('Test case subtask must be a subtask name')
+];
+
+// Validation of an optional input validator program
+const validatorRules = [
+  body('validator.language')
+    .if(body('validator').exists({ checkNull: true }))
+    .isIn(LANGUAGE_IDS)
+    .withMessage('Unsupported validator language'),
+  body('validator.source')
+    .if(body('validator').exists({ checkNull: true }))
+    .notEmpty()
+    .withMessage('Validator source is required'),
+  body('validator.validExitCode')
+    .optional()
+    .isInt({ min: 0, max: 255 })
+    .withMessage('Validator exit code must be between 0 and 255')
+];
+
+// Validation of references to test data kept in the test data store
+const testFileRules = [
+  body('testCases.*.inputFile')
+    .optional({ nullable: true })
+    .matches(KEY_PATTERN)
+    .withMessage('Invalid test input file'),
+  body('testCases.*.outputFile')
+    .optional({ nullable: true })
+    .matches(KEY_PATTERN)
+    .withMessage('Invalid test output file')
+];
+
+// Validation of a problem's topics; whether they exist is checked with
+// topicError
+const topicRules = [
+  body('category')
+    .optional()
+    .isString()
+    .withMessage('Category must be a topic slug'),
+  body('topics')
+    .optional()
+    .isArray({ min: 1, max: MAX_PROBLEM_TOPICS })
+    .withMessage(`A problem must have between 1 and ${MAX_PROBLEM_TOPICS} topics`),
+  body('topics.*')
+    .isString()
+    .withMessage('Topics must be topic slugs')
+];
+
+// Validation of the samples shown with the statement
+const sampleRules = [
+  body('sampleInput')
+    .optional()
+    .isString()
+    .withMessage('Sample input must be text'),
+  body('sampleOutput')
+    .optional()
+    .isString()
+    .withMessage('Sample output must be text'),
+  body('testCases.*.isSample')
+    .optional()
+    .isBoolean()
+    .withMessage('isSample must be true or false')
+];
+
 // Get all problems with filtering and pagination
 router.get('/', optionalAuth, [
   query('page')
@@ -19,10 +162,14 @@ router.get('/', optionalAuth, [
     .optional()
     .isIn(['easy', 'medium', 'hard'])
     .withMessage('Difficulty must be easy, medium, or hard'),
+  query('topic')
+    .optional()
+    .isString()
+    .withMessage('Topic must be a topic slug'),
   query('category')
     .optional()
-    .isAlpha()
-    .withMessage('Category must contain only letters'),
+    .isString()
+    .withMessage('Category must be a topic slug'),
   query('search')
     .optional()
     .isLength({ min: 1, max: 100 })
@@ -54,8 +201,18 @@ router.get('/', optionalAuth, [
       filter.difficulty = req.query.difficulty;
     }
     
-    if (req.query.category) {
-      filter.category = req.query.category;
+    // Problems with the topic or one of its subtopics; category is the
+    // name the filter had before topics
+    const topic = req.query.topic || req.query.category;
+    if (topic) {
+      const topics = await topicWithSubtopics(topic);
+      if (!topics) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown topic: ${topic}`
+        });
+      }
+      filter.topics = { $in: topics };
     }
     
     if (req.query.classroom) {
@@ -73,7 +230,7 @@ router.get('/', optionalAuth, [
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
-      .select('-testCases -solution');
+      .select('-testCases -solution -checker.source -interactor -validator');
 
     // Get total count for pagination
     const total = await Problem.countDocuments(filter);
@@ -136,11 +293,12 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
-    // Check if user has access to this problem
+    // Check if user has access to this problem; reviewers see the problems
+    // they review
     if (!problem.isPublic || !problem.isApproved) {
       if (!req.user || (
         problem.author._id.toString() !== req.user._id.toString() &&
-        req.user.role !== 'admin' &&
+        !isReviewer(req.user) &&
         !problem.classroom
       )) {
         return res.status(403).json({
@@ -176,9 +334,21 @@ router.get('/:id', optionalAuth, async (req, res) => {
       })
       .sort({ submittedAt: -1 })
       .limit(5)
-      .select('status result.score result.maxScore submittedAt language');
+      .select('status result.score result.maxScore submittedAt language problemRevision');
       
       problemDetails.userSubmissions = userSubmissions;
+
+      // The author sees how the checks and reference solutions did
+      const isAuthor = problem.author._id.toString() === req.user._id.toString();
+      if (isAuthor || req.user.role === 'admin') {
+        problemDetails.canEdit = true;
+        problemDetails.validation = problem.validation;
+        problemDetails.referenceValidation = problem.referenceValidation;
+      }
+
+      if (isAuthor || isReviewer(req.user)) {
+        problemDetails.reviewStatus = problem.reviewStatus;
+      }
     }
 
     res.json({
@@ -206,14 +376,9 @@ router.post('/', authenticate, authorize('instructor', 'admin'), [
   body('difficulty')
     .isIn(['easy', 'medium', 'hard'])
     .withMessage('Difficulty must be easy, medium, or hard'),
-  body('category')
-    .isIn([
-      'arrays', 'strings', 'sorting', 'searching', 'graph', 'tree',
-      'dynamic-programming', 'greedy', 'backtracking', 'math', 'geometry',
-      'bit-manipulation', 'recursion', 'linked-list', 'stack', 'queue',
-      'hash-table', 'heap', 'trie', 'binary-search'
-    ])
-    .withMessage('Invalid category'),
+  body()
+    .custom(problem => !!(problem.category || (problem.topics && problem.topics.length > 0)))
+    .withMessage('A category or topics are required'),
   body('timeLimit')
     .isInt({ min: 0.1, max: 10 })
     .withMessage('Time limit must be between 0.1 and 10 seconds'),
@@ -229,24 +394,67 @@ router.post('/', authenticate, authorize('instructor', 'admin'), [
   body('constraints')
     .notEmpty()
     .withMessage('Constraints are required'),
-  body('sampleInput')
-    .notEmpty()
-    .withMessage('Sample input is required'),
-  body('sampleOutput')
-    .notEmpty()
-    .withMessage('Sample output is required'),
   body('testCases')
     .isArray({ min: 1 })
     .withMessage('At least one test case is required'),
-  body('testCases.*.input')
-    .notEmpty()
+  body('testCases.*')
+    .custom(testCase => !!(testCase.input || testCase.inputFile))
     .withMessage('Test case input is required'),
-  body('testCases.*.output')
-    .notEmpty()
+  body('testCases.*')
+    .custom(testCase => !!(testCase.output || testCase.outputFile))
     .withMessage('Test case output is required'),
   body('points')
     .isInt({ min: 1, max: 1000 })
-    .withMessage('Points must be between 1 and 1000')
+    .withMessage('Points must be between 1 and 1000'),
+  body('allowedLanguages')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one language must be allowed'),
+  body('allowedLanguages.*')
+    .isIn(LANGUAGE_IDS)
+    .withMessage('Invalid programming language'),
+  body('checker.type')
+    .optional()
+    .isIn(CHECKER_TYPES)
+    .withMessage(`Checker must be one of: ${CHECKER_TYPES.join(', ')}`),
+  body('checker.absoluteError')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Absolute error must be a non-negative number'),
+  body('checker.relativeError')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Relative error must be a non-negative number'),
+  body('checker.language')
+    .if(body('checker.type').equals('custom'))
+    .isIn(LANGUAGE_IDS)
+    .withMessage('Unsupported custom checker language'),
+  body('checker.source')
+    .if(body('checker.type').equals('custom'))
+    .notEmpty()
+    .withMessage('Custom checker source is required'),
+  body('type')
+    .optional()
+    .isIn(['batch', 'interactive'])
+    .withMessage('Type must be batch or interactive'),
+  body('testPolicy')
+    .optional()
+    .isIn(['run-all', 'stop-at-first-failure'])
+    .withMessage('Test policy must be run-all or stop-at-first-failure'),
+  body('interactor.language')
+    .if(body('type').equals('interactive'))
+    .isIn(LANGUAGE_IDS)
+    .withMessage('Unsupported interactor language'),
+  body('interactor.source')
+    .if(body('type').equals('interactive'))
+    .notEmpty()
+    .withMessage('Interactive problems require an interactor'),
+  ...functionSignatureRules,
+  ...subtaskRules,
+  ...testFileRules,
+  ...sampleRules,
+  ...topicRules,
+  ...validatorRules
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -259,23 +467,51 @@ router.post('/', authenticate, authorize('instructor', 'admin'), [
       });
     }
 
+    // New problems start as drafts to be submitted for review
     const problemData = {
       ...req.body,
-      author: req.user._id
+      author: req.user._id,
+      reviewStatus: 'draft',
+      reviewLog: []
     };
 
-    // Auto-approve problems created by admins
-    if (req.user.role === 'admin') {
-      problemData.isApproved = true;
+    const problem = new Problem(problemData);
+    approveOnCreate(problem, req.user);
+
+    const problemError = functionProblemError(problem) || subtaskError(problem) || sampleError(problem) ||
+      await topicError(problem);
+    if (problemError) {
+      return res.status(400).json({
+        success: false,
+        message: problemError
+      });
     }
 
-    const problem = new Problem(problemData);
+    // Test inputs must satisfy the problem's validator
+    const inputValidation = await validateInputs(problem);
+    if (inputValidation && !inputValidation.passed) {
+      return res.status(400).json({
+        success: false,
+        message: inputErrorMessage(inputValidation),
+        inputErrors: inputValidation.errors
+      });
+    }
+
+    // Reference solutions are judged in the background
+    requestValidation(problem, req.user);
+
     await problem.save();
+    await recordRevision(problem, req.user, 'Created');
+    startValidation(problem);
 
     res.status(201).json({
       success: true,
       message: 'Problem created successfully',
-      data: problem.getSummary()
+      data: {
+        ...problem.getSummary(),
+        reviewStatus: problem.reviewStatus,
+        validation: problem.validation
+      }
     });
   } catch (error) {
     console.error('Create problem error:', error);
@@ -286,6 +522,187 @@ router.post('/', authenticate, authorize('instructor', 'admin'), [
   }
 });
 
+// Import a problem from a Kattis, Polygon or native package. The package's
+// format is detected from its files unless given; category and difficulty
+// fill in what the package does not say, and the category becomes the
+// problem's first topic. Topics of a native package that this platform
+// does not have are left out.
+router.post('/import', authenticate, authorize('instructor', 'admin'), receiveFile('package'), [
+  body('format')
+    .optional()
+    .isIn(PACKAGE_FORMATS)
+    .withMessage(`Format must be one of: ${PACKAGE_FORMATS.join(', ')}`),
+  body('category')
+    .optional()
+    .isString()
+    .withMessage('Category must be a topic slug'),
+  body('difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Difficulty must be easy, medium, or hard')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A package zip archive is required'
+      });
+    }
+
+    const { format, problem: imported, warnings } = await importPackage(req.file.buffer, {
+      format: req.body.format,
+      put: putTestData
+    });
+
+    const topics = await knownTopics(imported.topics || []);
+    const missingTopics = (imported.topics || []).filter(topic => !topics.includes(topic));
+    if (missingTopics.length > 0) {
+      warnings.push(`Topics not found on this platform were left out: ${missingTopics.join(', ')}`);
+    }
+
+    const category = req.body.category || topics[0] || imported.category;
+    const problemData = {
+      difficulty: 'medium',
+      ...imported,
+      topics: category ? [category, ...topics.filter(topic => topic !== category)] : topics,
+      category,
+      ...(req.body.difficulty && { difficulty: req.body.difficulty }),
+      author: req.user._id,
+      reviewStatus: 'draft',
+      reviewLog: []
+    };
+
+    if (!problemData.category) {
+      return res.status(400).json({
+        success: false,
+        message: 'The package has no category; choose one to import it'
+      });
+    }
+
+    const problem = new Problem(problemData);
+    approveOnCreate(problem, req.user);
+
+    try {
+      await problem.validate();
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: 'The package does not make a valid problem',
+        errors: Object.values(validationError.errors || {}).map(error => ({ path: error.path, msg: error.message }))
+      });
+    }
+
+    const problemError = functionProblemError(problem) || subtaskError(problem) || sampleError(problem) ||
+      await topicError(problem);
+    if (problemError) {
+      return res.status(400).json({
+        success: false,
+        message: problemError
+      });
+    }
+
+    const inputValidation = await validateInputs(problem);
+    if (inputValidation && !inputValidation.passed) {
+      return res.status(400).json({
+        success: false,
+        message: inputErrorMessage(inputValidation),
+        inputErrors: inputValidation.errors
+      });
+    }
+
+    requestValidation(problem, req.user);
+
+    await problem.save();
+    await recordRevision(problem, req.user, `Imported from a ${format} package`);
+    startValidation(problem);
+
+    res.status(201).json({
+      success: true,
+      message: 'Problem imported successfully',
+      data: {
+        ...problem.getSummary(),
+        reviewStatus: problem.reviewStatus,
+        validation: problem.validation,
+        warnings
+      }
+    });
+  } catch (error) {
+    if (error instanceof PackageError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Import problem error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing problem'
+    });
+  }
+});
+
+// Export a problem with its test data as a package. What the format cannot
+// carry is listed in the X-Package-Warnings header as a JSON array.
+router.get('/:id/export', authenticate, authorize('instructor', 'admin'), [
+  query('format')
+    .optional()
+    .isIn(PACKAGE_FORMATS)
+    .withMessage(`Format must be one of: ${PACKAGE_FORMATS.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    if (problem.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to export this problem'
+      });
+    }
+
+    const format = req.query.format || 'native';
+    const { buffer, warnings } = await exportPackage(problem, format, getTestData);
+    const name = problem.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'problem';
+
+    res.set('X-Package-Warnings', JSON.stringify(warnings));
+    res.attachment(`${name}-${format}.zip`);
+    res.type('application/zip');
+    res.send(buffer);
+  } catch (error) {
+    console.error('Export problem error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting problem'
+    });
+  }
+});
+
 // Update a problem
 router.put('/:id', authenticate, authorize('instructor', 'admin'), [
   body('title')
@@ -301,15 +718,60 @@ router.put('/:id', authenticate, authorize('instructor', 'admin'), [
     .optional()
     .isIn(['easy', 'medium', 'hard'])
     .withMessage('Difficulty must be easy, medium, or hard'),
-  body('category')
+  body('allowedLanguages')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one language must be allowed'),
+  body('allowedLanguages.*')
+    .isIn(LANGUAGE_IDS)
+    .withMessage('Invalid programming language'),
+  body('checker.type')
+    .optional()
+    .isIn(CHECKER_TYPES)
+    .withMessage(`Checker must be one of: ${CHECKER_TYPES.join(', ')}`),
+  body('checker.absoluteError')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Absolute error must be a non-negative number'),
+  body('checker.relativeError')
     .optional()
-    .isIn([
-      'arrays', 'strings', 'sorting', 'searching', 'graph', 'tree',
-      'dynamic-programming', 'greedy', 'backtracking', 'math', 'geometry',
-      'bit-manipulation', 'recursion', 'linked-list', 'stack', 'queue',
-      'hash-table', 'heap', 'trie', 'binary-search'
-    ])
-    .withMessage('Invalid category')
+    .isFloat({ min: 0 })
+    .withMessage('Relative error must be a non-negative number'),
+  body('checker.language')
+    .if(body('checker.type').equals('custom'))
+    .isIn(LANGUAGE_IDS)
+    .withMessage('Unsupported custom checker language'),
+  body('checker.source')
+    .if(body('checker.type').equals('custom'))
+    .notEmpty()
+    .withMessage('Custom checker source is required'),
+  body('type')
+    .optional()
+    .isIn(['batch', 'interactive'])
+    .withMessage('Type must be batch or interactive'),
+  body('testPolicy')
+    .optional()
+    .isIn(['run-all', 'stop-at-first-failure'])
+    .withMessage('Test policy must be run-all or stop-at-first-failure'),
+  body('interactor.language')
+    .if(body('type').equals('interactive'))
+    .isIn(LANGUAGE_IDS)
+    .withMessage('Unsupported interactor language'),
+  body('interactor.source')
+    .if(body('type').equals('interactive'))
+    .notEmpty()
+    .withMessage('Interactive problems require an interactor'),
+  ...functionSignatureRules,
+  ...subtaskRules,
+  ...testFileRules,
+  ...sampleRules,
+  ...topicRules,
+  ...validatorRules,
+  body('revisionMessage')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Revision message cannot exceed 500 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -341,25 +803,74 @@ router.put('/:id', authenticate, authorize('instructor', 'admin'), [
 
     // Update allowed fields
     const allowedFields = [
-      'title', 'description', 'difficulty', 'category', 'subcategory', 'tags',
+      'title', 'description', 'difficulty', 'category', 'topics', 'subcategory', 'tags',
       'timeLimit', 'memoryLimit', 'inputFormat', 'outputFormat', 'constraints',
       'sampleInput', 'sampleOutput', 'explanation', 'hints', 'testCases',
-      'solution', 'points', 'maxAttempts', 'allowedLanguages', 'isPublic'
+      'solution', 'points', 'maxAttempts', 'allowedLanguages', 'isPublic',
+      'checker', 'type', 'interactor', 'interactionFormat', 'functionSignature',
+      'testPolicy', 'subtasks', 'validator'
     ];
 
-    allowedFields.forEach(field => {
-      if (req.body[field] !== undefined) {
-        problem[field] = req.body[field];
-      }
+    const updatedFields = allowedFields.filter(field => req.body[field] !== undefined);
+
+    // Keep the state before the first change of a problem from before
+    // revisions were recorded
+    if (changesRevision(updatedFields)) {
+      await ensureRevision(problem);
+    }
+
+    updatedFields.forEach(field => {
+      problem[field] = req.body[field];
     });
 
+    const problemError = functionProblemError(problem) || subtaskError(problem) || sampleError(problem) ||
+      await topicError(problem);
+    if (problemError) {
+      return res.status(400).json({
+        success: false,
+        message: problemError
+      });
+    }
+
+    // New test inputs, or a new validator, must pass validation
+    if (changesInputs(updatedFields)) {
+      const inputValidation = await validateInputs(problem);
+      if (inputValidation && !inputValidation.passed) {
+        return res.status(400).json({
+          success: false,
+          message: inputErrorMessage(inputValidation),
+          inputErrors: inputValidation.errors
+        });
+      }
+    }
+
+    // Changes to how the problem is judged are checked against the
+    // reference solutions in the background
+    if (changesJudging(updatedFields)) {
+      requestValidation(problem, req.user);
+    }
+
+    if (changesRevision(updatedFields)) {
+      resubmitOnEdit(problem, req.user);
+    }
+
     problem.updatedAt = new Date();
     await problem.save();
 
+    if (changesRevision(updatedFields)) {
+      await recordRevision(problem, req.user, req.body.revisionMessage);
+    }
+    startValidation(problem);
+
     res.json({
       success: true,
       message: 'Problem updated successfully',
-      data: problem.getSummary()
+      data: {
+        ...problem.getSummary(),
+        revision: problem.revision,
+        validation: problem.validation,
+        referenceValidation: problem.referenceValidation
+      }
     });
   } catch (error) {
     console.error('Update problem error:', error);
@@ -415,6 +926,70 @@ router.delete('/:id', authenticate, authorize('instructor', 'admin'), async (req
   }
 });
 
+// Rejudge a problem's submissions, e.g. after fixing its test cases,
+// optionally only those made between from and to
+router.post('/:id/rejudge', authenticate, authorize('instructor', 'admin'), [
+  body('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a date'),
+  body('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a date'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const problem = await Problem.findById(req.params.id).select('author');
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    // Check if user has permission to rejudge this problem
+    if (problem.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to rejudge this problem'
+      });
+    }
+
+    const { from, to, reason } = req.body;
+    const result = await rejudge(
+      { problem: problem._id, ...submittedBetween(from, to) },
+      { user: req.user, reason }
+    );
+
+    res.json({
+      success: true,
+      message: `Queued ${result.queued} submission(s) for rejudging`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Rejudge problem error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejudging problem'
+    });
+  }
+});
+
 // Bookmark/unbookmark a problem
 router.post('/:id/bookmark', authenticate, async (req, res) => {
   try {
@@ -460,31 +1035,13 @@ router.post('/:id/bookmark', authenticate, async (req, res) => {
   }
 });
 
-// Get problem categories
+// Get problem categories: every topic, subtopics after their topic (see
+// GET /api/topics for the tree with problem counts)
 router.get('/categories/list', async (req, res) => {
   try {
-    const categories = [
-      { value: 'arrays', label: 'Arrays' },
-      { value: 'strings', label: 'Strings' },
-      { value: 'sorting', label: 'Sorting' },
-      { value: 'searching', label: 'Searching' },
-      { value: 'graph', label: 'Graph' },
-      { value: 'tree', label: 'Tree' },
-      { value: 'dynamic-programming', label: 'Dynamic Programming' },
-      { value: 'greedy', label: 'Greedy' },
-      { value: 'backtracking', label: 'Backtracking' },
-      { value: 'math', label: 'Math' },
-      { value: 'geometry', label: 'Geometry' },
-      { value: 'bit-manipulation', label: 'Bit Manipulation' },
-      { value: 'recursion', label: 'Recursion' },
-      { value: 'linked-list', label: 'Linked List' },
-      { value: 'stack', label: 'Stack' },
-      { value: 'queue', label: 'Queue' },
-      { value: 'hash-table', label: 'Hash Table' },
-      { value: 'heap', label: 'Heap' },
-      { value: 'trie', label: 'Trie' },
-      { value: 'binary-search', label: 'Binary Search' }
-    ];
+    const tree = await topicTree();
+    const categories = tree.flatMap(topic => [topic, ...topic.subtopics])
+      .map(topic => ({ value: topic.slug, label: topic.name }));
 
     res.json({
       success: true,
@@ -0,0 +1,278 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Problem } = require('../models');
+const { authenticate, authorize } = require('../middleware/auth');
+const { REVIEW_STATUSES, REVIEW_ACTIONS, isReviewer, isAuthor, canTakeAction, availableActions, reviewError, recordReview } = require('../services/problemReview');
+const { notify } = require('../services/notifications');
+const { validationError } = require('../services/problemValidation');
+
+// Problem reviews: the review queue, each problem's review log, and the
+// actions that move a problem through review (see services/problemReview)
+const router = express.Router();
+
+// What the author is told after a reviewer's action, and what the
+// reviewers taking part are told after the author's
+const REVIEW_MESSAGES = {
+  approve: (title) => `"${title}" was approved and is now published`,
+  'request-changes': (title) => `Changes were requested to "${title}"`,
+  reject: (title) => `"${title}" was rejected`,
+  comment: (title) => `New review comment on "${title}"`,
+  submit: (title) => `"${title}" was resubmitted for review`
+};
+
+// Tell the other side of the review about an action
+async function notifyReview(problem, action, user) {
+  const message = REVIEW_MESSAGES[action];
+  if (!message) {
+    return;
+  }
+
+  let recipients;
+  if (isAuthor(problem, user)) {
+    // Reviewers who have taken part in this problem's review
+    recipients = problem.reviewLog
+      .map(entry => entry.user.toString())
+      .filter(userId => userId !== user._id.toString());
+  } else {
+    recipients = [problem.author.toString()];
+  }
+
+  await Promise.all([...new Set(recipients)].map(userId => notify(userId, {
+    type: 'problem-review',
+    message: message(problem.title),
+    link: `/problems/${problem._id}`,
+    problem: problem._id
+  })));
+}
+
+// Problems under review. Reviewers see the queue, oldest first (submitted
+// problems by default); with mine=true, authors see their own problems in
+// any status.
+router.get('/', authenticate, authorize('instructor', 'reviewer', 'admin'), [
+  query('status')
+    .optional()
+    .isIn(REVIEW_STATUSES)
+    .withMessage(`Status must be one of: ${REVIEW_STATUSES.join(', ')}`),
+  query('mine')
+    .optional()
+    .isBoolean()
+    .withMessage('Mine must be true or false'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const mine = req.query.mine === 'true';
+    if (!mine && !isReviewer(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only reviewers can see the review queue'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = mine
+      ? { author: req.user._id, ...(req.query.status && { reviewStatus: req.query.status }) }
+      : { reviewStatus: req.query.status || 'submitted' };
+
+    const problems = await Problem.find(filter)
+      .populate('author', 'username firstName lastName')
+      .sort(mine ? { updatedAt: -1 } : { updatedAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .select('title difficulty category author reviewStatus reviewLog createdAt updatedAt');
+
+    const total = await Problem.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        problems: problems.map(problem => ({
+          _id: problem._id,
+          title: problem.title,
+          difficulty: problem.difficulty,
+          category: problem.category,
+          author: problem.author,
+          reviewStatus: problem.reviewStatus,
+          lastReview: problem.reviewLog[problem.reviewLog.length - 1] || null,
+          createdAt: problem.createdAt,
+          updatedAt: problem.updatedAt
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+});
+
+// A problem's review status and log (author, reviewers and admins)
+router.get('/:id', authenticate, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid problem ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const problem = await Problem.findById(req.params.id)
+      .select('title author reviewStatus reviewLog')
+      .populate('reviewLog.user', 'username firstName lastName role');
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    if (!isAuthor(problem, req.user) && !isReviewer(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this review'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        reviewStatus: problem.reviewStatus,
+        reviewLog: problem.reviewLog,
+        actions: availableActions(problem, req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Get review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching review'
+    });
+  }
+});
+
+// Take a review action: submit or withdraw (author); approve, request
+// changes or reject (reviewer); comment (either)
+router.post('/:id', authenticate, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid problem ID'),
+  body('action')
+    .isIn(Object.keys(REVIEW_ACTIONS))
+    .withMessage(`Action must be one of: ${Object.keys(REVIEW_ACTIONS).join(', ')}`),
+  body('comment')
+    .optional()
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('Comment cannot exceed 5000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, comment = '' } = req.body;
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    if (!canTakeAction(problem, action, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: REVIEW_ACTIONS[action].by === 'author'
+          ? 'Only the author can do this'
+          : 'Only a reviewer other than the author can do this'
+      });
+    }
+
+    const error = reviewError(problem, action, comment) ||
+      (REVIEW_ACTIONS[action].checked && validationError(problem));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const entry = recordReview(problem, action, req.user, comment);
+    await problem.save();
+
+    try {
+      await notifyReview(problem, action, req.user);
+    } catch (notifyError) {
+      console.error('Review notification error:', notifyError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      data: {
+        reviewStatus: problem.reviewStatus,
+        entry: {
+          ...entry.toObject(),
+          user: {
+            _id: req.user._id,
+            username: req.user.username,
+            firstName: req.user.firstName,
+            lastName: req.user.lastName,
+            role: req.user.role
+          }
+        },
+        actions: availableActions(problem, req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Review problem error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing problem'
+    });
+  }
+});
+
+module.exports = router;
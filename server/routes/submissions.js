@@ -1,8 +1,13 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { Submission, Problem, User } = require('../models');
-const { authenticate } = require('../middleware/auth');
-const codeExecutor = require('../services/codeExecutor');
+const { Submission, Problem } = require('../models');
+const { authenticate, authorize } = require('../middleware/auth');
+const judgeQueue = require('../services/judgeQueue');
+const { rejudge, submittedBetween } = require('../services/rejudge');
+const { canViewHiddenTests, isClassroomStaff, hiddenTestCaseIds } = require('../services/testVisibility');
+const { buildSource } = require('../services/functionTemplates');
+const { LANGUAGE_IDS } = require('../config/languages');
+const { isReviewer } = require('../services/problemReview');
 
 const router = express.Router();
 
@@ -17,7 +22,7 @@ router.post('/', authenticate, [
     .isLength({ max: 100000 })
     .withMessage('Code cannot exceed 100,000 characters'),
   body('language')
-    .isIn(['cpp', 'python', 'java', 'javascript'])
+    .isIn(LANGUAGE_IDS)
     .withMessage('Invalid programming language')
 ], async (req, res) => {
   try {
@@ -44,9 +49,10 @@ router.post('/', authenticate, [
       });
     }
 
-    // Check if problem is public or user has access
+    // Check if problem is public or user has access; reviewers try out the
+    // problems they review
     if (!problem.isPublic || !problem.isApproved) {
-      if (problem.author.toString() !== userId.toString() && req.user.role !== 'admin') {
+      if (problem.author.toString() !== userId.toString() && !isReviewer(req.user)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied to this problem'
@@ -98,8 +104,8 @@ router.post('/', authenticate, [
 
     await submission.save();
 
-    // Start asynchronous execution
-    processSubmission(submission._id, problem, code, language);
+    // Queue the submission for the judge workers
+    await judgeQueue.enqueue(submission);
 
     res.status(201).json({
       success: true,
@@ -118,12 +124,267 @@ router.post('/', authenticate, [
   }
 });
 
+// Run code against one of the problem's samples (the first unless sample
+// gives another's index) or custom input without creating a graded
+// submission
+router.post('/run', authenticate, [
+  body('problem')
+    .isMongoId()
+    .withMessage('Invalid problem ID'),
+  body('code')
+    .notEmpty()
+    .withMessage('Code cannot be empty')
+    .isLength({ max: 100000 })
+    .withMessage('Code cannot exceed 100,000 characters'),
+  body('language')
+    .isIn(LANGUAGE_IDS)
+    .withMessage('Invalid programming language'),
+  body('input')
+    .optional()
+    .isString()
+    .withMessage('Input must be a string')
+    .isLength({ max: 1000000 })
+    .withMessage('Input cannot exceed 1,000,000 characters'),
+  body('sample')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Sample must be a sample index')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { problem: problemId, code, language, input } = req.body;
+    const userId = req.user._id;
+
+    const problem = await Problem.findById(problemId);
+    
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    // Check if problem is public or user has access; reviewers try out the
+    // problems they review
+    if (!problem.isPublic || !problem.isApproved) {
+      if (problem.author.toString() !== userId.toString() && !isReviewer(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied to this problem'
+        });
+      }
+    }
+
+    if (!problem.allowedLanguages.includes(language)) {
+      return res.status(400).json({
+        success: false,
+        message: `Language ${language} is not allowed for this problem`
+      });
+    }
+
+    if (problem.type === 'interactive') {
+      return res.status(400).json({
+        success: false,
+        message: 'Interactive problems cannot be run against custom input'
+      });
+    }
+
+    // Without custom input a sample is used, and the output is compared
+    // with the sample output unless the problem needs a custom checker
+    const useSample = input === undefined;
+    const sample = problem.getSamples()[parseInt(req.body.sample) || 0];
+    if (useSample && !sample) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sample not found'
+      });
+    }
+
+    const options = {};
+    if (useSample && problem.checker.type !== 'custom') {
+      options.expectedOutput = sample.output;
+      options.checker = problem.checker.toObject();
+    }
+
+    // Function problems run the code with the problem's harness
+    const signature = problem.functionSignature;
+    if (signature) {
+      options.harness = true;
+    }
+
+    const result = await judgeQueue.run({
+      code: signature ? buildSource(signature, language, code) : code,
+      language,
+      input: useSample ? sample.input : input,
+      timeLimit: problem.timeLimit * 1000, // Convert to milliseconds
+      memoryLimit: problem.memoryLimit * 1024 * 1024, // Convert to bytes
+      options
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        usedSampleInput: useSample
+      }
+    });
+  } catch (error) {
+    console.error('Run code error:', error);
+    res.status(503).json({
+      success: false,
+      message: 'Could not run code right now, please try again'
+    });
+  }
+});
+
+// Get judge queue depth and job counts (admin only)
+router.get('/queue/stats', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const stats = await judgeQueue.getStats();
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Get queue stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching queue statistics'
+    });
+  }
+});
+
+// Rejudge all submissions made in a date range, optionally to one problem
+// (admin only)
+router.post('/rejudge', authenticate, authorize('admin'), [
+  body('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a date'),
+  body('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a date'),
+  body()
+    .custom(({ from, to }) => from || to)
+    .withMessage('A date range (from and/or to) is required'),
+  body('problem')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid problem ID'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { from, to, problem, reason } = req.body;
+    const filter = submittedBetween(from, to);
+    if (problem) {
+      filter.problem = problem;
+    }
+
+    const result = await rejudge(filter, { user: req.user, reason });
+
+    res.json({
+      success: true,
+      message: `Queued ${result.queued} submission(s) for rejudging`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Rejudge submissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejudging submissions'
+    });
+  }
+});
+
+// Rejudge one submission (admin or the problem's author)
+router.post('/:id/rejudge', authenticate, authorize('instructor', 'admin'), [
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const submission = await Submission.findById(req.params.id)
+      .populate('problem', 'author');
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' &&
+        (!submission.problem || submission.problem.author.toString() !== req.user._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to rejudge this submission'
+      });
+    }
+
+    const result = await rejudge({ _id: submission._id }, { user: req.user, reason: req.body.reason });
+
+    if (result.queued === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Submission is still being judged'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Submission queued for rejudging',
+      data: result
+    });
+  } catch (error) {
+    console.error('Rejudge submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejudging submission'
+    });
+  }
+});
+
 // Get submission by ID
 router.get('/:id', authenticate, async (req, res) => {
   try {
     const submission = await Submission.findById(req.params.id)
       .populate('user', 'username firstName lastName')
-      .populate('problem', 'title difficulty');
+      .populate('problem', 'title difficulty author classroom testCases._id testCases.isHidden');
 
     if (!submission) {
       return res.status(404).json({
@@ -132,19 +393,39 @@ router.get('/:id', authenticate, async (req, res) => {
       });
     }
 
+    const problem = submission.problem;
+
     // Check if user has access to this submission
     if (submission.user._id.toString() !== req.user._id.toString() && 
         req.user.role !== 'admin' && 
-        submission.problem.author.toString() !== req.user._id.toString()) {
+        (!problem || problem.author.toString() !== req.user._id.toString()) &&
+        !(problem && await isClassroomStaff(req.user, problem))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied to this submission'
       });
     }
 
+    // Hidden test data is only shown to staff, or to students once revealed
+    const details = problem
+      ? submission.getDetails({
+        showHiddenTests: await canViewHiddenTests(req.user, problem),
+        hiddenTestCaseIds: hiddenTestCaseIds(problem)
+      })
+      : submission.getDetails();
+
+    // The test case list is only needed for the visibility checks
+    if (problem) {
+      details.problem = {
+        _id: problem._id,
+        title: problem.title,
+        difficulty: problem.difficulty
+      };
+    }
+
     res.json({
       success: true,
-      data: submission.getDetails()
+      data: details
     });
   } catch (error) {
     console.error('Get submission error:', error);
@@ -243,12 +524,12 @@ router.get('/user/all', authenticate, [
     .isIn([
       'pending', 'compiling', 'running', 'accepted', 'wrong-answer',
       'time-limit-exceeded', 'memory-limit-exceeded', 'runtime-error',
-      'compilation-error', 'partial-correct'
+      'compilation-error', 'partial-correct', 'judge-error'
     ])
     .withMessage('Invalid status'),
   query('language')
     .optional()
-    .isIn(['cpp', 'python', 'java', 'javascript'])
+    .isIn(LANGUAGE_IDS)
     .withMessage('Invalid programming language')
 ], async (req, res) => {
   try {
@@ -369,119 +650,4 @@ router.get('/stats/overview', authenticate, async (req, res) => {
   }
 });
 
-// Process submission asynchronously
-async function processSubmission(submissionId, problem, code, language) {
-  try {
-    const submission = await Submission.findById(submissionId);
-    
-    if (!submission) {
-      console.error(`Submission ${submissionId} not found`);
-      return;
-    }
-
-    // Update status to compiling
-    submission.status = 'compiling';
-    await submission.save();
-
-    // Execute code
-    const result = await codeExecutor.execute(
-      submissionId,
-      code,
-      language,
-      problem.testCases,
-      problem.timeLimit * 1000, // Convert to milliseconds
-      problem.memoryLimit * 1024 * 1024 // Convert to bytes
-    );
-
-    // Update submission with results
-    if (result.success) {
-      submission.status = result.status;
-      submission.result = {
-        score: result.score,
-        maxScore: result.maxScore,
-        timeTaken: result.timeTaken,
-        memoryUsed: result.memoryUsed,
-        testCasesPassed: result.testCasesPassed,
-        totalTestCases: result.totalTestCases,
-        testCaseResults: result.testCaseResults
-      };
-    } else {
-      submission.status = result.status;
-      submission.compilationInfo = {
-        success: false,
-        error: result.error
-      };
-    }
-
-    await submission.save();
-
-    // Update problem statistics
-    await problem.updateSubmissionStats(
-      submission.status === 'accepted',
-      submission.status === 'partial-correct'
-    );
-
-    // Update user statistics
-    await updateUserStats(submission.user, submission.status, submission.status === 'accepted');
-
-  } catch (error) {
-    console.error('Process submission error:', error);
-    
-    // Update submission with error
-    try {
-      const submission = await Submission.findById(submissionId);
-      if (submission) {
-        submission.status = 'runtime-error';
-        submission.compilationInfo = {
-          success: false,
-          error: error.message
-        };
-        await submission.save();
-      }
-    } catch (saveError) {
-      console.error('Error updating submission status:', saveError);
-    }
-  }
-}
-
-// Update user statistics after submission
-async function updateUserStats(userId, status, isSuccessful) {
-  try {
-    const user = await User.findById(userId);
-    
-    if (!user) return;
-
-    // Update submission statistics
-    user.statistics.totalSubmissions += 1;
-    
-    if (isSuccessful) {
-      user.statistics.successfulSubmissions += 1;
-      
-      // Check if this is a new problem solved
-      const submission = await Submission.findOne({
-        user: userId,
-        status: 'accepted'
-      }).sort({ submittedAt: -1 });
-      
-      if (submission) {
-        const alreadySolved = await Submission.exists({
-          user: userId,
-          problem: submission.problem,
-          status: 'accepted',
-          _id: { $ne: submission._id }
-        });
-        
-        if (!alreadySolved) {
-          user.statistics.problemsSolved += 1;
-          user.statistics.points += 10; // Default points for solving a problem
-        }
-      }
-    }
-
-    await user.save();
-  } catch (error) {
-    console.error('Update user stats error:', error);
-  }
-}
-
 module.exports = router;
\ No newline at end of file
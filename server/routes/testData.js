@@ -0,0 +1,401 @@
+const express = require('express');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { body, param, validationResult } = require('express-validator');
+const { Problem } = require('../models');
+const { authenticate, authorize } = require('../middleware/auth');
+const { receiveFile } = require('../middleware/upload');
+const judgeQueue = require('../services/judgeQueue');
+const { LANGUAGE_IDS } = require('../config/languages');
+const { subtaskError } = require('../services/subtasks');
+const { sampleError } = require('../services/problemStatement');
+const { UPLOAD_LIMIT, createTestDataStore, packTestCase } = require('../services/testData');
+const { inputErrorMessage, validateInputs } = require('../services/inputValidation');
+const { requestValidation, startValidation } = require('../services/problemValidation');
+const { ensureRevision, recordRevision } = require('../services/problemRevisions');
+const { resubmitOnEdit } = require('../services/problemReview');
+
+// Bulk test data of a problem, mounted at /api/problems/:id/tests. Test
+// cases are uploaded as a zip archive or generated by the author's programs
+// instead of being sent inline with the problem.
+const router = express.Router({ mergeParams: true });
+
+const testDataStore = createTestDataStore();
+const putTestData = (key, content) => testDataStore.put(key, content);
+
+const MAX_ARCHIVE_TESTS = 1000;
+const MAX_GENERATED_TESTS = 100;
+
+// Extension of a file in a test archive -> the test case field it holds
+const TEST_FILE_EXTENSIONS = {
+  '.in': 'input',
+  '.out': 'output',
+  '.ans': 'output'
+};
+
+// Arguments are appended to the generator's command line, so they are kept
+// to characters the shell does not interpret
+const GENERATOR_ARGS_PATTERN = /^[A-Za-z0-9 _.,=:+-]*$/;
+
+const problemIdParam = param('id')
+  .isMongoId()
+  .withMessage('Invalid problem ID');
+
+const modeRule = body('mode')
+  .optional()
+  .isIn(['replace', 'append'])
+  .withMessage('Mode must be replace or append');
+
+// The problem, if the user may edit its test data; otherwise answers the
+// request and resolves to null
+async function findEditableProblem(req, res) {
+  const problem = await Problem.findById(req.params.id);
+
+  if (!problem) {
+    res.status(404).json({
+      success: false,
+      message: 'Problem not found'
+    });
+    return null;
+  }
+
+  if (problem.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied to edit this problem'
+    });
+    return null;
+  }
+
+  return problem;
+}
+
+// Pair up the N.in and N.out (or N.ans) files of a zip archive. Directories
+// may be used to organise tests; hidden files and macOS metadata are
+// ignored. Returns { tests } ordered by name (test2 before test10) with zip
+// entries as input and output, or { error }.
+function readArchive(buffer) {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    return { error: 'Archive is not a valid zip file' };
+  }
+
+  const byName = new Map();
+  let totalSize = 0;
+
+  for (const entry of entries) {
+    const parts = entry.entryName.split('/');
+    if (entry.isDirectory || parts.some(part => part.startsWith('.') || part === '__MACOSX')) {
+      continue;
+    }
+
+    const extension = path.posix.extname(entry.entryName);
+    const field = TEST_FILE_EXTENSIONS[extension];
+    if (!field) {
+      continue;
+    }
+
+    // Uncompressed sizes from the archive's headers, checked before
+    // anything is extracted
+    totalSize += entry.header.size;
+    if (totalSize > UPLOAD_LIMIT) {
+      return { error: `Extracted tests cannot exceed ${UPLOAD_LIMIT / (1024 * 1024)} MB` };
+    }
+
+    const name = entry.entryName.slice(0, -extension.length);
+    const test = byName.get(name) || { name };
+    if (test[field]) {
+      return { error: `Test ${name} has more than one ${field} file` };
+    }
+    test[field] = entry;
+    byName.set(name, test);
+  }
+
+  const tests = [...byName.values()]
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+  if (tests.length === 0) {
+    return { error: 'Archive contains no .in/.out test files' };
+  }
+  if (tests.length > MAX_ARCHIVE_TESTS) {
+    return { error: `Archive cannot contain more than ${MAX_ARCHIVE_TESTS} tests` };
+  }
+
+  const incomplete = tests.find(test => !test.input || !test.output);
+  if (incomplete) {
+    return { error: `Test ${incomplete.name} is missing its ${incomplete.input ? 'output' : 'input'} file` };
+  }
+
+  return { tests };
+}
+
+// Replace the problem's test cases with testCases, or append them, and
+// answer the request. As with any change to the test cases, the inputs
+// must pass the problem's validator, and the reference solutions are
+// judged in the background. The change is recorded as a revision by user.
+async function saveTestCases(problem, testCases, mode, user, res) {
+  await ensureRevision(problem);
+  problem.testCases = mode === 'append' ? [...problem.testCases, ...testCases] : testCases;
+
+  const problemError = subtaskError(problem) || sampleError(problem);
+  if (problemError) {
+    return res.status(400).json({
+      success: false,
+      message: problemError
+    });
+  }
+
+  const inputValidation = await validateInputs(problem);
+  if (inputValidation && !inputValidation.passed) {
+    return res.status(400).json({
+      success: false,
+      message: inputErrorMessage(inputValidation),
+      inputErrors: inputValidation.errors
+    });
+  }
+
+  requestValidation(problem, user);
+  resubmitOnEdit(problem, user);
+
+  problem.updatedAt = new Date();
+  await problem.save();
+
+  const message = `${mode === 'append' ? 'Added' : 'Saved'} ${testCases.length} test case(s)`;
+  await recordRevision(problem, user, message);
+  startValidation(problem);
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      added: testCases.length,
+      totalTestCases: problem.testCases.length,
+      revision: problem.revision,
+      validation: problem.validation
+    }
+  });
+}
+
+// Upload test cases as a zip archive (multipart field "archive"). Every
+// uploaded test gets the same isHidden, points and subtask, except tests in
+// a sample directory, which become visible samples.
+router.post('/upload', authenticate, authorize('instructor', 'admin'), receiveFile('archive'), [
+  problemIdParam,
+  modeRule,
+  body('isHidden')
+    .optional()
+    .isBoolean()
+    .withMessage('isHidden must be a boolean'),
+  body('points')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Points must be a non-negative number'),
+  body('subtask')
+    .optional()
+    .isString()
+    .trim()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A zip archive is required'
+      });
+    }
+
+    const problem = await findEditableProblem(req, res);
+    if (!problem) {
+      return;
+    }
+
+    const { tests, error } = readArchive(req.file.buffer);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { mode = 'replace', isHidden, points, subtask = '' } = req.body;
+    const testCases = [];
+
+    for (const test of tests) {
+      const files = await packTestCase(test.input.getData(), test.output.getData(), putTestData);
+      const isSample = test.name.split('/').slice(0, -1).includes('sample');
+      testCases.push({
+        ...files,
+        isHidden: !isSample && (isHidden === undefined ? true : isHidden === true || isHidden === 'true'),
+        isSample,
+        ...(points !== undefined && { points: parseFloat(points) }),
+        subtask
+      });
+    }
+
+    await saveTestCases(problem, testCases, mode, req.user, res);
+  } catch (error) {
+    console.error('Upload test data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading test data'
+    });
+  }
+});
+
+// Generate test cases with a generator program, run once per test with the
+// test's args and printing its input, and a reference solution producing
+// the expected outputs. Both run on a judge like a custom checker.
+router.post('/generate', authenticate, authorize('instructor', 'admin'), [
+  problemIdParam,
+  modeRule,
+  body('generator.language')
+    .isIn(LANGUAGE_IDS)
+    .withMessage('Unsupported generator language'),
+  body('generator.source')
+    .notEmpty()
+    .withMessage('Generator source is required'),
+  body('solution.language')
+    .isIn(LANGUAGE_IDS)
+    .withMessage('Unsupported reference solution language'),
+  body('solution.source')
+    .notEmpty()
+    .withMessage('Reference solution source is required'),
+  body('tests')
+    .isArray({ min: 1, max: MAX_GENERATED_TESTS })
+    .withMessage(`Between 1 and ${MAX_GENERATED_TESTS} tests must be generated`),
+  body('tests.*.args')
+    .optional()
+    .isString()
+    .matches(GENERATOR_ARGS_PATTERN)
+    .withMessage('Generator arguments may only contain letters, digits, spaces and _ . , = : + -'),
+  body('tests.*.isHidden')
+    .optional()
+    .isBoolean()
+    .withMessage('isHidden must be a boolean'),
+  body('tests.*.isSample')
+    .optional()
+    .isBoolean()
+    .withMessage('isSample must be a boolean'),
+  body('tests.*.explanation')
+    .optional()
+    .isString()
+    .withMessage('Explanation must be text'),
+  body('tests.*.points')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Points must be a non-negative number'),
+  body('tests.*.subtask')
+    .optional()
+    .isString()
+    .trim()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const problem = await findEditableProblem(req, res);
+    if (!problem) {
+      return;
+    }
+
+    const { generator, solution, tests, mode = 'replace' } = req.body;
+    const result = await judgeQueue.run({
+      language: solution.language,
+      generator: { language: generator.language, source: generator.source },
+      solution: { language: solution.language, source: solution.source },
+      tests: tests.map(test => ({ args: test.args || '' }))
+    }, { kind: 'generate' });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const testCases = result.testCases.map((files, index) => ({
+      ...files,
+      isHidden: tests[index].isHidden !== undefined ? tests[index].isHidden : !tests[index].isSample,
+      isSample: !!tests[index].isSample,
+      explanation: tests[index].explanation || '',
+      ...(tests[index].points !== undefined && { points: tests[index].points }),
+      subtask: tests[index].subtask || ''
+    }));
+
+    await saveTestCases(problem, testCases, mode, req.user, res);
+  } catch (error) {
+    console.error('Generate test data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating test data'
+    });
+  }
+});
+
+// Download the input or expected output of a test case, e.g. one kept in
+// the test data store
+router.get('/:index/:file(input|output)', authenticate, authorize('instructor', 'admin'), [
+  problemIdParam,
+  param('index')
+    .isInt({ min: 0 })
+    .withMessage('Invalid test case index')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const problem = await findEditableProblem(req, res);
+    if (!problem) {
+      return;
+    }
+
+    const testCase = problem.testCases[parseInt(req.params.index)];
+    if (!testCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test case not found'
+      });
+    }
+
+    const { file } = req.params;
+    const key = testCase[`${file}File`];
+    const content = key ? await testDataStore.get(key) : Buffer.from(testCase[file] || '');
+
+    res.type('text/plain');
+    res.attachment(`${parseInt(req.params.index) + 1}.${file === 'input' ? 'in' : 'out'}`);
+    res.send(content);
+  } catch (error) {
+    console.error('Download test data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading test data'
+    });
+  }
+});
+
+module.exports = router;
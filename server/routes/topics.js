@@ -0,0 +1,251 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { Problem, Topic } = require('../models');
+const { authenticate, authorize } = require('../middleware/auth');
+const { parentError, topicTree } = require('../services/topics');
+
+// The topics problems are classified by (see services/topics). Anyone can
+// list them; admins add, edit and delete them.
+const router = express.Router();
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const slugParam = param('slug')
+  .isString()
+  .withMessage('Invalid topic');
+
+const topicRules = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('parent')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Parent must be a topic slug')
+];
+
+// The parent topic named in the request: undefined if none is given, null
+// for the top level. Answers the request and resolves to false if there is
+// no such topic.
+async function findParent(req, res) {
+  if (req.body.parent === undefined) {
+    return undefined;
+  }
+  if (!req.body.parent) {
+    return null;
+  }
+
+  const parent = await Topic.findOne({ slug: req.body.parent });
+  if (!parent) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown topic: ${req.body.parent}`
+    });
+    return false;
+  }
+  return parent;
+}
+
+// Get all topics as a tree, with the number of public problems for each
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        topics: await topicTree()
+      }
+    });
+  } catch (error) {
+    console.error('Get topics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching topics'
+    });
+  }
+});
+
+// Create a topic, or a subtopic if parent names a top-level topic
+router.post('/', authenticate, authorize('admin'), [
+  body('slug')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Slug must be between 1 and 50 characters')
+    .matches(SLUG_PATTERN)
+    .withMessage('Slug may only contain lowercase letters, digits and single dashes'),
+  body('name')
+    .exists()
+    .withMessage('Name is required'),
+  ...topicRules
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { slug, name, description } = req.body;
+
+    if (await Topic.exists({ slug })) {
+      return res.status(400).json({
+        success: false,
+        message: `Topic ${slug} already exists`
+      });
+    }
+
+    const parent = await findParent(req, res);
+    if (parent === false) {
+      return;
+    }
+
+    const topic = new Topic({ slug, name, description, parent: parent || null });
+
+    const error = await parentError(topic, parent);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await topic.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Topic created successfully',
+      data: topic
+    });
+  } catch (error) {
+    console.error('Create topic error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating topic'
+    });
+  }
+});
+
+// Update a topic's name, description or parent. Its slug cannot change,
+// since problems refer to it.
+router.put('/:slug', authenticate, authorize('admin'), [slugParam, ...topicRules], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const topic = await Topic.findOne({ slug: req.params.slug });
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found'
+      });
+    }
+
+    const parent = await findParent(req, res);
+    if (parent === false) {
+      return;
+    }
+
+    if (parent !== undefined) {
+      const error = await parentError(topic, parent);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      topic.parent = parent ? parent._id : null;
+    }
+
+    ['name', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        topic[field] = req.body[field];
+      }
+    });
+
+    await topic.save();
+
+    res.json({
+      success: true,
+      message: 'Topic updated successfully',
+      data: topic
+    });
+  } catch (error) {
+    console.error('Update topic error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating topic'
+    });
+  }
+});
+
+// Delete a topic no problem or subtopic uses
+router.delete('/:slug', authenticate, authorize('admin'), [slugParam], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const topic = await Topic.findOne({ slug: req.params.slug });
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found'
+      });
+    }
+
+    if (await Topic.exists({ parent: topic._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a topic that has subtopics'
+      });
+    }
+
+    if (await Problem.exists({ topics: topic.slug })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a topic that problems are classified by'
+      });
+    }
+
+    await Topic.findByIdAndDelete(topic._id);
+
+    res.json({
+      success: true,
+      message: 'Topic deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete topic error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting topic'
+    });
+  }
+});
+
+module.exports = router;
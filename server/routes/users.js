@@ -277,7 +277,7 @@ router.get('/:id/solved', async (req, res) => {
 // Update user role (admin only)
 router.put('/:id/role', authenticate, authorize('admin'), [
   query('role')
-    .isIn(['student', 'instructor', 'admin'])
+    .isIn(['student', 'instructor', 'reviewer', 'admin'])
     .withMessage('Invalid role')
 ], async (req, res) => {
   try {
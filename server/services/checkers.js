@@ -0,0 +1,147 @@
+// Output checkers compare a program's output with the expected output of a
+// test case. Each checker returns { passed, message } where message explains
+// the first difference found.
+
+const DEFAULT_ABSOLUTE_ERROR = 1e-6;
+const DEFAULT_RELATIVE_ERROR = 1e-6;
+
+// Show at most this many characters of a mismatching line or token
+const PREVIEW_LENGTH = 50;
+
+const preview = (value) => {
+  if (value === undefined) return '<end of output>';
+  return value.length > PREVIEW_LENGTH ? `${value.slice(0, PREVIEW_LENGTH)}...` : value;
+};
+
+const normalizeLineEndings = (text) => text.replace(/\r\n?/g, '\n');
+
+const toLines = (text) => normalizeLineEndings(text).split('\n');
+
+const toTokens = (text) => text.split(/\s+/).filter(token => token.length > 0);
+
+const accepted = () => ({ passed: true, message: '' });
+
+const mismatch = (unit, index, expected, actual) => ({
+  passed: false,
+  message: `${unit} ${index + 1} differs: expected "${preview(expected)}", got "${preview(actual)}"`
+});
+
+// Compare two sequences, reporting the first position where they differ
+const compareSequences = (unit, expected, actual, equals = (a, b) => a === b) => {
+  const length = Math.max(expected.length, actual.length);
+
+  for (let i = 0; i < length; i++) {
+    if (expected[i] === undefined || actual[i] === undefined || !equals(expected[i], actual[i])) {
+      return mismatch(unit, i, expected[i], actual[i]);
+    }
+  }
+
+  return accepted();
+};
+
+// Byte-for-byte comparison; only line endings and a single trailing
+// newline are normalized
+const exact = (expected, actual) => {
+  const clean = (text) => toLines(text.replace(/\r?\n$/, ''));
+
+  return compareSequences('Line', clean(expected), clean(actual));
+};
+
+// Line-by-line comparison ignoring leading/trailing whitespace on each line
+// and blank lines
+const whitespace = (expected, actual) => {
+  const clean = (text) => toLines(text)
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+
+  return compareSequences('Line', clean(expected), clean(actual));
+};
+
+// Compare whitespace-separated tokens, ignoring line structure entirely
+const token = (expected, actual) => {
+  return compareSequences('Token', toTokens(expected), toTokens(actual));
+};
+
+// Compare tokens, treating numeric tokens as equal when they are within the
+// absolute or relative error of each other
+const float = (expected, actual, options = {}) => {
+  const absoluteError = options.absoluteError ?? DEFAULT_ABSOLUTE_ERROR;
+  const relativeError = options.relativeError ?? DEFAULT_RELATIVE_ERROR;
+
+  const numbersClose = (a, b) => {
+    const x = Number(a);
+    const y = Number(b);
+
+    if (a.trim() === '' || b.trim() === '' || Number.isNaN(x) || Number.isNaN(y)) {
+      return a === b;
+    }
+
+    const difference = Math.abs(x - y);
+    return difference <= absoluteError || difference <= relativeError * Math.abs(x);
+  };
+
+  return compareSequences('Token', toTokens(expected), toTokens(actual), numbersClose);
+};
+
+const checkers = {
+  exact,
+  whitespace,
+  token,
+  float
+};
+
+// 'custom' problems supply their own checker program (special judge)
+const CHECKER_TYPES = [...Object.keys(checkers), 'custom'];
+
+const CUSTOM_VERDICTS = {
+  AC: 'accepted',
+  WA: 'wrong-answer',
+  PC: 'partial-correct'
+};
+
+// Parse what a custom checker printed. The first line is the verdict (AC,
+// WA or PC) optionally followed by a score fraction between 0 and 1, which
+// is required for PC; the remaining lines are the message for the contestant.
+const parseCheckerOutput = (text) => {
+  const [firstLine = '', ...rest] = normalizeLineEndings(text).split('\n');
+  const [verdictToken = '', scoreToken] = firstLine.trim().split(/\s+/);
+  const verdict = CUSTOM_VERDICTS[verdictToken.toUpperCase()];
+
+  if (!verdict) {
+    throw new Error(`Invalid checker verdict: "${preview(firstLine)}"`);
+  }
+
+  let score = verdict === 'accepted' ? 1 : 0;
+  if (scoreToken !== undefined) {
+    score = Number(scoreToken);
+    if (Number.isNaN(score) || score < 0 || score > 1) {
+      throw new Error(`Invalid checker score: "${scoreToken}"`);
+    }
+  } else if (verdict === 'partial-correct') {
+    throw new Error('Checker returned PC without a score');
+  }
+
+  return {
+    passed: verdict === 'accepted',
+    score,
+    message: rest.join('\n').trim()
+  };
+};
+
+// Run the built-in checker configured for a problem (whitespace by default)
+const check = (expected, actual, checker = {}) => {
+  const compare = checkers[checker.type || 'whitespace'];
+
+  if (!compare) {
+    throw new Error(`Unknown checker: ${checker.type}`);
+  }
+
+  return compare(expected || '', actual || '', checker);
+};
+
+module.exports = {
+  CHECKER_TYPES,
+  checkers,
+  check,
+  parseCheckerOutput
+};
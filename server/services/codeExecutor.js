@@ -1,10 +1,65 @@
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
-const { exec } = require('child_process');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
 const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { createSandbox } = require('./sandbox');
+const { check, parseCheckerOutput } = require('./checkers');
+const { parseDiagnostics } = require('./diagnostics');
+const { scoreSubtasks } = require('./subtasks');
+const { packTestCase, resolveTestCases } = require('./testData');
+const compileCache = require('./compileCache');
+const { getLanguage, listLanguages } = require('../config/languages');
+
+const execFileAsync = promisify(execFile);
+
+// A failure of the judging machinery itself (checker, sandbox) rather than
+// of the submitted code
+class JudgeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JudgeError';
+  }
+}
+
+// Counting semaphore over the CPUs judging may use in this process, shared
+// by every submission judged here
+class CpuBudget {
+  constructor(size) {
+    this.size = size;
+    this.available = size;
+    this.waiting = [];
+  }
+
+  // Resolves to a release function once `count` CPUs are free
+  acquire(count = 1) {
+    const needed = Math.min(count, this.size);
 
-const execAsync = promisify(exec);
+    return new Promise(resolve => {
+      this.waiting.push({ needed, resolve });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    // Served in order so that large requests are not starved
+    while (this.waiting.length > 0 && this.waiting[0].needed <= this.available) {
+      const { needed, resolve } = this.waiting.shift();
+      this.available -= needed;
+
+      let released = false;
+      resolve(() => {
+        if (!released) {
+          released = true;
+          this.available += needed;
+          this.dispatch();
+        }
+      });
+    }
+  }
+}
 
 class CodeExecutor {
   constructor() {
@@ -12,18 +67,359 @@ class CodeExecutor {
     this.submissionDir = path.join(__dirname, '../../code_execution/submissions');
     this.timeLimit = 5000; // 5 seconds default
     this.memoryLimit = 256 * 1024 * 1024; // 256MB in bytes
+    this.compileTimeLimit = 10000; // 10 seconds compilation timeout
+    this.compileMemoryLimit = 1024 * 1024 * 1024; // 1GB in bytes
+    this.compilePidsLimit = 256;
+    this.checkerDir = path.join(__dirname, '../../code_execution/checkers'); // compiled checkers and interactors
+    this.checkerTimeLimit = 10000; // 10 seconds per checker or interactor run
+    this.checkerMemoryLimit = 512 * 1024 * 1024; // 512MB in bytes
+    this.checkerBuilds = new Map(); // source hash -> compiled program promise
+    this.runOutputLimit = 64 * 1024; // characters of stdout/stderr returned by runCode, and of output kept per test case
+    this.testFilePreviewLimit = 1024; // characters of stored test files, and of the output for them, kept per test case
+    this.validatorMessageLimit = 1000; // characters of a validator's message kept per test case
+    this.testParallelism = parseInt(process.env.JUDGE_TEST_PARALLELISM) || 4; // test cases run at once per submission
+    this.cpuBudget = new CpuBudget(parseInt(process.env.JUDGE_CPU_BUDGET) || os.cpus().length);
+    this.sandbox = createSandbox();
   }
 
-  // Initialize directories
+  // Initialize directories and verify the sandbox backend is usable
   async init() {
     await fs.ensureDir(this.tempDir);
     await fs.ensureDir(this.submissionDir);
+    await fs.ensureDir(this.checkerDir);
+    await compileCache.init();
+    await this.sandbox.init();
+  }
+
+  // Execute a task built by services/judge (locally or on a judge worker)
+  async runTask(task, onProgress = null) {
+    return this.execute(
+      task.submissionId,
+      task.code,
+      task.language,
+      task.testCases,
+      task.timeLimit,
+      task.memoryLimit,
+      { ...task.options, onProgress }
+    );
+  }
+
+  // Execute a run task queued by the Run endpoint
+  async runCodeTask(task) {
+    return this.runCode(
+      task.code,
+      task.language,
+      task.input,
+      task.timeLimit,
+      task.memoryLimit,
+      task.options
+    );
+  }
+
+  // Execute a test generation task queued by routes/testData; large test
+  // files are saved with put(key, content)
+  async generateTestsTask(task, put) {
+    return this.generateTests(task.generator, task.solution, task.tests, put);
+  }
+
+  // Execute a reference solution check queued by services/referenceSolutions;
+  // stored test files are read with get(key). Every test case is run, and
+  // only verdicts and measurements are returned since the full results
+  // carry every test's input and output.
+  async validateSolutionTask(task, get) {
+    const testCases = await resolveTestCases(task.testCases, get);
+    const result = await this.runTask({
+      ...task,
+      testCases,
+      options: { ...task.options, testPolicy: 'run-all' }
+    });
+
+    return {
+      success: result.success,
+      status: result.status,
+      error: result.error || null,
+      score: result.score || 0,
+      maxScore: result.maxScore || 0,
+      timeTaken: result.timeTaken || 0,
+      memoryUsed: result.memoryUsed || 0,
+      testCasesPassed: result.testCasesPassed || 0,
+      totalTestCases: testCases.length,
+      testCaseResults: (result.testCaseResults || []).map(({ verdict, passed, timeTaken, memoryUsed }) => ({
+        verdict, passed, timeTaken, memoryUsed
+      }))
+    };
+  }
+
+  // Execute an input validation task queued by services/inputValidation;
+  // stored test files are read with get(key)
+  async validateInputsTask(task, get) {
+    const testCases = await resolveTestCases(task.testCases, get);
+    return this.validateInputs(task.validator, testCases);
+  }
+
+  // Run the problem's validator on every test case input. Resolves to
+  // { success, status: 'validated', errors } with { testCase, message } for
+  // every rejected input, or to { success: false, status: 'validator-error',
+  // error } when the validator does not compile.
+  async validateInputs(validator, testCases) {
+    let program;
+    try {
+      program = await this.prepareJudgeProgram(validator, 'Validator');
+    } catch (error) {
+      return { success: false, status: 'validator-error', error: error.message };
+    }
+
+    const workDir = path.join(this.tempDir, uuidv4());
+    const inputFile = path.join(workDir, 'input.txt');
+    const outputFile = path.join(workDir, 'output.txt');
+
+    try {
+      await fs.ensureDir(workDir);
+      const errors = [];
+
+      for (const [index, testCase] of testCases.entries()) {
+        await fs.writeFile(inputFile, testCase.input);
+        const error = await this.runAuthorProgram(program, {
+          workDir,
+          stdinFile: inputFile,
+          stdoutFile: outputFile,
+          exitCode: validator.validExitCode || 0
+        });
+        if (error) {
+          errors.push({ testCase: index, message: error.trim().slice(0, this.validatorMessageLimit) });
+        }
+      }
+
+      return { success: true, status: 'validated', errors };
+    } catch (error) {
+      throw error instanceof JudgeError ? error : new JudgeError(error.message);
+    } finally {
+      await fs.remove(workDir).catch(error => console.error('Cleanup error:', error));
+    }
+  }
+
+  // Generate test cases for a problem. The generator is run once per test
+  // as `<generator> <args>` and prints the test's input; the reference
+  // solution is run on that input to produce the expected output. Both are
+  // built like checkers and run with the checker limits. Resolves to
+  // { success, status: 'generated', testCases } with test case fields from
+  // services/testData, or to { success: false, status: 'generation-error',
+  // error } when the author's programs fail.
+  async generateTests(generator, solution, tests, put) {
+    let programs;
+    try {
+      programs = await Promise.all([
+        this.prepareJudgeProgram(generator, 'Generator'),
+        this.prepareJudgeProgram(solution, 'Reference solution')
+      ]);
+    } catch (error) {
+      return { success: false, status: 'generation-error', error: error.message };
+    }
+
+    const [generatorProgram, solutionProgram] = programs;
+    const workDir = path.join(this.tempDir, uuidv4());
+    const inputFile = path.join(workDir, 'input.txt');
+    const outputFile = path.join(workDir, 'output.txt');
+
+    try {
+      await fs.ensureDir(workDir);
+      const testCases = [];
+
+      for (const [index, test] of tests.entries()) {
+        const generatorError = await this.runAuthorProgram(generatorProgram, {
+          args: test.args,
+          workDir,
+          stdoutFile: inputFile
+        });
+        if (generatorError) {
+          return { success: false, status: 'generation-error', error: `Generator failed on test ${index + 1}: ${generatorError}` };
+        }
+
+        const solutionError = await this.runAuthorProgram(solutionProgram, {
+          workDir,
+          stdinFile: inputFile,
+          stdoutFile: outputFile
+        });
+        if (solutionError) {
+          return { success: false, status: 'generation-error', error: `Reference solution failed on test ${index + 1}: ${solutionError}` };
+        }
+
+        const [input, output] = await Promise.all([fs.readFile(inputFile), fs.readFile(outputFile)]);
+        testCases.push(await packTestCase(input, output, put));
+      }
+
+      return { success: true, status: 'generated', testCases };
+    } catch (error) {
+      throw error instanceof JudgeError ? error : new JudgeError(error.message);
+    } finally {
+      await fs.remove(workDir).catch(error => console.error('Cleanup error:', error));
+    }
+  }
+
+  // Run a generator, reference solution or validator built by
+  // prepareJudgeProgram with the checker limits; resolves to an error
+  // message, or null when it exits with exitCode
+  async runAuthorProgram(program, { args = '', workDir, stdinFile, stdoutFile, exitCode = 0 }) {
+    const release = await this.cpuBudget.acquire();
+
+    try {
+      const run = await this.sandbox.run({
+        command: `${program.runCommand} ${args}`.trim(),
+        workDir,
+        stdinFile,
+        stdoutFile,
+        timeLimit: this.checkerTimeLimit,
+        memoryLimit: this.checkerMemoryLimit,
+        readonlyPaths: [program.dir]
+      });
+
+      if (run.timedOut || run.cpuTime > this.checkerTimeLimit) {
+        return 'time limit exceeded';
+      }
+      if (run.signal || run.exitCode !== exitCode) {
+        return run.stderr || (run.signal ? `killed by ${run.signal}` : `exit code ${run.exitCode}`);
+      }
+      return null;
+    } finally {
+      release();
+    }
+  }
+
+  // Compile and run code once against the given input without grading it
+  // (the Run button). When expectedOutput is given the output is also
+  // compared with it using the problem's checker. options.harness is as for
+  // execute. stdout and stderr are cut to runOutputLimit characters.
+  async runCode(code, language, input, timeLimit = null, memoryLimit = null, options = {}) {
+    const executionId = uuidv4();
+    const workDir = path.join(this.tempDir, executionId);
+    
+    try {
+      await fs.ensureDir(workDir);
+      
+      const execTimeLimit = timeLimit || this.timeLimit;
+      const execMemoryLimit = memoryLimit || this.memoryLimit;
+      
+      const files = await this.prepareFiles(workDir, code, language, { harness: options.harness });
+      const { runCommand } = files;
+      
+      let compilation = null;
+      if (files.compileCommand) {
+        compilation = await this.compileCached(workDir, files, language, code, options);
+        if (!compilation.success) {
+          return {
+            success: false,
+            status: 'compilation-error',
+            error: compilation.error,
+            diagnostics: compilation.diagnostics
+          };
+        }
+      }
+      
+      const inputFile = path.join(workDir, 'input.txt');
+      const outputFile = path.join(workDir, 'output.txt');
+      const errorFile = path.join(workDir, 'error.txt');
+      await fs.writeFile(inputFile, input || '');
+      
+      const run = await this.sandbox.run({
+        command: runCommand,
+        workDir,
+        stdinFile: inputFile,
+        stdoutFile: outputFile,
+        stderrFile: errorFile,
+        timeLimit: execTimeLimit,
+        memoryLimit: execMemoryLimit
+      });
+      
+      const stdout = await fs.readFile(outputFile, 'utf8').catch(() => '');
+      const stderr = await fs.readFile(errorFile, 'utf8').catch(() => '');
+      const verdict = this.getRunVerdict(run, execTimeLimit, execMemoryLimit);
+      
+      let comparison = null;
+      if (!verdict && options.expectedOutput !== undefined) {
+        comparison = check(options.expectedOutput, stdout, options.checker);
+      }
+      
+      return {
+        success: true,
+        status: verdict || 'finished',
+        stdout: this.truncateOutput(stdout),
+        stderr: this.truncateOutput(stderr),
+        exitCode: run.exitCode,
+        signal: run.signal,
+        time: run.cpuTime,
+        memory: run.memory,
+        expectedOutput: options.expectedOutput,
+        passed: comparison ? comparison.passed : null,
+        checkerMessage: comparison ? comparison.message : '',
+        compilation
+      };
+    } catch (error) {
+      throw error instanceof JudgeError ? error : new JudgeError(error.message);
+    } finally {
+      try {
+        await fs.remove(workDir);
+      } catch (error) {
+        console.error('Cleanup error:', error);
+      }
+    }
+  }
+
+  truncateOutput(text, limit = this.runOutputLimit) {
+    return text && text.length > limit
+      ? `${text.slice(0, limit)}\n... (output truncated)`
+      : text;
+  }
+
+  // A test case's data as kept in its result. Tests kept in the test data
+  // store can be larger than a submission may be, so only the start of
+  // their files is kept, with the files' keys.
+  resultTestData(testCase) {
+    const preview = (text, key) => (key ? this.truncateOutput(text, this.testFilePreviewLimit) : text);
+
+    return {
+      input: preview(testCase.input, testCase.inputFile),
+      inputFile: testCase.inputFile || null,
+      expectedOutput: preview(testCase.output, testCase.outputFile),
+      outputFile: testCase.outputFile || null
+    };
+  }
+
+  // Languages whose toolchain is installed on this host
+  async detectLanguages() {
+    const available = [];
+
+    for (const language of listLanguages()) {
+      try {
+        await execFileAsync('sh', ['-c', `command -v ${language.toolchain}`]);
+        available.push(language.id);
+      } catch (error) {
+        // Toolchain not installed
+      }
+    }
+
+    return available;
   }
 
   // Execute code and return results
-  async execute(submissionId, code, language, testCases, timeLimit = null, memoryLimit = null) {
+  // options.checker selects how output is compared (see services/checkers);
+  // a 'custom' checker is compiled once and run after every test case.
+  // options.type 'interactive' runs every test case against options.interactor.
+  // options.harness marks code that ends with a function problem's harness.
+  // options.testPolicy 'stop-at-first-failure' skips the test cases after
+  // the first failed one (ICPC style); the default 'run-all' runs them all.
+  // options.subtasks, if not empty, scores the test cases by subtask (see
+  // services/subtasks) instead of by their points.
+  // Up to testParallelism test cases run at once, each holding a CPU of
+  // the process-wide cpuBudget; results keep the order of testCases.
+  // options.onProgress, if given, is called with { status, testCase,
+  // totalTestCases } as judging advances and with { testCaseResult } after
+  // every test case.
+  async execute(submissionId, code, language, testCases, timeLimit = null, memoryLimit = null, options = {}) {
     const executionId = uuidv4();
     const workDir = path.join(this.tempDir, executionId);
+    // Expected outputs and checker and interactor files, never visible to
+    // the contestant
+    const judgeDir = `${workDir}-judge`;
     
     try {
       // Create working directory
@@ -34,84 +430,95 @@ class CodeExecutor {
       const execMemoryLimit = memoryLimit || this.memoryLimit;
       
       // Prepare files based on language
-      const { executableFile, sourceFile, compileCommand, runCommand } = 
-        await this.prepareFiles(workDir, code, language);
+      const files = await this.prepareFiles(workDir, code, language, { harness: options.harness });
+      const { executableFile, runCommand } = files;
       
       // Compile if necessary
-      if (compileCommand) {
-        const compileResult = await this.compile(workDir, compileCommand);
-        if (!compileResult.success) {
+      let compilation = null;
+      if (files.compileCommand) {
+        compilation = await this.compileCached(workDir, files, language, code, options);
+        if (!compilation.success) {
           return {
             success: false,
             status: 'compilation-error',
-            error: compileResult.error,
-            compilationTime: compileResult.time
+            error: compilation.error,
+            diagnostics: compilation.diagnostics,
+            compilationTime: compilation.time
           };
         }
       }
       
-      // Run test cases
-      const results = [];
-      let totalScore = 0;
-      let maxScore = 0;
-      let totalTime = 0;
-      let maxMemory = 0;
-      
-      for (let i = 0; i < testCases.length; i++) {
-        const testCase = testCases[i];
-        const result = await this.runTestCase(
-          workDir, 
+      // Prepare the checker, compiling a custom checker program if needed
+      const checker = await this.prepareChecker(options.checker);
+      
+      // Interactive problems pair every run with the problem's interactor
+      let interactor = null;
+      if (options.type === 'interactive') {
+        interactor = await this.prepareJudgeProgram(options.interactor, 'Interactor');
+      }
+      await fs.ensureDir(judgeDir);
+      
+      // Run test cases, each in a directory of its own since they run in
+      // parallel; the build directory is only readable
+      const results = await this.runTestCases(testCases, options, (testCase, i) => (interactor
+        ? this.runInteractiveTestCase(
+          workDir,
+          judgeDir,
+          runCommand,
+          testCase,
+          execTimeLimit,
+          execMemoryLimit,
+          i,
+          interactor
+        )
+        : this.runTestCase(
+          workDir,
+          judgeDir,
           executableFile, 
           runCommand, 
-          testCase.input, 
+          testCase, 
           execTimeLimit, 
           execMemoryLimit,
-          i
-        );
-        
-        // Calculate score for this test case
-        const testCaseScore = result.passed ? testCase.points || 10 : 0;
-        totalScore += testCaseScore;
-        maxScore += testCase.points || 10;
-        
-        // Track max time and memory
-        totalTime = Math.max(totalTime, result.time);
-        maxMemory = Math.max(maxMemory, result.memory);
-        
-        results.push({
-          testCaseId: testCase._id || i,
-          passed: result.passed,
-          timeTaken: result.time,
-          memoryUsed: result.memory,
-          input: testCase.input,
-          expectedOutput: testCase.output,
-          actualOutput: result.output,
-          error: result.error,
-          score: testCaseScore
-        });
-      }
+          i,
+          checker
+        )), interactor ? 2 : 1);
+      
+      // Problems with subtasks score by subtask, others by test case points
+      const subtasks = options.subtasks || [];
+      const scoring = subtasks.length > 0
+        ? scoreSubtasks(subtasks, testCases, results)
+        : {
+          score: results.reduce((sum, result) => sum + result.score, 0),
+          maxScore: testCases.reduce((sum, testCase) => sum + (testCase.points || 10), 0),
+          subtaskResults: []
+        };
+      const { score: totalScore, maxScore } = scoring;
+      const totalTime = Math.max(0, ...results.map(result => result.timeTaken));
+      const maxMemory = Math.max(0, ...results.map(result => result.memoryUsed));
+      const firstFailure = results.find(result => !result.passed);
       
       // Determine overall status
       let status = 'accepted';
-      if (totalScore === 0) {
-        status = 'wrong-answer';
-      } else if (totalScore < maxScore) {
-        status = 'partial-correct';
-      }
-      
-      // Check for specific errors in results
-      for (const result of results) {
-        if (result.error) {
-          if (result.error.includes('Time limit exceeded')) {
-            status = 'time-limit-exceeded';
-            break;
-          } else if (result.error.includes('Memory limit exceeded')) {
-            status = 'memory-limit-exceeded';
-            break;
-          } else if (result.error.includes('Runtime error')) {
-            status = 'runtime-error';
-            break;
-          }
+      if (options.testPolicy === 'stop-at-first-failure') {
+        // The first failed test case decides; there is no partial credit
+        if (firstFailure) {
+          status = ['time-limit-exceeded', 'memory-limit-exceeded', 'runtime-error'].includes(firstFailure.verdict)
+            ? firstFailure.verdict
+            : 'wrong-answer';
+        }
+      } else {
+        if (totalScore === 0) {
+          status = 'wrong-answer';
+        } else if (totalScore < maxScore) {
+          status = 'partial-correct';
+        }
+        
+        // Check for specific errors in results
+        const failedRun = results.find(result => 
+          ['time-limit-exceeded', 'memory-limit-exceeded', 'runtime-error'].includes(result.verdict)
+        );
+        if (failedRun) {
+          status = failedRun.verdict;
         }
       }
       
@@ -124,10 +531,17 @@ class CodeExecutor {
         memoryUsed: maxMemory,
         testCasesPassed: results.filter(r => r.passed).length,
         totalTestCases: testCases.length,
-        testCaseResults: results
+        testCaseResults: results,
+        subtaskResults: scoring.subtaskResults,
+        compilation
       };
       
     } catch (error) {
+      // Failures of the judge itself are left to the queue to retry
+      if (error instanceof JudgeError) {
+        throw error;
+      }
+      
       console.error('Execution error:', error);
       return {
         success: false,
@@ -138,117 +552,268 @@ class CodeExecutor {
       // Clean up temporary directory
       try {
         await fs.remove(workDir);
+        await fs.remove(judgeDir);
       } catch (error) {
         console.error('Cleanup error:', error);
       }
     }
   }
 
-  // Prepare files based on language
-  async prepareFiles(workDir, code, language) {
-    let sourceFile, executableFile, compileCommand, runCommand;
-    
-    switch (language) {
-      case 'cpp':
-        sourceFile = path.join(workDir, 'solution.cpp');
-        executableFile = path.join(workDir, 'solution');
-        await fs.writeFile(sourceFile, code);
-        compileCommand = `g++ -std=c++17 -O2 -Wall ${sourceFile} -o ${executableFile}`;
-        runCommand = executableFile;
-        break;
-        
-      case 'python':
-        sourceFile = path.join(workDir, 'solution.py');
-        executableFile = sourceFile;
-        await fs.writeFile(sourceFile, code);
-        compileCommand = null; // Python doesn't need compilation
-        runCommand = `python3 ${sourceFile}`;
-        break;
-        
-      case 'java':
-        sourceFile = path.join(workDir, 'Solution.java');
-        executableFile = path.join(workDir, 'Solution');
-        await fs.writeFile(sourceFile, code);
-        compileCommand = `javac ${sourceFile}`;
-        runCommand = `java -cp ${workDir} Solution`;
-        break;
-        
-      case 'javascript':
-        sourceFile = path.join(workDir, 'solution.js');
-        executableFile = sourceFile;
-        await fs.writeFile(sourceFile, code);
-        compileCommand = null; // JavaScript doesn't need compilation
-        runCommand = `node ${sourceFile}`;
-        break;
-        
-      default:
-        throw new Error(`Unsupported language: ${language}`);
+  // Progress reporting must never interrupt judging
+  reportProgress(options, progress) {
+    if (!options.onProgress) {
+      return;
     }
     
-    return { sourceFile, executableFile, compileCommand, runCommand };
+    try {
+      options.onProgress(progress);
+    } catch (error) {
+      console.error('Progress callback error:', error);
+    }
+  }
+
+  // Write the source file and build the compile and run commands from the
+  // language registry (config/languages.js). harness is set when the code
+  // ends with a function problem's judge harness.
+  async prepareFiles(workDir, code, language, { harness = false } = {}) {
+    const definition = getLanguage(language);
+
+    if (!definition) {
+      throw new Error(`Unsupported language: ${language}`);
+    }
+
+    const sourceFile = path.join(workDir, definition.sourceFile);
+    const executableFile = path.join(workDir, definition.executable);
+    const fillIn = (command) => command
+      .replace(/\{source\}/g, sourceFile)
+      .replace(/\{executable\}/g, executableFile)
+      .replace(/\{dir\}/g, workDir);
+
+    await fs.writeFile(sourceFile, code);
+
+    return {
+      sourceFile,
+      executableFile,
+      compileCommand: definition.compile ? fillIn(definition.compile) : null,
+      compileTimeLimit: definition.compileTimeLimit || this.compileTimeLimit,
+      diagnosticsFormat: definition.diagnostics,
+      runCommand: fillIn((harness && definition.harnessRun) || definition.run)
+    };
   }
 
-  // Compile code if needed
-  async compile(workDir, compileCommand) {
+  // Compile the files returned by prepareFiles. Only the exit code decides
+  // success, so warnings do not fail the build. Resolves to { success,
+  // error, output, diagnostics, time }; output holds the compiler's
+  // messages and diagnostics their parsed form (see services/diagnostics).
+  async compile(workDir, files) {
+    const timeLimit = files.compileTimeLimit || this.compileTimeLimit;
+    let run;
+
     try {
-      const startTime = Date.now();
-      const { stderr } = await execAsync(compileCommand, {
-        cwd: workDir,
-        timeout: 10000 // 10 seconds compilation timeout
+      run = await this.sandbox.run({
+        command: files.compileCommand,
+        workDir,
+        timeLimit,
+        wallTime: timeLimit,
+        memoryLimit: this.compileMemoryLimit,
+        pidsLimit: this.compilePidsLimit
       });
-      const compilationTime = Date.now() - startTime;
-      
-      if (stderr) {
-        return {
-          success: false,
-          error: stderr,
-          time: compilationTime
-        };
-      }
-      
+    } catch (error) {
+      // The sandbox itself failed, not the compiler
+      throw new JudgeError(`Compilation could not run: ${error.message}`);
+    }
+
+    // Some compilers (tsc) report on stdout; paths are shown relative to
+    // the working directory
+    const output = [run.stderr, run.stdout]
+      .filter(Boolean)
+      .join('\n')
+      .split(`${workDir}${path.sep}`)
+      .join('')
+      .trim();
+    const diagnostics = parseDiagnostics(output, files.diagnosticsFormat, files.sourceFile);
+
+    if (run.timedOut || run.cpuTime > timeLimit) {
       return {
-        success: true,
-        time: compilationTime
+        success: false,
+        error: 'Compilation time limit exceeded',
+        timedOut: true,
+        output,
+        diagnostics,
+        time: run.wallTime
       };
-    } catch (error) {
+    }
+
+    if (run.exitCode !== 0 || run.signal) {
       return {
         success: false,
-        error: error.stderr || error.message,
-        time: 0
+        error: output || `Compiler exited with code ${run.exitCode}`,
+        output,
+        diagnostics,
+        time: run.wallTime
       };
     }
+
+    return {
+      success: true,
+      output,
+      diagnostics,
+      time: run.wallTime
+    };
+  }
+
+  // Run test cases through runOne(testCase, index), up to testParallelism
+  // at once, each holding `cpus` CPUs of the budget. With the
+  // stop-at-first-failure policy no test case is started after a failure
+  // and the ones after the first failure are reported as skipped, so the
+  // results do not depend on which runs happened to finish first.
+  async runTestCases(testCases, options, runOne, cpus = 1) {
+    const stopAtFailure = options.testPolicy === 'stop-at-first-failure';
+    const results = new Array(testCases.length).fill(null);
+    let next = 0;
+    let firstFailure = Infinity;
+    let aborted = false;
+
+    const shouldStart = (index) => !aborted && !(stopAtFailure && index > firstFailure);
+
+    const runner = async () => {
+      while (next < testCases.length && shouldStart(next)) {
+        const index = next++;
+        const release = await this.cpuBudget.acquire(cpus);
+        let result;
+
+        try {
+          // A failure may have been found while waiting for a CPU
+          if (!shouldStart(index)) {
+            return;
+          }
+          this.reportProgress(options, { status: 'running', testCase: index + 1, totalTestCases: testCases.length });
+          result = await runOne(testCases[index], index);
+        } catch (error) {
+          aborted = true;
+          throw error;
+        } finally {
+          release();
+        }
+
+        results[index] = this.testCaseResult(testCases[index], index, result);
+        if (stopAtFailure && !result.passed) {
+          firstFailure = Math.min(firstFailure, index);
+        }
+        this.reportProgress(options, { testCase: index + 1, totalTestCases: testCases.length, testCaseResult: results[index] });
+      }
+    };
+
+    const runners = Array.from({ length: Math.min(this.testParallelism, testCases.length) }, runner);
+    const outcomes = await Promise.allSettled(runners);
+    const failed = outcomes.find(outcome => outcome.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
+    }
+
+    return results.map((result, index) => {
+      if (result && index <= firstFailure) {
+        return result;
+      }
+      const skipped = this.skippedTestCaseResult(testCases[index], index);
+      this.reportProgress(options, { testCase: index + 1, totalTestCases: testCases.length, testCaseResult: skipped });
+      return skipped;
+    });
+  }
+
+  testCaseResult(testCase, index, result) {
+    return {
+      testCaseId: testCase._id || index,
+      isHidden: !!testCase.isHidden,
+      subtask: testCase.subtask || '',
+      passed: result.passed,
+      verdict: result.verdict,
+      timeTaken: result.time,
+      memoryUsed: result.memory,
+      ...this.resultTestData(testCase),
+      actualOutput: this.truncateOutput(result.output, testCase.outputFile ? this.testFilePreviewLimit : this.runOutputLimit),
+      error: this.truncateOutput(result.error),
+      checkerMessage: result.checkerMessage,
+      score: (testCase.points || 10) * result.scoreFraction,
+      scoreFraction: result.scoreFraction
+    };
   }
 
-  // Run a single test case
-  async runTestCase(workDir, executableFile, runCommand, input, timeLimit, memoryLimit, testCaseIndex) {
-    const inputFile = path.join(workDir, `input_${testCaseIndex}.txt`);
-    const outputFile = path.join(workDir, `output_${testCaseIndex}.txt`);
-    const errorFile = path.join(workDir, `error_${testCaseIndex}.txt`);
+  // Result of a test case not run because an earlier one failed
+  skippedTestCaseResult(testCase, index) {
+    return {
+      testCaseId: testCase._id || index,
+      isHidden: !!testCase.isHidden,
+      subtask: testCase.subtask || '',
+      passed: false,
+      verdict: 'skipped',
+      timeTaken: 0,
+      memoryUsed: 0,
+      ...this.resultTestData(testCase),
+      actualOutput: '',
+      error: '',
+      checkerMessage: 'Not run because an earlier test case failed',
+      score: 0,
+      scoreFraction: 0
+    };
+  }
+
+  // Compile through the compile cache: a build of the same source with the
+  // same compiler is restored into workDir instead of compiled again
+  async compileCached(workDir, files, language, code, options = {}) {
+    const key = await compileCache.key(language, code);
+    const cached = await compileCache.restore(key, workDir);
+
+    if (cached) {
+      return cached;
+    }
+
+    this.reportProgress(options, { status: 'compiling' });
+    const release = await this.cpuBudget.acquire();
+    let compilation;
+    try {
+      compilation = await this.compile(workDir, files);
+    } finally {
+      release();
+    }
+    await compileCache.store(key, workDir, compilation);
+    return compilation;
+  }
+
+  // Run a single test case and check its output against the expected output.
+  // The program runs in a fresh directory of its own next to the build
+  // directory workDir, which it can only read; judgeDir holds the files the
+  // contestant must not see.
+  async runTestCase(workDir, judgeDir, executableFile, runCommand, testCase, timeLimit, memoryLimit, testCaseIndex, checker = {}) {
+    const testDir = `${workDir}-test-${testCaseIndex}`;
+    const inputFile = path.join(testDir, 'input.txt');
+    const outputFile = path.join(testDir, 'output.txt');
+    const errorFile = path.join(testDir, 'error.txt');
     
     try {
       // Write input to file
-      await fs.writeFile(inputFile, input);
-      
-      // Prepare command with resource limits
-      const command = this.prepareExecutionCommand(
-        runCommand, 
-        inputFile, 
-        outputFile, 
-        errorFile, 
-        timeLimit, 
-        memoryLimit
-      );
-      
-      // Execute with timeout
-      const startTime = Date.now();
-      const { stdout, stderr } = await execAsync(command, {
-        cwd: workDir,
-        timeout: timeLimit + 1000 // Add 1 second buffer
+      await fs.ensureDir(testDir);
+      await fs.writeFile(inputFile, testCase.input);
+      
+      // Execute inside the sandbox with resource limits
+      const run = await this.sandbox.run({
+        command: runCommand,
+        workDir: testDir,
+        stdinFile: inputFile,
+        stdoutFile: outputFile,
+        stderrFile: errorFile,
+        timeLimit,
+        memoryLimit,
+        readonlyPaths: [workDir]
       });
-      const executionTime = Date.now() - startTime;
       
       // Read output
-      const output = await fs.readFile(outputFile, 'utf8');
+      let output = '';
+      try {
+        output = await fs.readFile(outputFile, 'utf8');
+      } catch (error) {
+        // Output file might not exist if the program never started
+      }
       
       // Read error if any
       let errorOutput = '';
@@ -258,71 +823,276 @@ class CodeExecutor {
         // Error file might not exist
       }
       
-      // Normalize output for comparison
-      const normalizedOutput = this.normalizeOutput(output);
-      const normalizedExpectedOutput = this.normalizeOutput(stdout || '');
+      const verdict = this.getRunVerdict(run, timeLimit, memoryLimit);
       
-      // Check if output matches expected
-      const passed = normalizedOutput === normalizedExpectedOutput;
+      // Only a run that finished cleanly gets its output checked
+      const checkResult = verdict
+        ? null
+        : await this.checkOutput(judgeDir, testDir, testCase, inputFile, outputFile, output, testCaseIndex, checker);
+      const passed = !verdict && checkResult.passed;
       
       return {
         passed,
-        time: executionTime,
-        memory: 0, // Memory tracking would require additional tools
-        output: normalizedOutput,
-        error: errorOutput || stderr
+        verdict: verdict || this.getCheckVerdict(checkResult),
+        scoreFraction: checkResult ? checkResult.score : 0,
+        time: run.cpuTime,
+        memory: run.memory,
+        output,
+        error: this.getRunError(verdict, run, errorOutput),
+        checkerMessage: checkResult ? checkResult.message : ''
       };
       
     } catch (error) {
-      let errorMessage = 'Runtime error';
-      
-      if (error.signal === 'SIGTERM' || error.signal === 'SIGKILL') {
-        errorMessage = 'Time limit exceeded';
-      } else if (error.code === 134) {
-        errorMessage = 'Memory limit exceeded';
-      } else if (error.stderr) {
-        errorMessage = `Runtime error: ${error.stderr}`;
+      // Verdicts come from the sandbox measurements, so any error here is
+      // a failure of the judge rather than of the submission
+      throw error instanceof JudgeError ? error : new JudgeError(error.message);
+    } finally {
+      // Clean up the test case's directory, with whatever the program wrote
+      try {
+        await fs.remove(testDir);
+      } catch (error) {
+        // Ignore cleanup errors
+      }
+    }
+  }
+
+  // Run a single test case of an interactive problem. The contestant and the
+  // interactor run side by side, each with its own limits, connected through
+  // two FIFOs. The interactor is invoked as
+  // `<program> <input> <expected output> <verdict file>` and writes its
+  // verdict in the custom checker format to the verdict file. As in
+  // runTestCase, the contestant runs in a directory of its own and the
+  // interactor's files are kept in judgeDir.
+  async runInteractiveTestCase(workDir, judgeDir, runCommand, testCase, timeLimit, memoryLimit, testCaseIndex, interactor) {
+    const testDir = `${workDir}-test-${testCaseIndex}`;
+    const toContestant = path.join(testDir, 'to_contestant');
+    const toInteractor = path.join(testDir, 'to_interactor');
+    const errorFile = path.join(testDir, 'error.txt');
+    const inputFile = path.join(judgeDir, `input_${testCaseIndex}.txt`);
+    const expectedFile = path.join(judgeDir, `expected_${testCaseIndex}.txt`);
+    const verdictFile = path.join(judgeDir, `verdict_${testCaseIndex}.txt`);
+    
+    try {
+      await fs.ensureDir(testDir);
+      await fs.writeFile(inputFile, testCase.input);
+      await fs.writeFile(expectedFile, testCase.output);
+      await execFileAsync('mkfifo', ['-m', '0666', toContestant, toInteractor]);
+      
+      const [run, interactorRun] = await Promise.all([
+        this.sandbox.run({
+          command: runCommand,
+          workDir: testDir,
+          stdinFile: toContestant,
+          stdoutFile: toInteractor,
+          stderrFile: errorFile,
+          timeLimit,
+          memoryLimit,
+          readonlyPaths: [workDir]
+        }),
+        this.sandbox.run({
+          // The contestant opens its stdin first, so the interactor must open
+          // its stdout first for the blocking FIFO opens to pair up
+          command: `${interactor.runCommand} ${inputFile} ${expectedFile} ${verdictFile} > ${toContestant} < ${toInteractor}`,
+          workDir: judgeDir,
+          timeLimit: this.checkerTimeLimit,
+          memoryLimit: this.checkerMemoryLimit,
+          readonlyPaths: [interactor.dir, testDir]
+        })
+      ]);
+      
+      let errorOutput = '';
+      try {
+        errorOutput = await fs.readFile(errorFile, 'utf8');
+      } catch (error) {
+        // Error file might not exist
+      }
+      
+      const runVerdict = this.getRunVerdict(run, timeLimit, memoryLimit);
+      const interactorFailed = interactorRun.timedOut || interactorRun.signal || interactorRun.exitCode !== 0;
+      
+      // An interactor dying after the contestant crashed or ran out of time is
+      // expected (broken pipe); on its own it is a judging failure
+      if (interactorFailed && !runVerdict) {
+        throw new JudgeError(`Interactor failed on test case ${testCaseIndex + 1}: ${interactorRun.stderr || interactorRun.signal || `exit code ${interactorRun.exitCode}`}`);
+      }
+      
+      const checkResult = interactorFailed
+        ? null
+        : parseCheckerOutput(await fs.readFile(verdictFile, 'utf8'));
+      
+      // Time and memory verdicts come first, but a wrong answer from the
+      // interactor wins over the contestant crashing on the pipe it closed
+      const rejected = checkResult && !checkResult.passed && checkResult.score === 0;
+      const resourceVerdict = runVerdict && runVerdict !== 'runtime-error';
+      let verdict;
+      if (resourceVerdict) {
+        verdict = runVerdict;
+      } else if (rejected) {
+        verdict = 'wrong-answer';
+      } else {
+        verdict = runVerdict || this.getCheckVerdict(checkResult);
       }
       
       return {
-        passed: false,
-        time: timeLimit,
-        memory: 0,
+        passed: verdict === 'accepted',
+        verdict,
+        scoreFraction: runVerdict || !checkResult ? 0 : checkResult.score,
+        time: run.cpuTime,
+        memory: run.memory,
         output: '',
-        error: errorMessage
+        error: verdict === runVerdict ? this.getRunError(runVerdict, run, errorOutput) : errorOutput,
+        checkerMessage: checkResult ? checkResult.message : ''
       };
+    } catch (error) {
+      throw error instanceof JudgeError ? error : new JudgeError(error.message);
     } finally {
-      // Clean up test case files
+      // A failed cleanup must not replace the verdict or the judge error
       try {
+        await fs.remove(testDir);
         await fs.remove(inputFile);
-        await fs.remove(outputFile);
-        await fs.remove(errorFile);
+        await fs.remove(expectedFile);
+        await fs.remove(verdictFile);
       } catch (error) {
-        // Ignore cleanup errors
+        console.error('Cleanup error:', error);
       }
     }
   }
 
-  // Prepare execution command with resource limits
-  prepareExecutionCommand(runCommand, inputFile, outputFile, errorFile, timeLimit, memoryLimit) {
-    // For Windows, we'll use a simpler approach without ulimit
-    if (process.platform === 'win32') {
-      return `${runCommand} < ${inputFile} > ${outputFile} 2> ${errorFile}`;
+  // Resolve a problem's checker configuration; custom checker programs
+  // are compiled on first use
+  async prepareChecker(checker) {
+    if (!checker || checker.type !== 'custom') {
+      return {
+        type: checker?.type,
+        absoluteError: checker?.absoluteError,
+        relativeError: checker?.relativeError
+      };
     }
-    
-    // For Unix-like systems, we can use timeout and ulimit
-    return `timeout ${timeLimit / 1000}s bash -c "ulimit -v ${memoryLimit / 1024}; ${runCommand} < ${inputFile} > ${outputFile} 2> ${errorFile}"`;
+
+    return { type: 'custom', program: await this.prepareJudgeProgram(checker, 'Checker') };
   }
 
-  // Normalize output for comparison
-  normalizeOutput(output) {
-    return output
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0)
-      .join('\n')
-      .trim();
+  // Compile a checker or interactor program once and cache it on disk by
+  // language and source hash; resolves to { dir, runCommand }
+  async prepareJudgeProgram(program, label) {
+    if (!program || !program.language || !program.source) {
+      throw new JudgeError(`${label} program is missing`);
+    }
+
+    const { language, source } = program;
+    const hash = crypto.createHash('sha256').update(`${language}\n${source}`).digest('hex');
+
+    if (!this.checkerBuilds.has(hash)) {
+      const build = this.buildJudgeProgram(hash, language, source, label);
+      this.checkerBuilds.set(hash, build);
+      build.catch(() => this.checkerBuilds.delete(hash));
+    }
+
+    return this.checkerBuilds.get(hash);
+  }
+
+  async buildJudgeProgram(hash, language, source, label) {
+    const dir = path.join(this.checkerDir, hash);
+    const readyFile = path.join(dir, '.ready');
+    const alreadyBuilt = await fs.pathExists(readyFile);
+
+    await fs.ensureDir(dir);
+    const files = await this.prepareFiles(dir, source, language);
+    const { runCommand } = files;
+
+    if (files.compileCommand && !alreadyBuilt) {
+      const compileResult = await this.compile(dir, files);
+      if (!compileResult.success) {
+        await fs.remove(dir);
+        throw new JudgeError(`${label} compilation failed: ${compileResult.error}`);
+      }
+    }
+
+    await fs.writeFile(readyFile, '');
+    return { dir, runCommand };
+  }
+
+  // Check a test case's output with a built-in checker or by running the
+  // problem's checker program; resolves to { passed, score, message }. The
+  // checker runs in judgeDir and reads the contestant's files in testDir.
+  async checkOutput(judgeDir, testDir, testCase, inputFile, outputFile, output, testCaseIndex, checker) {
+    if (!checker.program) {
+      const result = check(testCase.output, output, checker);
+      return { ...result, score: result.passed ? 1 : 0 };
+    }
+
+    const expectedFile = path.join(judgeDir, `expected_${testCaseIndex}.txt`);
+    const verdictFile = path.join(judgeDir, `checker_${testCaseIndex}.txt`);
+
+    try {
+      // Test cases run in parallel, so the expected output is kept out of
+      // every contestant's directory
+      await fs.writeFile(expectedFile, testCase.output);
+
+      // Checker usage: <program> <input> <expected output> <contestant output>
+      const run = await this.sandbox.run({
+        command: `${checker.program.runCommand} ${inputFile} ${expectedFile} ${outputFile}`,
+        workDir: judgeDir,
+        stdoutFile: verdictFile,
+        timeLimit: this.checkerTimeLimit,
+        memoryLimit: this.checkerMemoryLimit,
+        readonlyPaths: [checker.program.dir, testDir]
+      });
+
+      if (run.timedOut || run.signal || run.exitCode !== 0) {
+        throw new JudgeError(`Checker failed on test case ${testCaseIndex + 1}: ${run.stderr || run.signal || `exit code ${run.exitCode}`}`);
+      }
+
+      return parseCheckerOutput(await fs.readFile(verdictFile, 'utf8'));
+    } catch (error) {
+      throw error instanceof JudgeError ? error : new JudgeError(error.message);
+    } finally {
+      // A failed cleanup must not replace the checker's verdict
+      try {
+        await fs.remove(expectedFile);
+        await fs.remove(verdictFile);
+      } catch (error) {
+        console.error('Cleanup error:', error);
+      }
+    }
+  }
+
+  getCheckVerdict(checkResult) {
+    if (checkResult.passed) {
+      return 'accepted';
+    }
+    return checkResult.score > 0 ? 'partial-correct' : 'wrong-answer';
+  }
+
+  // Judge a finished run from its measured CPU time and peak memory
+  // rather than from how the process happened to die
+  getRunVerdict(run, timeLimit, memoryLimit) {
+    if (run.timedOut || run.cpuTime > timeLimit) {
+      return 'time-limit-exceeded';
+    }
+    if (memoryLimit && run.memory * 1024 > memoryLimit) {
+      return 'memory-limit-exceeded';
+    }
+    if (run.signal || run.exitCode !== 0) {
+      return 'runtime-error';
+    }
+    return null;
+  }
+
+  // Human-readable error for a test case result
+  getRunError(verdict, run, errorOutput) {
+    switch (verdict) {
+      case 'time-limit-exceeded':
+        return 'Time limit exceeded';
+      case 'memory-limit-exceeded':
+        return 'Memory limit exceeded';
+      case 'runtime-error':
+        return `Runtime error: ${errorOutput || (run.signal ? `killed by ${run.signal}` : `exit code ${run.exitCode}`)}`;
+      default:
+        return errorOutput;
+    }
   }
 }
 
-module.exports = new CodeExecutor();
\ No newline at end of file
+module.exports = new CodeExecutor();
+module.exports.JudgeError = JudgeError;
\ No newline at end of file
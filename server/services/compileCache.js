@@ -0,0 +1,200 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { getLanguage } = require('../config/languages');
+
+const execFileAsync = promisify(execFile);
+
+const META_FILE = '.compile.json';
+
+// Content-addressed cache of compilation results. An entry is keyed by the
+// language, the compiler's version, the compile command and the source, and
+// holds the working directory as the compiler left it together with the
+// compiler's output and diagnostics. Resubmitted, rejudged and "run then
+// submit" code is restored from the cache instead of compiled again.
+//
+// Entries are evicted least recently used first once the cache grows past
+// COMPILE_CACHE_SIZE (MB; 0 disables the cache), checked every
+// COMPILE_CACHE_CLEANUP_INTERVAL ms.
+class CompileCache {
+  constructor() {
+    this.dir = path.join(__dirname, '../../code_execution/compile-cache');
+    this.maxSize = (process.env.COMPILE_CACHE_SIZE !== undefined
+      ? parseInt(process.env.COMPILE_CACHE_SIZE)
+      : 512) * 1024 * 1024;
+    this.cleanupInterval = parseInt(process.env.COMPILE_CACHE_CLEANUP_INTERVAL) || 10 * 60 * 1000;
+    this.staleTempAge = 60 * 60 * 1000; // entries left half-written by a crash
+    this.versions = new Map(); // language id -> compiler version promise
+    this.timer = null;
+  }
+
+  get enabled() {
+    return this.maxSize > 0;
+  }
+
+  async init() {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+
+    await fs.ensureDir(this.dir);
+    await this.cleanup();
+
+    this.timer = setInterval(() => {
+      this.cleanup().catch(error => console.error('Compile cache cleanup error:', error));
+    }, this.cleanupInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Version banner of a language's compiler, read once per process
+  compilerVersion(definition) {
+    if (!this.versions.has(definition.id)) {
+      const command = definition.versionCommand || `${definition.toolchain} --version`;
+      const version = execFileAsync('sh', ['-c', command], { timeout: 10000 })
+        .then(({ stdout, stderr }) => `${stdout}${stderr}`.trim())
+        .catch(() => 'unknown');
+      this.versions.set(definition.id, version);
+    }
+
+    return this.versions.get(definition.id);
+  }
+
+  async key(language, source) {
+    const definition = getLanguage(language);
+    const version = await this.compilerVersion(definition);
+
+    return crypto.createHash('sha256')
+      .update([definition.id, version, definition.compile, source].join('\0'))
+      .digest('hex');
+  }
+
+  // Copy a cached build into workDir; resolves to the compilation result
+  // or null on a miss
+  async restore(key, workDir) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const entryDir = path.join(this.dir, key);
+    const metaFile = path.join(entryDir, META_FILE);
+
+    try {
+      const { result } = await fs.readJson(metaFile);
+
+      if (result.success) {
+        await fs.copy(entryDir, workDir, {
+          filter: (file) => path.basename(file) !== META_FILE
+        });
+      }
+
+      // The meta file's mtime orders entries for eviction
+      const now = new Date();
+      await fs.utimes(metaFile, now, now);
+
+      return { ...result, cached: true };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Store the result of compiling in workDir. Failed builds only keep the
+  // compiler's output; builds that ran out of time are not cached since
+  // they may succeed on a less loaded machine.
+  async store(key, workDir, result) {
+    if (!this.enabled || result.timedOut) {
+      return;
+    }
+
+    const entryDir = path.join(this.dir, key);
+    const tempDir = path.join(this.dir, `${key}.tmp-${uuidv4()}`);
+
+    try {
+      if (await fs.pathExists(entryDir)) {
+        return;
+      }
+
+      if (result.success) {
+        await fs.copy(workDir, tempDir);
+      } else {
+        await fs.ensureDir(tempDir);
+      }
+
+      const size = await this.directorySize(tempDir);
+      await fs.writeJson(path.join(tempDir, META_FILE), { size, result });
+
+      // Another judge may have stored the same build meanwhile
+      await fs.rename(tempDir, entryDir);
+    } catch (error) {
+      if (!['EEXIST', 'ENOTEMPTY'].includes(error.code)) {
+        console.error('Compile cache store error:', error);
+      }
+    } finally {
+      await fs.remove(tempDir).catch(() => {});
+    }
+  }
+
+  async directorySize(dir) {
+    let size = 0;
+
+    for (const name of await fs.readdir(dir)) {
+      const stat = await fs.lstat(path.join(dir, name));
+      size += stat.isDirectory() ? await this.directorySize(path.join(dir, name)) : stat.size;
+    }
+
+    return size;
+  }
+
+  // Evict least recently used entries until the cache fits maxSize, and
+  // remove broken and half-written entries
+  async cleanup() {
+    const entries = [];
+    let totalSize = 0;
+
+    for (const name of await fs.readdir(this.dir)) {
+      const entryDir = path.join(this.dir, name);
+
+      if (name.includes('.tmp-')) {
+        const stat = await fs.stat(entryDir).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > this.staleTempAge) {
+          await fs.remove(entryDir);
+        }
+        continue;
+      }
+
+      try {
+        const metaFile = path.join(entryDir, META_FILE);
+        const [{ size }, stat] = await Promise.all([fs.readJson(metaFile), fs.stat(metaFile)]);
+        entries.push({ entryDir, size, lastUsed: stat.mtimeMs });
+        totalSize += size;
+      } catch (error) {
+        await fs.remove(entryDir);
+      }
+    }
+
+    entries.sort((a, b) => a.lastUsed - b.lastUsed);
+
+    let evicted = 0;
+    for (const entry of entries) {
+      if (totalSize <= this.maxSize) {
+        break;
+      }
+      await fs.remove(entry.entryDir);
+      totalSize -= entry.size;
+      evicted++;
+    }
+
+    if (evicted > 0) {
+      console.log(`Compile cache: evicted ${evicted} build(s), ${Math.round(totalSize / (1024 * 1024))} MB in use`);
+    }
+  }
+}
+
+module.exports = new CompileCache();
@@ -0,0 +1,109 @@
+const path = require('path');
+
+// Parses compiler output into diagnostics of the form
+// { file, line, column, severity, message } with severity error, warning
+// or note. Each language in config/languages.js names the format its
+// compiler prints:
+//   gcc      file:line:column: severity: message (gcc, g++, kotlinc, go)
+//   javac    file:line: severity: message, then the source line and a caret
+//   msbuild  file(line,column): severity CODE: message (tsc, mcs)
+//   rustc    severity[CODE]: message, then --> file:line:column
+
+const SEVERITIES = {
+  'fatal error': 'error',
+  error: 'error',
+  warning: 'warning',
+  note: 'note',
+  info: 'note'
+};
+
+// go prints no severity; everything it reports is an error
+const GCC_PATTERN = /^(.+?):(\d+):(\d+): (?:(fatal error|error|warning|note): )?(.*)$/;
+const JAVAC_PATTERN = /^(.+?):(\d+): (error|warning|note): (.*)$/;
+const MSBUILD_PATTERN = /^(.+?)\((\d+),(\d+)\): (error|warning|info) (?:[A-Z]+\d+: )?(.*)$/;
+const RUSTC_HEADER_PATTERN = /^(error|warning|note)(?:\[\w+\])?: (.*)$/;
+const RUSTC_LOCATION_PATTERN = /^\s*--> (.+?):(\d+):(\d+)$/;
+
+const diagnostic = (file, line, column, severity, message) => ({
+  file: path.basename(file),
+  line: parseInt(line),
+  column: column ? parseInt(column) : null,
+  severity: SEVERITIES[severity] || 'error',
+  message: message.trim()
+});
+
+const PARSERS = {
+  gcc(lines) {
+    return lines
+      .map(line => GCC_PATTERN.exec(line))
+      .filter(Boolean)
+      .map(([, file, line, column, severity, message]) => diagnostic(file, line, column, severity, message));
+  },
+
+  javac(lines) {
+    const diagnostics = [];
+
+    lines.forEach((line, index) => {
+      const match = JAVAC_PATTERN.exec(line);
+      if (!match) {
+        return;
+      }
+
+      // The column is where the caret two lines below points
+      const caretLine = lines[index + 2] || '';
+      const caret = /^\s*\^/.test(caretLine) ? caretLine.indexOf('^') + 1 : null;
+      const [, file, lineNumber, severity, message] = match;
+      diagnostics.push(diagnostic(file, lineNumber, caret, severity, message));
+    });
+
+    return diagnostics;
+  },
+
+  msbuild(lines) {
+    return lines
+      .map(line => MSBUILD_PATTERN.exec(line))
+      .filter(Boolean)
+      .map(([, file, line, column, severity, message]) => diagnostic(file, line, column, severity, message));
+  },
+
+  rustc(lines) {
+    const diagnostics = [];
+    let header = null;
+
+    lines.forEach(line => {
+      const headerMatch = RUSTC_HEADER_PATTERN.exec(line);
+      if (headerMatch) {
+        header = headerMatch;
+        return;
+      }
+
+      const location = RUSTC_LOCATION_PATTERN.exec(line);
+      if (location && header) {
+        const [, file, lineNumber, column] = location;
+        diagnostics.push(diagnostic(file, lineNumber, column, header[1], header[2]));
+        header = null;
+      }
+    });
+
+    return diagnostics;
+  }
+};
+
+// Diagnostics about sourceFile in the compiler output; [] when the format
+// is unknown
+function parseDiagnostics(output, format, sourceFile) {
+  const parse = PARSERS[format];
+
+  if (!parse || !output) {
+    return [];
+  }
+
+  const fileName = path.basename(sourceFile);
+
+  return parse(output.split(/\r?\n/))
+    .filter(entry => entry.file === fileName);
+}
+
+module.exports = {
+  parseDiagnostics
+};
@@ -0,0 +1,450 @@
+// Starter code and judge harnesses for function problems, where students
+// implement a typed function instead of reading stdin. Test input holds one
+// parameter per line: scalars as written, strings as the whole line and
+// arrays as whitespace-separated elements. The harness parses the input,
+// calls the student's function and prints the return value in the same
+// format, with booleans as true/false and doubles with six decimals.
+//
+// The harness is appended after the student's code so that compiler
+// messages keep the student's line numbers.
+
+const PARAMETER_TYPES = [
+  'int', 'long', 'double', 'boolean', 'string',
+  'int[]', 'long[]', 'double[]', 'boolean[]', 'string[]'
+];
+
+const HARNESS_MARKER = 'judge harness';
+
+const isArray = (type) => type.endsWith('[]');
+const elementType = (type) => type.slice(0, -2);
+
+// ---- Python ----
+
+const PYTHON_TYPES = {
+  int: 'int',
+  long: 'int',
+  double: 'float',
+  boolean: 'bool',
+  string: 'str'
+};
+
+const pythonType = (type) => isArray(type)
+  ? `List[${PYTHON_TYPES[elementType(type)]}]`
+  : PYTHON_TYPES[type];
+
+const pythonParse = (type, line) => {
+  const scalar = {
+    int: (value) => `int(${value})`,
+    long: (value) => `int(${value})`,
+    double: (value) => `float(${value})`,
+    boolean: (value) => `${value}.strip() == 'true'`,
+    string: (value) => value
+  };
+
+  return isArray(type)
+    ? `[${scalar[elementType(type)]('x')} for x in ${line}.split()]`
+    : scalar[type](line);
+};
+
+const python = {
+  starter: ({ name, parameters, returnType }) => [
+    'from typing import List',
+    '',
+    '',
+    `def ${name}(${parameters.map(p => `${p.name}: ${pythonType(p.type)}`).join(', ')}) -> ${pythonType(returnType)}:`,
+    '    pass',
+    ''
+  ].join('\n'),
+
+  harness: ({ name, parameters, returnType }) => [
+    `# ---- ${HARNESS_MARKER} ----`,
+    'import sys as _judge_sys',
+    '',
+    '',
+    'def _judge_format(value):',
+    '    if isinstance(value, bool):',
+    "        return 'true' if value else 'false'",
+    '    if isinstance(value, float):',
+    "        return '%.6f' % value",
+    '    if isinstance(value, (list, tuple)):',
+    "        return ' '.join(_judge_format(item) for item in value)",
+    '    return str(value)',
+    '',
+    '',
+    'def _judge_main():',
+    "    lines = [line.rstrip('\\r') for line in _judge_sys.stdin.read().split('\\n')]",
+    `    lines += [''] * ${parameters.length}`,
+    ...parameters.map((p, i) => `    arg${i} = ${pythonParse(p.type, `lines[${i}]`)}`),
+    `    result = ${name}(${parameters.map((p, i) => `arg${i}`).join(', ')})`,
+    ...(returnType === 'double' ? ['    result = float(result)'] : []),
+    ...(returnType === 'double[]' ? ['    result = [float(x) for x in result]'] : []),
+    '    print(_judge_format(result))',
+    '',
+    '',
+    '_judge_main()',
+    ''
+  ].join('\n')
+};
+
+// ---- JavaScript and TypeScript ----
+
+const TYPESCRIPT_TYPES = {
+  int: 'number',
+  long: 'number',
+  double: 'number',
+  boolean: 'boolean',
+  string: 'string'
+};
+
+const typescriptType = (type) => isArray(type)
+  ? `${TYPESCRIPT_TYPES[elementType(type)]}[]`
+  : TYPESCRIPT_TYPES[type];
+
+const javascriptParse = (type, line) => {
+  const scalar = {
+    int: (value) => `Number(${value})`,
+    long: (value) => `Number(${value})`,
+    double: (value) => `Number(${value})`,
+    boolean: (value) => `${value}.trim() === 'true'`,
+    string: (value) => value
+  };
+
+  return isArray(type)
+    ? `${line}.split(/\\s+/).filter(Boolean).map(x => ${scalar[elementType(type)]('x')})`
+    : scalar[type](line);
+};
+
+const javascriptFormat = (type, value) => {
+  const scalar = {
+    int: (v) => `String(${v})`,
+    long: (v) => `String(${v})`,
+    double: (v) => `Number(${v}).toFixed(6)`,
+    boolean: (v) => `(${v} ? 'true' : 'false')`,
+    string: (v) => `String(${v})`
+  };
+
+  return isArray(type)
+    ? `${value}.map(x => ${scalar[elementType(type)]('x')}).join(' ')`
+    : scalar[type](value);
+};
+
+// The harness runs in its own block so its names cannot clash with the
+// student's
+const javascriptHarness = ({ name, parameters, returnType }, typed) => [
+  `// ---- ${HARNESS_MARKER} ----`,
+  '{',
+  `  const judgeLines${typed ? ': string[]' : ''} = require('fs').readFileSync(0, 'utf8').split('\\n');`,
+  `  const judgeLine = (i${typed ? ': number' : ''}) => (judgeLines[i] || '').replace(/\\r$/, '');`,
+  ...parameters.map((p, i) => `  const arg${i} = ${javascriptParse(p.type, `judgeLine(${i})`)};`),
+  `  const result = ${name}(${parameters.map((p, i) => `arg${i}`).join(', ')});`,
+  `  console.log(${javascriptFormat(returnType, 'result')});`,
+  '}',
+  ''
+].join('\n');
+
+const javascript = {
+  starter: ({ name, parameters }) => [
+    `function ${name}(${parameters.map(p => p.name).join(', ')}) {`,
+    '  ',
+    '}',
+    ''
+  ].join('\n'),
+
+  harness: (signature) => javascriptHarness(signature, false)
+};
+
+const typescript = {
+  starter: ({ name, parameters, returnType }) => [
+    `function ${name}(${parameters.map(p => `${p.name}: ${typescriptType(p.type)}`).join(', ')}): ${typescriptType(returnType)} {`,
+    '  ',
+    '}',
+    ''
+  ].join('\n'),
+
+  harness: (signature) => javascriptHarness(signature, true)
+};
+
+// ---- C++ ----
+
+const CPP_TYPES = {
+  int: 'int',
+  long: 'long long',
+  double: 'double',
+  boolean: 'bool',
+  string: 'string'
+};
+
+// The starter code has `using namespace std`; the harness qualifies names
+const cppType = (type, qualified = false) => {
+  const namespace = qualified ? 'std::' : '';
+  const name = (t) => (t === 'string' ? namespace : '') + CPP_TYPES[t];
+
+  return isArray(type) ? `${namespace}vector<${name(elementType(type))}>` : name(type);
+};
+
+const CPP_PARSERS = {
+  int: 'parseInt',
+  long: 'parseLong',
+  double: 'parseDouble',
+  boolean: 'parseBool',
+  string: 'parseString'
+};
+
+const CPP_HELPERS = `#include <iomanip>
+#include <iostream>
+#include <sstream>
+#include <string>
+#include <vector>
+
+namespace judge_harness {
+
+std::vector<std::string> lines;
+
+std::string line(size_t i) {
+  return i < lines.size() ? lines[i] : "";
+}
+
+int parseInt(const std::string &s) { return std::stoi(s); }
+long long parseLong(const std::string &s) { return std::stoll(s); }
+double parseDouble(const std::string &s) { return std::stod(s); }
+std::string parseString(const std::string &s) { return s; }
+bool parseBool(const std::string &s) {
+  std::istringstream in(s);
+  std::string token;
+  in >> token;
+  return token == "true";
+}
+
+template <typename T>
+std::vector<T> parseArray(const std::string &s, T (*parse)(const std::string &)) {
+  std::istringstream in(s);
+  std::vector<T> values;
+  std::string token;
+  while (in >> token) {
+    values.push_back(parse(token));
+  }
+  return values;
+}
+
+void write(int v) { std::cout << v; }
+void write(long long v) { std::cout << v; }
+void write(double v) { std::cout << std::fixed << std::setprecision(6) << v; }
+void write(bool v) { std::cout << (v ? "true" : "false"); }
+void write(const std::string &v) { std::cout << v; }
+
+template <typename T>
+void write(const std::vector<T> &values) {
+  for (size_t i = 0; i < values.size(); i++) {
+    if (i > 0) {
+      std::cout << ' ';
+    }
+    write(static_cast<T>(values[i]));
+  }
+}
+
+}  // namespace judge_harness`;
+
+const cppParse = (type, line) => isArray(type)
+  ? `judge_harness::parseArray<${cppType(elementType(type), true)}>(${line}, judge_harness::${CPP_PARSERS[elementType(type)]})`
+  : `judge_harness::${CPP_PARSERS[type]}(${line})`;
+
+const cpp = {
+  starter: ({ name, parameters, returnType }) => [
+    '#include <bits/stdc++.h>',
+    'using namespace std;',
+    '',
+    `${cppType(returnType)} ${name}(${parameters.map(p => `${cppType(p.type)} ${p.name}`).join(', ')}) {`,
+    '    ',
+    '}',
+    ''
+  ].join('\n'),
+
+  harness: ({ name, parameters, returnType }) => [
+    `// ---- ${HARNESS_MARKER} ----`,
+    CPP_HELPERS,
+    '',
+    'int main() {',
+    '  std::string input;',
+    '  while (std::getline(std::cin, input)) {',
+    "    if (!input.empty() && input.back() == '\\r') {",
+    '      input.pop_back();',
+    '    }',
+    '    judge_harness::lines.push_back(input);',
+    '  }',
+    ...parameters.map((p, i) => `  ${cppType(p.type, true)} arg${i} = ${cppParse(p.type, `judge_harness::line(${i})`)};`),
+    `  ${cppType(returnType, true)} result = ${name}(${parameters.map((p, i) => `arg${i}`).join(', ')});`,
+    '  judge_harness::write(result);',
+    "  std::cout << '\\n';",
+    '  return 0;',
+    '}',
+    ''
+  ].join('\n')
+};
+
+// ---- Java ----
+
+const JAVA_TYPES = {
+  int: 'int',
+  long: 'long',
+  double: 'double',
+  boolean: 'boolean',
+  string: 'String'
+};
+
+const javaType = (type) => isArray(type)
+  ? `${JAVA_TYPES[elementType(type)]}[]`
+  : JAVA_TYPES[type];
+
+const JAVA_PARSERS = {
+  int: 'parseInt',
+  long: 'parseLong',
+  double: 'parseDouble',
+  boolean: 'parseBoolean',
+  string: 'parseString',
+  'int[]': 'parseIntArray',
+  'long[]': 'parseLongArray',
+  'double[]': 'parseDoubleArray',
+  'boolean[]': 'parseBooleanArray',
+  'string[]': 'parseStringArray'
+};
+
+// The harness class is the entry point (see harnessRun in
+// config/languages.js), so the student's class keeps the name Solution
+const JAVA_HELPERS = `    static String[] tokens(String s) {
+        s = s.trim();
+        return s.isEmpty() ? new String[0] : s.split("\\\\s+");
+    }
+
+    static int parseInt(String s) { return Integer.parseInt(s.trim()); }
+    static long parseLong(String s) { return Long.parseLong(s.trim()); }
+    static double parseDouble(String s) { return Double.parseDouble(s.trim()); }
+    static boolean parseBoolean(String s) { return s.trim().equals("true"); }
+    static String parseString(String s) { return s; }
+    static int[] parseIntArray(String s) { return java.util.Arrays.stream(tokens(s)).mapToInt(Integer::parseInt).toArray(); }
+    static long[] parseLongArray(String s) { return java.util.Arrays.stream(tokens(s)).mapToLong(Long::parseLong).toArray(); }
+    static double[] parseDoubleArray(String s) { return java.util.Arrays.stream(tokens(s)).mapToDouble(Double::parseDouble).toArray(); }
+    static String[] parseStringArray(String s) { return tokens(s); }
+    static boolean[] parseBooleanArray(String s) {
+        String[] parts = tokens(s);
+        boolean[] values = new boolean[parts.length];
+        for (int i = 0; i < parts.length; i++) {
+            values[i] = parts[i].equals("true");
+        }
+        return values;
+    }
+
+    static String format(int v) { return String.valueOf(v); }
+    static String format(long v) { return String.valueOf(v); }
+    static String format(double v) { return String.format(java.util.Locale.ROOT, "%.6f", v); }
+    static String format(boolean v) { return v ? "true" : "false"; }
+    static String format(String v) { return v; }
+    static String format(int[] v) { StringBuilder b = new StringBuilder(); for (int x : v) b.append(b.length() > 0 ? " " : "").append(format(x)); return b.toString(); }
+    static String format(long[] v) { StringBuilder b = new StringBuilder(); for (long x : v) b.append(b.length() > 0 ? " " : "").append(format(x)); return b.toString(); }
+    static String format(double[] v) { StringBuilder b = new StringBuilder(); for (double x : v) b.append(b.length() > 0 ? " " : "").append(format(x)); return b.toString(); }
+    static String format(boolean[] v) { StringBuilder b = new StringBuilder(); for (boolean x : v) b.append(b.length() > 0 ? " " : "").append(format(x)); return b.toString(); }
+    static String format(String[] v) { return String.join(" ", v); }`;
+
+const java = {
+  starter: ({ name, parameters, returnType }) => [
+    'import java.util.*;',
+    '',
+    'class Solution {',
+    `    public ${javaType(returnType)} ${name}(${parameters.map(p => `${javaType(p.type)} ${p.name}`).join(', ')}) {`,
+    '        ',
+    '    }',
+    '}',
+    ''
+  ].join('\n'),
+
+  harness: ({ name, parameters, returnType }) => [
+    `// ---- ${HARNESS_MARKER} ----`,
+    'class Main {',
+    '    public static void main(String[] args) throws Exception {',
+    '        java.io.BufferedReader reader = new java.io.BufferedReader(new java.io.InputStreamReader(System.in));',
+    '        java.util.List<String> lines = new java.util.ArrayList<>();',
+    '        for (String line = reader.readLine(); line != null; line = reader.readLine()) {',
+    '            lines.add(line);',
+    '        }',
+    `        while (lines.size() < ${parameters.length}) {`,
+    '            lines.add("");',
+    '        }',
+    ...parameters.map((p, i) => `        ${javaType(p.type)} arg${i} = ${JAVA_PARSERS[p.type]}(lines.get(${i}));`),
+    `        ${javaType(returnType)} result = new Solution().${name}(${parameters.map((p, i) => `arg${i}`).join(', ')});`,
+    '        System.out.println(format(result));',
+    '    }',
+    '',
+    JAVA_HELPERS,
+    '}',
+    ''
+  ].join('\n')
+};
+
+const GENERATORS = { python, javascript, typescript, cpp, java };
+
+// Languages whose starter code and harness can be generated
+const GENERATED_LANGUAGES = Object.keys(GENERATORS);
+
+// Starter code and harness of a language: the author's template where
+// given, generated otherwise. harness is null when the language has
+// neither.
+function getTemplate(signature, language) {
+  const custom = (signature.templates || []).find(template => template.language === language) || {};
+  const generator = GENERATORS[language];
+
+  return {
+    starterCode: custom.starterCode || (generator ? generator.starter(signature) : ''),
+    harness: custom.harness || (generator ? generator.harness(signature) : null)
+  };
+}
+
+// Languages of the given ones that have no harness
+function languagesWithoutHarness(signature, languages) {
+  return languages.filter(language => !getTemplate(signature, language).harness);
+}
+
+// Checks of a function problem that need the whole problem; returns an
+// error message or null
+function functionProblemError(problem) {
+  const signature = problem.functionSignature;
+
+  if (!signature) {
+    return null;
+  }
+
+  if (problem.type === 'interactive') {
+    return 'Function problems cannot be interactive';
+  }
+
+  const names = signature.parameters.map(parameter => parameter.name);
+  if (new Set(names).size !== names.length) {
+    return 'Parameter names must be unique';
+  }
+
+  const missing = languagesWithoutHarness(signature, problem.allowedLanguages);
+  if (missing.length > 0) {
+    return `No harness can be generated for ${missing.join(', ')}; add a template with a harness or remove them from the allowed languages`;
+  }
+
+  return null;
+}
+
+// Source that is compiled and run for a student's code: the code followed
+// by the language's harness
+function buildSource(signature, language, code) {
+  const { harness } = getTemplate(signature, language);
+
+  if (!harness) {
+    throw new Error(`Function problems do not support ${language}`);
+  }
+
+  return `${code}\n\n${harness}`;
+}
+
+module.exports = {
+  PARAMETER_TYPES,
+  GENERATED_LANGUAGES,
+  getTemplate,
+  languagesWithoutHarness,
+  functionProblemError,
+  buildSource
+};
@@ -0,0 +1,71 @@
+const judgeQueue = require('./judgeQueue');
+
+// A problem's validator program (Problem.validator) checks every test case
+// input whenever the problem is created or its test cases or validator
+// change, so that inputs breaking the stated constraints or format never
+// reach students. Any rejected input blocks the change.
+
+// Line a validator's message points at, as in "line 3: ..." or
+// "... (stdin, line 3)" from testlib-style validators
+const LINE_PATTERN = /\bline (\d+)/i;
+
+// Whether changing fields of a problem calls for validating its inputs again
+const changesInputs = (fields) => fields.includes('testCases') || fields.includes('validator');
+
+// Run the problem's validator (saved or not) on all of its test inputs.
+// Resolves to { passed, errors } with { testCase, line, message } for every
+// rejected input, or null when the problem has no validator. testCase is
+// the test case's index, and line is null when the message names no line.
+async function validateInputs(problem) {
+  const { validator } = problem;
+
+  if (!validator || !validator.source || problem.testCases.length === 0) {
+    return null;
+  }
+
+  let result;
+  try {
+    result = await judgeQueue.run({
+      language: validator.language,
+      validator: {
+        language: validator.language,
+        source: validator.source,
+        validExitCode: validator.validExitCode
+      },
+      testCases: problem.testCases.map(({ input, inputFile }) => ({ input, inputFile }))
+    }, { kind: 'validate-input' });
+  } catch (error) {
+    result = { success: false, error: `Validator could not be run: ${error.message}` };
+  }
+
+  if (!result.success) {
+    return {
+      passed: false,
+      errors: [{ testCase: null, line: null, message: result.error }]
+    };
+  }
+
+  const errors = result.errors.map(({ testCase, message }) => {
+    const match = message.match(LINE_PATTERN);
+    return { testCase, line: match ? parseInt(match[1]) : null, message };
+  });
+
+  return { passed: errors.length === 0, errors };
+}
+
+// One-line summary of a failed validation, naming its first error
+function inputErrorMessage({ errors }) {
+  const [first] = errors;
+  if (first.testCase === null) {
+    return first.message;
+  }
+
+  const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+  return `Test case ${first.testCase + 1} failed validation: ${first.message}${more}`;
+}
+
+module.exports = {
+  changesInputs,
+  inputErrorMessage,
+  validateInputs
+};
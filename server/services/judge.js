@@ -0,0 +1,300 @@
+const { Submission, Problem, User } = require('../models');
+const codeExecutor = require('./codeExecutor');
+const realtime = require('./realtime');
+const { buildSource } = require('./functionTemplates');
+const { createTestDataStore, resolveTestCases } = require('./testData');
+const { ensureRevision } = require('./problemRevisions');
+
+const testDataStore = createTestDataStore();
+
+// Submissions that are waiting for or going through judging
+const UNFINISHED_STATUSES = ['pending', 'compiling', 'running'];
+
+// Submissions in these states are not counted in problem and user statistics
+const UNCOUNTED_STATUSES = [...UNFINISHED_STATUSES, 'judge-error'];
+
+// Points a user earns for every problem solved
+const POINTS_PER_PROBLEM = 10;
+
+// Build everything a judge needs to execute a submission. The task is plain
+// JSON so it can be sent to a standalone judge worker as well, and the
+// submission records the problem revision it is built from. Returns null
+// when the submission no longer exists.
+async function buildJudgeTask(submissionId) {
+  const submission = await Submission.findById(submissionId);
+
+  if (!submission) {
+    console.error(`Submission ${submissionId} not found`);
+    return null;
+  }
+
+  const problem = await Problem.findById(submission.problem);
+
+  if (!problem) {
+    throw new Error(`Problem ${submission.problem} not found`);
+  }
+
+  // The submission is judged on the problem as it is now
+  const problemRevision = await ensureRevision(problem);
+  await Submission.updateOne({ _id: submission._id }, { problemRevision });
+
+  return {
+    submissionId: submission._id.toString(),
+    ...buildProblemTask(problem, submission.language, submission.code)
+  };
+}
+
+// Task fields for running code in the given language against a problem's
+// test cases with its limits, checker and scoring
+function buildProblemTask(problem, language, code) {
+  const { testCases, checker, interactor, functionSignature, subtasks } = problem.toObject();
+
+  return {
+    // Function problems run the code with the problem's harness
+    code: functionSignature
+      ? buildSource(functionSignature, language, code)
+      : code,
+    language,
+    testCases,
+    timeLimit: problem.timeLimit * 1000, // Convert to milliseconds
+    memoryLimit: problem.memoryLimit * 1024 * 1024, // Convert to bytes
+    options: {
+      checker,
+      type: problem.type,
+      interactor,
+      harness: !!functionSignature,
+      testPolicy: problem.testPolicy,
+      subtasks
+    }
+  };
+}
+
+// Set a submission's status while it waits or is being judged
+async function setStatus(submissionId, status) {
+  await Submission.updateOne({ _id: submissionId }, { status });
+  realtime.emitToSubmission(submissionId, 'submission:status', { status });
+}
+
+// Mark a submission as picked up by a judge
+async function startJudging(submissionId) {
+  await setStatus(submissionId, 'compiling');
+}
+
+// Forward a codeExecutor progress report to the submission's subscribers.
+// Per-test results leave out test data and output, which are only sent with
+// the final result, and hidden test cases are reduced to verdict, time and
+// memory.
+async function reportProgress(submissionId, progress) {
+  const { status, testCase, totalTestCases, testCaseResult } = progress;
+
+  if (testCaseResult) {
+    const { isHidden, subtask, passed, verdict, timeTaken, memoryUsed, error, checkerMessage, score } = testCaseResult;
+    realtime.emitToSubmission(submissionId, 'submission:test-result', {
+      testCase,
+      totalTestCases,
+      result: isHidden
+        ? { isHidden, subtask, passed, verdict, timeTaken, memoryUsed }
+        : { isHidden, subtask, passed, verdict, timeTaken, memoryUsed, error, checkerMessage, score }
+    });
+    return;
+  }
+
+  // Persist the move to running once; later test cases only notify
+  if (status === 'running' && testCase === 1) {
+    await Submission.updateOne({ _id: submissionId }, { status });
+  }
+
+  realtime.emitToSubmission(submissionId, 'submission:status', { status, testCase, totalTestCases });
+}
+
+// Store the result of codeExecutor.execute on a submission and update the
+// problem and user statistics
+async function recordResult(submissionId, result) {
+  const submission = await Submission.findById(submissionId);
+
+  if (!submission) {
+    console.error(`Submission ${submissionId} not found`);
+    return;
+  }
+
+  // Update submission with results
+  if (result.success) {
+    submission.status = result.status;
+    submission.result = {
+      score: result.score,
+      maxScore: result.maxScore,
+      timeTaken: result.timeTaken,
+      memoryUsed: result.memoryUsed,
+      testCasesPassed: result.testCasesPassed,
+      totalTestCases: result.totalTestCases,
+      testCaseResults: result.testCaseResults,
+      subtaskResults: result.subtaskResults || []
+    };
+    // Compiler warnings of a successful build
+    if (result.compilation) {
+      submission.compilationInfo = {
+        success: true,
+        output: result.compilation.output,
+        diagnostics: result.compilation.diagnostics,
+        compilationTime: result.compilation.time
+      };
+    }
+  } else {
+    submission.status = result.status;
+    submission.compilationInfo = {
+      success: false,
+      error: result.error,
+      diagnostics: result.diagnostics || [],
+      compilationTime: result.compilationTime || 0
+    };
+  }
+
+  await submission.save();
+
+  realtime.emitToSubmission(submission._id, 'submission:result', submission.getDetails());
+
+  // A rejudged submission was counted when it was first judged, so the
+  // statistics are rebuilt instead of incremented
+  if (submission.verdictHistory.length > 0) {
+    await recomputeStats(submission);
+    return;
+  }
+
+  // Update problem statistics
+  const problem = await Problem.findById(submission.problem);
+  if (problem) {
+    await problem.updateSubmissionStats(
+      submission.status === 'accepted',
+      submission.status === 'partial-correct'
+    );
+  }
+
+  // Update user statistics
+  await updateUserStats(submission);
+}
+
+// Judge a submission in this process and record its verdict. Failures of
+// the judging infrastructure are thrown so that the judge queue can retry
+// the job.
+async function judgeSubmission(submissionId) {
+  const task = await buildJudgeTask(submissionId);
+
+  if (!task) {
+    return;
+  }
+
+  await startJudging(submissionId);
+
+  task.testCases = await resolveTestCases(task.testCases, key => testDataStore.get(key));
+
+  const result = await codeExecutor.runTask(task, (progress) => {
+    reportProgress(submissionId, progress)
+      .catch(error => console.error('Report progress error:', error));
+  });
+
+  await recordResult(submissionId, result);
+}
+
+// Mark a submission that could not be judged after all retries
+async function failSubmission(submissionId, message) {
+  await Submission.updateOne({ _id: submissionId }, {
+    status: 'judge-error',
+    'compilationInfo.success': false,
+    'compilationInfo.error': message
+  });
+
+  const submission = await Submission.findById(submissionId);
+  if (submission) {
+    realtime.emitToSubmission(submissionId, 'submission:result', submission.getDetails());
+
+    // Its earlier verdict no longer counts
+    if (submission.verdictHistory.length > 0) {
+      await recomputeStats(submission);
+    }
+  }
+}
+
+// Update user statistics after submission. Counters are incremented
+// atomically because several judge workers may finish submissions of the
+// same user at once.
+async function updateUserStats(submission) {
+  try {
+    const increments = {
+      'statistics.totalSubmissions': 1
+    };
+
+    if (submission.status === 'accepted') {
+      increments['statistics.successfulSubmissions'] = 1;
+
+      // Check if this is a new problem solved
+      const alreadySolved = await Submission.exists({
+        user: submission.user,
+        problem: submission.problem,
+        status: 'accepted',
+        _id: { $ne: submission._id }
+      });
+
+      if (!alreadySolved) {
+        increments['statistics.problemsSolved'] = 1;
+        increments['statistics.points'] = POINTS_PER_PROBLEM;
+      }
+    }
+
+    await User.updateOne({ _id: submission.user }, { $inc: increments });
+  } catch (error) {
+    console.error('Update user stats error:', error);
+  }
+}
+
+// Rebuild a problem's submission counters from its judged submissions
+async function recomputeProblemStats(problemId) {
+  const [total, successful, partial] = await Promise.all([
+    Submission.countDocuments({ problem: problemId, status: { $nin: UNCOUNTED_STATUSES } }),
+    Submission.countDocuments({ problem: problemId, status: 'accepted' }),
+    Submission.countDocuments({ problem: problemId, status: 'partial-correct' })
+  ]);
+
+  await Problem.updateOne({ _id: problemId }, {
+    'submissions.total': total,
+    'submissions.successful': successful,
+    'submissions.partial': partial
+  });
+}
+
+// Rebuild a user's submission counts, solved problems and points from
+// their judged submissions
+async function recomputeUserStats(userId) {
+  const [total, successful, solved] = await Promise.all([
+    Submission.countDocuments({ user: userId, status: { $nin: UNCOUNTED_STATUSES } }),
+    Submission.countDocuments({ user: userId, status: 'accepted' }),
+    Submission.distinct('problem', { user: userId, status: 'accepted' })
+  ]);
+
+  await User.updateOne({ _id: userId }, {
+    'statistics.totalSubmissions': total,
+    'statistics.successfulSubmissions': successful,
+    'statistics.problemsSolved': solved.length,
+    'statistics.points': solved.length * POINTS_PER_PROBLEM
+  });
+}
+
+async function recomputeStats(submission) {
+  try {
+    await recomputeProblemStats(submission.problem);
+    await recomputeUserStats(submission.user);
+  } catch (error) {
+    console.error('Recompute stats error:', error);
+  }
+}
+
+module.exports = {
+  UNFINISHED_STATUSES,
+  buildJudgeTask,
+  buildProblemTask,
+  startJudging,
+  setStatus,
+  reportProgress,
+  recordResult,
+  judgeSubmission,
+  failSubmission
+};
@@ -0,0 +1,497 @@
+const os = require('os');
+const { JudgeJob, JudgeWorker, Submission } = require('../models');
+const codeExecutor = require('./codeExecutor');
+const { createTestDataStore } = require('./testData');
+const {
+  UNFINISHED_STATUSES,
+  buildJudgeTask,
+  startJudging,
+  setStatus,
+  reportProgress,
+  recordResult,
+  judgeSubmission,
+  failSubmission
+} = require('./judge');
+
+// Durable judge queue stored in MongoDB with a pool of in-process workers.
+// Several processes may run workers against the same queue, and standalone
+// judge workers (server/judge-worker.js) claim jobs through routes/judge:
+// jobs are claimed with an atomic update and held by a lock that the worker
+// keeps renewing.
+class JudgeQueue {
+  constructor() {
+    this.concurrency = process.env.JUDGE_WORKERS !== undefined
+      ? parseInt(process.env.JUDGE_WORKERS)
+      : 2;
+    this.maxAttempts = parseInt(process.env.JUDGE_MAX_ATTEMPTS) || 3;
+    this.lockTimeout = parseInt(process.env.JUDGE_LOCK_TIMEOUT) || 2 * 60 * 1000; // 2 minutes
+    this.pollInterval = parseInt(process.env.JUDGE_POLL_INTERVAL) || 1000;
+    this.retryDelay = 5000; // doubled after every failed attempt
+    this.runPriority = 10; // runs are interactive, so they go before submissions
+    this.runTimeout = parseInt(process.env.JUDGE_RUN_TIMEOUT) || 60 * 1000;
+    this.generateTimeout = 10 * 60 * 1000; // test generation runs two programs per test
+    this.validateTimeout = 10 * 60 * 1000; // reference solutions and validators run on every test case
+    this.workerTimeout = parseInt(process.env.JUDGE_WORKER_TIMEOUT) || 30 * 1000;
+    this.recoveryInterval = 15 * 1000;
+    this.workerPrefix = `${os.hostname()}:${process.pid}`;
+    this.testDataStore = createTestDataStore();
+    this.workers = [];
+    this.sleepers = new Set();
+    this.running = false;
+  }
+
+  // Recover unfinished work and start the worker pool. Recovery also runs
+  // when there are no local workers, since it reassigns the jobs of dead
+  // standalone workers.
+  async start() {
+    this.running = true;
+    await this.recoverStale();
+
+    this.recoveryTimer = setInterval(() => {
+      this.recoverStale().catch(error => console.error('Judge queue recovery error:', error));
+    }, this.recoveryInterval);
+
+    for (let i = 0; i < this.concurrency; i++) {
+      this.workers.push(this.runWorker(`${this.workerPrefix}:${i}`));
+    }
+
+    console.log(`Judge queue started with ${this.concurrency} worker(s)`);
+  }
+
+  // Stop claiming jobs and wait for the running ones to finish
+  async stop() {
+    this.running = false;
+    clearInterval(this.recoveryTimer);
+    this.wakeUp();
+    await Promise.all(this.workers);
+    this.workers = [];
+  }
+
+  // Queue a submission for judging; re-queues it if a job already exists
+  async enqueue(submission, { priority = 0 } = {}) {
+    const job = await JudgeJob.findOneAndUpdate(
+      { submission: submission._id },
+      {
+        $set: {
+          status: 'queued',
+          language: submission.language,
+          priority,
+          attempts: 0,
+          maxAttempts: this.maxAttempts,
+          availableAt: new Date(),
+          lockedBy: null,
+          lockExpiresAt: null,
+          lastError: ''
+        },
+        $unset: { startedAt: 1, completedAt: 1 }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    this.wakeUp();
+    return job;
+  }
+
+  // Queue a run of code against custom input (no submission is created),
+  // or with kind 'generate', 'validate' or 'validate-input' a test
+  // generation, reference solution or input validation task, and wait for
+  // its result. Throws if it cannot be run in time or fails.
+  async run(task, { kind = 'run' } = {}) {
+    const timeout = {
+      generate: this.generateTimeout,
+      validate: this.validateTimeout,
+      'validate-input': this.validateTimeout
+    }[kind] || this.runTimeout;
+    const job = await JudgeJob.create({
+      kind,
+      task,
+      language: task.language,
+      priority: this.runPriority,
+      maxAttempts: this.maxAttempts
+    });
+    this.wakeUp();
+
+    // The job is only needed until its result is read, so it is deleted
+    // rather than kept for inspection like submission jobs. A worker still
+    // running it no longer holds its lock and its result is dropped.
+    try {
+      const deadline = Date.now() + timeout;
+      while (Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 250));
+        const current = await JudgeJob.findById(job._id).select('status result lastError');
+
+        // Deleted meanwhile, e.g. by a cleanup of the collection
+        if (!current) {
+          throw new Error('Run was cancelled');
+        }
+        if (current.status === 'completed') {
+          return current.result;
+        }
+        if (current.status === 'failed') {
+          throw new Error(`Run failed: ${current.lastError}`);
+        }
+      }
+
+      throw new Error('Timed out waiting for a judge worker');
+    } finally {
+      await JudgeJob.deleteOne({ _id: job._id });
+    }
+  }
+
+  // Atomically claim the next available job for a worker, optionally only
+  // for the languages the worker supports
+  async claim(workerId, languages = null) {
+    const now = new Date();
+    const filter = { status: 'queued', availableAt: { $lte: now } };
+
+    if (languages) {
+      filter.language = { $in: languages };
+    }
+
+    return JudgeJob.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          status: 'running',
+          lockedBy: workerId,
+          lockExpiresAt: new Date(now.getTime() + this.lockTimeout),
+          startedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { priority: -1, availableAt: 1 }, new: true }
+    );
+  }
+
+  async runWorker(workerId) {
+    while (this.running) {
+      let job = null;
+
+      try {
+        job = await this.claim(workerId);
+      } catch (error) {
+        console.error('Judge queue claim error:', error);
+      }
+
+      if (!job) {
+        await this.sleep(this.pollInterval);
+        continue;
+      }
+
+      await this.process(job, workerId);
+    }
+  }
+
+  // Judge one job, renewing its lock while it runs
+  async process(job, workerId) {
+    const renewal = setInterval(() => {
+      JudgeJob.updateOne(
+        { _id: job._id, lockedBy: workerId },
+        { lockExpiresAt: new Date(Date.now() + this.lockTimeout) }
+      ).catch(error => console.error('Judge queue lock renewal error:', error));
+    }, this.lockTimeout / 3);
+
+    try {
+      if (job.kind === 'run') {
+        const result = await codeExecutor.runCodeTask(job.task);
+        await this.complete(job, workerId, result);
+      } else if (job.kind === 'generate') {
+        const result = await codeExecutor.generateTestsTask(job.task, (key, content) => this.testDataStore.put(key, content));
+        await this.complete(job, workerId, result);
+      } else if (job.kind === 'validate') {
+        const result = await codeExecutor.validateSolutionTask(job.task, key => this.testDataStore.get(key));
+        await this.complete(job, workerId, result);
+      } else if (job.kind === 'validate-input') {
+        const result = await codeExecutor.validateInputsTask(job.task, key => this.testDataStore.get(key));
+        await this.complete(job, workerId, result);
+      } else {
+        await judgeSubmission(job.submission);
+        await this.complete(job, workerId);
+      }
+    } catch (error) {
+      console.error(`Judge job ${job._id} attempt ${job.attempts} failed:`, error);
+      await this.fail(job, workerId, error.message);
+    } finally {
+      clearInterval(renewal);
+    }
+  }
+
+  async complete(job, workerId, result = null) {
+    await JudgeJob.updateOne(
+      { _id: job._id, lockedBy: workerId },
+      { status: 'completed', completedAt: new Date(), lockedBy: null, lockExpiresAt: null, result }
+    );
+  }
+
+  // Retry a failed job with exponential backoff, or give up on it
+  async fail(job, workerId, message) {
+    try {
+      if (job.attempts < job.maxAttempts) {
+        const delay = this.retryDelay * Math.pow(2, job.attempts - 1);
+        await JudgeJob.updateOne(
+          { _id: job._id, lockedBy: workerId },
+          {
+            status: 'queued',
+            availableAt: new Date(Date.now() + delay),
+            lockedBy: null,
+            lockExpiresAt: null,
+            lastError: message
+          }
+        );
+        if (job.kind === 'submission') {
+          await setStatus(job.submission, 'pending');
+        }
+      } else {
+        await JudgeJob.updateOne(
+          { _id: job._id, lockedBy: workerId },
+          {
+            status: 'failed',
+            completedAt: new Date(),
+            lockedBy: null,
+            lockExpiresAt: null,
+            lastError: message
+          }
+        );
+        if (job.kind === 'submission') {
+          await failSubmission(job.submission, message);
+        }
+      }
+    } catch (error) {
+      console.error('Judge queue failure handling error:', error);
+    }
+  }
+
+  // Register a standalone judge worker
+  async registerWorker({ name, hostname, languages, concurrency, sandbox }) {
+    return JudgeWorker.create({ name, hostname, languages, concurrency, sandbox });
+  }
+
+  // Record a heartbeat of a standalone worker and renew the locks of the
+  // jobs it is running. Returns null for unknown or offline workers, which
+  // must register again.
+  async heartbeat(workerId) {
+    const worker = await JudgeWorker.findOneAndUpdate(
+      { _id: workerId, status: 'online' },
+      { lastHeartbeat: new Date() },
+      { new: true }
+    );
+
+    if (worker) {
+      await JudgeJob.updateMany(
+        { status: 'running', lockedBy: worker._id.toString() },
+        { lockExpiresAt: new Date(Date.now() + this.lockTimeout) }
+      );
+    }
+
+    return worker;
+  }
+
+  // Take a worker offline and put its running jobs back in the queue
+  async deregisterWorker(workerId) {
+    await JudgeWorker.updateOne({ _id: workerId }, { status: 'offline' });
+    await this.requeueJobsOf([workerId.toString()], 'Worker went offline');
+  }
+
+  // Claim a job for a standalone worker and build the task it should run.
+  // Jobs whose submission has been deleted are completed and skipped.
+  async claimForWorker(worker) {
+    const workerId = worker._id.toString();
+
+    for (;;) {
+      const job = await this.claim(workerId, worker.languages);
+
+      if (!job) {
+        return null;
+      }
+
+      if (job.kind !== 'submission') {
+        return { job, task: job.task };
+      }
+
+      let task;
+      try {
+        task = await buildJudgeTask(job.submission);
+      } catch (error) {
+        await this.fail(job, workerId, error.message);
+        continue;
+      }
+
+      if (task) {
+        await startJudging(job.submission);
+        return { job, task };
+      }
+
+      await this.complete(job, workerId);
+    }
+  }
+
+  // Record the result reported by a standalone worker. Returns false when
+  // the worker no longer holds the job, e.g. because it was reassigned.
+  async reportResult(jobId, workerId, result) {
+    const job = await JudgeJob.findOne({ _id: jobId, status: 'running', lockedBy: workerId });
+
+    if (!job) {
+      return false;
+    }
+
+    if (job.kind !== 'submission') {
+      await this.complete(job, workerId, result);
+    } else {
+      await recordResult(job.submission, result);
+      await this.complete(job, workerId);
+    }
+    await JudgeWorker.updateOne({ _id: workerId }, { $inc: { jobsCompleted: 1 } });
+    return true;
+  }
+
+  // Forward judging progress reported by a standalone worker
+  async reportProgress(jobId, workerId, progress) {
+    const job = await JudgeJob.findOne({ _id: jobId, status: 'running', lockedBy: workerId });
+
+    if (!job) {
+      return false;
+    }
+
+    if (job.kind === 'submission') {
+      await reportProgress(job.submission, progress);
+    }
+    return true;
+  }
+
+  // Record an infrastructure failure reported by a standalone worker
+  async reportFailure(jobId, workerId, message) {
+    const job = await JudgeJob.findOne({ _id: jobId, status: 'running', lockedBy: workerId });
+
+    if (!job) {
+      return false;
+    }
+
+    await this.fail(job, workerId, message);
+    return true;
+  }
+
+  async requeueJobsOf(workerIds, reason) {
+    return this.releaseJobs({ lockedBy: { $in: workerIds } }, reason);
+  }
+
+  // Put running jobs matching filter back in the queue when their worker
+  // is gone. Jobs that have used all their attempts fail instead, as in
+  // fail(), so that a job that keeps crashing or hanging its worker is not
+  // retried forever. Returns the number of jobs put back or failed.
+  async releaseJobs(filter, reason) {
+    const exhausted = { ...filter, status: 'running', $expr: { $gte: ['$attempts', '$maxAttempts'] } };
+    const jobs = await JudgeJob.find(exhausted).select('kind submission');
+    let failed = 0;
+
+    for (const job of jobs) {
+      // The worker may have finished the job since it was found
+      const update = await JudgeJob.updateOne(
+        { ...exhausted, _id: job._id },
+        {
+          status: 'failed',
+          completedAt: new Date(),
+          lockedBy: null,
+          lockExpiresAt: null,
+          lastError: reason
+        }
+      );
+      if (update.modifiedCount > 0) {
+        failed++;
+        if (job.kind === 'submission') {
+          await failSubmission(job.submission, reason);
+        }
+      }
+    }
+
+    const requeued = await JudgeJob.updateMany(
+      { ...filter, status: 'running', $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      {
+        status: 'queued',
+        availableAt: new Date(),
+        lockedBy: null,
+        lockExpiresAt: null,
+        lastError: reason
+      }
+    );
+    return requeued.modifiedCount + failed;
+  }
+
+  // Put back jobs whose worker died and queue submissions left unfinished
+  // (for example by a restart) that have no job
+  async recoverStale() {
+    // Standalone workers that stopped sending heartbeats
+    const dead = await JudgeWorker.find({
+      status: 'online',
+      lastHeartbeat: { $lt: new Date(Date.now() - this.workerTimeout) }
+    }).select('_id');
+
+    if (dead.length > 0) {
+      await JudgeWorker.updateMany({ _id: { $in: dead.map(worker => worker._id) } }, { status: 'offline' });
+      const reassigned = await this.requeueJobsOf(dead.map(worker => worker._id.toString()), 'Worker stopped sending heartbeats');
+      console.log(`Judge queue marked ${dead.length} worker(s) offline and reassigned ${reassigned} job(s)`);
+    }
+
+    const stale = await this.releaseJobs({ lockExpiresAt: { $lt: new Date() } }, 'Worker stopped responding');
+
+    const unfinished = await Submission.find({ status: { $in: UNFINISHED_STATUSES } }).select('_id language');
+    const queued = await JudgeJob.find({
+      submission: { $in: unfinished.map(submission => submission._id) },
+      status: { $in: ['queued', 'running'] }
+    }).select('submission');
+    const queuedIds = new Set(queued.map(job => job.submission.toString()));
+    const orphaned = unfinished.filter(submission => !queuedIds.has(submission._id.toString()));
+
+    for (const submission of orphaned) {
+      await this.enqueue(submission);
+    }
+
+    if (stale > 0 || orphaned.length > 0) {
+      console.log(`Judge queue recovered ${stale} stale job(s) and ${orphaned.length} orphaned submission(s)`);
+    }
+  }
+
+  // Queue depth and job counts for monitoring
+  async getStats() {
+    const counts = await JudgeJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const oldestQueued = await JudgeJob.findOne({ status: 'queued' })
+      .sort({ createdAt: 1 })
+      .select('createdAt');
+
+    const workers = await JudgeWorker.find({ status: 'online' })
+      .select('name hostname languages concurrency sandbox lastHeartbeat jobsCompleted');
+
+    const byStatus = { queued: 0, running: 0, completed: 0, failed: 0 };
+    counts.forEach(({ _id, count }) => {
+      byStatus[_id] = count;
+    });
+
+    return {
+      depth: byStatus.queued,
+      ...byStatus,
+      oldestQueuedAt: oldestQueued ? oldestQueued.createdAt : null,
+      localWorkers: this.running ? this.concurrency : 0,
+      workers
+    };
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      const sleeper = () => {
+        clearTimeout(timer);
+        this.sleepers.delete(sleeper);
+        resolve();
+      };
+      const timer = setTimeout(sleeper, ms);
+      this.sleepers.add(sleeper);
+    });
+  }
+
+  // Wake idle workers in this process so new jobs start immediately
+  wakeUp() {
+    this.sleepers.forEach(sleeper => sleeper());
+  }
+}
+
+module.exports = new JudgeQueue();
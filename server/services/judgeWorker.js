@@ -0,0 +1,317 @@
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const codeExecutor = require('./codeExecutor');
+const { hashContent, resolveTestCases } = require('./testData');
+
+// Client side of the judge worker API (routes/judge). A judge worker runs on
+// its own machine, claims jobs from the API server over HTTP, executes them
+// with codeExecutor and reports the results, so the API server itself never
+// runs submitted code.
+class JudgeWorker {
+  constructor() {
+    this.serverUrl = (process.env.JUDGE_SERVER_URL || 'http://localhost:5000').replace(/\/$/, '');
+    this.token = process.env.JUDGE_WORKER_TOKEN;
+    this.name = process.env.JUDGE_WORKER_NAME || os.hostname();
+    this.concurrency = parseInt(process.env.JUDGE_WORKER_CONCURRENCY) || 1;
+    this.languages = process.env.JUDGE_WORKER_LANGUAGES
+      ? process.env.JUDGE_WORKER_LANGUAGES.split(',').map(language => language.trim()).filter(Boolean)
+      : null; // detected from the installed toolchains
+    this.requestTimeout = 30 * 1000;
+    this.retryDelay = 5000; // wait before retrying when the server is unreachable
+    this.workerId = null;
+    this.registration = null; // pending registration shared by all slots
+    this.heartbeatInterval = 10 * 1000;
+    this.pollInterval = 1000;
+    this.testDataDir = path.join(__dirname, '../../code_execution/test-data'); // downloaded test files
+    this.testDataMaxAge = 24 * 60 * 60 * 1000; // cached test files unused for this long are removed
+    this.slots = [];
+    this.running = false;
+  }
+
+  async start() {
+    if (!this.token) {
+      throw new Error('JUDGE_WORKER_TOKEN must be set');
+    }
+
+    await codeExecutor.init();
+
+    if (!this.languages) {
+      this.languages = await codeExecutor.detectLanguages();
+    }
+
+    if (this.languages.length === 0) {
+      throw new Error('No supported language toolchain found on this host');
+    }
+
+    await fs.ensureDir(this.testDataDir);
+    await this.cleanTestData();
+    this.testDataTimer = setInterval(() => this.cleanTestData(), 60 * 60 * 1000);
+    this.testDataTimer.unref();
+
+    this.running = true;
+    await this.register();
+
+    this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), this.heartbeatInterval);
+
+    for (let i = 0; i < this.concurrency; i++) {
+      this.slots.push(this.runSlot());
+    }
+
+    console.log(`Judge worker ${this.name} started with ${this.concurrency} slot(s) for ${this.languages.join(', ')} using the ${codeExecutor.sandbox.name} sandbox`);
+  }
+
+  // Finish the running jobs, then tell the server this worker is gone
+  async stop() {
+    this.running = false;
+    await Promise.all(this.slots);
+    clearInterval(this.heartbeatTimer);
+    clearInterval(this.testDataTimer);
+
+    if (this.workerId) {
+      try {
+        await this.request(`/workers/${this.workerId}/deregister`);
+      } catch (error) {
+        console.error('Judge worker deregistration error:', error.message);
+      }
+    }
+  }
+
+  // Register with the server, retrying until it is reachable. Slots that
+  // find the worker unregistered at the same time share one registration.
+  register() {
+    if (!this.registration) {
+      this.registration = this.connect().finally(() => {
+        this.registration = null;
+      });
+    }
+    return this.registration;
+  }
+
+  async connect() {
+    while (this.running) {
+      try {
+        const { data } = await this.request('/workers/register', {
+          name: this.name,
+          hostname: os.hostname(),
+          languages: this.languages,
+          concurrency: this.concurrency,
+          sandbox: codeExecutor.sandbox.name
+        });
+
+        this.workerId = data.workerId;
+        this.heartbeatInterval = data.heartbeatInterval;
+        this.pollInterval = data.pollInterval;
+        console.log(`Judge worker registered as ${this.workerId}`);
+        return;
+      } catch (error) {
+        console.error('Judge worker registration error:', error.message);
+        await this.sleep(this.retryDelay);
+      }
+    }
+  }
+
+  async sendHeartbeat() {
+    try {
+      await this.request(`/workers/${this.workerId}/heartbeat`);
+    } catch (error) {
+      if (error.status === 404) {
+        // The server considered this worker dead and reassigned its jobs
+        console.warn('Judge worker was marked offline, registering again');
+        await this.register();
+      } else {
+        console.error('Judge worker heartbeat error:', error.message);
+      }
+    }
+  }
+
+  async runSlot() {
+    while (this.running) {
+      let claimed = null;
+
+      try {
+        const { data } = await this.request('/jobs/claim', { workerId: this.workerId });
+        claimed = data;
+      } catch (error) {
+        if (error.status === 404) {
+          await this.register();
+          continue;
+        }
+        console.error('Judge worker claim error:', error.message);
+        await this.sleep(this.retryDelay);
+        continue;
+      }
+
+      if (!claimed) {
+        await this.sleep(this.pollInterval);
+        continue;
+      }
+
+      await this.judge(claimed);
+    }
+  }
+
+  // Execute a claimed job and report its result to the server
+  async judge({ jobId, kind, attempt, task }) {
+    const workerId = this.workerId;
+
+    if (kind !== 'submission') {
+      return this.runJob({ jobId, kind, task });
+    }
+
+    console.log(`Judging submission ${task.submissionId} (job ${jobId}, attempt ${attempt})`);
+
+    // Progress reports are sent one at a time so they arrive in order, and
+    // all of them before the result
+    let progressReports = Promise.resolve();
+    const onProgress = (progress) => {
+      progressReports = progressReports
+        .then(() => this.request(`/jobs/${jobId}/progress`, { workerId, progress }))
+        .catch(error => console.error(`Judge job ${jobId} progress error:`, error.message));
+    };
+
+    let report;
+    try {
+      task.testCases = await resolveTestCases(task.testCases, key => this.fetchTestData(key));
+      const result = await codeExecutor.runTask(task, onProgress);
+      await progressReports;
+      report = { path: `/jobs/${jobId}/result`, body: { workerId, result } };
+    } catch (error) {
+      // Infrastructure failure: the server retries the job, possibly elsewhere
+      console.error(`Judge job ${jobId} failed:`, error.message);
+      report = { path: `/jobs/${jobId}/failure`, body: { workerId, error: error.message } };
+    }
+
+    try {
+      await this.request(report.path, report.body);
+    } catch (error) {
+      // A 409 means the job was reassigned while this worker was judging it
+      console.error(`Judge job ${jobId} report error:`, error.message);
+    }
+  }
+
+  // Execute a Run button, test generation, reference solution or input
+  // validation job; there is no progress to report
+  async runJob({ jobId, kind, task }) {
+    const workerId = this.workerId;
+
+    let report;
+    try {
+      let result;
+      if (kind === 'generate') {
+        result = await codeExecutor.generateTestsTask(task, (key, content) => this.uploadTestData(key, content));
+      } else if (kind === 'validate') {
+        result = await codeExecutor.validateSolutionTask(task, key => this.fetchTestData(key));
+      } else if (kind === 'validate-input') {
+        result = await codeExecutor.validateInputsTask(task, key => this.fetchTestData(key));
+      } else {
+        result = await codeExecutor.runCodeTask(task);
+      }
+      report = { path: `/jobs/${jobId}/result`, body: { workerId, result } };
+    } catch (error) {
+      console.error(`${kind} job ${jobId} failed:`, error.message);
+      report = { path: `/jobs/${jobId}/failure`, body: { workerId, error: error.message } };
+    }
+
+    try {
+      await this.request(report.path, report.body);
+    } catch (error) {
+      console.error(`${kind} job ${jobId} report error:`, error.message);
+    }
+  }
+
+  // Contents of a file from the server's test data store. Files never
+  // change, so they are kept on disk for later jobs.
+  async fetchTestData(key) {
+    const file = path.join(this.testDataDir, key);
+
+    try {
+      const content = await fs.readFile(file);
+      const now = new Date();
+      await fs.utimes(file, now, now);
+      return content;
+    } catch (error) {
+      // Not downloaded yet
+    }
+
+    const response = await fetch(`${this.serverUrl}/api/judge/test-data/${key}`, {
+      headers: { Authorization: `Bearer ${this.token}` },
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Could not download test data ${key}: server responded with ${response.status}`);
+    }
+
+    const content = Buffer.from(await response.arrayBuffer());
+    if (hashContent(content) !== key) {
+      throw new Error(`Downloaded test data ${key} is corrupt`);
+    }
+
+    const tempFile = `${file}.tmp-${uuidv4()}`;
+    await fs.writeFile(tempFile, content);
+    await fs.rename(tempFile, file);
+    return content;
+  }
+
+  // Send a large generated test file to the server's test data store
+  async uploadTestData(key, content) {
+    const response = await fetch(`${this.serverUrl}/api/judge/test-data/${key}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        Authorization: `Bearer ${this.token}`
+      },
+      body: content,
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Could not upload test data ${key}: server responded with ${response.status}`);
+    }
+  }
+
+  // Remove cached test files that no job has used for testDataMaxAge
+  async cleanTestData() {
+    try {
+      for (const name of await fs.readdir(this.testDataDir)) {
+        const file = path.join(this.testDataDir, name);
+        const stat = await fs.stat(file);
+        if (Date.now() - stat.mtimeMs > this.testDataMaxAge) {
+          await fs.remove(file);
+        }
+      }
+    } catch (error) {
+      console.error('Judge worker test data cleanup error:', error.message);
+    }
+  }
+
+  async request(path, body = {}) {
+    const response = await fetch(`${this.serverUrl}/api/judge${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.token}`
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(payload.message || `Judge server responded with ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return payload;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new JudgeWorker();
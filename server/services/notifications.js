@@ -0,0 +1,13 @@
+const { Notification } = require('../models');
+const realtime = require('./realtime');
+
+// Store a notification for a user and push it to their open sessions
+async function notify(userId, { type, message, link = '', problem = null }) {
+  const notification = await Notification.create({ user: userId, type, message, link, problem });
+  realtime.emitToUser(userId, 'notification', notification.toObject());
+  return notification;
+}
+
+module.exports = {
+  notify
+};
@@ -0,0 +1,132 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { getLanguage, listLanguages } = require('../../config/languages');
+const { UPLOAD_LIMIT } = require('../testData');
+const Problem = require('../../models/Problem');
+
+// A problem package that cannot be imported; its message is shown to the
+// author
+class PackageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PackageError';
+  }
+}
+
+// Files that mark the root of a package in each format
+const MARKERS = ['problem.json', 'problem.yaml', 'problem.xml'];
+
+// Languages a problem can keep a reference solution in
+const SOLUTION_LANGUAGES = Object.keys(Problem.schema.paths)
+  .filter(field => field.startsWith('solution.'))
+  .map(field => field.slice('solution.'.length));
+
+// Source file extensions used by other systems besides the registry's own
+const EXTENSION_ALIASES = {
+  '.cc': 'cpp',
+  '.cxx': 'cpp',
+  '.c++': 'cpp',
+  '.py3': 'python'
+};
+
+const compareNames = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+// Read-only view of a package's zip archive by path. Packages zipped
+// together with their top-level directory are read from inside it.
+class PackageFiles {
+  constructor(buffer) {
+    let entries;
+    try {
+      entries = new AdmZip(buffer).getEntries().filter(entry => !entry.isDirectory);
+    } catch (error) {
+      throw new PackageError('Package is not a valid zip file');
+    }
+
+    // Uncompressed sizes from the archive's headers, checked before
+    // anything is extracted
+    const size = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+    if (size > UPLOAD_LIMIT) {
+      throw new PackageError(`Extracted package cannot exceed ${UPLOAD_LIMIT / (1024 * 1024)} MB`);
+    }
+
+    const names = entries.map(entry => entry.entryName);
+    const root = MARKERS.some(marker => names.includes(marker))
+      ? ''
+      : (names.find(name => MARKERS.includes(name.split('/').slice(1).join('/'))) || '').split('/')[0];
+    const prefix = root ? `${root}/` : '';
+
+    this.entries = new Map(entries
+      .filter(entry => entry.entryName.startsWith(prefix))
+      .map(entry => [entry.entryName.slice(prefix.length), entry]));
+  }
+
+  has(file) {
+    return this.entries.has(file);
+  }
+
+  // Contents of a file as a buffer, or null if the package has no such file
+  read(file) {
+    const entry = this.entries.get(file);
+    return entry ? entry.getData() : null;
+  }
+
+  text(file) {
+    const content = this.read(file);
+    return content ? content.toString() : null;
+  }
+
+  // Paths of the files under dir (recursively), ordered by name with
+  // numbers compared by value
+  list(dir) {
+    const prefix = dir ? `${dir.replace(/\/$/, '')}/` : '';
+    return [...this.entries.keys()]
+      .filter(file => file.startsWith(prefix))
+      .sort(compareNames);
+  }
+}
+
+// Language of a source file, by its extension; null if unknown
+function languageOfFile(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (EXTENSION_ALIASES[extension]) {
+    return EXTENSION_ALIASES[extension];
+  }
+
+  const language = listLanguages().find(candidate => path.extname(candidate.sourceFile).toLowerCase() === extension);
+  return language ? language.id : null;
+}
+
+// File name a program in the given language is exported as
+const sourceFileOf = (language) => getLanguage(language).sourceFile;
+
+// Files read as statement images
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+
+// Statement images directly in dir, as { name, content }
+const readImages = (files, dir) => files.list(dir)
+  .filter(file => IMAGE_EXTENSIONS.includes(path.posix.extname(file).toLowerCase()))
+  .map(file => ({ name: file.slice(dir.length + 1), content: files.read(file) }));
+
+// Whether each test case is shown as a sample. Problems saved before
+// samples were marked show their visible tests.
+const sampleFlags = (testCases) => {
+  const marked = testCases.some(testCase => testCase.isSample);
+  return testCases.map(testCase => (marked ? !!testCase.isSample : !testCase.isHidden));
+};
+
+// Problem limits accept whole seconds from 1 to 10 and 16 to 1024 MB
+const toTimeLimit = (seconds) => Math.min(10, Math.max(1, Math.ceil(seconds)));
+const toMemoryLimit = (megabytes) => Math.min(1024, Math.max(16, Math.round(megabytes)));
+
+module.exports = {
+  PackageError,
+  PackageFiles,
+  SOLUTION_LANGUAGES,
+  compareNames,
+  languageOfFile,
+  readImages,
+  sampleFlags,
+  sourceFileOf,
+  toTimeLimit,
+  toMemoryLimit
+};
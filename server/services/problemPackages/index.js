@@ -0,0 +1,103 @@
+const AdmZip = require('adm-zip');
+const { packTestCase, resolveTestCases } = require('../testData');
+const { imageError, addImage } = require('../problemStatement');
+const { PackageError, PackageFiles } = require('./files');
+const native = require('./native');
+const kattis = require('./kattis');
+const polygon = require('./polygon');
+
+// Problem packages move problems between this platform and others. Each
+// format reads a package into Problem fields plus test files and statement
+// images, and writes a problem with its resolved test cases and images into
+// a zip archive; parts a format cannot carry are reported as warnings.
+const formats = {
+  native,
+  kattis,
+  polygon
+};
+
+const PACKAGE_FORMATS = Object.keys(formats);
+
+// Format of a package, from the marker file at its root
+const detectFormat = (files) => PACKAGE_FORMATS.find(name => files.has(formats[name].marker)) || null;
+
+// Read a package's zip archive, in the given format or the one detected.
+// Tests are packed with packTestCase, storing large files with put(key,
+// content). Resolves to { format, problem, warnings } where problem holds
+// Problem fields including testCases; throws PackageError for packages
+// that cannot be imported.
+async function importPackage(buffer, { format = null, put }) {
+  const files = new PackageFiles(buffer);
+  const name = format || detectFormat(files);
+
+  if (!name) {
+    throw new PackageError(`Unknown package format: expected one of ${PACKAGE_FORMATS.map(candidate => formats[candidate].marker).join(', ')} at the package root`);
+  }
+  if (!files.has(formats[name].marker)) {
+    throw new PackageError(`Not a ${name} package: ${formats[name].marker} is missing`);
+  }
+
+  const { problem, tests, images = [], warnings } = formats[name].read(files);
+
+  if (tests.length === 0) {
+    throw new PackageError('Package has no tests');
+  }
+
+  const testCases = [];
+  for (const { input, output, ...fields } of tests) {
+    testCases.push({ ...fields, ...await packTestCase(input, output, put) });
+  }
+
+  problem.images = [];
+  for (const { name: imageName, content } of images) {
+    const error = imageError(imageName, content);
+    if (error) {
+      warnings.push(`The image was not imported: ${error}`);
+    } else {
+      await addImage(problem, imageName, content, put);
+    }
+  }
+
+  // Statements of other formats do not separate the platform's required
+  // sections. Packages without sample tests show their first visible test
+  // as the sample.
+  const defaults = {
+    inputFormat: 'See the problem description.',
+    outputFormat: 'See the problem description.',
+    constraints: 'See the input format.'
+  };
+  if (!tests.some(test => test.isSample)) {
+    const sample = tests.find(test => test.isHidden === false) || tests[0];
+    defaults.sampleInput = sample.input.toString();
+    defaults.sampleOutput = sample.output.toString();
+  }
+  Object.entries(defaults).forEach(([field, value]) => {
+    if (!problem[field]) {
+      problem[field] = value;
+    }
+  });
+
+  return { format: name, problem: { ...problem, testCases }, warnings };
+}
+
+// Zip archive of a problem in the given format; stored test files and
+// statement images are read with get(key). Resolves to { buffer, warnings }.
+async function exportPackage(problem, format, get) {
+  const data = problem.toObject();
+  const testCases = await resolveTestCases(data.testCases, get);
+  const images = await Promise.all((data.images || []).map(async image => ({
+    name: image.name,
+    content: await get(image.key)
+  })));
+  const zip = new AdmZip();
+  const warnings = formats[format].write(data, testCases, zip, images);
+
+  return { buffer: zip.toBuffer(), warnings };
+}
+
+module.exports = {
+  PACKAGE_FORMATS,
+  PackageError,
+  importPackage,
+  exportPackage
+};
@@ -0,0 +1,311 @@
+const yaml = require('js-yaml');
+const { PackageError, SOLUTION_LANGUAGES, languageOfFile, readImages, sampleFlags, sourceFileOf, toTimeLimit, toMemoryLimit } = require('./files');
+
+// Kattis problem package format (problemarchive.org), as used by Kattis,
+// DOMjudge and problemtools:
+//   problem.yaml                    name, limits, validation, validator_flags
+//   problem_statement/problem.*.md  statement (or .tex), with Input and
+//                                   Output sections, and its images
+//   data/sample, data/secret        <name>.in / <name>.ans test pairs;
+//                                   subdirectories of data/secret are test
+//                                   groups, scored as subtasks
+//   input_validators                programs that exit with 42 on valid input
+//   submissions/accepted            reference solutions
+// Custom output validators use a different interface from the platform's
+// checkers and are not imported or exported.
+
+const STATEMENT_FILES = [
+  'problem_statement/problem.en.md',
+  'problem_statement/problem.md',
+  'problem_statement/problem.en.tex',
+  'problem_statement/problem.tex'
+];
+
+// Headings of a Markdown or LaTeX statement, capturing their titles
+const MARKDOWN_HEADING = /^#{1,6}[ \t]+(.+?)[ \t#]*$/gm;
+const LATEX_HEADING = /^\\section\*?\{([^}]*)\}[ \t]*$/gm;
+
+const KATTIS_VALID_EXIT_CODE = 42;
+
+// Parsed YAML file of the package; missing files read as empty
+function readYaml(files, file) {
+  try {
+    return yaml.load(files.text(file) || '') || {};
+  } catch (error) {
+    throw new PackageError(`${file} is not valid YAML: ${error.reason || error.message}`);
+  }
+}
+
+// Split a statement into the description before its first heading, its
+// Input and Output sections, and the other sections (notes, scoring...)
+function splitStatement(text, headingPattern) {
+  const headings = [...text.matchAll(headingPattern)];
+  const sections = headings.map((heading, index) => ({
+    heading: heading[0],
+    title: heading[1].trim().toLowerCase(),
+    body: text.slice(heading.index + heading[0].length, index + 1 < headings.length ? headings[index + 1].index : text.length).trim()
+  }));
+  const take = (title) => {
+    const index = sections.findIndex(section => section.title === title);
+    return index === -1 ? '' : sections.splice(index, 1)[0].body;
+  };
+
+  return {
+    description: text.slice(0, headings.length > 0 ? headings[0].index : text.length).trim(),
+    inputFormat: take('input'),
+    outputFormat: take('output'),
+    explanation: sections.map(section => `${section.heading}\n\n${section.body}`).join('\n\n')
+  };
+}
+
+function readStatement(files, config) {
+  const file = STATEMENT_FILES.find(candidate => files.has(candidate));
+  if (!file) {
+    throw new PackageError('Package has no problem statement in problem_statement/');
+  }
+
+  let text = files.text(file);
+  let title = typeof config.name === 'object' ? config.name.en || Object.values(config.name)[0] : config.name;
+
+  if (file.endsWith('.tex')) {
+    const problemName = text.match(/\\problemname\{([^}]*)\}/);
+    title = title || (problemName && problemName[1]);
+    text = text.replace(/\\problemname\{[^}]*\}/, '');
+  }
+
+  return {
+    title: title || 'Untitled problem',
+    ...splitStatement(text, file.endsWith('.tex') ? LATEX_HEADING : MARKDOWN_HEADING)
+  };
+}
+
+// Built-in checker for the default output validator's flags
+function readChecker(config) {
+  const flags = [].concat(config.validator_flags || []).join(' ').split(/\s+/).filter(Boolean);
+  const flag = (name) => {
+    const index = flags.indexOf(name);
+    return index === -1 ? undefined : Number(flags[index + 1]);
+  };
+
+  const tolerance = flag('float_tolerance');
+  const absoluteError = flag('float_absolute_tolerance') ?? tolerance;
+  const relativeError = flag('float_relative_tolerance') ?? tolerance;
+
+  if (absoluteError !== undefined || relativeError !== undefined) {
+    return { type: 'float', absoluteError: absoluteError ?? 0, relativeError: relativeError ?? 0 };
+  }
+  return { type: flags.includes('space_change_sensitive') ? 'exact' : 'token' };
+}
+
+// Test pairs under data/; with groups, each subdirectory of data/secret is
+// a subtask worth its testdata.yaml's accept_score
+function readTests(files, scoring) {
+  const inputFiles = (dir) => files.list(dir).filter(file => file.endsWith('.in'));
+  const pairOf = (file) => {
+    const output = files.read(`${file.slice(0, -'.in'.length)}.ans`);
+    if (!output) {
+      throw new PackageError(`Test ${file} has no .ans file`);
+    }
+    return { input: files.read(file), output };
+  };
+
+  const secretFiles = inputFiles('data/secret');
+  const samples = inputFiles('data/sample').map(file => ({ ...pairOf(file), isHidden: false, isSample: true }));
+  const secret = secretFiles.map(file => ({ ...pairOf(file), isHidden: true }));
+
+  const groupOf = (file) => {
+    const parts = file.slice('data/secret/'.length).split('/');
+    return parts.length > 1 ? parts[0] : 'secret';
+  };
+  const groups = [...new Set(secretFiles.map(groupOf))];
+
+  if (!scoring || !groups.some(group => group !== 'secret')) {
+    return { tests: [...samples, ...secret], subtasks: [] };
+  }
+
+  const subtasks = groups.map(group => {
+    const dir = group === 'secret' ? 'data/secret' : `data/secret/${group}`;
+    const testdata = readYaml(files, `${dir}/testdata.yaml`);
+    return { name: group, points: Number(testdata.accept_score) || 1 };
+  });
+  if (samples.length > 0) {
+    subtasks.unshift({ name: 'sample', points: 0 });
+  }
+
+  return {
+    tests: [
+      ...samples.map(test => ({ ...test, subtask: 'sample' })),
+      ...secret.map((test, index) => ({ ...test, subtask: groupOf(secretFiles[index]) }))
+    ],
+    subtasks
+  };
+}
+
+// The package's input validator, if it has exactly one and it is a single
+// source file in a known language
+function readValidator(files, warnings) {
+  const programs = [...new Set(files.list('input_validators')
+    .map(file => file.split('/').slice(0, 2).join('/')))];
+
+  if (programs.length === 0) {
+    return null;
+  }
+
+  const sources = programs.length === 1 ? files.list(programs[0]) : [];
+  const language = sources.length === 1 ? languageOfFile(sources[0]) : null;
+  if (!language) {
+    warnings.push('Input validators were not imported: only a single validator program in one source file can be imported');
+    return null;
+  }
+
+  return { language, source: files.text(sources[0]), validExitCode: KATTIS_VALID_EXIT_CODE };
+}
+
+// One accepted submission per language the problem can keep
+function readSolutions(files) {
+  const solution = {};
+
+  files.list('submissions/accepted')
+    .filter(file => file.split('/').length === 3)
+    .forEach(file => {
+      const language = languageOfFile(file);
+      if (SOLUTION_LANGUAGES.includes(language) && !solution[language]) {
+        solution[language] = files.text(file);
+      }
+    });
+
+  return solution;
+}
+
+function read(files) {
+  const config = readYaml(files, 'problem.yaml');
+  const warnings = [];
+  const validation = String(config.validation || 'default');
+  const types = [].concat(config.type || []);
+
+  if (validation.includes('interactive') || types.includes('interactive')) {
+    throw new PackageError('Interactive Kattis problems cannot be imported: their output validators do not fit the interactor interface');
+  }
+
+  let checker = readChecker(config);
+  if (validation.startsWith('custom')) {
+    warnings.push('The custom output validator was not imported; answers are compared token by token');
+    checker = { type: 'token' };
+  }
+
+  const limits = config.limits || {};
+  let timeLimit = Number(limits.time_limit) || Number(files.text('.timelimit'));
+  if (!timeLimit) {
+    warnings.push('The package has no time limit, so 1 second is used; check the suggested time limit');
+    timeLimit = 1;
+  } else if (toTimeLimit(timeLimit) !== timeLimit) {
+    warnings.push(`Time limit ${timeLimit}s was changed to ${toTimeLimit(timeLimit)}s`);
+  }
+
+  const { tests, subtasks } = readTests(files, types.includes('scoring') || validation.includes('score'));
+  const statement = readStatement(files, config);
+
+  return {
+    problem: {
+      ...statement,
+      timeLimit: toTimeLimit(timeLimit),
+      ...(limits.memory && { memoryLimit: toMemoryLimit(Number(limits.memory)) }),
+      checker,
+      subtasks,
+      validator: readValidator(files, warnings),
+      solution: readSolutions(files)
+    },
+    tests,
+    images: readImages(files, 'problem_statement'),
+    warnings
+  };
+}
+
+function write(problem, testCases, zip, images) {
+  const warnings = [];
+  const { checker, subtasks = [] } = problem;
+
+  const config = {
+    name: problem.title,
+    ...(subtasks.length > 0 && { type: 'scoring' }),
+    validation: 'default',
+    limits: { time_limit: problem.timeLimit, memory: problem.memoryLimit }
+  };
+
+  // The default output validator ignores case unless told otherwise
+  if (checker.type === 'float') {
+    config.validator_flags = `float_absolute_tolerance ${checker.absoluteError ?? 1e-6} float_relative_tolerance ${checker.relativeError ?? 1e-6} case_sensitive`;
+  } else if (checker.type === 'exact') {
+    config.validator_flags = 'case_sensitive space_change_sensitive';
+  } else if (checker.type === 'custom') {
+    warnings.push('The custom checker was not exported: Kattis output validators use a different interface');
+  } else {
+    config.validator_flags = 'case_sensitive';
+  }
+
+  zip.addFile('problem.yaml', Buffer.from(yaml.dump(config)));
+  zip.addFile('.timelimit', Buffer.from(`${problem.timeLimit}\n`));
+
+  const statement = [
+    problem.description,
+    `## Input\n\n${problem.inputFormat}\n\n${problem.constraints}`,
+    `## Output\n\n${problem.outputFormat}`,
+    problem.explanation && `## Notes\n\n${problem.explanation}`
+  ].filter(Boolean).join('\n\n');
+  zip.addFile('problem_statement/problem.en.md', Buffer.from(`${statement}\n`));
+  images.forEach(image => {
+    zip.addFile(`problem_statement/${image.name}`, image.content);
+  });
+
+  // Without subtasks samples go in data/sample and other tests are secret;
+  // with subtasks every test goes in its subtask's group and samples are
+  // copied to data/sample
+  const width = String(testCases.length).length;
+  const addTest = (dir, testCase, index) => {
+    const name = `${dir}/${String(index + 1).padStart(width, '0')}`;
+    zip.addFile(`${name}.in`, Buffer.from(testCase.input));
+    zip.addFile(`${name}.ans`, Buffer.from(testCase.output));
+  };
+
+  const samples = sampleFlags(testCases);
+  testCases.forEach((testCase, index) => {
+    if (samples[index]) {
+      addTest('data/sample', testCase, index);
+    }
+    if (subtasks.length > 0) {
+      addTest(`data/secret/${testCase.subtask}`, testCase, index);
+    } else if (!samples[index]) {
+      addTest('data/secret', testCase, index);
+    }
+  });
+  subtasks.forEach(subtask => {
+    zip.addFile(`data/secret/${subtask.name}/testdata.yaml`, Buffer.from(yaml.dump({ accept_score: subtask.points })));
+  });
+  if (subtasks.some(subtask => subtask.dependencies && subtask.dependencies.length > 0)) {
+    warnings.push('Subtask dependencies were not exported: Kattis test groups are scored independently');
+  }
+
+  const { validator } = problem;
+  if (validator && validator.source) {
+    if (validator.validExitCode === KATTIS_VALID_EXIT_CODE) {
+      zip.addFile(`input_validators/validator/${sourceFileOf(validator.language)}`, Buffer.from(validator.source));
+    } else {
+      warnings.push('The validator was not exported: Kattis input validators must exit with 42 on valid input');
+    }
+  }
+
+  Object.entries(problem.solution || {})
+    .filter(([, source]) => source)
+    .forEach(([language, source]) => {
+      zip.addFile(`submissions/accepted/${sourceFileOf(language)}`, Buffer.from(source));
+    });
+
+  return warnings;
+}
+
+module.exports = {
+  name: 'kattis',
+  marker: 'problem.yaml',
+  read,
+  write
+};
@@ -0,0 +1,84 @@
+const { PackageError } = require('./files');
+
+// The platform's own package format. problem.json holds the problem's
+// fields and the list of its test cases, tests/ holds every test case's
+// <name>.in and <name>.out file and images/ the statement's images. Nothing
+// is lost in an export and import.
+const FORMAT_VERSION = 1;
+
+// Problem fields kept in problem.json
+const PROBLEM_FIELDS = [
+  'title', 'description', 'difficulty', 'category', 'topics', 'subcategory', 'tags',
+  'timeLimit', 'memoryLimit', 'inputFormat', 'outputFormat', 'interactionFormat',
+  'constraints', 'sampleInput', 'sampleOutput', 'explanation', 'hints', 'points',
+  'maxAttempts', 'allowedLanguages', 'type', 'testPolicy', 'checker', 'interactor',
+  'validator', 'functionSignature', 'subtasks', 'solution'
+];
+
+// Test case fields kept in problem.json next to the test's name
+const TEST_CASE_FIELDS = ['isHidden', 'isSample', 'points', 'subtask', 'explanation'];
+
+const pick = (object, fields) => Object.fromEntries(fields
+  .filter(field => object[field] !== undefined && object[field] !== null)
+  .map(field => [field, object[field]]));
+
+function read(files) {
+  let manifest;
+  try {
+    manifest = JSON.parse(files.text('problem.json'));
+  } catch (error) {
+    throw new PackageError('problem.json is not valid JSON');
+  }
+
+  if (manifest.formatVersion > FORMAT_VERSION) {
+    throw new PackageError(`Package format version ${manifest.formatVersion} is newer than this platform supports`);
+  }
+
+  const tests = (manifest.testCases || []).map((testCase, index) => {
+    const name = String(testCase.name || index + 1);
+    const input = files.read(`tests/${name}.in`);
+    const output = files.read(`tests/${name}.out`);
+
+    if (!input || !output) {
+      throw new PackageError(`Test ${name} is missing its ${input ? 'output' : 'input'} file`);
+    }
+
+    return { ...pick(testCase, TEST_CASE_FIELDS), input, output };
+  });
+
+  const images = files.list('images').map(file => ({
+    name: file.slice('images/'.length),
+    content: files.read(file)
+  }));
+
+  return { problem: pick(manifest, PROBLEM_FIELDS), tests, images, warnings: [] };
+}
+
+function write(problem, testCases, zip, images) {
+  const width = String(testCases.length).length;
+  const names = testCases.map((testCase, index) => String(index + 1).padStart(width, '0'));
+
+  const manifest = {
+    formatVersion: FORMAT_VERSION,
+    ...pick(problem, PROBLEM_FIELDS),
+    testCases: testCases.map((testCase, index) => ({ name: names[index], ...pick(testCase, TEST_CASE_FIELDS) }))
+  };
+
+  zip.addFile('problem.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  testCases.forEach((testCase, index) => {
+    zip.addFile(`tests/${names[index]}.in`, Buffer.from(testCase.input));
+    zip.addFile(`tests/${names[index]}.out`, Buffer.from(testCase.output));
+  });
+  images.forEach(image => {
+    zip.addFile(`images/${image.name}`, image.content);
+  });
+
+  return [];
+}
+
+module.exports = {
+  name: 'native',
+  marker: 'problem.json',
+  read,
+  write
+};
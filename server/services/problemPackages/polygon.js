@@ -0,0 +1,396 @@
+const { XMLParser, XMLBuilder } = require('fast-xml-parser');
+const { PackageError, SOLUTION_LANGUAGES, languageOfFile, readImages, sampleFlags, sourceFileOf, toTimeLimit, toMemoryLimit } = require('./files');
+
+// Codeforces Polygon packages (the "full" package, which includes generated
+// tests):
+//   problem.xml                        names, limits, test list and groups,
+//                                      checker, validators and solutions
+//   statements/<language>/problem-properties.json
+//                                      statement sections, next to its images
+//   tests/NN, tests/NN.a               test inputs and answers
+// Standard testlib checkers (std::wcmp.cpp, std::rcmp6.cpp...) map onto the
+// built-in checkers. Custom checkers and interactors use testlib's
+// interface and are not imported or exported; testlib validators are, with
+// the package's testlib.h inlined so they build as a single file.
+
+const ARRAY_TAGS = ['name', 'testset', 'test', 'group', 'dependency', 'validator', 'solution', 'file'];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  isArray: (tag) => ARRAY_TAGS.includes(tag)
+});
+
+const builder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  format: true,
+  suppressEmptyNode: true,
+  suppressBooleanAttributes: false
+});
+
+// testlib's standard checkers -> built-in checkers
+const STANDARD_CHECKERS = {
+  fcmp: { type: 'exact' },
+  lcmp: { type: 'whitespace' },
+  wcmp: { type: 'token' },
+  ncmp: { type: 'token' },
+  hcmp: { type: 'token' },
+  uncmp: { type: 'token' },
+  yesno: { type: 'token' },
+  nyesno: { type: 'token' },
+  rcmp: { type: 'float', absoluteError: 1.5e-6, relativeError: 0 },
+  dcmp: { type: 'float', absoluteError: 1e-6, relativeError: 1e-6 },
+  rcmp4: { type: 'float', absoluteError: 1e-4, relativeError: 1e-4 },
+  rcmp6: { type: 'float', absoluteError: 1e-6, relativeError: 1e-6 },
+  rcmp9: { type: 'float', absoluteError: 1e-9, relativeError: 1e-9 }
+};
+
+// Polygon's source types for exported programs
+const SOURCE_TYPES = {
+  c: 'c.gcc',
+  cpp: 'cpp.g++17',
+  python: 'python.3',
+  java: 'java11',
+  javascript: 'javascript',
+  kotlin: 'kotlin',
+  csharp: 'csharp.mono',
+  go: 'go',
+  rust: 'rust',
+  ruby: 'ruby'
+};
+
+const TESTLIB_INCLUDE = /^[ \t]*#include\s*["<]testlib\.h[">].*$/m;
+
+// Test file path from a pattern such as tests/%02d
+const formatPath = (pattern, number) => pattern.replace(/%0?(\d*)d/, (match, width) => String(number).padStart(Number(width) || 0, '0'));
+
+// Language of a source element, from its Polygon type or file name
+function languageOfSource(source) {
+  const type = source['@_type'] || '';
+  const prefix = ['javascript', 'kotlin', 'csharp', 'python', 'java', 'cpp', 'c.', 'go', 'rust', 'ruby']
+    .find(candidate => type.startsWith(candidate));
+  const byType = { 'c.': 'c' }[prefix] || prefix;
+  return byType || languageOfFile(source['@_path']);
+}
+
+// Language of the statement imported: English if the package has it
+function statementLanguage(files) {
+  const languages = [...new Set(files.list('statements').map(file => file.split('/')[1]))]
+    .filter(language => !language.startsWith('.'));
+  return languages.includes('english') ? 'english' : languages[0];
+}
+
+function readStatement(files, problem, language) {
+  const names = (problem.names && problem.names.name) || [];
+  const name = names.find(candidate => candidate['@_language'] === 'english') || names[0];
+
+  const propertiesFile = `statements/${language}/problem-properties.json`;
+
+  let sections;
+  if (files.has(propertiesFile)) {
+    try {
+      sections = JSON.parse(files.text(propertiesFile));
+    } catch (error) {
+      throw new PackageError(`${propertiesFile} is not valid JSON`);
+    }
+  } else {
+    const section = (part) => files.text(`statement-sections/${language}/${part}.tex`) || '';
+    sections = { legend: section('legend'), input: section('input'), output: section('output'), notes: section('notes') };
+  }
+
+  if (!sections.legend) {
+    throw new PackageError('Package has no statement legend');
+  }
+
+  return {
+    title: sections.name || (name && name['@_value']) || problem['@_short-name'] || 'Untitled problem',
+    description: sections.legend,
+    inputFormat: sections.input || '',
+    outputFormat: sections.output || '',
+    explanation: sections.notes || ''
+  };
+}
+
+// Tests of the main testset; groups become subtasks when every group is
+// scored as a whole
+function readTests(files, testset, warnings) {
+  const inputPattern = testset['input-path-pattern'] || 'tests/%02d';
+  const answerPattern = testset['answer-path-pattern'] || 'tests/%02d.a';
+  const testList = (testset.tests && testset.tests.test) || [];
+
+  const tests = testList.map((test, index) => {
+    const input = files.read(formatPath(inputPattern, index + 1));
+    const output = files.read(formatPath(answerPattern, index + 1));
+    if (!input || !output) {
+      throw new PackageError(`Test ${index + 1} has no ${input ? 'answer' : 'input'} file; download the full package from Polygon`);
+    }
+
+    return {
+      input,
+      output,
+      isHidden: test['@_sample'] !== 'true',
+      isSample: test['@_sample'] === 'true',
+      ...(test['@_points'] !== undefined && { points: Number(test['@_points']) })
+    };
+  });
+  const groupOf = (index) => testList[index]['@_group'] || '';
+
+  const groups = (testset.groups && testset.groups.group) || [];
+  if (groups.length === 0) {
+    return { tests, subtasks: [] };
+  }
+
+  if (groups.some(group => group['@_points-policy'] === 'each-test')) {
+    warnings.push('Test groups scored per test were not imported as subtasks; tests keep their own points');
+    return { tests, subtasks: [] };
+  }
+
+  const subtasks = groups.map(group => {
+    const name = String(group['@_name']);
+    const groupTests = tests.filter((test, index) => groupOf(index) === name);
+    const dependencies = ((group.dependencies && group.dependencies.dependency) || [])
+      .map(dependency => String(dependency['@_group']));
+
+    return {
+      name,
+      points: group['@_points'] !== undefined
+        ? Number(group['@_points'])
+        : groupTests.reduce((sum, test) => sum + (test.points || 0), 0),
+      dependencies
+    };
+  });
+
+  return { tests: tests.map((test, index) => ({ ...test, subtask: groupOf(index) })), subtasks };
+}
+
+function readChecker(assets, warnings) {
+  const name = (assets.checker && assets.checker['@_name']) || '';
+  const standard = name.match(/^std::(\w+)\.cpp$/);
+
+  if (standard && STANDARD_CHECKERS[standard[1]]) {
+    return STANDARD_CHECKERS[standard[1]];
+  }
+
+  if (assets.checker) {
+    warnings.push(`The checker ${name || '(custom)'} was not imported; answers are compared token by token`);
+  }
+  return { type: 'token' };
+}
+
+// A testlib validator with the package's testlib.h pasted in place of its
+// #include, so that it builds as a single file
+function readValidator(files, assets, warnings) {
+  const validators = (assets.validators && assets.validators.validator) || [];
+  if (validators.length === 0) {
+    return null;
+  }
+
+  const { source } = validators[0];
+  const language = languageOfSource(source);
+  let code = files.text(source['@_path']);
+
+  if (!language || !code) {
+    warnings.push('The validator was not imported: its source is missing or in an unknown language');
+    return null;
+  }
+
+  if (TESTLIB_INCLUDE.test(code)) {
+    const testlib = files.list('').find(file => file === 'testlib.h' || file.endsWith('/testlib.h'));
+    if (!testlib) {
+      warnings.push('The validator was not imported: it uses testlib.h, which the package does not include');
+      return null;
+    }
+    code = code.replace(TESTLIB_INCLUDE, () => files.text(testlib));
+  }
+
+  return { language, source: code, validExitCode: 0 };
+}
+
+// The main solution and accepted ones, one per language the problem can keep
+function readSolutions(files, assets) {
+  const solutions = ((assets.solutions && assets.solutions.solution) || [])
+    .filter(solution => ['main', 'accepted'].includes(solution['@_tag']))
+    .sort((a, b) => (a['@_tag'] === 'main' ? -1 : 0) - (b['@_tag'] === 'main' ? -1 : 0));
+  const solution = {};
+
+  solutions.forEach(({ source }) => {
+    const language = languageOfSource(source);
+    const code = files.text(source['@_path']);
+    if (SOLUTION_LANGUAGES.includes(language) && code && !solution[language]) {
+      solution[language] = code;
+    }
+  });
+
+  return solution;
+}
+
+function read(files) {
+  let document;
+  try {
+    document = parser.parse(files.text('problem.xml'));
+  } catch (error) {
+    throw new PackageError(`problem.xml is not valid XML: ${error.message}`);
+  }
+
+  const problem = document.problem || {};
+  const assets = problem.assets || {};
+  const warnings = [];
+
+  if (assets.interactor) {
+    throw new PackageError('Interactive Polygon problems cannot be imported: testlib interactors do not fit the interactor interface');
+  }
+
+  const testsets = (problem.judging && problem.judging.testset) || [];
+  const testset = testsets.find(candidate => candidate['@_name'] === 'tests') || testsets[0];
+  if (!testset) {
+    throw new PackageError('problem.xml has no testset');
+  }
+
+  const timeLimit = Number(testset['time-limit']) / 1000 || 1;
+  if (toTimeLimit(timeLimit) !== timeLimit) {
+    warnings.push(`Time limit ${timeLimit}s was changed to ${toTimeLimit(timeLimit)}s`);
+  }
+
+  const { tests, subtasks } = readTests(files, testset, warnings);
+  const language = statementLanguage(files);
+
+  return {
+    problem: {
+      ...readStatement(files, problem, language),
+      timeLimit: toTimeLimit(timeLimit),
+      ...(testset['memory-limit'] && { memoryLimit: toMemoryLimit(Number(testset['memory-limit']) / (1024 * 1024)) }),
+      checker: readChecker(assets, warnings),
+      subtasks,
+      validator: readValidator(files, assets, warnings),
+      solution: readSolutions(files, assets)
+    },
+    tests,
+    images: language ? readImages(files, `statements/${language}`) : [],
+    warnings
+  };
+}
+
+// Standard testlib checker for a built-in checker
+function standardChecker(checker) {
+  if (checker.type === 'exact') {
+    return 'std::fcmp.cpp';
+  }
+  if (checker.type === 'whitespace') {
+    return 'std::lcmp.cpp';
+  }
+  if (checker.type === 'float') {
+    const error = Math.max(checker.absoluteError ?? 1e-6, checker.relativeError ?? 1e-6);
+    if (error <= 1e-9) {
+      return 'std::rcmp9.cpp';
+    }
+    return error <= 1e-6 ? 'std::rcmp6.cpp' : 'std::rcmp4.cpp';
+  }
+  return 'std::wcmp.cpp';
+}
+
+function write(problem, testCases, zip, images) {
+  const warnings = [];
+  const subtasks = problem.subtasks || [];
+  const pattern = testCases.length > 99 ? '%03d' : '%02d';
+  const samples = sampleFlags(testCases);
+
+  testCases.forEach((testCase, index) => {
+    zip.addFile(formatPath(`tests/${pattern}`, index + 1), Buffer.from(testCase.input));
+    zip.addFile(formatPath(`tests/${pattern}.a`, index + 1), Buffer.from(testCase.output));
+  });
+
+  const assets = {};
+  if (problem.checker.type === 'custom') {
+    warnings.push('The custom checker was not exported: Polygon checkers use testlib\'s interface');
+  } else {
+    assets.checker = { '@_name': standardChecker(problem.checker), '@_type': 'testlib' };
+  }
+
+  const { validator } = problem;
+  if (validator && validator.source && validator.validExitCode) {
+    warnings.push('The validator was not exported: Polygon validators must exit with 0 on valid input');
+  } else if (validator && validator.source) {
+    const file = `files/validator-${sourceFileOf(validator.language)}`;
+    zip.addFile(file, Buffer.from(validator.source));
+    assets.validators = { validator: [{ source: { '@_path': file, '@_type': SOURCE_TYPES[validator.language] || validator.language } }] };
+  }
+
+  const solutions = Object.entries(problem.solution || {}).filter(([, source]) => source);
+  if (solutions.length > 0) {
+    assets.solutions = {
+      solution: solutions.map(([language, source], index) => {
+        const file = `solutions/${sourceFileOf(language)}`;
+        zip.addFile(file, Buffer.from(source));
+        return {
+          '@_tag': index === 0 ? 'main' : 'accepted',
+          source: { '@_path': file, '@_type': SOURCE_TYPES[language] || language }
+        };
+      })
+    };
+  }
+
+  const testset = {
+    '@_name': 'tests',
+    'time-limit': Math.round(problem.timeLimit * 1000),
+    'memory-limit': problem.memoryLimit * 1024 * 1024,
+    'test-count': testCases.length,
+    'input-path-pattern': `tests/${pattern}`,
+    'answer-path-pattern': `tests/${pattern}.a`,
+    tests: {
+      test: testCases.map((testCase, index) => ({
+        '@_method': 'manual',
+        ...(samples[index] && { '@_sample': 'true' }),
+        '@_points': subtasks.length > 0 ? 0 : testCase.points,
+        ...(subtasks.length > 0 && { '@_group': testCase.subtask })
+      }))
+    }
+  };
+
+  if (subtasks.length > 0) {
+    testset.groups = {
+      group: subtasks.map(subtask => ({
+        '@_name': subtask.name,
+        '@_points': subtask.points,
+        '@_points-policy': 'complete-group',
+        '@_feedback-policy': 'complete',
+        ...(subtask.dependencies.length > 0 && {
+          dependencies: { dependency: subtask.dependencies.map(dependency => ({ '@_group': dependency })) }
+        })
+      }))
+    };
+  }
+
+  const document = {
+    '?xml': { '@_version': '1.0', '@_encoding': 'utf-8' },
+    problem: {
+      '@_revision': '1',
+      names: { name: [{ '@_language': 'english', '@_value': problem.title }] },
+      judging: { '@_input-file': '', '@_output-file': '', testset: [testset] },
+      assets
+    }
+  };
+  zip.addFile('problem.xml', Buffer.from(builder.build(document)));
+
+  zip.addFile('statements/english/problem-properties.json', Buffer.from(JSON.stringify({
+    name: problem.title,
+    legend: problem.description,
+    input: `${problem.inputFormat}\n\n${problem.constraints}`,
+    output: problem.outputFormat,
+    notes: problem.explanation,
+    timeLimit: Math.round(problem.timeLimit * 1000),
+    memoryLimit: problem.memoryLimit * 1024 * 1024
+  }, null, 2)));
+  images.forEach(image => {
+    zip.addFile(`statements/english/${image.name}`, image.content);
+  });
+
+  return warnings;
+}
+
+module.exports = {
+  name: 'polygon',
+  marker: 'problem.xml',
+  read,
+  write
+};
@@ -0,0 +1,128 @@
+// Problems are published after review. An author submits a draft to the
+// review queue, and a reviewer (or admin) approves it, rejects it or
+// requests changes; the author then revises it and submits it again:
+//
+//   draft -> submitted -> approved
+//              |  ^  \-> rejected
+//              v  |
+//       changes-requested
+//
+// An approved problem can be sent back with a change request, which takes
+// it off the problem list until it is approved again; an approved problem
+// its author edits goes back to the review queue the same way. Every step
+// is recorded in the problem's review log with who took it and why.
+
+const REVIEW_STATUSES = ['draft', 'submitted', 'changes-requested', 'approved', 'rejected'];
+
+// Who may take each action from which statuses; to is the resulting status
+// (comments leave it unchanged). Checked actions need the problem's checks
+// to have passed (see services/problemValidation).
+const REVIEW_ACTIONS = {
+  submit: { from: ['draft', 'changes-requested'], to: 'submitted', by: 'author', checked: true },
+  withdraw: { from: ['submitted'], to: 'draft', by: 'author' },
+  approve: { from: ['submitted'], to: 'approved', by: 'reviewer', checked: true },
+  'request-changes': { from: ['submitted', 'approved'], to: 'changes-requested', by: 'reviewer', requiresComment: true },
+  reject: { from: ['submitted'], to: 'rejected', by: 'reviewer', requiresComment: true },
+  comment: { from: REVIEW_STATUSES, to: null, by: 'participant', requiresComment: true }
+};
+
+const REVIEWER_ROLES = ['reviewer', 'admin'];
+
+const isReviewer = (user) => REVIEWER_ROLES.includes(user.role);
+
+const isAuthor = (problem, user) => (problem.author._id || problem.author).toString() === user._id.toString();
+
+// Whether the user may take the action on problems like this one.
+// Reviewers do not review their own problems, except admins.
+function canTakeAction(problem, action, user) {
+  const author = isAuthor(problem, user);
+  const reviewer = isReviewer(user) && (!author || user.role === 'admin');
+
+  return {
+    author,
+    reviewer,
+    participant: author || reviewer
+  }[REVIEW_ACTIONS[action].by];
+}
+
+// Actions the user can take on the problem in its current status
+const availableActions = (problem, user) => Object.keys(REVIEW_ACTIONS).filter(action =>
+  canTakeAction(problem, action, user) && REVIEW_ACTIONS[action].from.includes(problem.reviewStatus));
+
+// Why the action cannot be taken on the problem now, or null
+function reviewError(problem, action, comment) {
+  const rule = REVIEW_ACTIONS[action];
+
+  if (!rule.from.includes(problem.reviewStatus)) {
+    return `Cannot ${action.replace('-', ' ')} a problem that is ${problem.reviewStatus.replace('-', ' ')}`;
+  }
+  if (rule.requiresComment && !(comment && comment.trim())) {
+    return 'A comment is required';
+  }
+  return null;
+}
+
+// Apply an action the user may take and record it in the review log;
+// returns the log entry
+function recordReview(problem, action, user, comment = '') {
+  const to = REVIEW_ACTIONS[action].to;
+  const entry = {
+    action,
+    fromStatus: problem.reviewStatus,
+    toStatus: to || problem.reviewStatus,
+    user: user._id,
+    comment: comment.trim()
+  };
+
+  if (to) {
+    problem.reviewStatus = to;
+  }
+  problem.reviewLog.push(entry);
+  return problem.reviewLog[problem.reviewLog.length - 1];
+}
+
+// Problems created by admins are published straight away
+function approveOnCreate(problem, user) {
+  if (user.role === 'admin') {
+    problem.reviewStatus = 'approved';
+    problem.reviewLog.push({
+      action: 'approve',
+      fromStatus: 'draft',
+      toStatus: 'approved',
+      user: user._id,
+      comment: 'Created by an admin'
+    });
+  }
+}
+
+// Approved problems whose statement, tests or judging the user changed are
+// submitted for review again, before the change is saved. Admins' edits
+// keep the approval, as their new problems are approved straight away.
+function resubmitOnEdit(problem, user) {
+  if (problem.reviewStatus !== 'approved' || user.role === 'admin') {
+    return;
+  }
+
+  problem.reviewStatus = 'submitted';
+  problem.reviewLog.push({
+    action: 'submit',
+    fromStatus: 'approved',
+    toStatus: 'submitted',
+    user: user._id,
+    comment: 'Edited after approval'
+  });
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_ACTIONS,
+  REVIEWER_ROLES,
+  isReviewer,
+  isAuthor,
+  canTakeAction,
+  availableActions,
+  reviewError,
+  recordReview,
+  approveOnCreate,
+  resubmitOnEdit
+};
@@ -0,0 +1,232 @@
+const { Problem, ProblemRevision } = require('../models');
+const { hashContent } = require('./testData');
+
+// Every save that changes a problem's statement or judging data records a
+// revision: a snapshot of these fields. Submissions keep the number of the
+// revision they were judged on, and authors can compare revisions and roll
+// back to one, which records a new revision with its contents.
+
+// Problem fields kept in a revision
+const REVISION_FIELDS = [
+  'title', 'description', 'difficulty', 'category', 'topics', 'subcategory', 'tags',
+  'inputFormat', 'outputFormat', 'interactionFormat', 'constraints',
+  'sampleInput', 'sampleOutput', 'explanation', 'images', 'hints', 'points',
+  'timeLimit', 'memoryLimit', 'allowedLanguages', 'type', 'testPolicy',
+  'checker', 'interactor', 'validator', 'functionSignature', 'subtasks',
+  'testCases', 'solution'
+];
+
+// Test case fields compared between revisions besides the test files
+const TEST_CASE_FIELDS = ['isHidden', 'isSample', 'points', 'subtask', 'explanation'];
+
+// Text longer than this many lines on either side is shown as replaced
+// rather than diffed line by line
+const MAX_DIFF_LINES = 2000;
+
+// Inline test files up to this size are diffed line by line
+const MAX_TEST_DIFF_SIZE = 10000;
+
+const changesRevision = (fields) => fields.some(field => REVISION_FIELDS.includes(field));
+
+const snapshotOf = (problem) => {
+  const data = problem.toObject();
+  return Object.fromEntries(REVISION_FIELDS.map(field => [field, data[field] === undefined ? null : data[field]]));
+};
+
+// Values compared without subdocument ids, which change whenever test
+// cases or subtasks are sent again
+const withoutIds = (key, value) => (key === '_id' ? undefined : value);
+const sameValue = (a, b) => JSON.stringify(a ?? null, withoutIds) === JSON.stringify(b ?? null, withoutIds);
+
+// Record the problem's current state as its next revision, unless it is
+// the same as the latest one. The problem must be saved already. Resolves
+// to the revision.
+async function recordRevision(problem, user, message = '') {
+  const snapshot = snapshotOf(problem);
+  const latest = await ProblemRevision.findOne({ problem: problem._id })
+    .sort({ number: -1 })
+    .select('number snapshot');
+
+  const changedFields = latest
+    ? REVISION_FIELDS.filter(field => !sameValue(latest.snapshot[field], snapshot[field]))
+    : [];
+  if (latest && changedFields.length === 0) {
+    return latest;
+  }
+
+  const { revision: number } = await Problem.findOneAndUpdate(
+    { _id: problem._id },
+    { $inc: { revision: 1 } },
+    { new: true, projection: { revision: 1 } }
+  );
+
+  problem.revision = number;
+  problem.unmarkModified('revision');
+
+  return ProblemRevision.create({
+    problem: problem._id,
+    number,
+    author: user._id || user,
+    message,
+    changedFields,
+    snapshot
+  });
+}
+
+// Problems saved before revisions were kept get their current state as
+// revision 1, before it is changed or judged. Resolves to the problem's
+// revision number.
+async function ensureRevision(problem) {
+  if (problem.revision) {
+    return problem.revision;
+  }
+
+  // Only one request records the first revision
+  const claimed = await Problem.updateOne({ _id: problem._id, revision: { $in: [0, null] } }, { revision: 1 });
+  if (claimed.modifiedCount === 1) {
+    await ProblemRevision.create({
+      problem: problem._id,
+      number: 1,
+      author: problem.author._id || problem.author,
+      message: 'Initial revision',
+      snapshot: snapshotOf(problem)
+    });
+  }
+
+  problem.revision = 1;
+  problem.unmarkModified('revision');
+  return 1;
+}
+
+// Line diff of two texts as runs of { op: 'equal' | 'add' | 'remove',
+// lines }, from the longest common subsequence of their lines
+function diffLines(before, after) {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return [
+      ...(a.length > 0 ? [{ op: 'remove', lines: a }] : []),
+      ...(b.length > 0 ? [{ op: 'add', lines: b }] : [])
+    ];
+  }
+
+  // lengths[i][j]: longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const runs = [];
+  const push = (op, line) => {
+    const last = runs[runs.length - 1];
+    if (last && last.op === op) {
+      last.lines.push(line);
+    } else {
+      runs.push({ op, lines: [line] });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      push('remove', a[i]);
+      i++;
+    } else {
+      push('add', b[j]);
+      j++;
+    }
+  }
+  return runs;
+}
+
+const isText = (value) => value === null || value === undefined || typeof value === 'string';
+
+// Change of one field: a line diff for multi-line text, the two values
+// otherwise
+const fieldChange = (field, before, after) => isText(before) && isText(after) && `${before}${after}`.includes('\n')
+  ? { field, type: 'text', diff: diffLines(before || '', after || '') }
+  : { field, type: 'value', before: before ?? null, after: after ?? null };
+
+// Changes of an object field (checker, solution...) key by key
+const objectChanges = (field, before, after) => [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+  .filter(key => key !== '_id' && !sameValue(before && before[key], after && after[key]))
+  .map(key => fieldChange(`${field}.${key}`, before && before[key], after && after[key]));
+
+// Identity of a test file: its store key, or the hash of inline content
+const fileHash = (testCase, file) => testCase[`${file}File`] || hashContent(testCase[file] || '');
+
+// Test cases compared by position
+function testCaseChanges(before = [], after = []) {
+  const changes = [];
+
+  for (let index = 0; index < Math.max(before.length, after.length); index++) {
+    const old = before[index];
+    const current = after[index];
+
+    if (!old || !current) {
+      changes.push({ index, change: old ? 'removed' : 'added' });
+      continue;
+    }
+
+    const fields = {};
+    ['input', 'output'].forEach(file => {
+      if (fileHash(old, file) !== fileHash(current, file)) {
+        const inline = [old, current].every(testCase =>
+          !testCase[`${file}File`] && (testCase[file] || '').length <= MAX_TEST_DIFF_SIZE);
+        fields[file] = inline ? diffLines(old[file], current[file]) : null;
+      }
+    });
+    TEST_CASE_FIELDS
+      .filter(field => !sameValue(old[field], current[field]))
+      .forEach(field => {
+        fields[field] = { before: old[field] ?? null, after: current[field] ?? null };
+      });
+
+    if (Object.keys(fields).length > 0) {
+      changes.push({ index, change: 'changed', fields });
+    }
+  }
+  return changes;
+}
+
+// Changes from one revision's snapshot to another's
+function diffSnapshots(before, after) {
+  const changes = [];
+
+  REVISION_FIELDS.forEach(field => {
+    const a = before[field];
+    const b = after[field];
+
+    if (sameValue(a, b)) {
+      return;
+    }
+    if (field === 'testCases') {
+      changes.push({ field, type: 'tests', tests: testCaseChanges(a || [], b || []) });
+    } else if ([a, b].every(value => value === null || value === undefined || (typeof value === 'object' && !Array.isArray(value)))) {
+      changes.push(...objectChanges(field, a, b));
+    } else {
+      changes.push(fieldChange(field, a, b));
+    }
+  });
+
+  return changes;
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  changesRevision,
+  recordRevision,
+  ensureRevision,
+  diffLines,
+  diffSnapshots
+};
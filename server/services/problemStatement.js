@@ -0,0 +1,122 @@
+const path = require('path');
+const { hashContent } = require('./testData');
+
+// Problem statements (description, input and output format, constraints,
+// notes and sample explanations) are Markdown with LaTeX math between $ or
+// $$, rendered by the client. Images are uploaded to the problem and
+// referenced from the statement by file name, as in ![graph](graph.png);
+// their content is kept in the test data store under its SHA-256 hash.
+// The samples shown with the statement are the test cases marked isSample.
+
+// Largest statement image accepted (STATEMENT_IMAGE_LIMIT is in MB)
+const IMAGE_LIMIT = (parseInt(process.env.STATEMENT_IMAGE_LIMIT) || 2) * 1024 * 1024;
+
+const MAX_IMAGES = 50;
+
+const IMAGE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+// Image formats accepted, recognised by their content rather than the
+// uploaded file's name or type. SVG is not accepted since it can carry
+// scripts.
+const IMAGE_TYPES = [
+  {
+    contentType: 'image/png',
+    extensions: ['.png'],
+    matches: (content) => content.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    contentType: 'image/jpeg',
+    extensions: ['.jpg', '.jpeg'],
+    matches: (content) => content[0] === 0xff && content[1] === 0xd8 && content[2] === 0xff
+  },
+  {
+    contentType: 'image/gif',
+    extensions: ['.gif'],
+    matches: (content) => ['GIF87a', 'GIF89a'].includes(content.subarray(0, 6).toString('latin1'))
+  },
+  {
+    contentType: 'image/webp',
+    extensions: ['.webp'],
+    matches: (content) => content.subarray(0, 4).toString('latin1') === 'RIFF' &&
+      content.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+];
+
+const imageType = (content) => IMAGE_TYPES.find(type => type.matches(content)) || null;
+
+// Why content cannot be a statement image called name, or null if it can
+function imageError(name, content) {
+  if (!IMAGE_NAME_PATTERN.test(name)) {
+    return `Invalid image name ${name}: use letters, digits, dots, dashes and underscores`;
+  }
+
+  const type = imageType(content);
+  if (!type) {
+    return `${name} is not a PNG, JPEG, GIF or WebP image`;
+  }
+  if (!type.extensions.includes(path.extname(name).toLowerCase())) {
+    return `${name} is a ${type.contentType} image and must end in ${type.extensions.join(' or ')}`;
+  }
+  if (content.length > IMAGE_LIMIT) {
+    return `${name} is larger than ${IMAGE_LIMIT / (1024 * 1024)} MB`;
+  }
+  return null;
+}
+
+// Store an image with put(key, content) and add it to the problem, in
+// place of an image of the same name. The image must have passed
+// imageError. Resolves to the problem's image entry.
+async function addImage(problem, name, content, put) {
+  const key = hashContent(content);
+  await put(key, content);
+
+  const image = {
+    name,
+    key,
+    contentType: imageType(content).contentType,
+    size: content.length
+  };
+
+  const index = problem.images.findIndex(existing => existing.name === name);
+  if (index === -1) {
+    problem.images.push(image);
+  } else {
+    problem.images.splice(index, 1, image);
+  }
+  return image;
+}
+
+// Why a problem's samples cannot be shown with its statement, or null.
+// Samples are public, so they cannot be hidden tests, and they must be
+// kept in the problem rather than the test data store. Problems without
+// sample tests show their sampleInput and sampleOutput instead.
+function sampleError(problem) {
+  const testCases = problem.testCases || [];
+
+  for (let index = 0; index < testCases.length; index++) {
+    const testCase = testCases[index];
+
+    if (!testCase.isSample) {
+      continue;
+    }
+    if (testCase.isHidden) {
+      return `Test case ${index + 1} is a sample and cannot be hidden`;
+    }
+    if (testCase.inputFile || testCase.outputFile) {
+      return `Test case ${index + 1} is a sample but too large to show in the statement`;
+    }
+  }
+
+  if (!testCases.some(testCase => testCase.isSample) && !problem.sampleInput) {
+    return 'At least one sample is required: mark test cases as samples or give a sample input and output';
+  }
+  return null;
+}
+
+module.exports = {
+  IMAGE_LIMIT,
+  MAX_IMAGES,
+  imageError,
+  addImage,
+  sampleError
+};
@@ -0,0 +1,131 @@
+const { Problem } = require('../models');
+const { notify } = require('./notifications');
+const { failureMessage, validateReferenceSolutions } = require('./referenceSolutions');
+
+// A problem's reference solutions (services/referenceSolutions) are judged
+// on judge workers whenever a change calls for it. Judging them can take
+// minutes, so the change is saved at once with its validation pending and
+// they run in the background. The outcome is recorded in
+// Problem.validation and the user who made the change is notified.
+// Problems whose checks are pending or failed cannot be submitted for
+// review or approved, and approved ones are unpublished (isApproved is
+// false) until their checks pass, so no one else can see or submit to
+// them. Test inputs are checked by the validator before a
+// change is saved (services/inputValidation), not here.
+
+// Whether the problem has reference solutions to check
+function hasChecks(problem) {
+  const { solution } = problem.toObject();
+  const hasSolutions = Object.values(solution || {}).some(code => typeof code === 'string' && code.trim());
+
+  return problem.testCases.length > 0 && hasSolutions;
+}
+
+// Mark the problem's checks as due, before it is saved. A check already
+// running for an earlier change is superseded. Problems with nothing to
+// check need no validation.
+function requestValidation(problem, user) {
+  const checks = hasChecks(problem);
+
+  problem.validation = {
+    status: checks ? 'pending' : 'none',
+    requestedAt: new Date(),
+    requestedBy: user._id,
+    completedAt: null,
+    message: ''
+  };
+  if (!checks) {
+    problem.referenceValidation = null;
+  }
+}
+
+// Why the problem cannot be published because of its checks, or null
+function validationError(problem) {
+  const { status, message } = problem.validation || {};
+
+  if (status === 'pending') {
+    return 'The reference solutions are still being judged';
+  }
+  if (status === 'failed') {
+    return message;
+  }
+  return null;
+}
+
+// Run the due checks of a problem and record their outcome, unless a later
+// change has requested checks of its own meanwhile
+async function runValidation(problemId) {
+  const problem = await Problem.findById(problemId);
+
+  if (!problem || !problem.validation || problem.validation.status !== 'pending') {
+    return;
+  }
+
+  const { requestedAt, requestedBy } = problem.validation;
+
+  const referenceValidation = await validateReferenceSolutions(problem);
+  const message = referenceValidation && !referenceValidation.passed ? failureMessage(referenceValidation) : '';
+
+  const saved = await Problem.updateOne(
+    { _id: problem._id, 'validation.requestedAt': requestedAt },
+    {
+      validation: {
+        status: message ? 'failed' : 'passed',
+        requestedAt,
+        requestedBy,
+        completedAt: new Date(),
+        message
+      },
+      referenceValidation,
+      ...(message && { isApproved: false })
+    },
+    { timestamps: false }
+  );
+  if (saved.modifiedCount === 0) {
+    return;
+  }
+
+  // Publish approved problems again. The review status is read from the
+  // database, as it may have changed while the checks ran.
+  if (!message) {
+    await Problem.updateOne(
+      { _id: problem._id, 'validation.requestedAt': requestedAt, reviewStatus: 'approved' },
+      { isApproved: true },
+      { timestamps: false }
+    );
+  }
+
+  await notify(requestedBy || problem.author, {
+    type: 'problem-validation',
+    message: message
+      ? `Checks of "${problem.title}" failed: ${message}`
+      : `Checks of "${problem.title}" passed`,
+    link: `/problems/${problem._id}`,
+    problem: problem._id
+  });
+}
+
+// Start the due checks of a saved problem in the background
+function startValidation(problem) {
+  if (!problem.validation || problem.validation.status !== 'pending') {
+    return;
+  }
+
+  runValidation(problem._id)
+    .catch(error => console.error(`Problem ${problem._id} validation error:`, error));
+}
+
+// Start the checks left pending, for example by a restart
+async function resumeValidations() {
+  const pending = await Problem.find({ 'validation.status': 'pending' }).select('validation');
+  pending.forEach(startValidation);
+  return pending.length;
+}
+
+module.exports = {
+  requestValidation,
+  validationError,
+  runValidation,
+  startValidation,
+  resumeValidations
+};
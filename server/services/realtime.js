@@ -0,0 +1,131 @@
+const jwt = require('jsonwebtoken');
+const { Server } = require('socket.io');
+const { User, Submission } = require('../models');
+const { isClassroomStaff, hiddenTestCaseIds } = require('./testVisibility');
+
+// Submissions in these states have a final result
+const FINISHED_STATUSES = [
+  'accepted', 'wrong-answer', 'time-limit-exceeded', 'memory-limit-exceeded',
+  'runtime-error', 'compilation-error', 'partial-correct', 'judge-error'
+];
+
+const submissionRoom = (submissionId) => `submission:${submissionId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+// Pushes live judging progress to browsers over socket.io. Clients
+// authenticate with their JWT and subscribe to the submissions they may see;
+// the judge emits to a room per submission. Pushed results always have
+// hidden test data redacted; staff fetch the full submission over REST.
+// Notifications go to a room per user, which every session joins.
+// Emitting is a no-op in processes without a socket server (such as
+// standalone judge workers).
+class Realtime {
+  constructor() {
+    this.io = null;
+  }
+
+  init(httpServer) {
+    this.io = new Server(httpServer, {
+      cors: {
+        origin: process.env.CLIENT_URL || 'http://localhost:3000',
+        credentials: true
+      }
+    });
+
+    this.io.use((socket, next) => this.authenticate(socket, next));
+    this.io.on('connection', (socket) => this.handleConnection(socket));
+  }
+
+  // Same rules as the authenticate middleware, with the token sent in the
+  // socket handshake
+  async authenticate(socket, next) {
+    try {
+      const token = socket.handshake.auth?.token;
+
+      if (!token) {
+        return next(new Error('Access denied. No token provided.'));
+      }
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+      const user = await User.findById(decoded.id).select('role isActive');
+
+      if (!user || !user.isActive) {
+        return next(new Error('Invalid token.'));
+      }
+
+      socket.data.user = user;
+      next();
+    } catch (error) {
+      next(new Error('Invalid token.'));
+    }
+  }
+
+  handleConnection(socket) {
+    // Each user's sessions share a room for their notifications
+    socket.join(userRoom(socket.data.user._id));
+
+    socket.on('submission:subscribe', async (submissionId, ack = () => {}) => {
+      try {
+        const submission = await Submission.findById(submissionId)
+          .populate('problem', 'author classroom testCases._id testCases.isHidden');
+
+        if (!submission || !(await this.canView(socket.data.user, submission))) {
+          return ack({ success: false, message: 'Submission not found' });
+        }
+
+        socket.join(submissionRoom(submissionId));
+
+        // Send the current state so that events emitted before the
+        // subscription are not missed. Results stored before isHidden was
+        // recorded are redacted by the problem's hidden test cases.
+        if (FINISHED_STATUSES.includes(submission.status)) {
+          const details = submission.getDetails({
+            hiddenTestCaseIds: submission.problem ? hiddenTestCaseIds(submission.problem) : []
+          });
+          socket.emit('submission:result', { submissionId: submission._id, ...details });
+        } else {
+          socket.emit('submission:status', {
+            submissionId: submission._id,
+            status: submission.status
+          });
+        }
+
+        ack({ success: true });
+      } catch (error) {
+        ack({ success: false, message: 'Submission not found' });
+      }
+    });
+
+    socket.on('submission:unsubscribe', (submissionId) => {
+      socket.leave(submissionRoom(submissionId));
+    });
+  }
+
+  async canView(user, submission) {
+    if (submission.user.toString() === user._id.toString() || user.role === 'admin') {
+      return true;
+    }
+
+    const problem = submission.problem;
+    return !!problem &&
+      (problem.author.toString() === user._id.toString() || await isClassroomStaff(user, problem));
+  }
+
+  emitToSubmission(submissionId, event, payload) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.to(submissionRoom(submissionId)).emit(event, { submissionId, ...payload });
+  }
+
+  emitToUser(userId, event, payload) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.to(userRoom(userId)).emit(event, payload);
+  }
+}
+
+module.exports = new Realtime();
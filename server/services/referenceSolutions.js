@@ -0,0 +1,108 @@
+const judgeQueue = require('./judgeQueue');
+const { buildProblemTask } = require('./judge');
+
+// A problem's reference solutions (Problem.solution, one per language) are
+// judged against its test cases whenever the problem is created or its
+// tests, limits or checker change. A reference that is not accepted, for
+// example because it exceeds the time limit, blocks the change. The slowest
+// accepted reference's time suggests a time limit.
+
+// Suggested time limit: this many times the slowest reference's CPU time,
+// rounded up to whole seconds and kept within the limits problems accept
+const TIME_LIMIT_FACTOR = 3;
+const MIN_TIME_LIMIT = 1;
+const MAX_TIME_LIMIT = 10;
+
+// Problem fields that change how submissions are judged
+const JUDGING_FIELDS = [
+  'testCases', 'solution', 'timeLimit', 'memoryLimit', 'checker', 'type',
+  'interactor', 'functionSignature', 'subtasks'
+];
+
+// Suggested time limit in seconds for the given slowest time in ms
+const suggestTimeLimit = (slowest) => Math.min(
+  MAX_TIME_LIMIT,
+  Math.max(MIN_TIME_LIMIT, Math.ceil((slowest * TIME_LIMIT_FACTOR) / 1000))
+);
+
+// Why a reference solution's result is not accepted
+function describeFailure(result) {
+  if (result.status === 'compilation-error') {
+    return `compilation error: ${result.error}`;
+  }
+  if (!result.success) {
+    return result.error || result.status;
+  }
+
+  const failed = result.testCaseResults.findIndex(testCase => !testCase.passed);
+  return failed === -1
+    ? `${result.status} (${result.score}/${result.maxScore} points)`
+    : `${result.testCaseResults[failed].verdict} on test case ${failed + 1}`;
+}
+
+// Judge one reference solution on a judge worker
+async function validateSolution(problem, language, code) {
+  const task = buildProblemTask(problem, language, code);
+
+  let result;
+  try {
+    result = await judgeQueue.run(task, { kind: 'validate' });
+  } catch (error) {
+    return { language, passed: false, status: 'judge-error', error: error.message };
+  }
+
+  const passed = result.success && result.status === 'accepted';
+
+  return {
+    language,
+    passed,
+    status: result.status,
+    error: passed ? null : describeFailure(result),
+    timeTaken: result.timeTaken,
+    memoryUsed: result.memoryUsed,
+    testCasesPassed: result.testCasesPassed,
+    totalTestCases: result.totalTestCases,
+    testCaseTimes: result.testCaseResults.map(testCase => testCase.timeTaken)
+  };
+}
+
+// Whether changing fields of a problem calls for validating its reference
+// solutions again
+const changesJudging = (fields) => fields.some(field => JUDGING_FIELDS.includes(field));
+
+// Run every stored reference solution of the problem (saved or not)
+// against all of its test cases. Resolves to a report for
+// Problem.referenceValidation, or null when there is nothing to run.
+async function validateReferenceSolutions(problem) {
+  const solutions = Object.entries(problem.toObject().solution || {})
+    .filter(([, code]) => typeof code === 'string' && code.trim());
+
+  if (solutions.length === 0 || problem.testCases.length === 0) {
+    return null;
+  }
+
+  const results = await Promise.all(solutions.map(([language, code]) => validateSolution(problem, language, code)));
+  const accepted = results.filter(result => result.passed);
+  const slowest = Math.max(0, ...accepted.map(result => result.timeTaken));
+
+  return {
+    passed: accepted.length === results.length,
+    validatedAt: new Date(),
+    timeLimit: problem.timeLimit,
+    suggestedTimeLimit: accepted.length > 0 ? suggestTimeLimit(slowest) : null,
+    solutions: results
+  };
+}
+
+// One-line summary of a failed report
+const failureMessage = (report) => `Reference solutions failed: ${report.solutions
+  .filter(result => !result.passed)
+  .map(result => `${result.language} (${result.error})`)
+  .join('; ')}`;
+
+module.exports = {
+  changesJudging,
+  failureMessage,
+  suggestTimeLimit,
+  validateReferenceSolutions
+};
@@ -0,0 +1,79 @@
+const { Submission } = require('../models');
+const judgeQueue = require('./judgeQueue');
+const { UNFINISHED_STATUSES } = require('./judge');
+
+// Rejudged submissions wait behind newly submitted ones
+const REJUDGE_PRIORITY = -1;
+
+// Submission filter for submissions made between from and to (either may
+// be missing)
+function submittedBetween(from, to) {
+  if (!from && !to) {
+    return {};
+  }
+
+  const submittedAt = {};
+  if (from) {
+    submittedAt.$gte = new Date(from);
+  }
+  if (to) {
+    submittedAt.$lte = new Date(to);
+  }
+  return { submittedAt };
+}
+
+// Queue the finished submissions matching filter for judging again. Each
+// one's current verdict is kept in its verdictHistory, and the problem and
+// user statistics are rebuilt once the new verdict is recorded (see
+// services/judge). Submissions still being judged are left alone.
+// Resolves to { matched, queued }.
+async function rejudge(filter, { user, reason = '' }) {
+  const submissions = await Submission.find({ ...filter, status: { $nin: UNFINISHED_STATUSES } })
+    .select('status language result.score result.maxScore result.testCasesPassed result.totalTestCases executionInfo.endTime submittedAt problemRevision');
+
+  const now = new Date();
+  let queued = 0;
+
+  for (const submission of submissions) {
+    const verdict = {
+      status: submission.status,
+      score: submission.result.score,
+      maxScore: submission.result.maxScore,
+      testCasesPassed: submission.result.testCasesPassed,
+      totalTestCases: submission.result.totalTestCases,
+      judgedAt: submission.executionInfo.endTime || submission.submittedAt,
+      rejudgedAt: now,
+      rejudgedBy: user._id,
+      reason,
+      problemRevision: submission.problemRevision
+    };
+
+    // Skip submissions another rejudge picked up meanwhile
+    const update = await Submission.updateOne(
+      { _id: submission._id, status: submission.status },
+      {
+        $push: { verdictHistory: verdict },
+        $set: { status: 'pending', 'executionInfo.startTime': now },
+        $unset: { result: 1, compilationInfo: 1, 'executionInfo.endTime': 1 }
+      }
+    );
+
+    if (update.modifiedCount === 0) {
+      continue;
+    }
+
+    await judgeQueue.enqueue(submission, { priority: REJUDGE_PRIORITY });
+    queued++;
+  }
+
+  if (queued > 0) {
+    console.log(`Rejudge by ${user.username || user._id}: queued ${queued} submission(s)${reason ? ` (${reason})` : ''}`);
+  }
+
+  return { matched: submissions.length, queued };
+}
+
+module.exports = {
+  submittedBetween,
+  rejudge
+};
@@ -0,0 +1,23 @@
+const NsjailSandbox = require('./nsjail');
+const UnsafeLocalSandbox = require('./unsafeLocal');
+
+const backends = {
+  nsjail: NsjailSandbox,
+  'unsafe-local': UnsafeLocalSandbox
+};
+
+// Create the sandbox backend selected by SANDBOX_BACKEND (nsjail by default)
+const createSandbox = (name = process.env.SANDBOX_BACKEND || 'nsjail') => {
+  const Backend = backends[name];
+
+  if (!Backend) {
+    throw new Error(`Unknown sandbox backend: ${name}. Available: ${Object.keys(backends).join(', ')}`);
+  }
+
+  return new Backend();
+};
+
+module.exports = {
+  createSandbox,
+  backends
+};
@@ -0,0 +1,146 @@
+// judge-runner: runs one command and reports its resource usage.
+//
+// Usage: judge-runner [--stdin FILE] [--stdout FILE] [--stderr FILE]
+//                     [--wall-time MS] [--cpu-time MS] [--address-space BYTES]
+//                     -- COMMAND [ARGS...]
+//
+// When COMMAND finishes, prints a single JSON line to stdout with the exit
+// code, terminating signal, user+sys CPU time and peak RSS taken from
+// wait4(2), plus wall-clock time and whether the wall limit was hit.
+// The command's stdout goes to /dev/null unless --stdout is given.
+
+#define _GNU_SOURCE
+#include <errno.h>
+#include <fcntl.h>
+#include <signal.h>
+#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+#include <sys/resource.h>
+#include <sys/time.h>
+#include <sys/types.h>
+#include <sys/wait.h>
+#include <time.h>
+#include <unistd.h>
+
+static pid_t child = -1;
+static volatile sig_atomic_t timed_out = 0;
+
+static void on_alarm(int sig) {
+  (void)sig;
+  timed_out = 1;
+  if (child > 0) kill(-child, SIGKILL);
+}
+
+static long long now_ms(void) {
+  struct timespec ts;
+  clock_gettime(CLOCK_MONOTONIC, &ts);
+  return ts.tv_sec * 1000LL + ts.tv_nsec / 1000000;
+}
+
+static long long timeval_ms(struct timeval tv) {
+  return tv.tv_sec * 1000LL + tv.tv_usec / 1000;
+}
+
+static int redirect(const char *path, int target, int flags) {
+  int fd;
+
+  if (!path) return 0;
+  fd = open(path, flags, 0644);
+  if (fd < 0 || dup2(fd, target) < 0) return -1;
+  close(fd);
+  return 0;
+}
+
+static void set_limit(int resource, rlim_t value) {
+  struct rlimit limit = { value, value };
+  setrlimit(resource, &limit);
+}
+
+int main(int argc, char **argv) {
+  const char *stdin_file = NULL, *stdout_file = "/dev/null", *stderr_file = NULL;
+  long long wall_time = 0, cpu_time = 0, address_space = 0;
+  long long start, elapsed;
+  struct rusage usage;
+  int status, i;
+
+  for (i = 1; i < argc; i++) {
+    if (!strcmp(argv[i], "--")) {
+      i++;
+      break;
+    }
+    if (i + 1 >= argc) {
+      fprintf(stderr, "judge-runner: missing value for %s\n", argv[i]);
+      return 2;
+    }
+    if (!strcmp(argv[i], "--stdin")) stdin_file = argv[++i];
+    else if (!strcmp(argv[i], "--stdout")) stdout_file = argv[++i];
+    else if (!strcmp(argv[i], "--stderr")) stderr_file = argv[++i];
+    else if (!strcmp(argv[i], "--wall-time")) wall_time = atoll(argv[++i]);
+    else if (!strcmp(argv[i], "--cpu-time")) cpu_time = atoll(argv[++i]);
+    else if (!strcmp(argv[i], "--address-space")) address_space = atoll(argv[++i]);
+    else {
+      fprintf(stderr, "judge-runner: unknown option %s\n", argv[i]);
+      return 2;
+    }
+  }
+
+  if (i >= argc) {
+    fprintf(stderr, "judge-runner: missing command\n");
+    return 2;
+  }
+
+  start = now_ms();
+  child = fork();
+
+  if (child < 0) {
+    perror("judge-runner: fork");
+    return 2;
+  }
+
+  if (child == 0) {
+    setpgid(0, 0);
+    if (redirect(stdin_file, STDIN_FILENO, O_RDONLY) ||
+        redirect(stdout_file, STDOUT_FILENO, O_WRONLY | O_CREAT | O_TRUNC) ||
+        redirect(stderr_file, STDERR_FILENO, O_WRONLY | O_CREAT | O_TRUNC)) {
+      perror("judge-runner: redirect");
+      _exit(127);
+    }
+    // RLIMIT_CPU gets one second of slack so the measured time decides TLE
+    if (cpu_time > 0) set_limit(RLIMIT_CPU, (cpu_time + 999) / 1000 + 1);
+    if (address_space > 0) set_limit(RLIMIT_AS, address_space);
+    execvp(argv[i], argv + i);
+    perror("judge-runner: exec");
+    _exit(127);
+  }
+
+  setpgid(child, child);
+
+  if (wall_time > 0) {
+    struct itimerval timer = { { 0, 0 }, { wall_time / 1000, (wall_time % 1000) * 1000 } };
+    signal(SIGALRM, on_alarm);
+    setitimer(ITIMER_REAL, &timer, NULL);
+  }
+
+  while (wait4(child, &status, 0, &usage) < 0) {
+    if (errno != EINTR) {
+      perror("judge-runner: wait4");
+      return 2;
+    }
+  }
+
+  elapsed = now_ms() - start;
+
+  // Take down anything the command left running in its process group
+  kill(-child, SIGKILL);
+
+  printf("{\"exitCode\":%d,\"signal\":%d,\"timedOut\":%s,\"cpuTime\":%lld,\"wallTime\":%lld,\"memory\":%ld}\n",
+         WIFEXITED(status) ? WEXITSTATUS(status) : -1,
+         WIFSIGNALED(status) ? WTERMSIG(status) : 0,
+         timed_out ? "true" : "false",
+         timeval_ms(usage.ru_utime) + timeval_ms(usage.ru_stime),
+         elapsed,
+         usage.ru_maxrss);
+
+  return 0;
+}
@@ -0,0 +1,145 @@
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const {
+  RUNNER_DIR,
+  ensureRunner,
+  hardMemoryLimit,
+  wallTimeLimit,
+  buildRunnerArgs,
+  parseRunnerOutput,
+  killedResult
+} = require('./runner');
+
+const execFileAsync = promisify(execFile);
+
+// System directories mounted read-only inside the jail
+const DEFAULT_READONLY_MOUNTS = ['/bin', '/sbin', '/lib', '/lib64', '/usr', '/etc'];
+
+// Syscalls no submission needs: tracing other processes, mounting,
+// namespaces, kernel modules, keyrings and BPF
+const SECCOMP_POLICY = `
+POLICY judge {
+  ERRNO(1) {
+    ptrace, process_vm_readv, process_vm_writev,
+    mount, umount2, pivot_root, chroot, swapon, swapoff,
+    unshare, setns, reboot, kexec_load, kexec_file_load,
+    init_module, finit_module, delete_module,
+    bpf, perf_event_open, userfaultfd,
+    keyctl, add_key, request_key,
+    acct, quotactl, syslog, settimeofday, clock_settime
+  }
+}
+USE judge DEFAULT ALLOW
+`;
+
+// Isolates every run in fresh Linux namespaces via nsjail: no network,
+// read-only system mounts, a private tmpfs, cgroup v2 memory/pid limits,
+// rlimits on open files and output size, and a seccomp deny-list
+class NsjailSandbox {
+  constructor() {
+    this.name = 'nsjail';
+    this.binary = process.env.NSJAIL_PATH || 'nsjail';
+    this.readonlyMounts = (process.env.SANDBOX_READONLY_MOUNTS
+      ? process.env.SANDBOX_READONLY_MOUNTS.split(',').map(mount => mount.trim())
+      : DEFAULT_READONLY_MOUNTS
+    ).filter(mount => fs.pathExistsSync(mount));
+    this.pidsLimit = parseInt(process.env.SANDBOX_PIDS_LIMIT) || 64;
+    this.fdLimit = parseInt(process.env.SANDBOX_FD_LIMIT) || 64;
+    this.tmpfsSize = parseInt(process.env.SANDBOX_TMPFS_SIZE) || 64 * 1024 * 1024; // 64MB
+    this.outputLimit = parseInt(process.env.SANDBOX_OUTPUT_LIMIT) || 64; // in MB
+    this.useCgroups = process.env.SANDBOX_CGROUPS !== 'none';
+  }
+
+  async init() {
+    try {
+      await execFileAsync(this.binary, ['--help']);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`nsjail binary not found at "${this.binary}". Install nsjail or set SANDBOX_BACKEND=unsafe-local for local development.`);
+      }
+      // nsjail prints usage and may exit non-zero; the binary exists
+    }
+
+    this.runnerPath = await ensureRunner();
+  }
+
+  // Run a command inside the jail with optional stdin/stdout/stderr
+  // redirection and report its exit status, CPU time, wall time and
+  // peak memory as measured by judge-runner
+  // readonlyPaths are extra host directories the command may read
+  async run({ command, workDir, stdinFile, stdoutFile, stderrFile, timeLimit, wallTime, memoryLimit, pidsLimit, readonlyPaths = [] }) {
+    const wall = wallTime || wallTimeLimit(timeLimit);
+    const args = [
+      ...this.buildArgs({ workDir, wallTime: wall, memoryLimit, pidsLimit, readonlyPaths }),
+      '--', this.runnerPath,
+      ...buildRunnerArgs({ command, stdinFile, stdoutFile, stderrFile, timeLimit, wallTime: wall })
+    ];
+
+    // The jail runs as nobody, which must be able to create output files
+    await fs.chmod(workDir, 0o777);
+
+    try {
+      const output = await execFileAsync(this.binary, args, {
+        cwd: workDir,
+        timeout: wall + 2000 // Leave nsjail's own time limit room to fire first
+      });
+      return parseRunnerOutput(output);
+    } catch (error) {
+      // nsjail exits with 128 + signal when it had to kill the jail
+      if (error.killed || error.code > 128) {
+        return killedResult(wall, error.stderr);
+      }
+      throw new Error(`nsjail failed: ${error.stderr || error.message}`);
+    }
+  }
+
+  buildArgs({ workDir, wallTime, memoryLimit, pidsLimit, readonlyPaths = [] }) {
+    const pids = pidsLimit || this.pidsLimit;
+    const memoryCeiling = hardMemoryLimit(memoryLimit);
+
+    const args = [
+      '--mode', 'o',
+      '--really_quiet',
+      '--hostname', 'judge',
+      '--user', '65534',
+      '--group', '65534',
+      '--cwd', workDir,
+      '--iface_no_lo',
+      '--time_limit', String(Math.ceil(wallTime / 1000) + 1),
+      '--rlimit_fsize', String(this.outputLimit),
+      '--rlimit_nofile', String(this.fdLimit),
+      '--rlimit_stack', 'soft',
+      '--seccomp_string', SECCOMP_POLICY
+    ];
+
+    if (this.useCgroups) {
+      // cgroup memory accounting is exact, so the address space stays unlimited
+      args.push('--rlimit_as', 'inf', '--use_cgroupv2', '--cgroup_pids_max', String(pids));
+      if (memoryCeiling) {
+        args.push('--cgroup_mem_max', String(memoryCeiling));
+      }
+    } else {
+      args.push(
+        '--rlimit_as', memoryCeiling ? String(Math.ceil(memoryCeiling / (1024 * 1024))) : 'inf',
+        '--rlimit_nproc', String(pids)
+      );
+    }
+
+    [...this.readonlyMounts, ...readonlyPaths].forEach(mount => {
+      args.push('--bindmount_ro', mount);
+    });
+
+    args.push(
+      '--bindmount_ro', RUNNER_DIR,
+      '--bindmount', '/dev/null',
+      '--bindmount_ro', '/dev/urandom',
+      '--mount', `none:/tmp:tmpfs:size=${this.tmpfsSize}`,
+      '--bindmount', workDir
+    );
+
+    return args;
+  }
+}
+
+module.exports = NsjailSandbox;
@@ -0,0 +1,108 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const RUNNER_SOURCE = path.join(__dirname, 'judge-runner.c');
+const RUNNER_DIR = path.join(__dirname, '../../../code_execution/bin');
+const RUNNER_PATH = path.join(RUNNER_DIR, 'judge-runner');
+
+// The hard memory ceiling sits above the problem limit so that a program
+// going over it is still measured (and judged MLE) instead of just crashing
+const MEMORY_HEADROOM = parseFloat(process.env.SANDBOX_MEMORY_HEADROOM) || 1.5;
+
+// Compile judge-runner if it is missing or older than its source
+const ensureRunner = async () => {
+  const [source, binary] = await Promise.all([
+    fs.stat(RUNNER_SOURCE),
+    fs.stat(RUNNER_PATH).catch(() => null)
+  ]);
+
+  if (binary && binary.mtimeMs >= source.mtimeMs) {
+    return RUNNER_PATH;
+  }
+
+  await fs.ensureDir(RUNNER_DIR);
+  try {
+    await execFileAsync(process.env.CC || 'gcc', ['-O2', '-o', RUNNER_PATH, RUNNER_SOURCE]);
+  } catch (error) {
+    throw new Error(`Failed to build judge-runner: ${error.stderr || error.message}`);
+  }
+
+  return RUNNER_PATH;
+};
+
+const hardMemoryLimit = (memoryLimit) => {
+  return memoryLimit ? Math.ceil(memoryLimit * MEMORY_HEADROOM) : 0;
+};
+
+// Wall-clock limit for idle or blocked programs; CPU time decides TLE
+const wallTimeLimit = (timeLimit) => timeLimit * 2 + 1000;
+
+// Arguments for judge-runner; the command runs through sh so that
+// registry-style command strings keep working
+const buildRunnerArgs = ({ command, stdinFile, stdoutFile, stderrFile, timeLimit, wallTime, addressSpace }) => {
+  const args = [];
+
+  if (stdinFile) args.push('--stdin', stdinFile);
+  if (stdoutFile) args.push('--stdout', stdoutFile);
+  if (stderrFile) args.push('--stderr', stderrFile);
+  if (timeLimit) args.push('--cpu-time', String(timeLimit));
+  if (wallTime) args.push('--wall-time', String(wallTime));
+  if (addressSpace) args.push('--address-space', String(addressSpace));
+
+  args.push('--', '/bin/sh', '-c', `exec ${command}`);
+  return args;
+};
+
+const signalName = (signal) => {
+  return Object.keys(os.constants.signals).find(name => os.constants.signals[name] === signal) || `SIG${signal}`;
+};
+
+// Parse the JSON line judge-runner prints after the command exits
+const parseRunnerOutput = ({ stdout, stderr }) => {
+  const lines = stdout.trim().split('\n');
+  let stats;
+
+  try {
+    stats = JSON.parse(lines.pop());
+  } catch (error) {
+    throw new Error(`Sandbox produced no usage report: ${stderr || stdout}`);
+  }
+
+  return {
+    stdout: lines.join('\n'),
+    stderr,
+    exitCode: stats.exitCode,
+    signal: stats.signal ? signalName(stats.signal) : null,
+    timedOut: stats.timedOut,
+    cpuTime: stats.cpuTime, // in milliseconds
+    wallTime: stats.wallTime, // in milliseconds
+    memory: stats.memory // peak RSS in KB
+  };
+};
+
+// Result for a run the sandbox itself had to kill before judge-runner reported
+const killedResult = (wallTime, stderr = '') => ({
+  stdout: '',
+  stderr,
+  exitCode: -1,
+  signal: 'SIGKILL',
+  timedOut: true,
+  cpuTime: 0,
+  wallTime,
+  memory: 0
+});
+
+module.exports = {
+  RUNNER_DIR,
+  ensureRunner,
+  hardMemoryLimit,
+  wallTimeLimit,
+  buildRunnerArgs,
+  parseRunnerOutput,
+  killedResult
+};
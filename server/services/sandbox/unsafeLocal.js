@@ -0,0 +1,61 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const {
+  ensureRunner,
+  hardMemoryLimit,
+  wallTimeLimit,
+  buildRunnerArgs,
+  parseRunnerOutput,
+  killedResult
+} = require('./runner');
+
+const execFileAsync = promisify(execFile);
+
+// Runs commands directly on the host with only CPU, wall-time and
+// address-space limits. There is no filesystem, network or process
+// isolation: development only.
+class UnsafeLocalSandbox {
+  constructor() {
+    this.name = 'unsafe-local';
+  }
+
+  async init() {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The unsafe-local sandbox cannot be used in production');
+    }
+
+    this.runnerPath = await ensureRunner();
+    console.warn('WARNING: code execution is using the unsafe-local sandbox. Submitted code runs unisolated on this host.');
+  }
+
+  // Run a command with optional stdin/stdout/stderr redirection and
+  // report its exit status, CPU time, wall time and peak memory. The whole
+  // host filesystem is visible, so readonlyPaths needs no handling here.
+  async run({ command, workDir, stdinFile, stdoutFile, stderrFile, timeLimit, wallTime, memoryLimit }) {
+    const wall = wallTime || wallTimeLimit(timeLimit);
+    const args = buildRunnerArgs({
+      command,
+      stdinFile,
+      stdoutFile,
+      stderrFile,
+      timeLimit,
+      wallTime: wall,
+      addressSpace: hardMemoryLimit(memoryLimit)
+    });
+
+    try {
+      const output = await execFileAsync(this.runnerPath, args, {
+        cwd: workDir,
+        timeout: wall + 1000 // Add 1 second buffer
+      });
+      return parseRunnerOutput(output);
+    } catch (error) {
+      if (error.killed) {
+        return killedResult(wall, error.stderr);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = UnsafeLocalSandbox;
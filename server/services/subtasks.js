@@ -0,0 +1,108 @@
+// Subtasks group a problem's test cases (IOI style). Every test case names
+// the subtask it belongs to, and a subtask's points are awarded as a whole:
+//   all-or-nothing  every test case of the subtask must pass
+//   min-ratio       points times the lowest score any of its test cases got
+//                   (custom checkers can give partial scores)
+// A subtask may depend on other subtasks. Their test cases count as the
+// subtask's own when scoring it, so it scores nothing while a subtask it
+// depends on (directly or not) fails.
+
+const SUBTASK_SCORING = ['all-or-nothing', 'min-ratio'];
+
+// Names of a subtask's dependencies and theirs, in no particular order
+const dependencyClosure = (name, byName, seen = new Set()) => {
+  (byName.get(name)?.dependencies || []).forEach(dependency => {
+    if (!seen.has(dependency)) {
+      seen.add(dependency);
+      dependencyClosure(dependency, byName, seen);
+    }
+  });
+  return seen;
+};
+
+// Checks of a problem's subtasks against its test cases; returns an error
+// message or null
+function subtaskError({ subtasks = [], testCases = [] }) {
+  if (subtasks.length === 0) {
+    const grouped = testCases.findIndex(testCase => testCase.subtask);
+    return grouped === -1 ? null : `Test case ${grouped + 1} names a subtask but the problem has none`;
+  }
+
+  const byName = new Map(subtasks.map(subtask => [subtask.name, subtask]));
+  if (byName.size !== subtasks.length) {
+    return 'Subtask names must be unique';
+  }
+
+  for (const subtask of subtasks) {
+    const unknown = (subtask.dependencies || []).find(dependency => !byName.has(dependency));
+    if (unknown) {
+      return `Subtask ${subtask.name} depends on unknown subtask ${unknown}`;
+    }
+    if (dependencyClosure(subtask.name, byName).has(subtask.name)) {
+      return `Subtask ${subtask.name} depends on itself`;
+    }
+  }
+
+  const unassigned = testCases.findIndex(testCase => !byName.has(testCase.subtask));
+  if (unassigned !== -1) {
+    return `Test case ${unassigned + 1} must belong to one of the subtasks`;
+  }
+
+  const empty = subtasks.find(subtask => !testCases.some(testCase => testCase.subtask === subtask.name));
+  if (empty) {
+    return `Subtask ${empty.name} has no test cases`;
+  }
+
+  return null;
+}
+
+// Score test case results (in the order of testCases) by subtask. Returns
+// { score, maxScore, subtaskResults } with one result per subtask.
+function scoreSubtasks(subtasks, testCases, results) {
+  const byName = new Map(subtasks.map(subtask => [subtask.name, subtask]));
+  const indicesOf = (name) => testCases
+    .map((testCase, index) => (testCase.subtask === name ? index : -1))
+    .filter(index => index !== -1);
+
+  const subtaskResults = subtasks.map(subtask => {
+    const own = indicesOf(subtask.name);
+    const inherited = [...dependencyClosure(subtask.name, byName)].flatMap(indicesOf);
+    const counted = [...own, ...inherited].map(index => results[index]);
+
+    const passed = counted.every(result => result.passed);
+    const ratio = subtask.scoring === 'min-ratio'
+      ? Math.min(1, ...counted.map(result => (result.passed ? 1 : result.scoreFraction || 0)))
+      : (passed ? 1 : 0);
+
+    // The subtask's own first failure explains its verdict before any
+    // failure inherited from a dependency
+    const ownFailure = own.map(index => results[index]).find(result => !result.passed);
+    let verdict = 'accepted';
+    if (ownFailure) {
+      verdict = ownFailure.verdict;
+    } else if (!passed) {
+      verdict = 'dependency-failed';
+    }
+
+    return {
+      name: subtask.name,
+      score: subtask.points * ratio,
+      maxScore: subtask.points,
+      passed,
+      verdict,
+      testCases: own
+    };
+  });
+
+  return {
+    score: subtaskResults.reduce((sum, result) => sum + result.score, 0),
+    maxScore: subtaskResults.reduce((sum, result) => sum + result.maxScore, 0),
+    subtaskResults
+  };
+}
+
+module.exports = {
+  SUBTASK_SCORING,
+  subtaskError,
+  scoreSubtasks
+};
@@ -0,0 +1,40 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Keeps test data as files under TEST_DATA_DIR, two levels deep by key
+// prefix so that no directory grows too large
+class DiskTestDataStore {
+  constructor() {
+    this.name = 'disk';
+    this.dir = path.resolve(process.env.TEST_DATA_DIR || path.join(__dirname, '../../../test-data'));
+  }
+
+  filePath(key) {
+    return path.join(this.dir, key.slice(0, 2), key);
+  }
+
+  async put(key, content) {
+    const file = this.filePath(key);
+
+    if (await fs.pathExists(file)) {
+      return;
+    }
+
+    // Written under a temporary name so readers never see half a file
+    const tempFile = `${file}.tmp-${uuidv4()}`;
+    await fs.ensureDir(path.dirname(file));
+    try {
+      await fs.writeFile(tempFile, content);
+      await fs.rename(tempFile, file);
+    } finally {
+      await fs.remove(tempFile).catch(() => {});
+    }
+  }
+
+  async get(key) {
+    return fs.readFile(this.filePath(key));
+  }
+}
+
+module.exports = DiskTestDataStore;
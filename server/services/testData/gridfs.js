@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Keeps test data in MongoDB GridFS (bucket "testdata"), so every server
+// sharing the database sees the same files
+class GridFSTestDataStore {
+  constructor() {
+    this.name = 'gridfs';
+    this.bucketName = 'testdata';
+  }
+
+  get bucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: this.bucketName });
+  }
+
+  async put(key, content) {
+    const bucket = this.bucket;
+    const existing = await bucket.find({ filename: key }).limit(1).toArray();
+
+    if (existing.length > 0) {
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      bucket.openUploadStream(key)
+        .on('finish', resolve)
+        .on('error', reject)
+        .end(content);
+    });
+  }
+
+  async get(key) {
+    const chunks = [];
+
+    for await (const chunk of this.bucket.openDownloadStreamByName(key)) {
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = GridFSTestDataStore;
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const DiskTestDataStore = require('./disk');
+const GridFSTestDataStore = require('./gridfs');
+
+// Test inputs and outputs larger than TEST_INLINE_LIMIT bytes are not kept
+// in the Problem document but in a test data store, and the test case holds
+// the file's key (inputFile/outputFile) instead. Keys are SHA-256 hashes of
+// the content, so files are never changed once written and judge workers
+// can cache them.
+const backends = {
+  disk: DiskTestDataStore,
+  gridfs: GridFSTestDataStore
+};
+
+const INLINE_LIMIT = parseInt(process.env.TEST_INLINE_LIMIT) || 64 * 1024;
+
+// Largest test archive, or test file sent by a judge worker, accepted
+// (TEST_UPLOAD_LIMIT is in MB)
+const UPLOAD_LIMIT = (parseInt(process.env.TEST_UPLOAD_LIMIT) || 256) * 1024 * 1024;
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+// Create the store selected by TEST_DATA_STORAGE (disk by default)
+const createTestDataStore = (name = process.env.TEST_DATA_STORAGE || 'disk') => {
+  const Backend = backends[name];
+
+  if (!Backend) {
+    throw new Error(`Unknown test data storage: ${name}. Available: ${Object.keys(backends).join(', ')}`);
+  }
+
+  return new Backend();
+};
+
+const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Keep a small file inline and put a large one in the store with
+// put(key, buffer). Resolves to { content, key }, one of them empty.
+async function packTestFile(content, put) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+
+  if (buffer.length <= INLINE_LIMIT) {
+    return { content: buffer.toString(), key: null };
+  }
+
+  const key = hashContent(buffer);
+  await put(key, buffer);
+  return { content: '', key };
+}
+
+// Test case fields for the given input and expected output
+async function packTestCase(input, output, put) {
+  const packedInput = await packTestFile(input, put);
+  const packedOutput = await packTestFile(output, put);
+
+  return {
+    input: packedInput.content,
+    inputFile: packedInput.key,
+    output: packedOutput.content,
+    outputFile: packedOutput.key
+  };
+}
+
+// Test cases with the contents of their stored files filled in; get(key)
+// resolves to a file's contents
+function resolveTestCases(testCases, get) {
+  return Promise.all(testCases.map(async testCase => ({
+    ...testCase,
+    input: testCase.inputFile ? (await get(testCase.inputFile)).toString() : testCase.input,
+    output: testCase.outputFile ? (await get(testCase.outputFile)).toString() : testCase.output
+  })));
+}
+
+module.exports = {
+  KEY_PATTERN,
+  UPLOAD_LIMIT,
+  backends,
+  createTestDataStore,
+  hashContent,
+  packTestCase,
+  resolveTestCases
+};
@@ -0,0 +1,66 @@
+const { Classroom } = require('../models');
+
+// Decides who may see the input, expected output and program output of a
+// problem's hidden test cases. Admins, the problem's author and the
+// instructors and TAs of a classroom using the problem always may; students
+// of such a classroom may once the problem's due date has passed if the
+// instructor chose to reveal hidden tests then.
+async function canViewHiddenTests(user, problem) {
+  const userId = user._id.toString();
+  const authorId = problem.author && (problem.author._id || problem.author).toString();
+
+  if (user.role === 'admin' || authorId === userId) {
+    return true;
+  }
+
+  const classrooms = await Classroom.find({
+    $or: [
+      { _id: problem.classroom },
+      { 'problems.problem': problem._id }
+    ]
+  }).select('instructor teachingAssistants students problems');
+
+  const now = new Date();
+
+  return classrooms.some(classroom => {
+    if (classroom.isInstructorOrTA(userId)) {
+      return true;
+    }
+
+    const entry = classroom.problems.find(p => p.problem.toString() === problem._id.toString());
+
+    return !!entry &&
+      entry.revealHiddenTestsAfterDueDate &&
+      !!entry.dueDate &&
+      entry.dueDate <= now &&
+      classroom.isStudentEnrolled(userId);
+  });
+}
+
+// Instructors and TAs of a classroom using the problem may view students'
+// submissions to it
+async function isClassroomStaff(user, problem) {
+  const userId = user._id.toString();
+
+  const classrooms = await Classroom.find({
+    $or: [
+      { _id: problem.classroom },
+      { 'problems.problem': problem._id }
+    ]
+  }).select('instructor teachingAssistants');
+
+  return classrooms.some(classroom => classroom.isInstructorOrTA(userId));
+}
+
+// IDs of a problem's hidden test cases
+function hiddenTestCaseIds(problem) {
+  return (problem.testCases || [])
+    .filter(testCase => testCase.isHidden)
+    .map(testCase => testCase._id);
+}
+
+module.exports = {
+  canViewHiddenTests,
+  isClassroomStaff,
+  hiddenTestCaseIds
+};
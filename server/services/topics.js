@@ -0,0 +1,170 @@
+const { Problem, Topic } = require('../models');
+
+// Problems are classified by topics, kept in the topics collection so that
+// admins can add them without a code change. Topics form a two-level
+// hierarchy: top-level topics such as graph, and their subtopics such as
+// shortest-paths. A problem has one or more topics by slug, and the first
+// is its category. Filtering problems by a topic includes its subtopics.
+
+const MAX_PROBLEM_TOPICS = 10;
+
+// Topics created when there are none yet
+const DEFAULT_TOPICS = [
+  { slug: 'arrays', name: 'Arrays' },
+  { slug: 'strings', name: 'Strings' },
+  { slug: 'sorting', name: 'Sorting' },
+  { slug: 'searching', name: 'Searching' },
+  { slug: 'graph', name: 'Graph' },
+  { slug: 'tree', name: 'Tree' },
+  { slug: 'dynamic-programming', name: 'Dynamic Programming' },
+  { slug: 'greedy', name: 'Greedy' },
+  { slug: 'backtracking', name: 'Backtracking' },
+  { slug: 'math', name: 'Math' },
+  { slug: 'geometry', name: 'Geometry' },
+  { slug: 'bit-manipulation', name: 'Bit Manipulation' },
+  { slug: 'recursion', name: 'Recursion' },
+  { slug: 'linked-list', name: 'Linked List' },
+  { slug: 'stack', name: 'Stack' },
+  { slug: 'queue', name: 'Queue' },
+  { slug: 'hash-table', name: 'Hash Table' },
+  { slug: 'heap', name: 'Heap' },
+  { slug: 'trie', name: 'Trie' },
+  { slug: 'binary-search', name: 'Binary Search' }
+];
+
+// Create the default topics on first start, and give problems saved before
+// topics were kept their category as their topic
+async function seedTopics() {
+  if (await Topic.estimatedDocumentCount() === 0) {
+    try {
+      await Topic.insertMany(DEFAULT_TOPICS, { ordered: false });
+    } catch (error) {
+      // Another server process seeded them at the same time
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  await Problem.updateMany(
+    {
+      $or: [{ topics: { $exists: false } }, { topics: { $size: 0 } }],
+      category: { $nin: [null, ''] }
+    },
+    [{ $set: { topics: ['$category'] } }]
+  );
+}
+
+// Slugs of a topic and its subtopics, or null if there is no such topic
+async function topicWithSubtopics(slug) {
+  const topic = await Topic.findOne({ slug }).select('slug');
+  if (!topic) {
+    return null;
+  }
+
+  const subtopics = await Topic.find({ parent: topic._id }).select('slug');
+  return [topic.slug, ...subtopics.map(subtopic => subtopic.slug)];
+}
+
+// The given slugs that name a topic
+async function knownTopics(slugs) {
+  const known = await Topic.find({ slug: { $in: slugs } }).distinct('slug');
+  return slugs.filter(slug => known.includes(slug));
+}
+
+// Why a problem's topics cannot be saved, or null. The problem's category
+// and topics are reconciled first, as they are when it is saved.
+async function topicError(problem) {
+  problem.applyTopics();
+  const { topics } = problem;
+
+  if (topics.length === 0) {
+    return 'At least one topic is required';
+  }
+  if (topics.length > MAX_PROBLEM_TOPICS) {
+    return `A problem cannot have more than ${MAX_PROBLEM_TOPICS} topics`;
+  }
+
+  const known = await knownTopics(topics);
+  const unknown = topics.filter(slug => !known.includes(slug));
+  return unknown.length > 0 ? `Unknown topic: ${unknown.join(', ')}` : null;
+}
+
+// Why topic cannot be placed under parent (a Topic, or null for the top
+// level), or null. Subtopics cannot have subtopics of their own.
+async function parentError(topic, parent) {
+  if (!parent) {
+    return null;
+  }
+  if (parent.parent) {
+    return `${parent.slug} is a subtopic and cannot have subtopics`;
+  }
+  if (topic._id && parent._id.equals(topic._id)) {
+    return 'A topic cannot be its own parent';
+  }
+  if (topic._id && await Topic.exists({ parent: topic._id })) {
+    return `${topic.slug} has subtopics and cannot become a subtopic`;
+  }
+  return null;
+}
+
+// All topics as a tree of top-level topics with their subtopics, by name.
+// Each topic's problemCount counts the problems matching filter that have
+// the topic or one of its subtopics.
+async function topicTree(filter = { isPublic: true, isApproved: true }) {
+  const [topics, combinations] = await Promise.all([
+    Topic.find().sort({ name: 1 }).lean(),
+    // Problems counted per set of topics, which are far fewer than problems
+    Problem.aggregate([
+      { $match: filter },
+      { $group: { _id: '$topics', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const parentOf = new Map(topics.map(topic => [topic._id.toString(), topic.parent && topic.parent.toString()]));
+  const idOf = new Map(topics.map(topic => [topic.slug, topic._id.toString()]));
+
+  const counts = new Map();
+  combinations.forEach(({ _id: slugs, count }) => {
+    const counted = new Set();
+    (slugs || []).forEach(slug => {
+      const id = idOf.get(slug);
+      if (id) {
+        counted.add(id);
+        if (parentOf.get(id)) {
+          counted.add(parentOf.get(id));
+        }
+      }
+    });
+    counted.forEach(id => counts.set(id, (counts.get(id) || 0) + count));
+  });
+
+  const nodes = topics.map(topic => ({
+    _id: topic._id,
+    slug: topic.slug,
+    name: topic.name,
+    description: topic.description,
+    problemCount: counts.get(topic._id.toString()) || 0,
+    subtopics: []
+  }));
+  const byId = new Map(nodes.map(node => [node._id.toString(), node]));
+
+  return nodes.filter(node => {
+    const parentId = parentOf.get(node._id.toString());
+    if (parentId && byId.has(parentId)) {
+      byId.get(parentId).subtopics.push(node);
+      return false;
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  MAX_PROBLEM_TOPICS,
+  seedTopics,
+  topicWithSubtopics,
+  knownTopics,
+  topicError,
+  parentError,
+  topicTree
+};